@@ -8,3 +8,4 @@ import './blocks/controls.js';
 import './blocks/procedures.js';
 import './blocks/variable-get-set.js';
 import './blocks/typed-variables.js';
+import './blocks/type-declarations.js';
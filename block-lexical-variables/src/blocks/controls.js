@@ -40,6 +40,7 @@ import * as Blockly from 'blockly/core';
 import '../msg.js';
 import {FieldParameterFlydown} from '../fields/field_parameter_flydown.js';
 import {FieldFlydown} from '../fields/field_flydown.js';
+import {FieldTypeDropdown} from '../fields/field_type_dropdown.js';
 import * as Utilities from '../utilities.js';
 import {lexicalVariableScopeMixin} from '../mixins.js';
 
@@ -62,6 +63,8 @@ Blockly.Blocks['controls_forRange'] = {
         .appendField(new FieldParameterFlydown(
             Blockly.Msg.LANG_CONTROLS_FORRANGE_INPUT_VAR, true,
             FieldFlydown.DISPLAY_BELOW), 'VAR')
+        .appendField(':')
+        .appendField(new FieldTypeDropdown('any'), 'TYPE')
         .appendField(Blockly.Msg.LANG_CONTROLS_FORRANGE_INPUT_START)
         .setAlign(Blockly.inputs.Align.RIGHT);
     this.appendValueInput('TO')
@@ -88,6 +91,10 @@ Blockly.Blocks['controls_forRange'] = {
   getScopedInputName: function () {
     return 'DO';
   },
+  // The declared type of the counter, 'any' if it's untyped (a number).
+  getVariableType: function() {
+    return this.getFieldValue('TYPE');
+  },
 };
 
 // Alias controls_for to controls_forRange We need this because
@@ -115,6 +122,8 @@ Blockly.Blocks['controls_forEach'] = {
         .appendField(new FieldParameterFlydown(
             Blockly.Msg.LANG_CONTROLS_FOREACH_INPUT_VAR,
             true, FieldFlydown.DISPLAY_BELOW), 'VAR')
+        .appendField(':')
+        .appendField(new FieldTypeDropdown('any'), 'TYPE')
         .appendField(Blockly.Msg.LANG_CONTROLS_FOREACH_INPUT_INLIST)
         .setAlign(Blockly.inputs.Align.RIGHT);
     this.appendStatementInput('DO')
@@ -130,6 +139,14 @@ Blockly.Blocks['controls_forEach'] = {
   getScopedInputName: function () {
     return 'DO';
   },
+  // The type of the item: its declared type, or else the element type of
+  // the declared type of the list (number for a list of type number[]), or
+  // 'any' if it's untyped.
+  getVariableType: function() {
+    const typeManager = this.workspace.getTopWorkspace().getTypeManager();
+    return typeManager.getDeclaredType(this, this.getFieldValue('VAR')) ||
+        'any';
+  },
 };
 
 Blockly.Blocks['controls_do_then_return'] = {
@@ -88,6 +88,8 @@ import {
   LexicalVariable,
 } from '../fields/field_lexical_variable.js';
 import {FieldNoCheckDropdown} from '../fields/field_nocheck_dropdown.js';
+import {FieldTypeDropdown} from '../fields/field_type_dropdown.js';
+import * as Types from '../types.js';
 import * as Utilities from '../utilities.js';
 import * as Shared from '../shared.js';
 import {Substitution} from '../substitution.js'
@@ -113,6 +115,9 @@ Blockly.Blocks['procedures_defnoreturn'] = {
     // List of declared local variable names; has one
     // ("name") initially
     this.arguments_ = [];
+    // The declared types of the parameters, parallel to arguments_. 'any'
+    // for an untyped parameter.
+    this.argTypes_ = [];
     // Other methods guarantee the invariant that this variable contains
     // the list of names declared in the local declaration block.
     this.warnings = [{name: 'checkEmptySockets', sockets: ['STACK']}];
@@ -371,23 +376,37 @@ Blockly.Blocks['procedures_defnoreturn'] = {
       // vertical
       // The absence of this attribute means horizontal.
     }
+    // Types are only stored for typed parameters and return values.
+    if (this.bodyInputName === 'RETURN' && this.returnType_ !== 'any') {
+      container.setAttribute('return_type', this.returnType_);
+    }
+    const types = this.getParameterTypes();
     for (let x = 0; x < this.arguments_.length; x++) {
       const parameter = Blockly.utils.xml.createElement('arg');
       parameter.setAttribute('name', this.arguments_[x]);
+      if (types[x] !== 'any') {
+        parameter.setAttribute('type', types[x]);
+      }
       container.appendChild(parameter);
     }
     return container;
   },
   domToMutation: function(xmlElement) {
     const params = [];
+    const types = [];
     const children = Utilities.getChildren(xmlElement);
     for (let x = 0, childNode; childNode = children[x]; x++) {
       if (childNode.nodeName.toLowerCase() == 'arg') {
         params.push(childNode.getAttribute('name'));
+        types.push(childNode.getAttribute('type') || 'any');
       }
     }
     this.horizontalParameters =
         xmlElement.getAttribute('vertical_parameters') !== 'true';
+    if (this.bodyInputName === 'RETURN') {
+      this.returnType_ = xmlElement.getAttribute('return_type') || 'any';
+    }
+    this.argTypes_ = types;
     this.updateParams_(params);
   },
   decompose: function(workspace) {
@@ -397,12 +416,14 @@ Blockly.Blocks['procedures_defnoreturn'] = {
     // appropriately change body when update name in param block.
     containerBlock.setProcBlock(this);
     this.paramIds_ = []; // [lyn, 10/26/13] Added
+    const types = this.getParameterTypes();
     let connection = containerBlock.getInput('STACK').connection;
     for (let x = 0; x < this.arguments_.length; x++) {
       const paramBlock = workspace.newBlock('procedures_mutatorarg');
       this.paramIds_.push(paramBlock.id); // [lyn, 10/26/13] Added
       paramBlock.initSvg();
       paramBlock.setFieldValue(this.arguments_[x], 'NAME');
+      paramBlock.setFieldValue(types[x], 'TYPE');
       // Store the old location.
       paramBlock.oldLocation = x;
       connection.connect(paramBlock.previousConnection);
@@ -415,10 +436,12 @@ Blockly.Blocks['procedures_defnoreturn'] = {
   },
   compose: function(containerBlock) {
     const params = [];
+    const types = [];
     this.paramIds_ = [];
     let paramBlock = containerBlock.getInputTargetBlock('STACK');
     while (paramBlock) {
       params.push(paramBlock.getFieldValue('NAME'));
+      types.push(paramBlock.getFieldValue('TYPE'));
       this.paramIds_.push(paramBlock.id);
       paramBlock = paramBlock.nextConnection &&
           paramBlock.nextConnection.targetBlock();
@@ -429,6 +452,11 @@ Blockly.Blocks['procedures_defnoreturn'] = {
     //    + this.arguments_.join(',')
     //    + ";"
     // );
+    // Types don't show on the block, so they need no updates.
+    this.argTypes_ = types;
+    if (containerBlock.getField('RETURN_TYPE')) {
+      this.returnType_ = containerBlock.getFieldValue('RETURN_TYPE');
+    }
     // [lyn, 11/24/12] Note: update params updates param list in proc
     // declaration, but renameParam updates procedure body appropriately.
     if (!LexicalVariable.stringListsEqual(params, this.arguments_)) {
@@ -551,6 +579,21 @@ Blockly.Blocks['procedures_defnoreturn'] = {
   getParameters: function() {
     return this.arguments_;
   },
+  // The declared types of the parameters, 'any' for untyped ones.
+  getParameterTypes: function() {
+    return this.arguments_.map((_, i) => this.argTypes_[i] || 'any');
+  },
+  // The declared type of the return value: 'void' for a procedure that
+  // doesn't return a value, 'any' if it's untyped.
+  getReturnType: function() {
+    return this.bodyInputName === 'RETURN' ? this.returnType_ : 'void';
+  },
+  // Follow the renaming of a struct or enum type in the declared types.
+  renameType: function(oldName, newName) {
+    this.argTypes_ = this.argTypes_.map((type) =>
+      type && Types.renameType(type, oldName, newName));
+    this.returnType_ = Types.renameType(this.returnType_, oldName, newName);
+  },
 };
 
 // [lyn, 01/15/2013] Edited to remove STACK (no longer necessary with
@@ -580,6 +623,9 @@ Blockly.Blocks['procedures_defreturn'] = {
     this.setMutator(new Blockly.icons.MutatorIcon(['procedures_mutatorarg'], this));
     this.setTooltip(Blockly.Msg['LANG_PROCEDURES_DEFRETURN_TOOLTIP']);
     this.arguments_ = [];
+    this.argTypes_ = [];
+    // The declared type of the return value, 'any' if it's untyped.
+    this.returnType_ = 'any';
     this.warnings = [{name: 'checkEmptySockets', sockets: ['RETURN']}];
   },
   createHeader: function(procName) {
@@ -612,6 +658,9 @@ Blockly.Blocks['procedures_defreturn'] = {
   blocksInScope: Blockly.Blocks.procedures_defnoreturn.blocksInScope,
   customContextMenu: Blockly.Blocks.procedures_defnoreturn.customContextMenu,
   getParameters: Blockly.Blocks.procedures_defnoreturn.getParameters,
+  getParameterTypes: Blockly.Blocks.procedures_defnoreturn.getParameterTypes,
+  getReturnType: Blockly.Blocks.procedures_defnoreturn.getReturnType,
+  renameType: Blockly.Blocks.procedures_defnoreturn.renameType,
 };
 
 Blockly.Blocks['procedures_mutatorcontainer'] = {
@@ -630,6 +679,15 @@ Blockly.Blocks['procedures_mutatorcontainer'] = {
   // [lyn. 11/24/12] Set procBlock associated with this container.
   setProcBlock: function(procBlock) {
     this.procBlock_ = procBlock;
+    if (procBlock.bodyInputName === 'RETURN' &&
+        !this.getField('RETURN_TYPE')) {
+      const title = Blockly.Msg['LANG_PROCEDURES_MUTATORCONTAINER_RETURN_TYPE'];
+      this.appendDummyInput('RETURN_TYPE')
+          .appendField(title)
+          .appendField(new FieldTypeDropdown('any', 'typescript'),
+              'RETURN_TYPE');
+      this.setFieldValue(procBlock.getReturnType(), 'RETURN_TYPE');
+    }
   },
   // [lyn. 11/24/12] Set procBlock associated with this container.
   // Invariant: should not be null, since only created as mutator for a
@@ -680,7 +738,9 @@ Blockly.Blocks['procedures_mutatorarg'] = {
     };
     this.appendDummyInput()
         .appendField(Blockly.Msg['LANG_PROCEDURES_MUTATORARG_TITLE'])
-        .appendField(editor, 'NAME');
+        .appendField(editor, 'NAME')
+        .appendField(':')
+        .appendField(new FieldTypeDropdown('any', 'typescript'), 'TYPE');
     this.setPreviousStatement(true);
     this.setNextStatement(true);
     this.setTooltip(Blockly.Msg['LANG_PROCEDURES_MUTATORARG_TOOLTIP']);
@@ -802,6 +862,10 @@ Blockly.Blocks['procedures_callnoreturn'] = {
         func: ErrorCheckers.checkDropDownContainsValidValue,
         dropDowns: ['PROCNAME'],
       },
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
     ];
     this.setOnChange(function(changeEvent) {
       this.workspace.getWarningHandler().checkErrors(this);
@@ -1039,6 +1103,10 @@ Blockly.Blocks['procedures_callreturn'] = {
         func: ErrorCheckers.checkDropDownContainsValidValue,
         dropDowns: ['PROCNAME'],
       },
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
     ];
     this.setOnChange(function(changeEvent) {
       this.workspace.getWarningHandler().checkErrors(this);
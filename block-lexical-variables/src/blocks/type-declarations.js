@@ -0,0 +1,574 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Blocks that declare named composite types, struct types with
+ * typed fields and enum types with named members, and blocks that make and
+ * use their values. The declarations are top blocks, which the TypeManager
+ * finds by name (see TypeManager.getUserType), so their types are offered in
+ * every type dropdown and checked like the built-in ones.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import '../msg.js';
+import {ErrorCheckers} from '../warningHandler.js';
+import {FieldNoCheckDropdown} from '../fields/field_nocheck_dropdown.js';
+import {FieldTypeDropdown} from '../fields/field_type_dropdown.js';
+import * as Types from '../types.js';
+import * as Utilities from '../utilities.js';
+
+/**
+ * Struct type declaration block, with a struct_field block per field.
+ * Block type: 'struct_declaration'
+ */
+Blockly.Blocks['struct_declaration'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendDummyInput()
+      .appendField('struct')
+      .appendField(new Blockly.FieldTextInput('Point', validateTypeName),
+          'NAME');
+    this.appendStatementInput('FIELDS')
+      .setCheck('struct_field')
+      .appendField('fields');
+    this.setTooltip('Declare a struct type with typed fields');
+
+    this.errors = [
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      onDeclarationChange(this, changeEvent);
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+
+  /**
+   * Get the fields of the struct.
+   * @return {!Array<{name: string, type: string}>} The fields, in order.
+   */
+  getFields: function() {
+    return getMemberBlocks(this, 'FIELDS').map((block) => ({
+      name: block.getFieldValue('NAME'),
+      type: block.getFieldValue('TYPE'),
+    }));
+  },
+
+  /**
+   * Get the type this block declares.
+   * @return {{kind: string, name: string, fields: !Array}} The type, as
+   *     TypeManager.getUserType gives it.
+   */
+  getTypeDeclaration: function() {
+    return {
+      kind: 'struct',
+      name: this.getFieldValue('NAME'),
+      fields: this.getFields(),
+    };
+  },
+};
+
+/**
+ * A field of a struct type declaration.
+ * Block type: 'struct_field'
+ */
+Blockly.Blocks['struct_field'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendDummyInput()
+      .appendField(new Blockly.FieldTextInput('x', validateName), 'NAME')
+      .appendField(':')
+      .appendField(new FieldTypeDropdown('number', 'typescript'), 'TYPE');
+    this.setPreviousStatement(true, 'struct_field');
+    this.setNextStatement(true, 'struct_field');
+    this.setTooltip('A field of a struct type');
+
+    this.errors = [
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+};
+
+/**
+ * Enum type declaration block, with an enum_member block per member.
+ * Block type: 'enum_declaration'
+ */
+Blockly.Blocks['enum_declaration'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendDummyInput()
+      .appendField('enum')
+      .appendField(new Blockly.FieldTextInput('Color', validateTypeName),
+          'NAME');
+    this.appendStatementInput('MEMBERS')
+      .setCheck('enum_member')
+      .appendField('members');
+    this.setTooltip('Declare an enum type with named members');
+
+    this.errors = [
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      onDeclarationChange(this, changeEvent);
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+
+  /**
+   * Get the members of the enum.
+   * @return {!Array<string>} The names of the members, in order.
+   */
+  getMembers: function() {
+    return getMemberBlocks(this, 'MEMBERS').map((block) =>
+      block.getFieldValue('NAME'));
+  },
+
+  /**
+   * Get the type this block declares.
+   * @return {{kind: string, name: string, members: !Array<string>}} The
+   *     type, as TypeManager.getUserType gives it.
+   */
+  getTypeDeclaration: function() {
+    return {
+      kind: 'enum',
+      name: this.getFieldValue('NAME'),
+      members: this.getMembers(),
+    };
+  },
+};
+
+/**
+ * A member of an enum type declaration.
+ * Block type: 'enum_member'
+ */
+Blockly.Blocks['enum_member'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendDummyInput()
+      .appendField(new Blockly.FieldTextInput('RED', validateName), 'NAME');
+    this.setPreviousStatement(true, 'enum_member');
+    this.setNextStatement(true, 'enum_member');
+    this.setTooltip('A member of an enum type');
+
+    this.errors = [
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+};
+
+/**
+ * Block that makes a value of a struct type, with an input per field. The
+ * names of the fields are kept in the mutation, so that the inputs are there
+ * when the block is loaded ahead of the declaration of its type, and follow
+ * the declaration when its fields change.
+ * Block type: 'struct_create'
+ */
+Blockly.Blocks['struct_create'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendDummyInput()
+      .appendField('new')
+      .appendField(new FieldNoCheckDropdown(function() {
+        return getTypeOptions(this.getSourceBlock(), 'struct');
+      }), 'TYPE');
+    this.setOutput(true, null);
+    this.setTooltip('Make a value of a struct type');
+    this.fieldNames_ = [];
+
+    this.errors = [
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      if (!this.isInFlyout) {
+        const userType = getTypeManager(this).getUserType(
+            this.getStructType());
+        if (userType && userType.kind === 'struct') {
+          const fieldNames = userType.fields.map((field) => field.name);
+          if (fieldNames.join() !== this.fieldNames_.join()) {
+            this.updateShape_(fieldNames);
+          }
+        }
+      }
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+
+  mutationToDom: function() {
+    const container = Blockly.utils.xml.createElement('mutation');
+    this.fieldNames_.forEach((name) => {
+      const field = Blockly.utils.xml.createElement('field');
+      field.setAttribute('name', name);
+      container.appendChild(field);
+    });
+    return container;
+  },
+
+  domToMutation: function(xmlElement) {
+    this.updateShape_(Array.from(Utilities.getChildren(xmlElement))
+        .filter((child) => child.nodeName.toLowerCase() === 'field')
+        .map((child) => child.getAttribute('name')));
+  },
+
+  /**
+   * Make an input for each field, named FIELD_ and the field's name, in
+   * order. The blocks plugged into the inputs of the fields that remain are
+   * kept; those of the others are unplugged.
+   * @param {!Array<string>} fieldNames The names of the fields.
+   * @private
+   */
+  updateShape_: function(fieldNames) {
+    this.fieldNames_.forEach((name) => {
+      if (!fieldNames.includes(name)) {
+        this.removeInput('FIELD_' + name);
+      }
+    });
+    fieldNames.forEach((name) => {
+      if (!this.getInput('FIELD_' + name)) {
+        this.appendValueInput('FIELD_' + name)
+          .setAlign(Blockly.inputs.Align.RIGHT)
+          .appendField(name);
+      }
+      this.moveInputBefore('FIELD_' + name, null);
+    });
+    this.fieldNames_ = fieldNames.slice();
+  },
+
+  /**
+   * Get the struct type of the value.
+   * @return {string} The name of the type.
+   */
+  getStructType: function() {
+    return this.getFieldValue('TYPE');
+  },
+
+  /**
+   * Follow the renaming of a struct type.
+   * @param {string} oldName
+   * @param {string} newName
+   */
+  renameType: function(oldName, newName) {
+    if (this.getFieldValue('TYPE') === oldName) {
+      this.setFieldValue(newName, 'TYPE');
+    }
+  },
+};
+
+/**
+ * Block that gives a member of an enum type, as Type.MEMBER.
+ * Block type: 'enum_value'
+ */
+Blockly.Blocks['enum_value'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendDummyInput()
+      .appendField(new FieldNoCheckDropdown(function() {
+        return getEnumMemberOptions(this.getSourceBlock());
+      }), 'VALUE');
+    this.setOutput(true, null);
+    this.setTooltip('A member of an enum type');
+
+    this.errors = [
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+
+  /**
+   * Get the enum type of the value.
+   * @return {string} The name of the type.
+   */
+  getEnumType: function() {
+    return splitEnumValue(this.getFieldValue('VALUE'))[0];
+  },
+
+  /**
+   * Get the name of the member.
+   * @return {string}
+   */
+  getMemberName: function() {
+    return splitEnumValue(this.getFieldValue('VALUE'))[1];
+  },
+
+  /**
+   * Follow the renaming of an enum type.
+   * @param {string} oldName
+   * @param {string} newName
+   */
+  renameType: function(oldName, newName) {
+    if (this.getEnumType() === oldName) {
+      this.setFieldValue(newName + '.' + this.getMemberName(), 'VALUE');
+    }
+  },
+};
+
+/**
+ * Block that gets a field of a struct value.
+ * Block type: 'struct_field_get'
+ */
+Blockly.Blocks['struct_field_get'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendValueInput('OBJECT')
+      .appendField('get field')
+      .appendField(new FieldNoCheckDropdown(function() {
+        return getFieldOptions(this.getSourceBlock());
+      }), 'FIELD')
+      .appendField('of');
+    this.setOutput(true, null);
+    this.setTooltip('Get a field of a struct value');
+
+    this.errors = [
+      {func: ErrorCheckers.checkIsInDefinition},
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+};
+
+/**
+ * Block that sets a field of a struct value.
+ * Block type: 'struct_field_set'
+ */
+Blockly.Blocks['struct_field_set'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+    this.appendValueInput('OBJECT')
+      .appendField('set field')
+      .appendField(new FieldNoCheckDropdown(function() {
+        return getFieldOptions(this.getSourceBlock());
+      }), 'FIELD')
+      .appendField('of');
+    this.appendValueInput('VALUE')
+      .appendField('to');
+    this.setInputsInline(true);
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Set a field of a struct value');
+
+    this.errors = [
+      {func: ErrorCheckers.checkIsInDefinition},
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+};
+
+/**
+ * Check that a field or member name is an identifier in all of the
+ * generated languages.
+ * @param {string} name
+ * @return {?string} The name, or null if it isn't one.
+ */
+function validateName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : null;
+}
+
+/**
+ * As validateName, for the name of a type, which mustn't be that of a
+ * built-in type either.
+ * @param {string} name
+ * @return {?string} The name, or null if it can't be used.
+ */
+function validateTypeName(name) {
+  return validateName(name) && !Types.BUILT_IN_TYPES.includes(name) ?
+      name : null;
+}
+
+/**
+ * Follow the renaming of the type a declaration declares: the types of the
+ * workspace's type dropdowns, procedure signatures and values are renamed,
+ * unless the new name is already taken, which is reported as an error.
+ * Names are changed once editing is done, so the intermediate names typed on
+ * the way aren't followed.
+ * @param {!Blockly.Block} block The declaration.
+ * @param {!Blockly.Events.Abstract} changeEvent
+ */
+function onDeclarationChange(block, changeEvent) {
+  if (block.isInFlyout || changeEvent.type !== Blockly.Events.BLOCK_CHANGE ||
+      changeEvent.blockId !== block.id || changeEvent.name !== 'NAME' ||
+      !changeEvent.oldValue) {
+    return;
+  }
+  const oldName = changeEvent.oldValue;
+  const newName = changeEvent.newValue;
+  const typeManager = getTypeManager(block);
+  if (typeManager.findTypeDeclaration(newName) !== block ||
+      typeManager.findTypeDeclaration(oldName)) {
+    return;
+  }
+  Blockly.Events.setGroup(changeEvent.group);
+  try {
+    block.workspace.getAllBlocks(false).forEach((other) => {
+      other.inputList.forEach((input) => input.fieldRow.forEach((field) => {
+        if (field instanceof FieldTypeDropdown) {
+          const type = field.getValue();
+          const renamed = Types.renameType(type, oldName, newName);
+          if (renamed !== type) {
+            field.setValue(renamed);
+          }
+        }
+      }));
+      if (other.renameType) {
+        other.renameType(oldName, newName);
+      }
+    });
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+}
+
+/**
+ * Get the field or member blocks of a declaration.
+ * @param {!Blockly.Block} block The declaration.
+ * @param {string} inputName The statement input they're in.
+ * @return {!Array<!Blockly.Block>}
+ */
+function getMemberBlocks(block, inputName) {
+  const blocks = [];
+  for (let member = block.getInputTargetBlock(inputName); member;
+    member = member.getNextBlock()) {
+    if (member.isEnabled()) {
+      blocks.push(member);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Get the type manager of the workspace a block is on, or of the workspace
+ * a flyout's blocks are dragged to.
+ * @param {!Blockly.Block} block
+ * @return {!TypeManager}
+ */
+function getTypeManager(block) {
+  return block.workspace.getTopWorkspace().getTypeManager();
+}
+
+/**
+ * Make the options of a dropdown, with the field's value added if it isn't
+ * one of them, e.g., while the declaration it refers to hasn't been loaded.
+ * @param {!Array<string>} values
+ * @param {Blockly.Block} block The block of the dropdown.
+ * @param {string} fieldName The name of the dropdown.
+ * @return {!Array<!Array<string>>}
+ */
+function makeOptions(values, block, fieldName) {
+  const value = block && block.getFieldValue(fieldName);
+  if (value && !values.includes(value)) {
+    values.push(value);
+  }
+  return values.length ? values.map((value) => [value, value]) : [['', '']];
+}
+
+/**
+ * Get the options of a dropdown of the struct or enum types.
+ * @param {Blockly.Block} block The block of the dropdown, or null while it's
+ *     being made.
+ * @param {string} kind 'struct' or 'enum'.
+ * @return {!Array<!Array<string>>}
+ */
+function getTypeOptions(block, kind) {
+  const names = [];
+  if (block) {
+    const typeManager = getTypeManager(block);
+    typeManager.getUserTypeNames().forEach((name) => {
+      if (typeManager.getUserType(name).kind === kind) {
+        names.push(name);
+      }
+    });
+  }
+  return makeOptions(names, block, 'TYPE');
+}
+
+/**
+ * Get the options of a dropdown of the members of the enum types, as
+ * Type.MEMBER.
+ * @param {Blockly.Block} block The block of the dropdown, or null.
+ * @return {!Array<!Array<string>>}
+ */
+function getEnumMemberOptions(block) {
+  const values = [];
+  if (block) {
+    const typeManager = getTypeManager(block);
+    typeManager.getUserTypeNames().forEach((name) => {
+      const userType = typeManager.getUserType(name);
+      if (userType.kind === 'enum') {
+        values.push(...userType.members.map((member) => name + '.' + member));
+      }
+    });
+  }
+  return makeOptions(values, block, 'VALUE');
+}
+
+/**
+ * Get the options of a dropdown of fields: the fields of the struct type of
+ * the block's object, if it's known, otherwise those of all of the struct
+ * types.
+ * @param {Blockly.Block} block The field getter or setter, or null.
+ * @return {!Array<!Array<string>>}
+ */
+function getFieldOptions(block) {
+  const names = [];
+  if (block) {
+    const typeManager = getTypeManager(block);
+    const objectType = typeManager.getUserType(typeManager.inferValueType(
+        block.getInputTargetBlock('OBJECT')));
+    const structs = objectType && objectType.kind === 'struct' ?
+        [objectType] :
+        typeManager.getUserTypeNames().map((name) =>
+          typeManager.getUserType(name))
+            .filter((userType) => userType.kind === 'struct');
+    structs.forEach((struct) => struct.fields.forEach((field) => {
+      if (!names.includes(field.name)) {
+        names.push(field.name);
+      }
+    }));
+  }
+  return makeOptions(names, block, 'FIELD');
+}
+
+/**
+ * Split the value of an enum_value block.
+ * @param {string} value Type.MEMBER.
+ * @return {!Array<string>} The type and the member.
+ */
+function splitEnumValue(value) {
+  const dot = value.indexOf('.');
+  return dot === -1 ? [value, ''] : [value.slice(0, dot), value.slice(dot + 1)];
+}
@@ -26,7 +26,6 @@ Blockly.Blocks['typed_global_declaration'] = {
     
     // Create type dropdown
     this.typeField_ = new FieldTypeDropdown('any', 'typescript');
-    this.typeField_.setBlock(this);
     
     const declInput = this.appendValueInput('DECL');
     declInput.appendField('declare')
@@ -47,6 +46,10 @@ Blockly.Blocks['typed_global_declaration'] = {
         func: ErrorCheckers.checkDropDownContainsValidValue,
         dropDowns: ['NAME'],
       },
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
     ];
     
     this.setOnChange(function(changeEvent) {
@@ -98,7 +101,6 @@ Blockly.Blocks['typed_local_declaration_statement'] = {
     
     // Create type dropdown
     this.typeField_ = new FieldTypeDropdown('any', 'typescript');
-    this.typeField_.setBlock(this);
     
     const declInput = this.appendValueInput('DECL');
     declInput.appendField('let')
@@ -123,6 +125,10 @@ Blockly.Blocks['typed_local_declaration_statement'] = {
         func: ErrorCheckers.checkDropDownContainsValidValue,
         dropDowns: ['VAR'],
       },
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
     ];
     
     this.setOnChange(function(changeEvent) {
@@ -167,7 +173,9 @@ Blockly.Blocks['typed_local_declaration_statement'] = {
 };
 
 /**
- * Typed variable getter block.
+ * Typed variable getter block. It carries the type of the variable it was
+ * made for (e.g., by the flydown of a typed loop variable), which the
+ * variable it refers to is checked against.
  * Block type: 'typed_lexical_variable_get'
  */
 Blockly.Blocks['typed_lexical_variable_get'] = {
@@ -193,6 +201,10 @@ Blockly.Blocks['typed_lexical_variable_get'] = {
         func: ErrorCheckers.checkDropDownContainsValidValue,
         dropDowns: ['VAR'],
       },
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
     ];
     
     this.setOnChange(function(changeEvent) {
@@ -200,6 +212,27 @@ Blockly.Blocks['typed_lexical_variable_get'] = {
     });
   },
 
+  /**
+   * Save the type the block carries, if it has one.
+   * @return {Element} The mutation, or null if the block is untyped.
+   */
+  mutationToDom: function() {
+    if (!this.fieldVar_.hasSpecificType()) {
+      return null;
+    }
+    const container = Blockly.utils.xml.createElement('mutation');
+    container.setAttribute('type', this.fieldVar_.getType());
+    return container;
+  },
+
+  /**
+   * Restore the type the block carries.
+   * @param {!Element} xmlElement The mutation.
+   */
+  domToMutation: function(xmlElement) {
+    this.fieldVar_.setType(xmlElement.getAttribute('type') || 'any');
+  },
+
   /**
    * Get the declared variables.
    * @return {Array<string>} Array of variable names.
@@ -229,7 +262,9 @@ Blockly.Blocks['typed_lexical_variable_get'] = {
 };
 
 /**
- * Typed variable setter block.
+ * Typed variable setter block. It carries the type of the variable it was
+ * made for (e.g., by the flydown of a typed loop variable), which the
+ * variable it refers to is checked against.
  * Block type: 'typed_lexical_variable_set'
  */
 Blockly.Blocks['typed_lexical_variable_set'] = {
@@ -258,6 +293,10 @@ Blockly.Blocks['typed_lexical_variable_set'] = {
         func: ErrorCheckers.checkDropDownContainsValidValue,
         dropDowns: ['VAR'],
       },
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+    this.warnings = [
+      {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
     ];
     
     this.setOnChange(function(changeEvent) {
@@ -265,6 +304,27 @@ Blockly.Blocks['typed_lexical_variable_set'] = {
     });
   },
 
+  /**
+   * Save the type the block carries, if it has one.
+   * @return {Element} The mutation, or null if the block is untyped.
+   */
+  mutationToDom: function() {
+    if (!this.fieldVar_.hasSpecificType()) {
+      return null;
+    }
+    const container = Blockly.utils.xml.createElement('mutation');
+    container.setAttribute('type', this.fieldVar_.getType());
+    return container;
+  },
+
+  /**
+   * Restore the type the block carries.
+   * @param {!Element} xmlElement The mutation.
+   */
+  domToMutation: function(xmlElement) {
+    this.fieldVar_.setType(xmlElement.getAttribute('type') || 'any');
+  },
+
   /**
    * Get the declared variables.
    * @return {Array<string>} Array of variable names.
@@ -292,3 +352,112 @@ Blockly.Blocks['typed_lexical_variable_set'] = {
     };
   }
 };
+
+/**
+ * Typed cast block: converts a value to a type, e.g., a double to an int, or
+ * a number to a string. Each generator lowers it to its language's
+ * conversion, e.g., (int) x in C, or Number(x) and String(x) in JavaScript.
+ * Casts between types that can't be converted are type errors.
+ * Block type: 'typed_cast'
+ */
+Blockly.Blocks['typed_cast'] = {
+  category: 'Variables',
+  init: function() {
+    this.setStyle('variable_blocks');
+
+    this.appendValueInput('VALUE')
+      .appendField('cast');
+    this.appendDummyInput()
+      .appendField('to')
+      .appendField(new FieldTypeDropdown('int', 'typescript'), 'TYPE');
+
+    this.setInputsInline(true);
+    this.setOutput(true, null);
+    this.setTooltip('Convert a value to a type');
+
+    this.errors = [
+      {func: ErrorCheckers.checkTypeErrors},
+    ];
+
+    this.setOnChange(function(changeEvent) {
+      this.workspace.getWarningHandler().checkErrors(this);
+    });
+  },
+};
+
+/**
+ * Wrap the value plugged into an input of a block in a cast, as one undoable
+ * change.
+ * @param {!Blockly.Block} block The block with the input.
+ * @param {string} inputName The input.
+ * @param {string} type The type to cast to.
+ * @return {Blockly.Block} The cast block, or null if the input is empty.
+ */
+export function wrapInCast(block, inputName, type) {
+  const connection = block.getInput(inputName).connection;
+  const value = connection.targetBlock();
+  if (!value) {
+    return null;
+  }
+  const existingGroup = Blockly.Events.getGroup();
+  if (!existingGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  try {
+    const cast = block.workspace.newBlock('typed_cast');
+    cast.setFieldValue(type, 'TYPE');
+    if (cast.initSvg) {
+      cast.initSvg();
+      cast.render();
+    }
+    value.outputConnection.disconnect();
+    cast.getInput('VALUE').connection.connect(value.outputConnection);
+    connection.connect(cast.outputConnection);
+    return cast;
+  } finally {
+    if (!existingGroup) {
+      Blockly.Events.setGroup(false);
+    }
+  }
+}
+
+// The quick fix for type errors and narrowing conversions that a cast would
+// fix (see TypeManager.getCastFixes): the block's context menu gets an item
+// that wraps the offending values in casts to the types they're assigned to.
+if (!Blockly.ContextMenuRegistry.registry.getItem('typedCastQuickFix')) {
+  Blockly.ContextMenuRegistry.registry.register({
+    id: 'typedCastQuickFix',
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    weight: 0,
+    displayText: function(scope) {
+      const fixes = getCastFixes(scope.block);
+      return fixes.length === 1 ? 'Cast to ' + fixes[0].type : 'Add casts';
+    },
+    preconditionFn: function(scope) {
+      return getCastFixes(scope.block).length ? 'enabled' : 'hidden';
+    },
+    callback: function(scope) {
+      Blockly.Events.setGroup(true);
+      try {
+        getCastFixes(scope.block).forEach((fix) => {
+          wrapInCast(scope.block, fix.inputName, fix.type);
+        });
+      } finally {
+        Blockly.Events.setGroup(false);
+      }
+    },
+  });
+}
+
+/**
+ * Get the casts that would fix a block's type errors and warnings.
+ * @param {!Blockly.Block} block
+ * @return {!Array<{inputName: string, type: string}>}
+ */
+function getCastFixes(block) {
+  if (block.isInFlyout || !block.workspace.getTypeManager) {
+    return [];
+  }
+  return block.workspace.getTopWorkspace().getTypeManager()
+      .getCastFixes(block);
+}
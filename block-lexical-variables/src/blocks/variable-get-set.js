@@ -11,6 +11,22 @@ import {
 import * as Shared from '../shared.js';
 import {NameSet} from "../nameSet.js";
 
+/**
+ * Make the tooltip of a getter or setter, which adds the type of its
+ * variable where that's known.
+ * @param {!Blockly.Block} block The getter or setter.
+ * @param {string} tooltip The tooltip without the type.
+ * @return {function(): string} The tooltip.
+ */
+function typeTooltip(block, tooltip) {
+    return function() {
+        const type = block.getInferredType(block.getFieldValue('VAR'));
+        return type ? tooltip + '\n' +
+            Blockly.Msg.LANG_VARIABLES_TYPE_TOOLTIP.replace('%1', type) :
+            tooltip;
+    };
+}
+
 /**
  * Prototype bindings for a variable getter block.
  */
@@ -26,7 +42,8 @@ Blockly.Blocks['lexical_variable_get'] = {
             .appendField(Blockly.Msg.LANG_VARIABLES_GET_TITLE_GET)
             .appendField(this.fieldVar_, 'VAR');
         this.setOutput(true, null);
-        this.setTooltip(Blockly.Msg.LANG_VARIABLES_GET_TOOLTIP);
+        this.setTooltip(
+            typeTooltip(this, Blockly.Msg.LANG_VARIABLES_GET_TOOLTIP));
         this.errors = [
             {func: ErrorCheckers.checkIsInDefinition},
             {
@@ -86,6 +103,16 @@ Blockly.Blocks['lexical_variable_get'] = {
     getDeclaredVars: function() {
         return [this.getFieldValue('VAR')];
     },
+    /**
+     * Get the type of the variable a name refers to at this block, declared
+     * or inferred by the workspace's TypeManager. Used for the tooltip and to
+     * annotate the names in the dropdown.
+     * @param {string} name The name, as in the dropdown.
+     * @return {?string} The type, or null if it isn't known.
+     */
+    getInferredType: function(name) {
+        return this.workspace.getTypeManager().getVariableType(name, this);
+    },
     renameLexicalVar: function(oldName, newName, oldTranslatedName,
                                newTranslatedName) {
         if (oldTranslatedName === undefined) {
@@ -150,13 +177,18 @@ Blockly.Blocks['lexical_variable_set'] = {
             .appendField(Blockly.Msg.LANG_VARIABLES_SET_TITLE_TO);
         this.setPreviousStatement(true);
         this.setNextStatement(true);
-        this.setTooltip(Blockly.Msg.LANG_VARIABLES_SET_TOOLTIP);
+        this.setTooltip(
+            typeTooltip(this, Blockly.Msg.LANG_VARIABLES_SET_TOOLTIP));
         this.errors = [
             {func: ErrorCheckers.checkIsInDefinition},
             {
                 func: ErrorCheckers.checkDropDownContainsValidValue,
                 dropDowns: ['VAR'],
             },
+            {func: ErrorCheckers.checkTypeErrors},
+        ];
+        this.warnings = [
+            {func: ErrorCheckers.checkTypeErrors, severity: 'warning'},
         ];
         this.setOnChange(function(changeEvent) {
             this.workspace.getWarningHandler().checkErrors(this);
@@ -166,6 +198,7 @@ Blockly.Blocks['lexical_variable_set'] = {
     getDeclaredVars: function() {
         return [this.getFieldValue('VAR')];
     },
+    getInferredType: Blockly.Blocks.lexical_variable_get.getInferredType,
     renameLexicalVar: Blockly.Blocks.lexical_variable_get.renameLexicalVar,
     renameFree: function(freeSubstitution) {
         // potentially rename the set variable
@@ -28,6 +28,20 @@ import * as Blockly from 'blockly/core';
 import {GerasRenderer} from './renderers/geras.js';
 import {lexicalVariableScopeMixin} from './mixins.js';
 import {TypeManager} from './typeManager.js';
+import * as Types from './types.js';
+import {Assignment, DefiniteAssignment} from './definiteAssignment.js';
+import * as LanguageProfiles from './languageProfiles.js';
+import {CGenerator, cGenerator} from './generators/c/c_generator.js';
+import {TypescriptGenerator, typescriptGenerator} from './generators/typescript/typescript_generator.js';
+import {LocalExpressionLowering} from './generators/hoisting.js';
+import {registerAsyncBlockType} from './generators/async.js';
+import {generateWithSourceMap, getBlockIdAt, highlightBlockAt} from './generators/source-map.js';
+import {workspaceToDeclarations} from './generators/typescript/declarations.js';
+import {checkWithCompiler, clearCompilerDiagnostics, createGccCompiler, createTscCompiler, getCompilerDiagnostics} from './generators/compiler-check.js';
+import {getUnusedVariables, removeUnusedVariable, UnusedVariables} from './unusedVariables.js';
+import {setStepMode, Stepper, StepMode} from './generators/stepping.js';
+import {ScopeStack} from './generators/scope-frames.js';
+import {WatchPanel} from './watch_panel.js';
 
 export class LexicalVariablesPlugin {
 
@@ -75,6 +89,33 @@ export class LexicalVariablesPlugin {
     static Shared = Shared;
     static Substitution = Substitution;
     static TypeManager = TypeManager;
+    static Types = Types;
+    static Assignment = Assignment;
+    static DefiniteAssignment = DefiniteAssignment;
+    static LanguageProfiles = LanguageProfiles;
+    static UnusedVariables = UnusedVariables;
+    static getUnusedVariables = getUnusedVariables;
+    static removeUnusedVariable = removeUnusedVariable;
+    static CGenerator = CGenerator;
+    static cGenerator = cGenerator;
+    static TypescriptGenerator = TypescriptGenerator;
+    static typescriptGenerator = typescriptGenerator;
+    static LocalExpressionLowering = LocalExpressionLowering;
+    static registerAsyncBlockType = registerAsyncBlockType;
+    static generateWithSourceMap = generateWithSourceMap;
+    static workspaceToDeclarations = workspaceToDeclarations;
+    static checkWithCompiler = checkWithCompiler;
+    static clearCompilerDiagnostics = clearCompilerDiagnostics;
+    static getCompilerDiagnostics = getCompilerDiagnostics;
+    static createTscCompiler = createTscCompiler;
+    static createGccCompiler = createGccCompiler;
+    static getBlockIdAt = getBlockIdAt;
+    static highlightBlockAt = highlightBlockAt;
+    static StepMode = StepMode;
+    static setStepMode = setStepMode;
+    static Stepper = Stepper;
+    static ScopeStack = ScopeStack;
+    static WatchPanel = WatchPanel;
 }
 
 Blockly.blockRendering.register('geras2_renderer', GerasRenderer);
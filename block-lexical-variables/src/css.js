@@ -58,5 +58,20 @@ export function registerCss(selector) {
   ${selector} .blocklyFieldProcedureFlydown {
     fill: rgb(215,203,218);
     fill-opacity: 0.8;
+  }
+  /*
+   * The watch panel (see watch_panel.js) goes next to the workspace, not in
+   * it.
+   */
+  .lexicalWatchPanel {
+    font: 12px sans-serif;
+  }
+  .lexicalWatchFrame {
+    border: 1px solid #ccc;
+    margin: 2px 0;
+    padding: 2px 4px;
+  }
+  .lexicalWatchFrameTitle {
+    font-weight: bold;
   }`;
 }
@@ -0,0 +1,473 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Definite-assignment analysis: which values a variable may
+ * hold where it's read. The blocks under a top block are walked in the order
+ * they run, keeping the states each variable may be in (see Assignment):
+ * the branches of an if (or a ternary, and the second operand of and and
+ * or) are walked from the state ahead of them, and their states merged
+ * after; the body of a loop is walked until its states stop changing, as
+ * it may run any number of times. Comparing a variable with null (x = null,
+ * x ≠ null) narrows its states in the branches that follow.
+ *
+ * Locals start in the state of their initial value at their declaration.
+ * Globals can be set from anywhere, so they start, at the top of each top
+ * block and after each procedure call, in any state that their initial
+ * value or a setter anywhere on the workspace may leave them in.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as Types from './types.js';
+
+/**
+ * The states a variable may be in, as bits: a set of states is their or.
+ * @enum {number}
+ */
+export const Assignment = {
+  // Declared without a value, and without a type that has a default one.
+  UNASSIGNED: 1,
+  // Holding null or undefined.
+  NULL: 2,
+  // Holding a value.
+  ASSIGNED: 4,
+};
+
+/**
+ * The loops, which may run their bodies any number of times.
+ * @type {!Array<string>}
+ */
+const LOOP_TYPES = ['controls_forRange', 'controls_for', 'controls_forEach',
+  'controls_whileUntil', 'controls_repeat', 'controls_repeat_ext'];
+
+/**
+ * The blocks that declare locals with initial values, and the inputs
+ * holding the values, by the names they declare.
+ * @type {!Object<string, function(!Blockly.Block): !Array<!Array<string>>>}
+ */
+const LOCAL_DECLARATIONS = {
+  'typed_local_declaration_statement': (block) =>
+    [[block.getFieldValue('VAR'), 'DECL']],
+  'simple_local_declaration_statement': (block) =>
+    [[block.getFieldValue('VAR'), 'DECL']],
+  'local_declaration_statement': (block) =>
+    block.getDeclaredVars().map((name, i) => [name, 'DECL' + i]),
+  'local_declaration_expression': (block) =>
+    block.getDeclaredVars().map((name, i) => [name, 'DECL' + i]),
+};
+
+const GETTER_TYPES = ['lexical_variable_get', 'typed_lexical_variable_get'];
+const SETTER_TYPES = ['lexical_variable_set', 'typed_lexical_variable_set'];
+const CALL_TYPES = ['procedures_callnoreturn', 'procedures_callreturn'];
+
+/**
+ * Works out the states of the variables read by the blocks under top
+ * blocks. The states of the globals are worked out once per analysis, so
+ * make a new one after the workspace changes.
+ */
+export class DefiniteAssignment {
+  /**
+   * @param {!TypeManager} typeManager The type manager of the workspace,
+   *     which variables are resolved and typed with.
+   */
+  constructor(typeManager) {
+    this.typeManager_ = typeManager;
+    // Map of global name to the states it may be in
+    this.globalStates_ = new Map();
+    // Map of getter block ID to the states its variable may be in, while
+    // analyzing
+    this.readings_ = null;
+  }
+
+  /**
+   * Work out the states the variables may be in where the blocks under a
+   * top block read them.
+   * @param {!Blockly.Block} root The top block.
+   * @return {!Map<string, number>} Map of getter block ID to the states
+   *     (see Assignment) its variable may be in.
+   */
+  analyze(root) {
+    this.readings_ = new Map();
+    try {
+      this.walkChain_(root, new Map());
+      return this.readings_;
+    } finally {
+      this.readings_ = null;
+    }
+  }
+
+  /**
+   * Walk a block and those that follow it.
+   * @param {Blockly.Block} block The first block, or null for none.
+   * @param {!Map<string, number>} state Map of variable key to states,
+   *     ahead of the block.
+   * @return {!Map<string, number>} The states after the last block.
+   * @private
+   */
+  walkChain_(block, state) {
+    for (; block; block = block.getNextBlock()) {
+      state = this.walk_(block, state);
+    }
+    return state;
+  }
+
+  /**
+   * Walk a block and the blocks in its inputs, but not those that follow it.
+   * @param {Blockly.Block} block The block, or null for an empty input.
+   * @param {!Map<string, number>} state The states ahead of the block.
+   * @return {!Map<string, number>} The states after it.
+   * @private
+   */
+  walk_(block, state) {
+    if (!block || !block.isEnabled()) {
+      return state;
+    }
+    if (block.type === 'controls_if') {
+      return this.walkIf_(block, state);
+    }
+    if (LOOP_TYPES.includes(block.type)) {
+      return this.walkLoop_(block, state);
+    }
+    switch (block.type) {
+      case 'logic_ternary': {
+        const condition = block.getInputTargetBlock('IF');
+        state = this.walk_(condition, state);
+        return this.join_(
+            this.walk_(block.getInputTargetBlock('THEN'),
+                this.narrow_(condition, state, true)),
+            this.walk_(block.getInputTargetBlock('ELSE'),
+                this.narrow_(condition, state, false)));
+      }
+      case 'logic_operation': {
+        // The second operand is only evaluated if the first doesn't decide.
+        const first = block.getInputTargetBlock('A');
+        state = this.walk_(first, state);
+        return this.join_(state, this.walk_(block.getInputTargetBlock('B'),
+            this.narrow_(first, state, block.getFieldValue('OP') === 'AND')));
+      }
+    }
+    const declarations = LOCAL_DECLARATIONS[block.type];
+    let declared = false;
+    for (const input of block.inputList) {
+      if (declarations && !declared && !input.name.startsWith('DECL')) {
+        // The locals are in scope after their initial values.
+        state = this.declare_(block, declarations(block), state);
+        declared = true;
+      }
+      const target = input.connection && input.connection.targetBlock();
+      state = input.type === Blockly.inputs.inputTypes.STATEMENT ?
+          this.walkChain_(target, state) : this.walk_(target, state);
+    }
+    if (GETTER_TYPES.includes(block.type)) {
+      const key = this.getKey_(block);
+      if (key) {
+        const states = this.getStates_(state, key);
+        this.readings_.set(block.id,
+            (this.readings_.get(block.id) || 0) | states);
+      }
+    } else if (SETTER_TYPES.includes(block.type)) {
+      const key = this.getKey_(block);
+      if (key) {
+        state = new Map(state).set(key,
+            this.getValueStates_(block.getInputTargetBlock('VALUE'), state));
+      }
+    } else if (CALL_TYPES.includes(block.type)) {
+      // The procedure may set any global.
+      state = new Map([...state].filter(([key]) => !isGlobalKey(key)));
+    }
+    return state;
+  }
+
+  /**
+   * Put the locals a block declares in the states of their initial values.
+   * @param {!Blockly.Block} block The declaring block.
+   * @param {!Array<!Array<string>>} declarations The names it declares, and
+   *     the inputs holding their values.
+   * @param {!Map<string, number>} state The states after the values.
+   * @return {!Map<string, number>} The states with the locals.
+   * @private
+   */
+  declare_(block, declarations, state) {
+    const type = block.type === 'typed_local_declaration_statement' ?
+        block.getFieldValue('TYPE') : null;
+    const declared = new Map(state);
+    declarations.forEach(([name, inputName]) => {
+      const value = block.getInputTargetBlock(inputName);
+      declared.set(block.id + ' ' + name, value ?
+          this.getValueStates_(value, state) : this.getDefaultStates_(type));
+    });
+    return declared;
+  }
+
+  /**
+   * Walk an if block. Each condition is evaluated when the ones ahead of it
+   * are false, and each branch runs when its condition is true.
+   * @param {!Blockly.Block} block The if block.
+   * @param {!Map<string, number>} state The states ahead of it.
+   * @return {!Map<string, number>} The states after it: any that one of
+   *     its branches, or none of them without an else, may leave.
+   * @private
+   */
+  walkIf_(block, state) {
+    const exits = [];
+    for (let i = 0; block.getInput('IF' + i); i++) {
+      const condition = block.getInputTargetBlock('IF' + i);
+      state = this.walk_(condition, state);
+      exits.push(this.walkChain_(block.getInputTargetBlock('DO' + i),
+          this.narrow_(condition, state, true)));
+      state = this.narrow_(condition, state, false);
+    }
+    exits.push(block.getInput('ELSE') ?
+        this.walkChain_(block.getInputTargetBlock('ELSE'), state) : state);
+    return exits.reduce((a, b) => this.join_(a, b));
+  }
+
+  /**
+   * Walk a loop. Its body is walked again from the states ahead of the loop
+   * joined with those after the body until they stop changing. A while
+   * loop's condition is evaluated ahead of each run of the body; the other
+   * loops' values once, ahead of the first.
+   * @param {!Blockly.Block} block The loop.
+   * @param {!Map<string, number>} state The states ahead of it.
+   * @return {!Map<string, number>} The states after it.
+   * @private
+   */
+  walkLoop_(block, state) {
+    const repeated = block.type === 'controls_whileUntil';
+    for (const input of block.inputList) {
+      if (input.name !== 'DO' && !repeated) {
+        state = this.walk_(input.connection &&
+            input.connection.targetBlock(), state);
+      }
+    }
+    const condition = repeated ? block.getInputTargetBlock('BOOL') : null;
+    const whileTrue = block.getFieldValue('MODE') !== 'UNTIL';
+    for (;;) {
+      const entry = repeated ? this.walk_(condition, state) : state;
+      const next = this.join_(state, this.walkChain_(
+          block.getInputTargetBlock('DO'),
+          this.narrow_(condition, entry, whileTrue)));
+      if (sameStates(next, state)) {
+        return this.narrow_(condition, entry, !whileTrue);
+      }
+      state = next;
+    }
+  }
+
+  /**
+   * Narrow the states of a variable that a condition compares with null.
+   * @param {Blockly.Block} condition The condition, or null for none.
+   * @param {!Map<string, number>} state The states the condition is
+   *     evaluated in.
+   * @param {boolean} truth Whether the condition holds.
+   * @return {!Map<string, number>} The states given the condition's truth.
+   * @private
+   */
+  narrow_(condition, state, truth) {
+    if (!condition) {
+      return state;
+    }
+    switch (condition.type) {
+      case 'logic_negate':
+        return this.narrow_(condition.getInputTargetBlock('BOOL'), state,
+            !truth);
+      case 'logic_operation': {
+        // Both operands hold if an and does, and neither if an or doesn't.
+        if ((condition.getFieldValue('OP') === 'AND') !== truth) {
+          return state;
+        }
+        return this.narrow_(condition.getInputTargetBlock('B'),
+            this.narrow_(condition.getInputTargetBlock('A'), state, truth),
+            truth);
+      }
+      case 'logic_compare': {
+        const op = condition.getFieldValue('OP');
+        const a = condition.getInputTargetBlock('A');
+        const b = condition.getInputTargetBlock('B');
+        const getter = a && b && a.type === 'logic_null' ? b :
+            b && a && b.type === 'logic_null' ? a : null;
+        const key = getter && GETTER_TYPES.includes(getter.type) &&
+            this.getKey_(getter);
+        if (!key || (op !== 'EQ' && op !== 'NEQ')) {
+          return state;
+        }
+        const missing = Assignment.UNASSIGNED | Assignment.NULL;
+        const states = this.getStates_(state, key);
+        return new Map(state).set(key, (op === 'EQ') === truth ?
+            states & missing : states & ~missing);
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Join the states of two paths that meet.
+   * @param {!Map<string, number>} a
+   * @param {!Map<string, number>} b
+   * @return {!Map<string, number>} The states a variable may be in after
+   *     either. A variable missing from one path is in its starting states
+   *     there (see getStates_).
+   * @private
+   */
+  join_(a, b) {
+    const joined = new Map();
+    for (const key of new Set([...a.keys(), ...b.keys()])) {
+      joined.set(key, this.getStates_(a, key) | this.getStates_(b, key));
+    }
+    return joined;
+  }
+
+  /**
+   * Get the key that a getter's or setter's variable is kept under: the ID
+   * of its declaring block and its name, or its name alone for a global.
+   * @param {!Blockly.Block} block The getter or setter.
+   * @return {?string} The key, or null if the name isn't in scope.
+   * @private
+   */
+  getKey_(block) {
+    const binding = this.typeManager_.resolveBinding(block,
+        block.getFieldValue('VAR'));
+    if (!binding) {
+      return null;
+    }
+    return (binding.declBlock ? binding.declBlock.id : '') + ' ' +
+        binding.name;
+  }
+
+  /**
+   * Get the states a variable may be in. Globals start in the states their
+   * values may leave them in anywhere (see getGlobalStates_), and the
+   * variables that procedures and loops declare in those their declared
+   * types allow.
+   * @param {!Map<string, number>} state
+   * @param {string} key The variable's key.
+   * @return {number} The states.
+   * @private
+   */
+  getStates_(state, key) {
+    if (state.has(key)) {
+      return state.get(key);
+    }
+    const [id, name] = [key.slice(0, key.indexOf(' ')),
+      key.slice(key.indexOf(' ') + 1)];
+    if (!id) {
+      return this.getGlobalStates_(name);
+    }
+    const declBlock = this.typeManager_.workspace.getBlockById(id);
+    const type = declBlock &&
+        this.typeManager_.getDeclaredType(declBlock, name);
+    return nullable(type) ? Assignment.NULL | Assignment.ASSIGNED :
+        Assignment.ASSIGNED;
+  }
+
+  /**
+   * Get the states a global may be in: those of its initial value, and of
+   * every value that a setter assigns it.
+   * @param {string} name The name of the global.
+   * @return {number} The states.
+   * @private
+   */
+  getGlobalStates_(name) {
+    if (this.globalStates_.has(name)) {
+      return this.globalStates_.get(name);
+    }
+    // Until worked out, e.g., for a global assigned its own value.
+    this.globalStates_.set(name, Assignment.ASSIGNED);
+    const declBlock = this.typeManager_.findGlobalDeclaration(name);
+    let states = 0;
+    if (declBlock) {
+      const value = declBlock.getInputTargetBlock(
+          declBlock.type === 'typed_global_declaration' ? 'DECL' : 'VALUE');
+      states = value ? this.getValueStates_(value, new Map()) :
+          this.getDefaultStates_(declBlock.getFieldValue('TYPE'));
+    }
+    this.typeManager_.findGlobalSetters(name).forEach((block) => {
+      states |= this.getValueStates_(block.getInputTargetBlock('VALUE'),
+          new Map());
+    });
+    states = states || Assignment.UNASSIGNED;
+    this.globalStates_.set(name, states);
+    return states;
+  }
+
+  /**
+   * Get the states that assigning a value leaves a variable in. A variable
+   * takes the states of another it's assigned, and otherwise those of the
+   * value's type.
+   * @param {Blockly.Block} value The value, or null for an empty input,
+   *     which the generators fill in with a value.
+   * @param {!Map<string, number>} state The states the value is evaluated
+   *     in.
+   * @return {number} The states.
+   * @private
+   */
+  getValueStates_(value, state) {
+    if (!value) {
+      return Assignment.ASSIGNED;
+    }
+    if (GETTER_TYPES.includes(value.type)) {
+      const key = this.getKey_(value);
+      if (key) {
+        return this.getStates_(state, key);
+      }
+    }
+    const type = value.type === 'logic_null' ? 'null' :
+        this.typeManager_.inferValueType(value);
+    const node = Types.tryParseType(type);
+    if (node && Types.isNull(node)) {
+      return Assignment.NULL;
+    }
+    return nullable(type) ? Assignment.NULL | Assignment.ASSIGNED :
+        Assignment.ASSIGNED;
+  }
+
+  /**
+   * Get the states that a declaration without an initial value leaves its
+   * variable in: null for a nullable type, the type's default value if it
+   * has one (see Types.getTypeCategory), and otherwise unassigned.
+   * @param {?string} type The declared type, or null if untyped.
+   * @return {number} The states.
+   * @private
+   */
+  getDefaultStates_(type) {
+    if (nullable(type)) {
+      return Assignment.NULL;
+    }
+    return Types.getTypeCategory(type) !== 'any' ||
+        !!this.typeManager_.getUserType(type) ?
+        Assignment.ASSIGNED : Assignment.UNASSIGNED;
+  }
+}
+
+/**
+ * Whether a type is nullable (see Types.isNullable).
+ * @param {?string} type
+ * @return {boolean}
+ */
+function nullable(type) {
+  const node = Types.tryParseType(type);
+  return !!node && Types.isNullable(node);
+}
+
+/**
+ * Whether a key is that of a global.
+ * @param {string} key
+ * @return {boolean}
+ */
+function isGlobalKey(key) {
+  return key.startsWith(' ');
+}
+
+/**
+ * Whether two paths have the same states.
+ * @param {!Map<string, number>} a
+ * @param {!Map<string, number>} b
+ * @return {boolean}
+ */
+function sameStates(a, b) {
+  return a.size === b.size &&
+      [...a].every(([key, states]) => b.get(key) === states);
+}
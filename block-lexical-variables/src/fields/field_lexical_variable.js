@@ -303,7 +303,14 @@ FieldLexicalVariable.dropdownCreate = function() {
   const variableList = this.getNamesInScope(); // [lyn, 11/10/12] Get all
   // global, parameter, and local
   // names
-  if (variableList.length > 0) {
+  if (variableList.length > 0 && this.showingTypes_) {
+    const block = this.getSourceBlock();
+    return variableList.map(([text, value]) => {
+      const type = block.getInferredType(value);
+      return [type ? Blockly.Msg.LANG_VARIABLES_TYPED_NAME
+          .replace('%1', text).replace('%2', type) : text, value];
+    });
+  } else if (variableList.length > 0) {
     return variableList;
   } else if (this.translatedName) {
     return [[this.translatedName, this.varname]];
@@ -312,6 +319,26 @@ FieldLexicalVariable.dropdownCreate = function() {
   }
 };
 
+/**
+ * Create the dropdown menu. If the source block can tell the types of the
+ * variables (see getInferredType), they're shown next to the names in the
+ * menu, but not on the block, so the options are generated again without
+ * them once the menu has been created.
+ * @protected
+ */
+FieldLexicalVariable.prototype.dropdownCreate = function() {
+  const block = this.getSourceBlock();
+  this.showingTypes_ = !!(block && block.getInferredType);
+  try {
+    Blockly.FieldDropdown.prototype.dropdownCreate.call(this);
+  } finally {
+    if (this.showingTypes_) {
+      this.showingTypes_ = false;
+      this.getOptions(false);
+    }
+  }
+};
+
 /*
 TODO: I'm leaving the following in for now (but commented) because at one point
   it seemed necessary.  It doesn't seem so anymore but I just want to remember
@@ -1122,6 +1149,36 @@ LexicalVariable.getNextTargetBlock = function(block) {
   }
 };
 
+/**
+ * Find the declaration block that binds the given (unprefixed) lexical name at
+ * the point of the given block. This walks up the block tree in the same way
+ * as getLexicalNamesInScope, so the innermost declaration wins.
+ * @param {Blockly.Block} block The block referencing the name.
+ * @param {string} name The unprefixed name of the lexical variable.
+ * @return {?Blockly.Block} The declaring block, or null if name isn't bound
+ *     by any enclosing declaration.
+ */
+LexicalVariable.getBindingBlock = function(block, name) {
+  let child = block;
+  let parent = block && block.getParent();
+  while (parent) {
+    if (parent.withLexicalVarsAndPrefix) {
+      let found = false;
+      parent.withLexicalVarsAndPrefix(child, (lexVar) => {
+        if (lexVar === name) {
+          found = true;
+        }
+      });
+      if (found) {
+        return parent;
+      }
+    }
+    child = parent;
+    parent = parent.getParent();
+  }
+  return null;
+};
+
 /**
  * [lyn, 11/16/13] Created.
  * @param strings1: An array of strings.
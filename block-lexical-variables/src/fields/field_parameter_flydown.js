@@ -85,7 +85,9 @@ FieldParameterFlydown.withChangeHanderDisabled = function(thunk) {
 
 /**
  * Returns the stringified xml representation of the blocks we want to have in
- * the flydown. In this case a variable getter and a variable setter.
+ * the flydown. In this case a variable getter and a variable setter. If the
+ * block declares the variable with a type (see the getVariableType method of
+ * the loop blocks), they're the typed getter and setter, carrying the type.
  * @return {string} The stringified XML.
  */
 FieldParameterFlydown.prototype.flydownBlocksXML_ = function() {
@@ -94,14 +96,26 @@ FieldParameterFlydown.prototype.flydownBlocksXML_ = function() {
 
   // Name in this parameter field.
   const name = this.getText();
+  const block = this.getSourceBlock();
+  const type = block && block.getVariableType && block.getVariableType();
+  let prefix = '';
+  let mutation = '';
+  if (type && type !== 'any') {
+    prefix = 'typed_';
+    const mutationDom = Blockly.utils.xml.createElement('mutation');
+    mutationDom.setAttribute('type', type);
+    mutation = Blockly.Xml.domToText(mutationDom);
+  }
   const getterSetterXML =
       '<xml>' +
-      '<block type="lexical_variable_get">' +
+      '<block type="' + prefix + 'lexical_variable_get">' +
+      mutation +
       '<field name="VAR">' +
       name +
       '</field>' +
       '</block>' +
-      '<block type="lexical_variable_set">' +
+      '<block type="' + prefix + 'lexical_variable_set">' +
+      mutation +
       '<field name="VAR">' +
       name +
       '</field>' +
@@ -1,91 +1,221 @@
 'use strict';
 
 import * as Blockly from 'blockly/core';
+import * as Types from '../types.js';
+import {getLanguageProfile, getProfileTypeNames}
+  from '../languageProfiles.js';
+import '../msg.js';
+
+/**
+ * The types most recently entered with the "Other…" editor, most recent
+ * first, by language.
+ * @type {!Map<string, !Array<string>>}
+ */
+const recentTypes = new Map();
 
 /**
  * A dropdown field for selecting variable types.
- * Supports common types for C and TypeScript.
+ * Offers the types of its language's profile (see languageProfiles.js), plus
+ * the struct and enum types of the workspace the field's block is on and the
+ * types recently entered with its "Other…" editor. Any type that parses is
+ * accepted as a value, so that a block can be loaded before the declaration
+ * of the type it refers to; the editor only accepts types of names the
+ * language and the workspace know.
  */
 export class FieldTypeDropdown extends Blockly.FieldDropdown {
+  /**
+   * The value of the "Other…" option, which isn't a type.
+   * @type {string}
+   */
+  static OTHER = '<other>';
+
+  /**
+   * How many recently entered types the dropdowns of a language offer.
+   * @type {number}
+   */
+  static MAX_RECENT_TYPES = 5;
+
   /**
    * Constructor for the type dropdown field.
    * @param {string} defaultValue The default type value.
-   * @param {string} language The target language ('c', 'typescript', or 'javascript').
+   * @param {string} language The target language: one with a registered
+   *     profile, such as 'c', 'typescript', or 'javascript'.
+   * @throws {Error} If no profile is registered for the language.
    */
   constructor(defaultValue = 'any', language = 'typescript') {
-    const options = FieldTypeDropdown.getTypeOptions(language);
-    super(options);
+    super(function() {
+      return this.generateOptions_();
+    });
+    getLanguageProfile(language);
     this.language = language;
     this.setValue(defaultValue);
   }
 
   /**
-   * Get type options for the specified language.
+   * Generate the options: those of the language, then the workspace's
+   * struct and enum types, then the recently entered types, then the
+   * current value if it's none of them, and last "Other…".
+   * @return {!Array<!Array<string>>} Array of [display_name, value] pairs.
+   * @private
+   */
+  generateOptions_() {
+    // The language isn't set yet while the superclass is being constructed.
+    const language = this.language || 'typescript';
+    const options = FieldTypeDropdown.getTypeOptions(language);
+    const add = (type) => {
+      if (!options.some((option) => option[1] === type)) {
+        options.push([type, type]);
+      }
+    };
+    this.getUserTypeNames_().forEach(add);
+    FieldTypeDropdown.getRecentTypes(language).forEach(add);
+    const value = this.getValue();
+    if (value) {
+      add(value);
+    }
+    options.push([Blockly.Msg['LANG_VARIABLES_TYPE_OTHER'],
+      FieldTypeDropdown.OTHER]);
+    return options;
+  }
+
+  /**
+   * Get the names of the struct and enum types of the workspace the field's
+   * block is on.
+   * @return {!Array<string>}
+   * @private
+   */
+  getUserTypeNames_() {
+    const workspace = this.sourceBlock_ &&
+        getMainWorkspace(this.sourceBlock_.workspace);
+    return workspace && workspace.getTypeManager ?
+        workspace.getTypeManager().getUserTypeNames() : [];
+  }
+
+  /**
+   * Handle the selection of an option: "Other…" opens the editor instead of
+   * being set.
+   * @param {!Blockly.Menu} menu The menu the item is in.
+   * @param {!Blockly.MenuItem} menuItem The selected item.
+   * @protected
+   */
+  onItemSelected_(menu, menuItem) {
+    if (menuItem.getValue() === FieldTypeDropdown.OTHER) {
+      this.showTypeEditor_(this.getValue(), null);
+    } else {
+      super.onItemSelected_(menu, menuItem);
+    }
+  }
+
+  /**
+   * Prompt for a type, and set it if it's valid (see validateType). An
+   * invalid type is prompted for again, with its error above it.
+   * @param {string} defaultText The text to start the prompt with.
+   * @param {?string} error The error in the type entered before, if any.
+   * @private
+   */
+  showTypeEditor_(defaultText, error) {
+    const message = Blockly.Msg['LANG_VARIABLES_TYPE_OTHER_PROMPT'];
+    Blockly.dialog.prompt(error ? error + '\n' + message : message,
+        defaultText, (text) => {
+          if (text === null) {
+            return;
+          }
+          const language = this.language;
+          const newError = FieldTypeDropdown.validateType(text, language,
+              this.getUserTypeNames_());
+          if (newError) {
+            this.showTypeEditor_(text, newError);
+            return;
+          }
+          const type = Types.formatType(Types.parseType(text));
+          if (!FieldTypeDropdown.getTypeOptions(language)
+              .some((option) => option[1] === type)) {
+            FieldTypeDropdown.addRecentType(language, type);
+          }
+          this.setValue(type);
+        });
+  }
+
+  /**
+   * Accept any type that parses, not only the options.
+   * @param {string=} newValue
+   * @return {?string} The type, or null if it isn't one.
+   * @protected
+   */
+  doClassValidation_(newValue) {
+    return Types.tryParseType(newValue) ? newValue : null;
+  }
+
+  /**
+   * Get type options for the specified language: the types of its profile
+   * (see languageProfiles.js), as its profile shows them.
    * @param {string} language The target language.
    * @return {Array<Array<string>>} Array of [display_name, value] pairs.
+   * @throws {Error} If no profile is registered for the language.
    */
   static getTypeOptions(language) {
-    const commonTypes = [
-      ['Any', 'any'],
-      ['Number', 'number'],
-      ['String', 'string'],
-      ['Boolean', 'boolean'],
-      ['Array', 'array'],
-      ['Object', 'object'],
-      ['Function', 'function'],
-      ['Void', 'void']
-    ];
-
-    const cTypes = [
-      ['int', 'int'],
-      ['float', 'float'],
-      ['double', 'double'],
-      ['char', 'char'],
-      ['char*', 'char*'],
-      ['void', 'void'],
-      ['bool', 'bool'],
-      ['int*', 'int*'],
-      ['float*', 'float*']
-    ];
-
-    const typescriptTypes = [
-      ...commonTypes,
-      ['Number[]', 'number[]'],
-      ['String[]', 'string[]'],
-      ['Boolean[]', 'boolean[]'],
-      ['Promise<any>', 'Promise<any>'],
-      ['Promise<number>', 'Promise<number>'],
-      ['Promise<string>', 'Promise<string>'],
-      ['Promise<boolean>', 'Promise<boolean>']
-    ];
-
-    const javascriptTypes = [
-      ...commonTypes,
-      ['Number[]', 'number[]'],
-      ['String[]', 'string[]'],
-      ['Boolean[]', 'boolean[]']
-    ];
-
-    switch (language.toLowerCase()) {
-      case 'c':
-        return cTypes;
-      case 'typescript':
-        return typescriptTypes;
-      case 'javascript':
-        return javascriptTypes;
-      default:
-        return typescriptTypes;
+    const profile = getLanguageProfile(language);
+    return profile.types.map((type) => [profile.displayType(type), type]);
+  }
+
+  /**
+   * Check a type entered for a language: it must parse, and every name in
+   * it must be one the language's profile knows (see
+   * getProfileTypeNames) or a struct or enum type.
+   * @param {string} text The type.
+   * @param {string} language The target language.
+   * @param {!Array<string>=} userTypes The names of the struct and enum
+   *     types, e.g., from TypeManager.getUserTypeNames.
+   * @return {?string} The error, or null if the type is valid.
+   * @throws {Error} If no profile is registered for the language.
+   */
+  static validateType(text, language, userTypes = []) {
+    const profile = getLanguageProfile(language);
+    let type;
+    try {
+      type = Types.parseType(text);
+    } catch (e) {
+      return e.message;
     }
+    const known = getProfileTypeNames(profile).concat(userTypes);
+    const unknown = Types.getTypeNames(type)
+        .find((name) => !known.includes(name));
+    return unknown ? Blockly.Msg['LANG_VARIABLES_TYPE_UNKNOWN']
+        .replace('%1', unknown).replace('%2', profile.displayName) : null;
+  }
+
+  /**
+   * Get the types recently entered for a language with the "Other…"
+   * editor, most recent first.
+   * @param {string} language The target language.
+   * @return {!Array<string>}
+   */
+  static getRecentTypes(language) {
+    return (recentTypes.get(language.toLowerCase()) || []).slice();
+  }
+
+  /**
+   * Remember a type entered for a language, so that the dropdowns of the
+   * language offer it. Only the last MAX_RECENT_TYPES are kept.
+   * @param {string} language The target language.
+   * @param {string} type The type.
+   */
+  static addRecentType(language, type) {
+    const key = language.toLowerCase();
+    const types = (recentTypes.get(key) || []).filter((t) => t !== type);
+    types.unshift(type);
+    recentTypes.set(key,
+        types.slice(0, FieldTypeDropdown.MAX_RECENT_TYPES));
   }
 
   /**
    * Set the language and update the options.
    * @param {string} language The target language.
+   * @throws {Error} If no profile is registered for the language.
    */
   setLanguage(language) {
+    getLanguageProfile(language);
     this.language = language;
-    const options = FieldTypeDropdown.getTypeOptions(language);
-    this.menuGenerator_ = options;
     if (this.sourceBlock_ && this.sourceBlock_.rendered) {
       this.sourceBlock_.render();
     }
@@ -107,13 +237,22 @@ export class FieldTypeDropdown extends Blockly.FieldDropdown {
     return this.getValue();
   }
 
+  /**
+   * Parse the type.
+   * @return {?Object} The type node (see types.js), or null if the value
+   *     isn't a type.
+   */
+  getParsedType() {
+    return Types.tryParseType(this.getValue());
+  }
+
   /**
    * Check if the type is an array type.
    * @return {boolean} True if the type is an array type.
    */
   isArrayType() {
-    const value = this.getValue();
-    return value.endsWith('[]') || value === 'array';
+    const type = this.getParsedType();
+    return !!type && type.kind === Types.TypeKind.ARRAY;
   }
 
   /**
@@ -121,22 +260,34 @@ export class FieldTypeDropdown extends Blockly.FieldDropdown {
    * @return {boolean} True if the type is a pointer type.
    */
   isPointerType() {
-    const value = this.getValue();
-    return value.endsWith('*');
+    const type = this.getParsedType();
+    return !!type && type.kind === Types.TypeKind.POINTER;
   }
 
   /**
    * Get the base type without array or pointer modifiers.
-   * @return {string} The base type.
+   * @return {string} The base type: the element type of an array type, the
+   *     type a pointer type points to, otherwise the type itself.
    */
   getBaseType() {
-    const value = this.getValue();
-    if (value.endsWith('[]')) {
-      return value.slice(0, -2);
+    const type = this.getParsedType();
+    if (type && type.kind === Types.TypeKind.ARRAY) {
+      return Types.formatType(type.element);
     }
-    if (value.endsWith('*')) {
-      return value.slice(0, -1);
+    if (type && type.kind === Types.TypeKind.POINTER) {
+      return Types.formatType(type.target);
     }
-    return value;
+    return this.getValue();
   }
 }
+
+/**
+ * Get the workspace whose types a field offers: that of the blocks being
+ * edited, for a field in a flyout or a mutator.
+ * @param {!Blockly.Workspace} workspace The workspace of the field's block.
+ * @return {!Blockly.Workspace}
+ */
+function getMainWorkspace(workspace) {
+  const root = workspace.getRootWorkspace() || workspace;
+  return root.getTopWorkspace ? root.getTopWorkspace() : root;
+}
@@ -3,6 +3,7 @@
 import * as Blockly from 'blockly/core';
 import {FieldLexicalVariable} from './field_lexical_variable.js';
 import {FieldTypeDropdown} from './field_type_dropdown.js';
+import {getLanguageProfile} from '../languageProfiles.js';
 
 /**
  * A lexical variable field that includes type information.
@@ -45,12 +46,16 @@ export class FieldTypedLexicalVariable extends FieldLexicalVariable {
   /**
    * Set the language and update type options.
    * @param {string} language The target language.
+   * @throws {Error} If no profile is registered for the language (see
+   *     languageProfiles.js).
    */
   setLanguage(language) {
-    this.language = language;
     if (this.typeField) {
       this.typeField.setLanguage(language);
+    } else {
+      getLanguageProfile(language);
     }
+    this.language = language;
   }
 
   /**
@@ -9,3 +9,31 @@ import './generators/lexical-variables.js';
 import './generators/controls.js';
 import './generators/procedures.js';
 import './generators/typed-variables.js';
+import './generators/type-declarations.js';
+import './generators/python/lexical-variables.js';
+import './generators/python/controls.js';
+import './generators/python/procedures.js';
+import './generators/python/typed-variables.js';
+import './generators/lua/lexical-variables.js';
+import './generators/lua/controls.js';
+import './generators/lua/procedures.js';
+import './generators/lua/typed-variables.js';
+import './generators/dart/lexical-variables.js';
+import './generators/dart/controls.js';
+import './generators/dart/procedures.js';
+import './generators/dart/typed-variables.js';
+import './generators/php/lexical-variables.js';
+import './generators/php/controls.js';
+import './generators/php/procedures.js';
+import './generators/php/typed-variables.js';
+import './generators/c/core-blocks.js';
+import './generators/c/lexical-variables.js';
+import './generators/c/controls.js';
+import './generators/c/procedures.js';
+import './generators/c/typed-variables.js';
+import './generators/c/type-declarations.js';
+import './generators/typescript/lexical-variables.js';
+import './generators/typescript/controls.js';
+import './generators/typescript/procedures.js';
+import './generators/typescript/typed-variables.js';
+import './generators/typescript/type-declarations.js';
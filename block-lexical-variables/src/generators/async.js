@@ -0,0 +1,159 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Async mode for JavaScript-like generators. With a
+ * generator's ASYNC_MODE option set, a procedure whose body contains an
+ * async block (or a call to a procedure that does) is generated as an async
+ * function, calls to it are awaited, and the functions that are called on
+ * the spot to generate local_declaration_expression are async, and awaited,
+ * where their bodies contain async blocks.
+ *
+ * A block is async if its type has been registered with
+ * registerAsyncBlockType or if it has an isAsync property that is true.
+ * Async blocks are expected to generate their own await expression, e.g.,
+ * `await host.fetch(url)`; this module only takes care of making the
+ * functions they end up in async.
+ *
+ * Async mode can't be combined with the yield step mode (see stepping.js).
+ */
+
+'use strict';
+
+import {isYielding} from './stepping.js';
+
+/**
+ * Types of the blocks that are async.
+ * @type {!Set<string>}
+ */
+const asyncBlockTypes = new Set();
+
+/**
+ * Register block types as async.
+ * @param {...string} types The block types.
+ */
+export function registerAsyncBlockType(...types) {
+  types.forEach((type) => asyncBlockTypes.add(type));
+}
+
+/**
+ * Give a generator its ASYNC_MODE option, off.
+ * @param {!Blockly.CodeGenerator} generator
+ */
+export function defineAsyncMode(generator) {
+  let asyncMode = false;
+  Object.defineProperty(generator, 'ASYNC_MODE', {
+    configurable: true,
+    enumerable: true,
+    get: () => asyncMode,
+    set: (value) => {
+      if (value && isYielding(generator)) {
+        throw Error('ASYNC_MODE can\'t be combined with the yield step mode');
+      }
+      asyncMode = value;
+    },
+  });
+}
+
+/**
+ * Whether a block is itself async, as opposed to containing async blocks.
+ * @param {Blockly.Block} block
+ * @return {boolean}
+ */
+export function isAsyncBlock(block) {
+  return asyncBlockTypes.has(block.type) || block.isAsync === true;
+}
+
+/**
+ * Whether a block is a call to a user-defined procedure.
+ * @param {Blockly.Block} block
+ * @return {boolean}
+ */
+function isProcedureCall(block) {
+  return block.type === 'procedures_callnoreturn' ||
+      block.type === 'procedures_callreturn';
+}
+
+/**
+ * Find the names of the procedures of a workspace that are async, i.e., that
+ * contain an async block or a call to an async procedure.
+ * @param {Blockly.Workspace} workspace
+ * @return {!Set<string>} The names of the async procedures.
+ */
+export function getAsyncProcedures(workspace) {
+  const definitions = new Map();
+  workspace.getTopBlocks(false).forEach((block) => {
+    if (block.type === 'procedures_defnoreturn' ||
+        block.type === 'procedures_defreturn') {
+      definitions.set(block.getFieldValue('NAME'), block);
+    }
+  });
+  // Procedures can call each other, so keep propagating until nothing
+  // changes.
+  const asyncProcedures = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    definitions.forEach((definition, name) => {
+      if (!asyncProcedures.has(name) &&
+          definition.getDescendants(false).some((block) =>
+            isAsyncBlock(block) || (isProcedureCall(block) &&
+              asyncProcedures.has(block.getFieldValue('PROCNAME'))))) {
+        asyncProcedures.add(name);
+        changed = true;
+      }
+    });
+  }
+  return asyncProcedures;
+}
+
+/**
+ * Whether the code for a block is awaited in async mode.
+ * @param {Blockly.Block} block
+ * @return {boolean} True if the block is an async block or a call to an
+ *     async procedure.
+ */
+function isAwaited(block) {
+  if (isAsyncBlock(block)) {
+    return true;
+  }
+  return isProcedureCall(block) &&
+      getAsyncProcedures(block.workspace).has(
+          block.getFieldValue('PROCNAME'));
+}
+
+/**
+ * Whether a generator is to generate a procedure definition as an async
+ * function.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The procedure definition.
+ * @return {boolean}
+ */
+export function isAsyncProcedure(generator, block) {
+  return !!generator.ASYNC_MODE &&
+      getAsyncProcedures(block.workspace).has(block.getFieldValue('NAME'));
+}
+
+/**
+ * Whether a generator is to await a call to a user-defined procedure.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The procedure call.
+ * @return {boolean}
+ */
+export function isAsyncCall(generator, block) {
+  return !!generator.ASYNC_MODE && isAwaited(block);
+}
+
+/**
+ * Whether a generator is to make a function that it generates for a block
+ * (e.g., the function that's called on the spot for a
+ * local_declaration_expression) async. This is the case if the block or any
+ * block inside it is awaited.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block
+ * @return {boolean}
+ */
+export function containsAwait(generator, block) {
+  return !!generator.ASYNC_MODE && block.getDescendants(false).some(isAwaited);
+}
@@ -0,0 +1,318 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview A C code generator. Blockly doesn't ship one, so this one
+ * covers the plugin's blocks plus the handful of built-in blocks needed to
+ * write small typed programs. The top-level statements of the workspace
+ * become the body of main(); procedures, globals and struct and enum types
+ * are emitted at file scope ahead of it.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import {getLanguageProfile} from '../../languageProfiles.js';
+
+/**
+ * Order of operation ENUMs.
+ * https://en.cppreference.com/w/c/language/operator_precedence
+ * @enum {number}
+ */
+export const Order = {
+  ATOMIC: 0, // 0 "" ...
+  UNARY_POSTFIX: 1, // expr++ expr-- () [] . ->
+  FUNCTION_CALL: 1, // ()
+  UNARY_PREFIX: 2, // -expr !expr ~expr ++expr --expr (type) * &
+  MULTIPLICATIVE: 3, // * / %
+  ADDITIVE: 4, // + -
+  SHIFT: 5, // << >>
+  RELATIONAL: 6, // < <= > >=
+  EQUALITY: 7, // == !=
+  BITWISE_AND: 8, // &
+  BITWISE_XOR: 9, // ^
+  BITWISE_OR: 10, // |
+  LOGICAL_AND: 11, // &&
+  LOGICAL_OR: 12, // ||
+  CONDITIONAL: 13, // ?:
+  ASSIGNMENT: 14, // = += -= *= /= %= <<= >>= &= ^= |=
+  COMMA: 15, // ,
+  NONE: 99, // (...)
+};
+
+/**
+ * The C type used for values whose type isn't declared and can't be worked
+ * out from the blocks.
+ * @type {string}
+ */
+export const DEFAULT_TYPE = 'double';
+
+/**
+ * Prefixes of the definitions_ keys that finish() emits ahead of the
+ * procedure definitions, in this order.
+ * @type {!Array<string>}
+ */
+const DEFINITION_SECTIONS = ['include ', 'type ', 'global ', 'prototype '];
+
+/**
+ * C code generator class.
+ */
+export class CGenerator extends Blockly.CodeGenerator {
+  /** @param {string=} name Name of the language the generator is for. */
+  constructor(name = 'C') {
+    super(name);
+    this.isInitialized = false;
+
+    // Copy Order values onto instance for backwards compatibility
+    // while ensuring they are not part of the publicly-advertised
+    // API.
+    for (const key in Order) {
+      this['ORDER_' + key] = Order[key];
+    }
+
+    // List of illegal variable names.  This is not intended to be a
+    // security feature.  Blockly is 100% client-side, so bypassing
+    // this list is trivial.  This is intended to prevent users from
+    // accidentally clobbering a built-in object or function.
+    this.addReservedWords(
+        getLanguageProfile('c').reservedWords.join(',') + ',' +
+        // Macros and functions from the headers we include.
+        'bool,true,false,NULL,main,printf,puts,pow,fabs,fmod,abs,exit');
+
+    /**
+     * Statements hoisted out of expressions, one frame per statement being
+     * generated.
+     * @type {!Array<!Array<string>>}
+     * @private
+     */
+    this.hoistFrames_ = [];
+  }
+
+  /**
+   * Initialise the database of variable names.
+   * @param {!Blockly.Workspace} workspace Workspace to generate code from.
+   */
+  init(workspace) {
+    super.init(workspace);
+
+    if (!this.nameDB_) {
+      this.nameDB_ = new Blockly.Names(this.RESERVED_WORDS_);
+    } else {
+      this.nameDB_.reset();
+    }
+
+    this.nameDB_.setVariableMap(workspace.getVariableMap());
+    this.nameDB_.populateVariables(workspace);
+    this.nameDB_.populateProcedures(workspace);
+
+    this.hoistFrames_ = [];
+    this.isInitialized = true;
+  }
+
+  /**
+   * Prepend the includes, globals and procedures to the generated code, and
+   * wrap the top-level statements in main().
+   * @param {string} code Generated code.
+   * @return {string} Completed code.
+   */
+  finish(code) {
+    const sections = DEFINITION_SECTIONS.map(() => []);
+    const definitions = [];
+    for (const name in this.definitions_) {
+      const section = DEFINITION_SECTIONS.findIndex(
+          (prefix) => name.startsWith(prefix));
+      if (section === -1) {
+        definitions.push(this.definitions_[name]);
+      } else {
+        sections[section].push(this.definitions_[name]);
+      }
+    }
+    if (code) {
+      code = this.prefixLines(code, this.INDENT);
+    }
+    code = 'int main(void) {\n' + code + this.INDENT + 'return 0;\n}\n';
+    // Call Blockly.CodeGenerator's finish.
+    code = super.finish(code);
+    this.isInitialized = false;
+
+    this.nameDB_.reset();
+    const allDefs = sections.map((lines) => lines.join('\n'))
+        .concat(definitions.join('\n\n'))
+        .filter((section) => section)
+        .join('\n\n');
+    return allDefs ? allDefs + '\n\n' + code : code;
+  }
+
+  /**
+   * Naked values are top-level blocks with outputs that aren't plugged into
+   * anything.
+   * @param {string} line Line of generated code.
+   * @return {string} Legal line of code.
+   */
+  scrubNakedValue(line) {
+    return line + ';\n';
+  }
+
+  /**
+   * Encode a string as a properly escaped C string, complete with quotes.
+   * @param {string} string Text to encode.
+   * @return {string} C string.
+   */
+  quote_(string) {
+    string = string.replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+    return '"' + string + '"';
+  }
+
+  /**
+   * Common tasks for generating C from blocks.
+   * Handles comments for the specified block and any connected value blocks.
+   * Calls any statements following this block.
+   * @param {!Blockly.Block} block The current block.
+   * @param {string} code The C code created for this block.
+   * @param {boolean=} opt_thisOnly True to generate code for only this
+   *     statement.
+   * @return {string} C code with comments and subsequent blocks added.
+   * @protected
+   */
+  scrub_(block, code, opt_thisOnly) {
+    let commentCode = '';
+    // Only collect comments for blocks that aren't inline.
+    if (!block.outputConnection || !block.outputConnection.targetConnection) {
+      // Collect comment for this block.
+      let comment = block.getCommentText();
+      if (comment) {
+        comment = Blockly.utils.string.wrap(comment, this.COMMENT_WRAP - 3);
+        commentCode += this.prefixLines(comment + '\n', '// ');
+      }
+      // Collect comments for all value arguments.
+      // Don't collect comments for nested statements.
+      for (let i = 0; i < block.inputList.length; i++) {
+        if (block.inputList[i].type === Blockly.inputs.inputTypes.VALUE) {
+          const childBlock = block.inputList[i].connection.targetBlock();
+          if (childBlock) {
+            comment = this.allNestedComments(childBlock);
+            if (comment) {
+              commentCode += this.prefixLines(comment, '// ');
+            }
+          }
+        }
+      }
+    }
+    const nextBlock = block.nextConnection &&
+        block.nextConnection.targetBlock();
+    const nextCode = opt_thisOnly ? '' : this.blockToCode(nextBlock);
+    return commentCode + code + nextCode;
+  }
+
+  /**
+   * Generate code for the specified block. Statements hoisted out of the
+   * expressions of a statement block are placed in front of it, and the two
+   * are wrapped in a compound statement so that hoisted declarations stay
+   * local to the statement.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {boolean=} opt_thisOnly True to generate code for only this
+   *     statement.
+   * @return {string|!Array} For statement blocks, the generated code. For
+   *     value blocks, an array containing the generated code and an operator
+   *     order value.
+   */
+  blockToCode(block, opt_thisOnly) {
+    if (!block || block.outputConnection || !block.isEnabled() ||
+        block.isInsertionMarker()) {
+      return super.blockToCode(block, opt_thisOnly);
+    }
+    this.pushHoistFrame_();
+    let code = super.blockToCode(block, true);
+    const hoisted = this.popHoistFrame_();
+    if (hoisted && code) {
+      code = '{\n' + this.prefixLines(hoisted + code, this.INDENT) + '}\n';
+    }
+    return opt_thisOnly ? code : code + this.blockToCode(block.getNextBlock());
+  }
+
+  /**
+   * Place statements in front of the statement currently being generated.
+   * This is how blocks that C can only express as statements (e.g.,
+   * declarations) are used inside an expression.
+   * @param {string} code The statements, each terminated by a newline.
+   */
+  hoist(code) {
+    if (!this.hoistFrames_.length) {
+      throw Error('Code can only be hoisted out of a statement.');
+    }
+    this.hoistFrames_[this.hoistFrames_.length - 1].push(code);
+  }
+
+  /**
+   * Start collecting hoisted statements, e.g., for an expression that isn't
+   * part of a statement block, such as a procedure's return value.
+   * @protected
+   */
+  pushHoistFrame_() {
+    this.hoistFrames_.push([]);
+  }
+
+  /**
+   * Stop collecting hoisted statements.
+   * @return {string} The statements hoisted since the matching
+   *     pushHoistFrame_().
+   * @protected
+   */
+  popHoistFrame_() {
+    return this.hoistFrames_.pop().join('');
+  }
+
+  /**
+   * Generate the code for the block plugged into a value input, keeping its
+   * operator order. This is for blocks whose value is just that of one of
+   * their inputs once their other parts have been hoisted.
+   * @param {Blockly.Block} block The block containing the input.
+   * @param {string} name The name of the input.
+   * @param {string} defaultCode The code to use if the input is empty.
+   * @return {!Array} The generated code and operator order.
+   */
+  valueOf(block, name, defaultCode) {
+    const targetBlock = block.getInputTargetBlock(name);
+    const tuple = targetBlock && this.blockToCode(targetBlock);
+    if (!Array.isArray(tuple) || !tuple[0]) {
+      return [defaultCode, Order.ATOMIC];
+    }
+    return tuple;
+  }
+
+  /**
+   * Generate the code for a value input that isn't always evaluated where
+   * the statement containing it would hoist its code to, e.g., the condition
+   * of a loop or of an else-if, or the right operand of &&. The statements
+   * it hoists are returned rather than placed in front of the statement, for
+   * the caller to place where the value is evaluated.
+   * @param {Blockly.Block} block The block containing the input.
+   * @param {string} name The name of the input.
+   * @param {number} outerOrder The maximum binding strength (minimum order
+   *     value) of any operators adjacent to the input.
+   * @return {!Array<string>} The statements hoisted out of the input, and
+   *     the generated code, which is empty if the input is.
+   */
+  conditionalValueToCode(block, name, outerOrder) {
+    this.pushHoistFrame_();
+    const code = this.valueToCode(block, name, outerOrder);
+    return [this.popHoistFrame_(), code];
+  }
+
+  /**
+   * Make sure the generated code includes a header.
+   * @param {string} header The header, e.g., 'stdio.h'.
+   */
+  include(header) {
+    this.definitions_['include ' + header] = '#include <' + header + '>';
+  }
+}
+
+/**
+ * C code generator instance.
+ * @type {!CGenerator}
+ */
+export const cGenerator = new CGenerator();
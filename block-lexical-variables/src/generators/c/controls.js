@@ -0,0 +1,108 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import {cGenerator, Order} from './c_generator.js';
+import {declaration, getCounterType} from './types.js';
+import {declareNames} from '../lexical-names.js';
+
+/**
+ * This code is adapted from Blockly's JavaScript generator. The counter is
+ * declared by the loop, as an int if it only takes integer values and as a
+ * double otherwise.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {string} The generated code.
+ */
+cGenerator.forBlock['controls_forRange'] = function(block, generator) {
+  // For loop.
+  const argument0 = generator.valueToCode(block, 'FROM',
+      Order.ASSIGNMENT) || '0';
+  const argument1 = generator.valueToCode(block, 'TO',
+      Order.ASSIGNMENT) || '0';
+  const increment = generator.valueToCode(block, 'BY',
+      Order.ASSIGNMENT) || '1';
+  const type = getCounterType(block);
+  const variable0 = declareNames(generator, block,
+      [block.getFieldValue('VAR')])[0];
+  let branch = generator.statementToCode(block, 'DO');
+  branch = generator.addLoopTrap(branch, block);
+  let code;
+  if (Blockly.utils.string.isNumber(argument0) &&
+      Blockly.utils.string.isNumber(argument1) &&
+      Blockly.utils.string.isNumber(increment)) {
+    // All arguments are simple numbers.
+    const up = Number(argument0) <= Number(argument1);
+    code = 'for (' + declaration(generator, type, variable0) + ' = ' +
+        argument0 + '; ' + variable0 + (up ? ' <= ' : ' >= ') + argument1 +
+        '; ' + variable0;
+    const step = Math.abs(Number(increment));
+    if (step === 1) {
+      code += up ? '++' : '--';
+    } else {
+      code += (up ? ' += ' : ' -= ') + step;
+    }
+    code += ') {\n' + branch + '}\n';
+  } else {
+    code = '';
+    // Cache non-trivial values to variables to prevent repeated look-ups.
+    let startVar = argument0;
+    if (!argument0.match(/^\w+$/) &&
+        !Blockly.utils.string.isNumber(argument0)) {
+      startVar = generator.nameDB_.getDistinctName(
+          variable0 + '_start', Blockly.VARIABLE_CATEGORY_NAME);
+      code += declaration(generator, type, startVar) + ' = ' + argument0 +
+          ';\n';
+    }
+    let endVar = argument1;
+    if (!argument1.match(/^\w+$/) &&
+        !Blockly.utils.string.isNumber(argument1)) {
+      endVar = generator.nameDB_.getDistinctName(
+          variable0 + '_end', Blockly.VARIABLE_CATEGORY_NAME);
+      code += declaration(generator, 'double', endVar) + ' = ' + argument1 +
+          ';\n';
+    }
+    // Determine loop direction at start, in case one of the bounds
+    // changes during loop execution.
+    const incVar = generator.nameDB_.getDistinctName(
+        variable0 + '_inc', Blockly.VARIABLE_CATEGORY_NAME);
+    code += declaration(generator, type, incVar) + ' = ';
+    if (Blockly.utils.string.isNumber(increment)) {
+      code += Math.abs(Number(increment)) + ';\n';
+    } else {
+      code += increment + ';\n';
+      code += 'if (' + incVar + ' < 0) {\n';
+      code += generator.INDENT + incVar + ' = -' + incVar + ';\n';
+      code += '}\n';
+    }
+    code += 'if (' + startVar + ' > ' + endVar + ') {\n';
+    code += generator.INDENT + incVar + ' = -' + incVar + ';\n';
+    code += '}\n';
+    code += 'for (' + declaration(generator, type, variable0) + ' = ' +
+        startVar + '; ' +
+        incVar + ' >= 0 ? ' +
+        variable0 + ' <= ' + endVar + ' : ' +
+        variable0 + ' >= ' + endVar + '; ' +
+        variable0 + ' += ' + incVar + ') {\n' +
+        branch + '}\n';
+    // Keep the cached values local to the loop.
+    code = '{\n' + generator.prefixLines(code, generator.INDENT) + '}\n';
+  }
+  return code;
+};
+// controls_forRange and controls_for are aliases.  This is to make the
+// controls_statement_flow block work correctly for controls_forRange.
+cGenerator.forBlock['controls_for'] = cGenerator.forBlock['controls_forRange'];
+
+/**
+ * Run the statements, then produce the value. C has no statement
+ * expressions, so the statements are hoisted in front of the code that
+ * evaluates this expression, like a local_declaration_expression's
+ * declarations.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {(string|*)[]} The generated code.
+ */
+cGenerator.forBlock['controls_do_then_return'] = function(block, generator) {
+  generator.hoist(generator.blockToCode(block.getInputTargetBlock('STM')));
+  return generator.valueOf(block, 'VALUE', '0');
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import {cGenerator, Order} from './c_generator.js';
+import {declaration, getInputType, getValueType} from './types.js';
+
+// Blockly has no C generator, so these are the built-in blocks needed to
+// write small programs around the plugin's blocks: numbers, arithmetic,
+// logic, text, printing, conditionals and while loops.
+
+cGenerator.forBlock['math_number'] = function(block) {
+  // Numeric value.
+  const number = Number(block.getFieldValue('NUM'));
+  const order = number >= 0 ? Order.ATOMIC : Order.UNARY_PREFIX;
+  return [String(number), order];
+};
+
+/**
+ * Operators for math_arithmetic, and the order of each.
+ */
+const ARITHMETIC_OPERATORS = {
+  'ADD': [' + ', Order.ADDITIVE],
+  'MINUS': [' - ', Order.ADDITIVE],
+  'MULTIPLY': [' * ', Order.MULTIPLICATIVE],
+  'DIVIDE': [' / ', Order.MULTIPLICATIVE],
+  'POWER': [null, Order.NONE], // Handle power separately.
+};
+
+cGenerator.forBlock['math_arithmetic'] = function(block, generator) {
+  // Basic arithmetic operators, and power.
+  const [operator, order] = ARITHMETIC_OPERATORS[block.getFieldValue('OP')];
+  if (!operator) {
+    generator.include('math.h');
+    const argument0 = generator.valueToCode(block, 'A', Order.COMMA) || '0';
+    const argument1 = generator.valueToCode(block, 'B', Order.COMMA) || '0';
+    return ['pow(' + argument0 + ', ' + argument1 + ')',
+      Order.FUNCTION_CALL];
+  }
+  let argument0 = generator.valueToCode(block, 'A', order) || '0';
+  const argument1 = generator.valueToCode(block, 'B', order) || '0';
+  if (block.getFieldValue('OP') === 'DIVIDE' &&
+      getInputType(block, 'A') === 'int' &&
+      getInputType(block, 'B') === 'int') {
+    // The blocks divide numbers, not integers.
+    argument0 = '(double) ' +
+        (generator.valueToCode(block, 'A', Order.UNARY_PREFIX) || '0');
+  }
+  return [argument0 + operator + argument1, order];
+};
+
+cGenerator.forBlock['logic_boolean'] = function(block, generator) {
+  // Boolean values true and false.
+  generator.include('stdbool.h');
+  const code = (block.getFieldValue('BOOL') === 'TRUE') ? 'true' : 'false';
+  return [code, Order.ATOMIC];
+};
+
+/**
+ * Operators for logic_compare.
+ */
+const COMPARISON_OPERATORS = {
+  'EQ': '==',
+  'NEQ': '!=',
+  'LT': '<',
+  'LTE': '<=',
+  'GT': '>',
+  'GTE': '>=',
+};
+
+cGenerator.forBlock['logic_compare'] = function(block, generator) {
+  // Comparison operator.
+  const operator = COMPARISON_OPERATORS[block.getFieldValue('OP')];
+  const order = (operator === '==' || operator === '!=') ?
+      Order.EQUALITY : Order.RELATIONAL;
+  const argument0 = generator.valueToCode(block, 'A', order) || '0';
+  const argument1 = generator.valueToCode(block, 'B', order) || '0';
+  return [argument0 + ' ' + operator + ' ' + argument1, order];
+};
+
+cGenerator.forBlock['logic_operation'] = function(block, generator) {
+  // Operations 'and', 'or'.
+  const operator = (block.getFieldValue('OP') === 'AND') ? '&&' : '||';
+  const order = (operator === '&&') ? Order.LOGICAL_AND : Order.LOGICAL_OR;
+  let argument0 = generator.valueToCode(block, 'A', order);
+  const [hoisted, code1] = generator.conditionalValueToCode(block, 'B',
+      order);
+  let argument1 = code1;
+  if (!argument0 && !argument1) {
+    // If there are no arguments, then the return value is false.
+    argument0 = '0';
+    argument1 = '0';
+  } else {
+    // Single missing arguments have no effect on the return value.
+    const defaultArgument = (operator === '&&') ? '1' : '0';
+    argument0 = argument0 || defaultArgument;
+    argument1 = argument1 || defaultArgument;
+  }
+  if (hoisted) {
+    // The right operand is only evaluated if the left one doesn't decide
+    // the result, and so is the code hoisted out of it: the result is
+    // worked out by an if on a temporary instead.
+    const result = generator.nameDB_.getDistinctName('condition',
+        Blockly.VARIABLE_CATEGORY_NAME);
+    generator.hoist(declaration(generator, 'bool', result) + ' = ' +
+        argument0 + ';\n' +
+        'if (' + (operator === '&&' ? result : '!' + result) + ') {\n' +
+        generator.prefixLines(hoisted + result + ' = ' + argument1 + ';\n',
+            generator.INDENT) + '}\n');
+    return [result, Order.ATOMIC];
+  }
+  return [argument0 + ' ' + operator + ' ' + argument1, order];
+};
+
+cGenerator.forBlock['logic_negate'] = function(block, generator) {
+  // Negation.
+  const argument0 = generator.valueToCode(block, 'BOOL',
+      Order.UNARY_PREFIX) || '1';
+  return ['!' + argument0, Order.UNARY_PREFIX];
+};
+
+cGenerator.forBlock['text'] = function(block, generator) {
+  // Text value.
+  return [generator.quote_(block.getFieldValue('TEXT')), Order.ATOMIC];
+};
+
+/**
+ * printf conversions for the C types that can be printed.
+ */
+const PRINTF_FORMATS = {
+  'int': '%d',
+  'bool': '%d',
+  'char': '%c',
+  'char*': '%s',
+};
+
+cGenerator.forBlock['text_print'] = function(block, generator) {
+  // Print statement.
+  generator.include('stdio.h');
+  const type = getValueType(block.getInputTargetBlock('TEXT'));
+  const format = PRINTF_FORMATS[type] || '%g';
+  const argument0 = generator.valueToCode(block, 'TEXT', Order.COMMA) ||
+      '""';
+  return 'printf("' + format + '\\n", ' + argument0 + ');\n';
+};
+
+cGenerator.forBlock['controls_if'] = function(block, generator) {
+  // If/elseif/else condition.
+  const clauses = [];
+  let n = 0;
+  do {
+    // The conditions after the first are only evaluated if the ones before
+    // them are false, so anything they hoist is run in the else branch of
+    // the clause before.
+    const [hoisted, conditionCode] = n === 0 ?
+        ['', generator.valueToCode(block, 'IF' + n, Order.NONE)] :
+        generator.conditionalValueToCode(block, 'IF' + n, Order.NONE);
+    clauses.push({hoisted, conditionCode: conditionCode || '0',
+      branchCode: generator.statementToCode(block, 'DO' + n)});
+    n++;
+  } while (block.getInput('IF' + n));
+
+  let code = '';
+  if (block.getInput('ELSE')) {
+    code = ' else {\n' + generator.statementToCode(block, 'ELSE') + '}';
+  }
+  for (let i = clauses.length - 1; i >= 0; i--) {
+    const {hoisted, conditionCode, branchCode} = clauses[i];
+    code = 'if (' + conditionCode + ') {\n' + branchCode + '}' + code;
+    if (hoisted) {
+      code = ' else {\n' +
+          generator.prefixLines(hoisted + code + '\n', generator.INDENT) + '}';
+    } else if (i > 0) {
+      code = ' else ' + code;
+    }
+  }
+  return code + '\n';
+};
+
+cGenerator.forBlock['controls_whileUntil'] = function(block, generator) {
+  // Do while/until loop.
+  const until = block.getFieldValue('MODE') === 'UNTIL';
+  // The condition is evaluated on every iteration, so anything it hoists
+  // has to be run inside the loop.
+  const [hoisted, code0] = generator.conditionalValueToCode(block, 'BOOL',
+      until ? Order.UNARY_PREFIX : Order.NONE);
+  let argument0 = code0 || '0';
+  let branch = generator.statementToCode(block, 'DO');
+  branch = generator.addLoopTrap(branch, block);
+  if (until) {
+    argument0 = '!' + argument0;
+  }
+  if (hoisted) {
+    // Test the condition at the top of the body, after the hoisted code.
+    return 'while (1) {\n' +
+        generator.prefixLines(hoisted + 'if (!(' + argument0 + ')) {\n' +
+            generator.INDENT + 'break;\n}\n', generator.INDENT) +
+        branch + '}\n';
+  }
+  return 'while (' + argument0 + ') {\n' + branch + '}\n';
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+import {cGenerator, Order} from './c_generator.js';
+import {declaration, getDeclaredType, getDefaultValue} from './types.js';
+import {
+  declareDistinctNames,
+  declareNames,
+  getGlobalName,
+  getVariableName,
+} from '../lexical-names.js';
+
+// A C declaration is in scope in its own initializer, so declarations are
+// allocated through lexical-names.js, which renames any declaration that
+// would otherwise shadow a name that's still in scope.
+
+cGenerator.forBlock['lexical_variable_get'] = function(block, generator) {
+  const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+  return [code, Order.ATOMIC];
+};
+
+cGenerator.forBlock['lexical_variable_set'] = function(block, generator) {
+  // Variable setter.
+  const argument0 = generator.valueToCode(block, 'VALUE',
+      Order.ASSIGNMENT) || '0';
+  const varName = getVariableName(generator, block,
+      block.getFieldValue('VAR'));
+  return varName + ' = ' + argument0 + ';\n';
+};
+
+cGenerator.forBlock['global_declaration'] = function(block, generator) {
+  // Global variable declaration. C only allows constant initializers at
+  // file scope, so the variable is declared there and initialized in main()
+  // in workspace order.
+  const name = block.getFieldValue('NAME');
+  const type = getDeclaredType(block, name);
+  const argument0 = generator.valueToCode(block, 'VALUE',
+      Order.ASSIGNMENT) || getDefaultValue(generator, type);
+  const varName = getGlobalName(generator, name);
+  generator.definitions_['global ' + varName] =
+      declaration(generator, type, varName) + ';';
+  return varName + ' = ' + argument0 + ';\n';
+};
+
+/**
+ * Generate the declarations for the locals of a local declaration block.
+ * The initializers are evaluated before any of the new names are bound, so
+ * they must be generated before the names are declared.
+ * @param {Blockly.Block} block
+ * @param generator
+ * @param {function(!Blockly.CodeGenerator, Blockly.Block, !Array<string>):
+ *     !Array<string>} allocate How to allocate the generated names.
+ * @return {string} The code.
+ */
+function generateDeclarations(block, generator, allocate) {
+  const declared = block.getDeclaredVars();
+  const types = declared.map((name) => getDeclaredType(block, name));
+  const inits = [];
+  for (let i = 0; i < declared.length; i++) {
+    inits.push(generator.valueToCode(block, 'DECL' + i, Order.ASSIGNMENT) ||
+        getDefaultValue(generator, types[i]));
+  }
+  const varNames = allocate(generator, block, declared);
+  let code = '';
+  for (let i = 0; i < varNames.length; i++) {
+    code += declaration(generator, types[i], varNames[i]) + ' = ' +
+        inits[i] + ';\n';
+  }
+  return code;
+}
+
+cGenerator.forBlock['local_declaration_statement'] = function(block, generator) {
+  let code = '{\n';
+  code += generator.prefixLines(
+      generateDeclarations(block, generator, declareNames), generator.INDENT);
+  code += generator.statementToCode(block, 'STACK');
+  code += '}\n';
+  return code;
+};
+
+cGenerator.forBlock['local_declaration_expression'] = function(block, generator) {
+  // C has no block expressions, so the declarations are hoisted in front of
+  // the code that evaluates this expression: the statement that contains it,
+  // or where an input that's evaluated conditionally is (see
+  // conditionalValueToCode). The expression becomes its return value.
+  generator.hoist(
+      generateDeclarations(block, generator, declareDistinctNames));
+  return generator.valueOf(block, 'RETURN', '0');
+};
+
+cGenerator.forBlock['simple_local_declaration_statement'] = function(block, generator) {
+  const name = block.getFieldValue('VAR');
+  const type = getDeclaredType(block, name);
+  const init = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+      getDefaultValue(generator, type);
+  const varName = declareNames(generator, block, [name])[0];
+  let code = '{\n';
+  code += generator.INDENT + declaration(generator, type, varName) + ' = ' +
+      init + ';\n';
+  code += generator.statementToCode(block, 'DO');
+  code += '}\n';
+  return code;
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import {cGenerator, Order} from './c_generator.js';
+import {declaration, getDeclaredType, getReturnType} from './types.js';
+import {declareNames} from '../lexical-names.js';
+
+/**
+ * Generate the C code for a procedure definition. Each procedure also gets
+ * a prototype, so procedures can call each other regardless of the order of
+ * their definitions.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {null} Procedures are emitted as definitions.
+ */
+cGenerator.forBlock['procedures_defreturn'] = function(block, generator) {
+  const funcName = generator.getProcedureName(block.getFieldValue('NAME'));
+  const params = block.getParameters();
+  const args = declareNames(generator, block, params).map((varName, i) =>
+    declaration(generator, getDeclaredType(block, params[i]), varName));
+  const returnType = getReturnType(block);
+  let xfix1 = '';
+  if (generator.STATEMENT_PREFIX) {
+    xfix1 += generator.injectId(generator.STATEMENT_PREFIX, block);
+  }
+  if (generator.STATEMENT_SUFFIX) {
+    xfix1 += generator.injectId(generator.STATEMENT_SUFFIX, block);
+  }
+  if (xfix1) {
+    xfix1 = generator.prefixLines(xfix1, generator.INDENT);
+  }
+  let loopTrap = '';
+  if (generator.INFINITE_LOOP_TRAP) {
+    loopTrap = generator.prefixLines(
+        generator.injectId(generator.INFINITE_LOOP_TRAP, block),
+        generator.INDENT);
+  }
+  let branch = '';
+  if (block.getInput('STACK')) {
+    branch = generator.statementToCode(block, 'STACK');
+  }
+  let returnValue = '';
+  if (block.getInput('RETURN')) {
+    // The return value isn't part of a statement block, so anything it
+    // hoists is collected here.
+    generator.pushHoistFrame_();
+    returnValue = generator.valueToCode(block, 'RETURN', Order.NONE) || '0';
+    returnValue = generator.popHoistFrame_() +
+        'return ' + returnValue + ';\n';
+    returnValue = generator.prefixLines(returnValue, generator.INDENT);
+  }
+  const signature = declaration(generator, returnType, funcName) + '(' +
+      (args.length ? args.join(', ') : 'void') + ')';
+  let code = signature + ' {\n' + xfix1 + loopTrap + branch + returnValue +
+      '}';
+  code = generator.scrub_(block, code);
+  generator.definitions_['prototype ' + funcName] = signature + ';';
+  // Add % so as not to collide with helper functions in definitions list.
+  generator.definitions_['%' + funcName] = code;
+  return null;
+};
+
+// Defining a procedure without a return value uses the same generator as
+// a procedure with a return value.
+cGenerator.forBlock['procedures_defnoreturn'] = cGenerator.forBlock['procedures_defreturn'];
+
+/**
+ * Call a procedure, using the 'PROCNAME' field.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {(string|*)[]} The generated code.
+ */
+cGenerator.forBlock['procedures_callreturn'] = function(block, generator) {
+  // Call a procedure with a return value.
+  const funcName = generator.nameDB_.getName(
+      block.getFieldValue('PROCNAME'), Blockly.PROCEDURE_CATEGORY_NAME);
+  const args = [];
+  const variables = block.arguments_;
+  for (let i = 0; i < variables.length; i++) {
+    args[i] = generator.valueToCode(block, 'ARG' + i,
+        Order.COMMA) || '0';
+  }
+  const code = funcName + '(' + args.join(', ') + ')';
+  return [code, Order.FUNCTION_CALL];
+};
+
+cGenerator.forBlock['procedures_callnoreturn'] = function(block, generator) {
+  // Call a procedure with no return value.
+  const tuple = generator.forBlock['procedures_callreturn'](block, generator);
+  return tuple[0] + ';\n';
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+import {cGenerator, Order} from './c_generator.js';
+import {declaration, getCType, getDefaultValue, getEnumMemberName} from './types.js';
+import * as Types from '../../types.js';
+
+/**
+ * The names of the struct types being generated, to stop at structs that
+ * contain each other.
+ * @type {!Set<string>}
+ */
+const generating = new Set();
+
+/**
+ * Generate a C struct for a struct type declaration. It's typedef'd to its
+ * own name, ahead of its body so that its fields can point to it, and
+ * emitted ahead of the globals. The struct types its fields are made of are
+ * emitted ahead of it.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {null} The struct is emitted as a definition.
+ */
+cGenerator.forBlock['struct_declaration'] = function(block, generator) {
+  const typeName = block.getFieldValue('NAME');
+  if ('type ' + typeName in generator.definitions_ ||
+      generating.has(typeName)) {
+    return null;
+  }
+  generating.add(typeName);
+  try {
+    const typeManager = block.workspace.getTypeManager();
+    const fields = block.getFields().map((field) => {
+      const node = Types.tryParseType(field.type);
+      (node ? Types.getTypeNames(node) : []).forEach((name) => {
+        const dependency = typeManager.findTypeDeclaration(name);
+        if (dependency) {
+          generator.blockToCode(dependency, true);
+        }
+      });
+      return generator.INDENT + declaration(generator,
+          getCType(field.type, block.workspace), field.name) + ';\n';
+    });
+    generator.definitions_['type ' + typeName] = 'typedef struct ' +
+        typeName + ' ' + typeName + ';\nstruct ' + typeName + ' {\n' +
+        fields.join('') + '};';
+  } finally {
+    generating.delete(typeName);
+  }
+  return null;
+};
+
+/**
+ * Generate a C enum for an enum type declaration. It's typedef'd to its own
+ * name, and its members are prefixed with it (see getEnumMemberName).
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {null} The enum is emitted as a definition.
+ */
+cGenerator.forBlock['enum_declaration'] = function(block, generator) {
+  const typeName = block.getFieldValue('NAME');
+  const members = block.getMembers().map((member) =>
+    generator.INDENT + getEnumMemberName(typeName, member) + ',\n');
+  generator.definitions_['type ' + typeName] = 'typedef enum ' + typeName +
+      ' {\n' + members.join('') + '} ' + typeName + ';';
+  return null;
+};
+
+/**
+ * Generate a compound literal for a value of a struct type. Fields whose
+ * inputs are empty are zeroed.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+cGenerator.forBlock['struct_create'] = function(block, generator) {
+  const fields = [];
+  block.fieldNames_.forEach((name) => {
+    const value = generator.valueToCode(block, 'FIELD_' + name,
+        Order.ASSIGNMENT);
+    if (value) {
+      fields.push('.' + name + ' = ' + value);
+    }
+  });
+  const code = '(' + block.getStructType() + '){' +
+      (fields.length ? fields.join(', ') : '0') + '}';
+  return [code, Order.UNARY_POSTFIX];
+};
+
+/**
+ * Generate a member of an enum type.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+cGenerator.forBlock['enum_value'] = function(block, generator) {
+  return [getEnumMemberName(block.getEnumType(), block.getMemberName()),
+    Order.ATOMIC];
+};
+
+/**
+ * Generate code to get a field of a struct value.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+cGenerator.forBlock['struct_field_get'] = function(block, generator) {
+  const object = generator.valueToCode(block, 'OBJECT',
+      Order.UNARY_POSTFIX) || '0';
+  return [object + '.' + block.getFieldValue('FIELD'), Order.UNARY_POSTFIX];
+};
+
+/**
+ * Generate code to set a field of a struct value.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {string} The generated code.
+ */
+cGenerator.forBlock['struct_field_set'] = function(block, generator) {
+  const object = generator.valueToCode(block, 'OBJECT',
+      Order.UNARY_POSTFIX) || '0';
+  const fieldType = block.workspace.getTypeManager().getFieldType(
+      block.workspace.getTypeManager().inferValueType(
+          block.getInputTargetBlock('OBJECT')),
+      block.getFieldValue('FIELD'));
+  const value = generator.valueToCode(block, 'VALUE', Order.ASSIGNMENT) ||
+      getDefaultValue(generator, getCType(fieldType, block.workspace),
+          block.workspace);
+  return object + '.' + block.getFieldValue('FIELD') + ' = ' + value +
+      ';\n';
+};
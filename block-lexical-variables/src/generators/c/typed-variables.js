@@ -0,0 +1,125 @@
+'use strict';
+
+import {cGenerator, Order} from './c_generator.js';
+import {declaration, getCType, getDefaultValue, getInputType} from './types.js';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+
+/**
+ * Generate C code for typed global variable declaration. The variable is
+ * declared at file scope and initialized in main().
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {string} The generated code.
+ */
+cGenerator.forBlock['typed_global_declaration'] = function(block, generator) {
+  const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+  const varType = getCType(block.getFieldValue('TYPE'), block.workspace);
+  const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+      getDefaultValue(generator, varType, block.workspace);
+  generator.definitions_['global ' + varName] =
+      declaration(generator, varType, varName) + ';';
+  return varName + ' = ' + value + ';\n';
+};
+
+/**
+ * Generate C code for typed local variable declaration statement.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {string} The generated code.
+ */
+cGenerator.forBlock['typed_local_declaration_statement'] = function(block, generator) {
+  const varType = getCType(block.getFieldValue('TYPE'), block.workspace);
+  const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+      getDefaultValue(generator, varType, block.workspace);
+  const varName = declareNames(generator, block,
+      [block.getFieldValue('VAR')])[0];
+  let code = '{\n';
+  code += generator.INDENT + declaration(generator, varType, varName) +
+      ' = ' + value + ';\n';
+  code += generator.statementToCode(block, 'DO');
+  code += '}\n';
+  return code;
+};
+
+/**
+ * Generate C code for typed variable getter.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+cGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
+  const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+  return [code, Order.ATOMIC];
+};
+
+/**
+ * Generate C code for typed variable setter.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {string} The generated code.
+ */
+cGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
+  const argument0 = generator.valueToCode(block, 'VALUE',
+      Order.ASSIGNMENT) || '0';
+  const varName = getVariableName(generator, block,
+      block.getFieldValue('VAR'));
+  return varName + ' = ' + argument0 + ';\n';
+};
+
+/**
+ * Generate C code for a cast. Strings are converted to numbers with atoi and
+ * atof, and numbers to strings by a helper that prints them into a new
+ * buffer; other casts are C casts, e.g., (int) x.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+cGenerator.forBlock['typed_cast'] = function(block, generator) {
+  const type = getCType(block.getFieldValue('TYPE'), block.workspace);
+  const sourceType = getInputType(block, 'VALUE');
+  const value = (order) => generator.valueToCode(block, 'VALUE', order) ||
+      getDefaultValue(generator, sourceType, block.workspace);
+  if (type === sourceType) {
+    return [value(Order.NONE), Order.NONE];
+  }
+  if (type === 'char*') {
+    if (sourceType === 'bool') {
+      return [value(Order.CONDITIONAL) + ' ? "true" : "false"',
+        Order.CONDITIONAL];
+    }
+    return [getNumberToString(generator) + '(' + value(Order.COMMA) + ')',
+      Order.FUNCTION_CALL];
+  }
+  if (sourceType === 'char*') {
+    if (type === 'bool') {
+      return [value(Order.UNARY_POSTFIX) + '[0] != \'\\0\'', Order.EQUALITY];
+    }
+    generator.include('stdlib.h');
+    return [(type === 'int' ? 'atoi(' : 'atof(') + value(Order.COMMA) + ')',
+      Order.FUNCTION_CALL];
+  }
+  if (type === 'bool') {
+    generator.include('stdbool.h');
+  }
+  return ['(' + type + ') ' + value(Order.UNARY_PREFIX), Order.UNARY_PREFIX];
+};
+
+/**
+ * Provide the helper that converts a number to a string, which is declared
+ * ahead of the procedures that may use it.
+ * @param {!CGenerator} generator
+ * @return {string} The name of the helper.
+ */
+function getNumberToString(generator) {
+  generator.include('stdio.h');
+  generator.include('stdlib.h');
+  const name = generator.provideFunction_('number_to_string',
+      `char* ${generator.FUNCTION_NAME_PLACEHOLDER_}(double value) {
+  char* text = malloc(32);
+  snprintf(text, 32, "%.15g", value);
+  return text;
+}`);
+  generator.definitions_['prototype ' + name] =
+      'char* ' + name + '(double value);';
+  return name;
+}
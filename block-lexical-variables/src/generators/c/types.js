@@ -0,0 +1,349 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Types for the C generator. C needs a type for every
+ * declaration, so declared types are mapped onto C types, and the type of an
+ * untyped declaration is worked out from its initializer where the blocks
+ * make that possible.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as Shared from '../../shared.js';
+import {LexicalVariable} from '../../fields/field_lexical_variable.js';
+import * as Types from '../../types.js';
+import {getLanguageProfile, getProfileDefaultValue}
+  from '../../languageProfiles.js';
+import {DEFAULT_TYPE} from './c_generator.js';
+
+/**
+ * The headers that declare the C types that aren't built in.
+ * @type {!Object<string, string>}
+ */
+const TYPE_HEADERS = {
+  'bool': 'stdbool.h',
+  'size_t': 'stddef.h',
+  'int8_t': 'stdint.h',
+  'int16_t': 'stdint.h',
+  'int32_t': 'stdint.h',
+  'int64_t': 'stdint.h',
+  'uint8_t': 'stdint.h',
+  'uint16_t': 'stdint.h',
+  'uint32_t': 'stdint.h',
+  'uint64_t': 'stdint.h',
+};
+
+/**
+ * Get the C type for a type from the type dropdown.
+ * @param {?string} type The type.
+ * @param {Blockly.Workspace=} opt_workspace The workspace the type is used
+ *     on, whose struct and enum types (see TypeManager.getUserType) are
+ *     generated as typedefs of their own names.
+ * @return {string} The C type.
+ */
+export function getCType(type, opt_workspace) {
+  const node = Types.tryParseType(type);
+  return node ? formatCType(node, opt_workspace ?
+      opt_workspace.getTypeManager().getUserTypeNames() : []) : DEFAULT_TYPE;
+}
+
+/**
+ * Print a type node as a C type. Arrays are pointers to their first
+ * elements, and values C has no type for (objects, functions and so on) are
+ * void pointers.
+ * @param {!Object} type The type node.
+ * @param {!Array<string>} userTypes The names of the struct and enum types.
+ * @return {string} The C type.
+ */
+function formatCType(type, userTypes) {
+  switch (type.kind) {
+    case Types.TypeKind.ARRAY:
+      return Types.isAny(type.element) ? 'void*' :
+          formatCType(type.element, userTypes) + '*';
+    case Types.TypeKind.POINTER:
+      return Types.isAny(type.target) ? 'void*' :
+          formatCType(type.target, userTypes) + '*';
+    case Types.TypeKind.FUNCTION:
+      return 'void*';
+    case Types.TypeKind.UNION: {
+      // C has no unions of types, but a nullable pointer is a pointer.
+      const nonNull = Types.nonNullType(type);
+      return nonNull && nonNull.kind !== Types.TypeKind.UNION ?
+          formatCType(nonNull, userTypes) : DEFAULT_TYPE;
+    }
+  }
+  if (!type.args.length && (userTypes.includes(type.name) ||
+      Object.prototype.hasOwnProperty.call(TYPE_HEADERS, type.name))) {
+    return type.name;
+  }
+  switch (type.name) {
+    case 'int':
+    case 'float':
+    case 'double':
+    case 'char':
+    case 'bool':
+    case 'void':
+      return type.name;
+    case 'number':
+      return 'double';
+    case 'string':
+      return 'char*';
+    case 'boolean':
+      return 'bool';
+    case 'any':
+      return DEFAULT_TYPE;
+    default:
+      // Objects, functions, and generic types such as Map<K, V>.
+      return type.args.length || ['object', 'function', 'Function']
+          .includes(type.name) ? 'void*' : DEFAULT_TYPE;
+  }
+}
+
+/**
+ * Get the C default value for a C type.
+ * @param {!CGenerator} generator
+ * @param {string} type The C type.
+ * @param {Blockly.Workspace=} opt_workspace The workspace the type is used
+ *     on. The default value of one of its struct types has every field
+ *     zeroed, and that of one of its enum types is the first member.
+ * @return {string} The default value.
+ */
+export function getDefaultValue(generator, type, opt_workspace) {
+  const userType = opt_workspace &&
+      opt_workspace.getTypeManager().getUserType(type);
+  if (userType && userType.kind === 'struct') {
+    return '(' + type + '){0}';
+  }
+  if (userType && userType.kind === 'enum') {
+    return userType.members.length ?
+        getEnumMemberName(type, userType.members[0]) : '0';
+  }
+  const node = Types.tryParseType(type);
+  if (node && node.kind === Types.TypeKind.POINTER) {
+    if (node.target.kind === Types.TypeKind.NAME &&
+        node.target.name === 'char') {
+      return '""';
+    }
+    generator.include('stddef.h');
+    return 'NULL';
+  }
+  if (node && node.name === 'bool') {
+    generator.include('stdbool.h');
+  }
+  return getProfileDefaultValue(getLanguageProfile('c'), type);
+}
+
+/**
+ * Format the declaration of a variable or parameter, including the header
+ * the type comes from if it isn't built in.
+ * @param {!CGenerator} generator
+ * @param {string} type The C type.
+ * @param {string} name The generated name.
+ * @return {string}
+ */
+export function declaration(generator, type, name) {
+  const node = Types.tryParseType(type);
+  (node ? Types.getTypeNames(node) : []).forEach((typeName) => {
+    if (Object.prototype.hasOwnProperty.call(TYPE_HEADERS, typeName)) {
+      generator.include(TYPE_HEADERS[typeName]);
+    }
+  });
+  return getLanguageProfile('c').declare(name, type);
+}
+
+/**
+ * Work out the C type of the value plugged into an input.
+ * @param {Blockly.Block} block
+ * @param {string} inputName
+ * @return {string} The C type, or DEFAULT_TYPE if it can't be worked out.
+ */
+export function getInputType(block, inputName) {
+  return getValueType(block.getInputTargetBlock(inputName));
+}
+
+/**
+ * Work out the C type of a value block.
+ * @param {Blockly.Block} block The value block, or null if the input is
+ *     empty.
+ * @param {!Set<Blockly.Block>=} opt_visiting The declarations whose types
+ *     are being worked out, to stop at self-referencing globals.
+ * @return {string} The C type, or DEFAULT_TYPE if it can't be worked out.
+ */
+export function getValueType(block, opt_visiting) {
+  const visiting = opt_visiting || new Set();
+  if (!block) {
+    return DEFAULT_TYPE;
+  }
+  switch (block.type) {
+    case 'math_number':
+      return Number(block.getFieldValue('NUM')) % 1 === 0 ? 'int' : 'double';
+    case 'math_arithmetic': {
+      const op = block.getFieldValue('OP');
+      if (op === 'DIVIDE' || op === 'POWER') {
+        return 'double';
+      }
+      const left = getValueType(block.getInputTargetBlock('A'), visiting);
+      const right = getValueType(block.getInputTargetBlock('B'), visiting);
+      return left === 'int' && right === 'int' ? 'int' : 'double';
+    }
+    case 'text':
+      return 'char*';
+    case 'logic_boolean':
+    case 'logic_compare':
+    case 'logic_operation':
+    case 'logic_negate':
+      return 'bool';
+    case 'lexical_variable_get':
+    case 'typed_lexical_variable_get':
+      return getVariableType(block, visiting);
+    case 'local_declaration_expression':
+      return getValueType(block.getInputTargetBlock('RETURN'), visiting);
+    case 'controls_do_then_return':
+      return getValueType(block.getInputTargetBlock('VALUE'), visiting);
+    case 'procedures_callreturn': {
+      const def = findTopBlock(block.workspace,
+          ['procedures_defreturn'], block.getFieldValue('PROCNAME'));
+      return def ? getReturnType(def, visiting) : DEFAULT_TYPE;
+    }
+    case 'struct_create':
+      return block.getStructType();
+    case 'enum_value':
+      return block.getEnumType();
+    case 'typed_cast':
+      return getCType(block.getFieldValue('TYPE'), block.workspace);
+    case 'struct_field_get': {
+      const fieldType = block.workspace.getTypeManager().getFieldType(
+          getValueType(block.getInputTargetBlock('OBJECT'), visiting),
+          block.getFieldValue('FIELD'));
+      return fieldType ? getCType(fieldType, block.workspace) : DEFAULT_TYPE;
+    }
+    default:
+      return DEFAULT_TYPE;
+  }
+}
+
+/**
+ * Work out the C return type of a procedure definition: its declared return
+ * type, if it has one, otherwise the type of the value it returns.
+ * @param {Blockly.Block} block The procedure definition.
+ * @param {!Set<Blockly.Block>=} opt_visiting
+ * @return {string} The C type.
+ */
+export function getReturnType(block, opt_visiting) {
+  if (!block.getInput('RETURN')) {
+    return 'void';
+  }
+  if (block.getReturnType() !== 'any') {
+    return getCType(block.getReturnType(), block.workspace);
+  }
+  const visiting = opt_visiting || new Set();
+  if (visiting.has(block)) {
+    // A recursive procedure.
+    return DEFAULT_TYPE;
+  }
+  visiting.add(block);
+  const type = getValueType(block.getInputTargetBlock('RETURN'), visiting);
+  visiting.delete(block);
+  return type;
+}
+
+/**
+ * Work out the C type of a forRange counter.
+ * @param {Blockly.Block} block The loop.
+ * @return {string} The counter's declared type, if it has one, otherwise
+ *     'int' if the counter only takes integer values.
+ */
+export function getCounterType(block) {
+  if (block.getFieldValue('TYPE') !== 'any') {
+    return getCType(block.getFieldValue('TYPE'), block.workspace);
+  }
+  return getInputType(block, 'FROM') === 'int' &&
+      getInputType(block, 'BY') === 'int' ? 'int' : 'double';
+}
+
+/**
+ * Work out the C type of the variable a getter or setter refers to.
+ * @param {Blockly.Block} block The getter or setter.
+ * @param {!Set<Blockly.Block>} visiting
+ * @return {string} The C type.
+ */
+function getVariableType(block, visiting) {
+  const [prefix, name] = Shared.unprefixName(block.getFieldValue('VAR'));
+  let declBlock;
+  if (prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+      prefix === Shared.GLOBAL_KEYWORD) {
+    declBlock = findTopBlock(block.workspace,
+        ['global_declaration', 'typed_global_declaration'], name);
+  } else {
+    declBlock = LexicalVariable.getBindingBlock(block, name);
+  }
+  if (!declBlock || visiting.has(declBlock)) {
+    return DEFAULT_TYPE;
+  }
+  visiting.add(declBlock);
+  const type = getDeclaredType(declBlock, name, visiting);
+  visiting.delete(declBlock);
+  return type;
+}
+
+/**
+ * Get the C type of a name declared by a block.
+ * @param {Blockly.Block} declBlock The declaring block.
+ * @param {string} name The declared name.
+ * @param {!Set<Blockly.Block>=} opt_visiting
+ * @return {string} The C type.
+ */
+export function getDeclaredType(declBlock, name, opt_visiting) {
+  const visiting = opt_visiting || new Set();
+  switch (declBlock.type) {
+    case 'typed_global_declaration':
+    case 'typed_local_declaration_statement':
+      return getCType(declBlock.getFieldValue('TYPE'), declBlock.workspace);
+    case 'global_declaration':
+      return getValueType(declBlock.getInputTargetBlock('VALUE'), visiting);
+    case 'simple_local_declaration_statement':
+      return getValueType(declBlock.getInputTargetBlock('DECL'), visiting);
+    case 'local_declaration_statement':
+    case 'local_declaration_expression': {
+      const index = declBlock.getDeclaredVars().indexOf(name);
+      return getValueType(declBlock.getInputTargetBlock('DECL' + index),
+          visiting);
+    }
+    case 'controls_forRange':
+    case 'controls_for':
+      return getCounterType(declBlock);
+    case 'procedures_defnoreturn':
+    case 'procedures_defreturn':
+      return getCType(declBlock.getParameterTypes()[
+          declBlock.getParameters().indexOf(name)], declBlock.workspace);
+    default:
+      return DEFAULT_TYPE;
+  }
+}
+
+/**
+ * Get the C name of a member of an enum type. C's enum members share one
+ * namespace, so they're prefixed with the name of their type.
+ * @param {string} typeName The name of the enum type.
+ * @param {string} member The name of the member.
+ * @return {string}
+ */
+export function getEnumMemberName(typeName, member) {
+  return typeName + '_' + member;
+}
+
+/**
+ * Find a top block of one of the given types by the value of its NAME field.
+ * @param {Blockly.Workspace} workspace
+ * @param {!Array<string>} types
+ * @param {string} name
+ * @return {Blockly.Block}
+ */
+function findTopBlock(workspace, types, name) {
+  return workspace.getTopBlocks(false).find((topBlock) =>
+    types.includes(topBlock.type) &&
+      topBlock.getFieldValue('NAME') === name) || null;
+}
@@ -0,0 +1,210 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Checking generated code with a compiler, for the errors
+ * that only show up when the code is compiled. checkWithCompiler generates
+ * the code for a workspace with a source map (see source-map.js), runs a
+ * compiler over it, and maps each of the compiler's diagnostics back to the
+ * statement block whose code it's in. The WarningHandler shows them on the
+ * blocks, through ErrorCheckers.checkCompilerDiagnostics, until the
+ * workspace is checked again or its diagnostics are cleared.
+ *
+ * A compiler is a function from the code to its diagnostics, as
+ * {line, column, message, severity}, with the line and column zero-based
+ * and the severity 'error' or 'warning'. createTscCompiler and
+ * createGccCompiler make compilers of a locally installed TypeScript
+ * compiler API and gcc. Neither is imported here, so that the plugin can
+ * still be bundled for the browser: they're passed in, e.g.,
+ * require('typescript') and require('child_process').spawnSync.
+ */
+
+'use strict';
+
+import {generateWithSourceMap, getBlockIdAt} from './source-map.js';
+
+/**
+ * The diagnostics shown on the blocks of each workspace, by block ID.
+ * @type {!WeakMap<!Blockly.Workspace, !Map<string, !Array<!Object>>>}
+ */
+const shownDiagnostics = new WeakMap();
+
+/**
+ * Check the code a generator makes of a workspace with a compiler, and show
+ * the compiler's diagnostics on the blocks they come from in place of those
+ * of the last check.
+ * @param {!Blockly.CodeGenerator} generator Any of the generators the
+ *     plugin provides blocks for.
+ * @param {!Blockly.Workspace} workspace
+ * @param {function(string): !Array<!Object>} compiler Gets the diagnostics
+ *     of the code (see the file overview).
+ * @return {!Array<!Object>} The diagnostics, each with the blockId of the
+ *     block it comes from, or null if it's outside of any block's code.
+ */
+export function checkWithCompiler(generator, workspace, compiler) {
+  const {code, blocks} = generateWithSourceMap(generator, workspace);
+  const diagnostics = compiler(code).map((diagnostic) =>
+    Object.assign({}, diagnostic,
+        {blockId: getBlockIdAt(blocks, diagnostic.line, diagnostic.column)}));
+  const byBlock = new Map();
+  diagnostics.forEach((diagnostic) => {
+    if (diagnostic.blockId) {
+      if (!byBlock.has(diagnostic.blockId)) {
+        byBlock.set(diagnostic.blockId, []);
+      }
+      byBlock.get(diagnostic.blockId).push(diagnostic);
+    }
+  });
+  showDiagnostics(workspace, byBlock);
+  return diagnostics;
+}
+
+/**
+ * Take the diagnostics of the last check off the blocks of a workspace.
+ * @param {!Blockly.Workspace} workspace
+ */
+export function clearCompilerDiagnostics(workspace) {
+  showDiagnostics(workspace, new Map());
+}
+
+/**
+ * Get the diagnostics of the last check that come from a block.
+ * @param {!Blockly.Block} block
+ * @return {!Array<!Object>}
+ */
+export function getCompilerDiagnostics(block) {
+  const byBlock = shownDiagnostics.get(block.workspace);
+  return (byBlock && byBlock.get(block.id)) || [];
+}
+
+/**
+ * Replace the diagnostics shown on the blocks of a workspace, and check the
+ * blocks whose diagnostics change again.
+ * @param {!Blockly.Workspace} workspace
+ * @param {!Map<string, !Array<!Object>>} byBlock The new diagnostics, by
+ *     block ID.
+ */
+function showDiagnostics(workspace, byBlock) {
+  const before = shownDiagnostics.get(workspace) || new Map();
+  shownDiagnostics.set(workspace, byBlock);
+  const warningHandler = workspace.getWarningHandler &&
+      workspace.getWarningHandler();
+  if (!warningHandler) {
+    return;
+  }
+  new Set([...before.keys(), ...byBlock.keys()]).forEach((id) => {
+    const block = workspace.getBlockById(id);
+    if (block) {
+      warningHandler.checkErrors(block);
+    }
+  });
+}
+
+/**
+ * Make a compiler of the TypeScript compiler API, which type checks the
+ * code as a module of its own, in memory.
+ * @param {!Object} ts The TypeScript compiler API, i.e., the typescript
+ *     package.
+ * @param {{prelude: (string|undefined),
+ *     compilerOptions: (!Object|undefined)}=} options The prelude is put
+ *     ahead of the code, to declare what it uses from the host, e.g., with
+ *     workspaceToDeclarations; its own diagnostics are left out. The
+ *     compiler options are added to noEmit, strict and ES2020.
+ * @return {function(string): !Array<!Object>} The compiler.
+ */
+export function createTscCompiler(ts, options = {}) {
+  let prelude = options.prelude || '';
+  if (prelude && !prelude.endsWith('\n')) {
+    prelude += '\n';
+  }
+  const preludeLines = prelude.split('\n').length - 1;
+  const compilerOptions = Object.assign({
+    noEmit: true,
+    strict: true,
+    target: ts.ScriptTarget.ES2020,
+    lib: ['lib.es2020.d.ts'],
+  }, options.compilerOptions);
+  const fileName = 'generated.ts';
+  return (code) => {
+    // The export makes the file a module, so that its globals don't clash
+    // with those of the libraries.
+    const text = prelude + code + '\nexport {};\n';
+    const host = ts.createCompilerHost(compilerOptions);
+    const getSourceFile = host.getSourceFile;
+    host.getSourceFile = function(name, languageVersion, ...rest) {
+      return name === fileName ?
+          ts.createSourceFile(name, text, languageVersion, true) :
+          getSourceFile.call(this, name, languageVersion, ...rest);
+    };
+    const fileExists = host.fileExists;
+    host.fileExists = function(name) {
+      return name === fileName || fileExists.call(this, name);
+    };
+    const program = ts.createProgram([fileName], compilerOptions, host);
+    return ts.getPreEmitDiagnostics(program)
+        .filter((diagnostic) => diagnostic.file &&
+            diagnostic.file.fileName === fileName)
+        .map((diagnostic) => {
+          const {line, character} =
+              diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+          return {
+            line: line - preludeLines,
+            column: character,
+            message: ts.flattenDiagnosticMessageText(diagnostic.messageText,
+                '\n'),
+            severity: diagnostic.category === ts.DiagnosticCategory.Error ?
+                'error' : 'warning',
+          };
+        })
+        .filter((diagnostic) => diagnostic.line >= 0);
+  };
+}
+
+/**
+ * A diagnostic in gcc's output: the file (standard input), line, column,
+ * severity and message.
+ * @type {!RegExp}
+ */
+const GCC_DIAGNOSTIC =
+    /^<stdin>:(\d+):(\d+): (fatal error|error|warning): (.*)$/gm;
+
+/**
+ * Make a compiler of gcc, which checks the syntax (and types) of the code
+ * with -fsyntax-only, reading it from standard input.
+ * @param {function(string, !Array<string>, !Object): !Object} spawnSync
+ *     Node's child_process.spawnSync.
+ * @param {{command: (string|undefined), args: (!Array<string>|undefined)}=}
+ *     options The command to run, gcc by default, and the options to pass
+ *     it, -std=c99 by default.
+ * @return {function(string): !Array<!Object>} The compiler.
+ * @throws {Error} From the compiler, if gcc can't be run.
+ */
+export function createGccCompiler(spawnSync, options = {}) {
+  const command = options.command || 'gcc';
+  const args = options.args || ['-std=c99'];
+  return (code) => {
+    const result = spawnSync(command,
+        [...args, '-fsyntax-only', '-x', 'c', '-'], {
+          input: code,
+          encoding: 'utf8',
+          // Messages in English, with plain quotes.
+          env: Object.assign({}, process.env, {LC_ALL: 'C'}),
+        });
+    if (result.error) {
+      throw result.error;
+    }
+    const diagnostics = [];
+    GCC_DIAGNOSTIC.lastIndex = 0;
+    let match;
+    while ((match = GCC_DIAGNOSTIC.exec(result.stderr))) {
+      diagnostics.push({
+        line: Number(match[1]) - 1,
+        column: Number(match[2]) - 1,
+        message: match[4],
+        severity: match[3] === 'warning' ? 'warning' : 'error',
+      });
+    }
+    return diagnostics;
+  };
+}
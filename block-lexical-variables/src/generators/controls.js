@@ -2,6 +2,7 @@
 
 import * as Blockly from 'blockly/core';
 import * as pkg from 'blockly/javascript';
+import {publishScope} from './scope-frames.js';
 
 if (pkg) {
 // We might be loaded into an environment that doesn't have Blockly's JavaScript generator.
@@ -23,7 +24,9 @@ if (pkg) {
         Order.ASSIGNMENT) || '0';
     const increment = generator.valueToCode(block, 'BY',
         Order.ASSIGNMENT) || '1';
-    let branch = generator.statementToCode(block, 'DO');
+    let branch = publishScope(generator, block,
+        [[block.getFieldValue('VAR'), variable0]],
+        generator.statementToCode(block, 'DO'));
     branch = generator.addLoopTrap(branch, block);
     let code;
     if (Blockly.utils.string.isNumber(argument0) && Blockly.utils.string.isNumber(argument1) &&
@@ -95,7 +98,6 @@ if (pkg) {
     const argument0 = generator.valueToCode(block, 'LIST',
         Order.ASSIGNMENT) || '[]';
     let branch = generator.statementToCode(block, 'DO');
-    branch = generator.addLoopTrap(branch, block);
     let code = '';
     // Cache non-trivial values to variables to prevent repeated look-ups.
     let listVar = argument0;
@@ -106,8 +108,12 @@ if (pkg) {
     }
     const indexVar = generator.nameDB_.getDistinctName(
         variable0 + '_index', Blockly.VARIABLE_CATEGORY_NAME);
+    // The item is declared ahead of the frame, which reads it.
     branch = generator.INDENT + 'const ' + variable0 + ' = ' +
-        listVar + '[' + indexVar + '];\n' + branch;
+        listVar + '[' + indexVar + '];\n' +
+        publishScope(generator, block,
+            [[block.getFieldValue('VAR'), variable0]], branch);
+    branch = generator.addLoopTrap(branch, block);
     code += 'for (let ' + indexVar + ' in ' + listVar + ') {\n' + branch + '}\n';
     return code;
   };
@@ -0,0 +1,122 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as pkg from 'blockly/dart';
+import {declareNames} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's Dart generator.
+  const {dartGenerator, Order} = pkg;
+  /**
+   * This code is copied from Blockly but the loop variable is declared by
+   * the loop itself.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {string} The generated code.
+   */
+  dartGenerator.forBlock['controls_forRange'] = function(block, generator) {
+    // For loop.
+    const argument0 = generator.valueToCode(block, 'FROM',
+        Order.ASSIGNMENT) || '0';
+    const argument1 = generator.valueToCode(block, 'TO',
+        Order.ASSIGNMENT) || '0';
+    const increment = generator.valueToCode(block, 'BY',
+        Order.ASSIGNMENT) || '1';
+    const variable0 = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    let branch = generator.statementToCode(block, 'DO');
+    branch = generator.addLoopTrap(branch, block);
+    let code;
+    if (Blockly.utils.string.isNumber(argument0) &&
+        Blockly.utils.string.isNumber(argument1) &&
+        Blockly.utils.string.isNumber(increment)) {
+      // All arguments are simple numbers.
+      const up = Number(argument0) <= Number(argument1);
+      code = 'for (var ' + variable0 + ' = ' + argument0 + '; ' +
+          variable0 + (up ? ' <= ' : ' >= ') + argument1 + '; ' +
+          variable0;
+      const step = Math.abs(Number(increment));
+      if (step === 1) {
+        code += up ? '++' : '--';
+      } else {
+        code += (up ? ' += ' : ' -= ') + step;
+      }
+      code += ') {\n' + branch + '}\n';
+    } else {
+      code = '';
+      // Cache non-trivial values to variables to prevent repeated look-ups.
+      let startVar = argument0;
+      if (!argument0.match(/^\w+$/) &&
+          !Blockly.utils.string.isNumber(argument0)) {
+        startVar = generator.nameDB_.getDistinctName(
+            variable0 + '_start', Blockly.VARIABLE_CATEGORY_NAME);
+        code += 'var ' + startVar + ' = ' + argument0 + ';\n';
+      }
+      let endVar = argument1;
+      if (!argument1.match(/^\w+$/) &&
+          !Blockly.utils.string.isNumber(argument1)) {
+        endVar = generator.nameDB_.getDistinctName(
+            variable0 + '_end', Blockly.VARIABLE_CATEGORY_NAME);
+        code += 'var ' + endVar + ' = ' + argument1 + ';\n';
+      }
+      // Determine loop direction at start, in case one of the bounds
+      // changes during loop execution.
+      const incVar = generator.nameDB_.getDistinctName(
+          variable0 + '_inc', Blockly.VARIABLE_CATEGORY_NAME);
+      code += 'num ' + incVar + ' = ';
+      if (Blockly.utils.string.isNumber(increment)) {
+        code += Math.abs(Number(increment)) + ';\n';
+      } else {
+        code += '(' + increment + ').abs();\n';
+      }
+      code += 'if (' + startVar + ' > ' + endVar + ') {\n';
+      code += generator.INDENT + incVar + ' = -' + incVar + ';\n';
+      code += '}\n';
+      code += 'for (var ' + variable0 + ' = ' + startVar + '; ' +
+          incVar + ' >= 0 ? ' +
+          variable0 + ' <= ' + endVar + ' : ' +
+          variable0 + ' >= ' + endVar + '; ' +
+          variable0 + ' += ' + incVar + ') {\n' +
+          branch + '}\n';
+    }
+    return code;
+  };
+  // controls_forRange and controls_for are aliases.  This is to make the
+  // controls_statement_flow block work correctly for controls_forRange.
+  dartGenerator.forBlock['controls_for'] = dartGenerator.forBlock['controls_forRange'];
+
+  /**
+   * This code is copied from Blockly but the loop variable is resolved
+   * through the lexical scope of the block.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {string} The generated code.
+   */
+  dartGenerator.forBlock['controls_forEach'] = function(block, generator) {
+    // For each loop.
+    const argument0 = generator.valueToCode(block, 'LIST',
+        Order.ASSIGNMENT) || '[]';
+    const variable0 = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    let branch = generator.statementToCode(block, 'DO');
+    branch = generator.addLoopTrap(branch, block);
+    return 'for (var ' + variable0 + ' in ' + argument0 + ') {\n' +
+        branch + '}\n';
+  };
+
+  /**
+   * Run the statements, then produce the value, by calling a function
+   * literal on the spot. It closes over the enclosing locals, so the
+   * statements can still assign them.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {(string|*)[]} The generated code.
+   */
+  dartGenerator.forBlock['controls_do_then_return'] = function(block, generator) {
+    const statements = generator.statementToCode(block, 'STM');
+    const value = generator.valueToCode(block, 'VALUE', Order.NONE) || 'null';
+    const code = '(() {\n' + statements +
+        generator.INDENT + 'return ' + value + ';\n})()';
+    return [code, Order.UNARY_POSTFIX];
+  };
+}
@@ -0,0 +1,96 @@
+'use strict';
+
+import * as pkg from 'blockly/dart';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's Dart generator.
+  const {dartGenerator, Order} = pkg;
+
+  // Dart doesn't let a local refer to a variable of the same name from an
+  // enclosing scope in its initializer, so declarations are allocated
+  // through lexical-names.js, which renames any declaration that would
+  // otherwise shadow a name that's still in scope.
+
+  dartGenerator.forBlock['lexical_variable_get'] = function(block, generator) {
+    const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+    return [code, Order.ATOMIC];
+  };
+
+  dartGenerator.forBlock['lexical_variable_set'] = function(block, generator) {
+    // Variable setter.
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.ASSIGNMENT) || '0';
+    const varName = getVariableName(generator, block,
+        block.getFieldValue('VAR'));
+    return varName + ' = ' + argument0 + ';\n';
+  };
+
+  dartGenerator.forBlock['global_declaration'] = function(block, generator) {
+    // Global variable declaration. Dart puts the program in main(), so the
+    // variable is declared at the top level, where procedures can see it,
+    // and initialized in main() in workspace order.
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.ASSIGNMENT) || '0';
+    const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+    generator.definitions_['global ' + varName] = 'var ' + varName + ';';
+    return varName + ' = ' + argument0 + ';\n';
+  };
+
+  /**
+   * Generate the declarations for the locals of a local declaration block.
+   * The initializers are evaluated before any of the new names are bound, so
+   * they must be generated before the names are declared.
+   * @param {Blockly.Block} block
+   * @param generator
+   * @return {string} The code.
+   */
+  function generateDeclarations(block, generator) {
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.ASSIGNMENT) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars());
+    let code = '';
+    for (let i = 0; i < varNames.length; i++) {
+      code += generator.INDENT + 'var ' + varNames[i] + ' = ' + inits[i] +
+          ';\n';
+    }
+    return code;
+  }
+
+  dartGenerator.forBlock['local_declaration_statement'] = function(block, generator) {
+    let code = '{\n' + generateDeclarations(block, generator);
+    code += generator.statementToCode(block, 'STACK');
+    code += '}\n';
+    return code;
+  };
+
+  dartGenerator.forBlock['local_declaration_expression'] = function(block, generator) {
+    // The locals become the parameters of a function literal that is called
+    // immediately with the initializers as its arguments.
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.NONE) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars());
+    const body = generator.valueToCode(block, 'RETURN', Order.NONE) || 'null';
+    const code = '((' + varNames.join(', ') + ') => ' + body + ')(' +
+        inits.join(', ') + ')';
+    return [code, Order.UNARY_POSTFIX];
+  };
+
+  dartGenerator.forBlock['simple_local_declaration_statement'] = function(block, generator) {
+    const init = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+        '0';
+    const varName = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    let code = '{\n';
+    code += generator.INDENT + 'var ' + varName + ' = ' + init + ';\n';
+    code += generator.statementToCode(block, 'DO');
+    code += '}\n';
+    return code;
+  };
+}
@@ -0,0 +1,185 @@
+'use strict';
+
+import * as pkg from 'blockly/dart';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+import {getTypeCategory} from '../../types.js';
+import {TypeManager} from '../../typeManager.js';
+
+if (pkg) {
+  const {dartGenerator, Order} = pkg;
+
+  /**
+   * Generate Dart code for typed global variable declaration. The variable
+   * is declared late at the top level and initialized in main().
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  dartGenerator.forBlock['typed_global_declaration'] = function(block, generator) {
+    const type = block.getFieldValue('TYPE');
+    const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+    const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+        getDefaultValue(type);
+    const dartType = getDartType(type);
+    generator.definitions_['global ' + varName] = dartType === 'dynamic' ?
+        'var ' + varName + ';' : 'late ' + dartType + ' ' + varName + ';';
+    return varName + ' = ' + value + ';\n';
+  };
+
+  /**
+   * Generate Dart code for typed local variable declaration statement.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  dartGenerator.forBlock['typed_local_declaration_statement'] = function(block, generator) {
+    const type = block.getFieldValue('TYPE');
+    const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+        getDefaultValue(type);
+    const varName = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    const dartType = getDartType(type);
+    let code = '{\n';
+    code += generator.INDENT + (dartType === 'dynamic' ? 'var' : dartType) +
+        ' ' + varName + ' = ' + value + ';\n';
+    code += generator.statementToCode(block, 'DO');
+    code += '}\n';
+    return code;
+  };
+
+  /**
+   * Generate Dart code for typed variable getter.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  dartGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
+    const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+    return [code, Order.ATOMIC];
+  };
+
+  /**
+   * Generate Dart code for typed variable setter.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  dartGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.ASSIGNMENT) || '0';
+    const varName = getVariableName(generator, block,
+        block.getFieldValue('VAR'));
+    return varName + ' = ' + argument0 + ';\n';
+  };
+
+  /**
+   * Generate Dart code for a cast. Strings are parsed into numbers, and
+   * numbers converted with toInt and toDouble; values are converted to
+   * strings with toString. Casts to booleans follow JavaScript, to which
+   * zero and the empty string are false. Casts to other types are type
+   * casts with as.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  dartGenerator.forBlock['typed_cast'] = function(block, generator) {
+    const type = block.getFieldValue('TYPE');
+    const sourceCategory = getTypeCategory(new TypeManager(block.workspace)
+        .inferValueType(block.getInputTargetBlock('VALUE')));
+    const value = (order) => generator.valueToCode(block, 'VALUE', order) ||
+        getDefaultValue(type);
+    switch (getTypeCategory(type)) {
+      case 'number': {
+        const dartType = getDartType(type);
+        if (sourceCategory === 'string') {
+          return [dartType + '.parse(' + value(Order.NONE) + ')',
+            Order.UNARY_POSTFIX];
+        }
+        if (dartType === 'num') {
+          return [value(Order.NONE), Order.NONE];
+        }
+        return [value(Order.UNARY_POSTFIX) +
+            (dartType === 'int' ? '.toInt()' : '.toDouble()'),
+          Order.UNARY_POSTFIX];
+      }
+      case 'string':
+        return [value(Order.UNARY_POSTFIX) + '.toString()',
+          Order.UNARY_POSTFIX];
+      case 'boolean':
+        if (sourceCategory === 'number') {
+          return [value(Order.EQUALITY) + ' != 0', Order.EQUALITY];
+        }
+        if (sourceCategory === 'string') {
+          return [value(Order.UNARY_POSTFIX) + '.isNotEmpty',
+            Order.UNARY_POSTFIX];
+        }
+        return [value(Order.NONE), Order.NONE];
+      default: {
+        const dartType = getDartType(type);
+        return dartType === 'dynamic' ? [value(Order.NONE), Order.NONE] :
+            ['(' + value(Order.NONE) + ' as ' + dartType + ')', Order.ATOMIC];
+      }
+    }
+  };
+
+  /**
+   * Get the Dart type for a type from the type dropdown.
+   * @param {string} type The type.
+   * @return {string} The Dart type.
+   */
+  function getDartType(type) {
+    switch (type) {
+      case 'number':
+        return 'num';
+      case 'int':
+        return 'int';
+      case 'float':
+      case 'double':
+        return 'double';
+      case 'string':
+      case 'char*':
+        return 'String';
+      case 'boolean':
+      case 'bool':
+        return 'bool';
+      case 'array':
+        return 'List';
+      case 'number[]':
+        return 'List<num>';
+      case 'string[]':
+        return 'List<String>';
+      case 'boolean[]':
+        return 'List<bool>';
+      case 'object':
+        return 'Map';
+      default:
+        return 'dynamic';
+    }
+  }
+
+  /**
+   * Get the Dart default value for a type.
+   * @param {string} type The type.
+   * @return {string} The default value.
+   */
+  function getDefaultValue(type) {
+    switch (getTypeCategory(type)) {
+      case 'number':
+        // Dart's doubles need a double literal.
+        return type === 'float' || type === 'double' ? '0.0' : '0';
+      case 'string':
+        return '\'\'';
+      case 'boolean':
+        return 'false';
+      case 'list':
+        return '[]';
+      case 'map':
+      case 'object':
+        return '{}';
+      case 'set':
+        return '<dynamic>{}';
+      default:
+        return 'null';
+    }
+  }
+}
@@ -0,0 +1,182 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Lowering of local_declaration_expression for JavaScript-like
+ * generators. By default the block is generated as an immediately invoked
+ * function, which changes the meaning of this, await and yield in its body
+ * and costs a closure each time it's evaluated. With the generator's
+ * LOCAL_EXPRESSION_LOWERING option set to LocalExpressionLowering.HOIST, its
+ * locals are instead hoisted to uniquely named temporaries, declared in
+ * front of the statement that contains the block, and the block becomes a
+ * comma expression that assigns them and then evaluates the body.
+ */
+
+'use strict';
+
+import * as Shared from '../shared.js';
+import * as Blockly from 'blockly/core';
+import {LexicalVariable} from '../fields/field_lexical_variable.js';
+import {declareDistinctNames, getDeclaredName} from './lexical-names.js';
+
+/**
+ * Values of a generator's LOCAL_EXPRESSION_LOWERING option.
+ * @enum {string}
+ */
+export const LocalExpressionLowering = {
+  IIFE: 'iife',
+  HOIST: 'hoist',
+};
+
+/**
+ * Temporaries waiting to be declared, per generator, per statement block.
+ * @type {WeakMap<Blockly.CodeGenerator,
+ *     WeakMap<Blockly.Block, !Array<string>>>}
+ */
+const pendingTemporaries = new WeakMap();
+
+/**
+ * Get the table of temporaries waiting to be declared for a generator.
+ * @param {Blockly.CodeGenerator} generator
+ * @return {WeakMap<Blockly.Block, !Array<string>>}
+ */
+function pendingFor(generator) {
+  let table = pendingTemporaries.get(generator);
+  if (!table) {
+    table = new WeakMap();
+    pendingTemporaries.set(generator, table);
+  }
+  return table;
+}
+
+/**
+ * Find the statement that contains a value block, i.e., the statement that
+ * the value block's temporaries are declared in front of.
+ * @param {Blockly.Block} block The value block.
+ * @return {Blockly.Block} The statement, or null if the block isn't part of
+ *     one.
+ */
+export function getEnclosingStatement(block) {
+  let parent = block.getParent();
+  while (parent && parent.outputConnection) {
+    parent = parent.getParent();
+  }
+  return parent;
+}
+
+/**
+ * Whether a local_declaration_expression is to be lowered by hoisting its
+ * locals. This is the case if the generator's option asks for it and there
+ * is a statement to hoist them into.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The local_declaration_expression block.
+ * @return {boolean}
+ */
+export function isHoisted(generator, block) {
+  return generator.LOCAL_EXPRESSION_LOWERING ===
+      LocalExpressionLowering.HOIST && !!getEnclosingStatement(block);
+}
+
+/**
+ * Allocate names for the temporaries that hold the lexical names declared by
+ * a hoisted local_declaration_expression. Besides being distinct from every
+ * name generated so far, they avoid every name that other blocks declare
+ * under its plain name, so that a temporary can't capture, or be captured
+ * by, a variable wherever it ends up.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The local_declaration_expression block.
+ * @return {!Array<string>} The names of the temporaries, in the order the
+ *     block declares its names.
+ */
+export function declareTemporaries(generator, block) {
+  block.workspace.getAllBlocks(false).forEach((otherBlock) => {
+    // Getters and setters have a getDeclaredVars too, for the name they
+    // refer to, so only the blocks that introduce a scope or a global count.
+    // Other hoisted expressions get distinct names anyway.
+    if (otherBlock !== block && (otherBlock.withLexicalVarsAndPrefix ||
+        otherBlock.getGlobalNames ||
+        otherBlock.type === 'typed_global_declaration') &&
+        !(otherBlock.type === 'local_declaration_expression' &&
+          isHoisted(generator, otherBlock))) {
+      // Getting the name reserves it.
+      otherBlock.getDeclaredVars().forEach((name) =>
+        generator.nameDB_.getName(name, Blockly.VARIABLE_CATEGORY_NAME));
+    }
+  });
+  return declareDistinctNames(generator, block, block.getDeclaredVars());
+}
+
+/**
+ * Declare temporaries in front of the statement that contains a value block.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The value block.
+ * @param {!Array<string>} names The generated names of the temporaries.
+ */
+export function hoistTemporaries(generator, block, names) {
+  const table = pendingFor(generator);
+  const statement = getEnclosingStatement(block);
+  table.set(statement, (table.get(statement) || []).concat(names));
+}
+
+/**
+ * Take the temporaries waiting to be declared in front of a statement.
+ * Generators for statements that need to put the declarations somewhere
+ * other than in front of themselves (e.g., inside a procedure's body, for
+ * temporaries hoisted out of its return value) can take them first.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} statement
+ * @return {!Array<string>} The generated names of the temporaries.
+ */
+export function takeTemporaries(generator, statement) {
+  const table = pendingFor(generator);
+  const names = table.get(statement) || [];
+  table.delete(statement);
+  return names;
+}
+
+/**
+ * Set a generator up to declare hoisted temporaries. Its scrub_, which
+ * Blockly calls with the code for each block, is wrapped to put the
+ * declaration of the temporaries hoisted out of a statement in front of it.
+ * The LOCAL_EXPRESSION_LOWERING option defaults to IIFE.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {function(!Array<string>): string} declare Generates the
+ *     declaration of the given temporaries, including the newline.
+ */
+export function installHoisting(generator, declare) {
+  generator.LOCAL_EXPRESSION_LOWERING = LocalExpressionLowering.IIFE;
+  const scrub = generator.scrub_;
+  generator.scrub_ = function(block, code, opt_thisOnly) {
+    if (!block.outputConnection) {
+      const names = takeTemporaries(this, block);
+      if (names.length) {
+        code = declare(names) + code;
+      }
+    }
+    return scrub.call(this, block, code, opt_thisOnly);
+  };
+}
+
+/**
+ * Get the generated name of the variable a getter or setter refers to, if
+ * it's declared by a local_declaration_expression that was hoisted.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The getter or setter.
+ * @param {string} fieldValue The (possibly "global"-prefixed) variable name.
+ * @return {?string} The name of the temporary, or null if the variable isn't
+ *     held in one.
+ */
+export function getHoistedName(generator, block, fieldValue) {
+  const [prefix, name] = Shared.unprefixName(fieldValue);
+  if (prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+      prefix === Shared.GLOBAL_KEYWORD) {
+    return null;
+  }
+  const declBlock = LexicalVariable.getBindingBlock(block, name);
+  if (!declBlock || declBlock.type !== 'local_declaration_expression' ||
+      !isHoisted(generator, declBlock)) {
+    return null;
+  }
+  return getDeclaredName(generator, declBlock, name);
+}
@@ -0,0 +1,277 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Name allocation for generators whose target language doesn't
+ * scope variables the way our blocks do (e.g., Python, where every name
+ * assigned in a function is local to the whole function). Each declaration is
+ * given a name in the generated code that can't collide with any other
+ * binding visible at that point, and every getter and setter is resolved to
+ * the declaration that binds it.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as Shared from '../shared.js';
+import {LexicalVariable} from '../fields/field_lexical_variable.js';
+
+/**
+ * Generated names, per generator, per declaring block, per declared name.
+ * @type {WeakMap<Blockly.CodeGenerator,
+ *     WeakMap<Blockly.Block, Map<string, string>>>}
+ */
+const generatedNames = new WeakMap();
+
+/**
+ * Get the table of generated names kept for the given generator.
+ * @param {Blockly.CodeGenerator} generator
+ * @return {WeakMap<Blockly.Block, Map<string, string>>}
+ */
+function tableFor(generator) {
+  let table = generatedNames.get(generator);
+  if (!table) {
+    table = new WeakMap();
+    generatedNames.set(generator, table);
+  }
+  return table;
+}
+
+/**
+ * Get the names of all global declarations in the block's workspace.
+ * @param {Blockly.Block} block
+ * @return {!Array<string>}
+ */
+export function getGlobalNames(block) {
+  const globals = [];
+  block.workspace.getTopBlocks(false).forEach((topBlock) => {
+    if (topBlock.getGlobalNames) {
+      globals.push(...topBlock.getGlobalNames());
+    }
+  });
+  return globals;
+}
+
+/**
+ * Get the generated name for a global variable.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {string} name The unprefixed global name.
+ * @return {string}
+ */
+export function getGlobalName(generator, name) {
+  return generator.nameDB_.getName(name, Blockly.VARIABLE_CATEGORY_NAME);
+}
+
+/**
+ * Get the generated name of a lexical name declared by the given block. If
+ * the declaration hasn't been generated yet, the name is used as is.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} declBlock The declaring block.
+ * @param {string} name The declared name.
+ * @return {string}
+ */
+export function getDeclaredName(generator, declBlock, name) {
+  const names = tableFor(generator).get(declBlock);
+  return (names && names.get(name)) ||
+      generator.nameDB_.getName(name, Blockly.VARIABLE_CATEGORY_NAME);
+}
+
+/**
+ * Collect the generated names of every global and every lexical variable in
+ * scope at the given block.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block
+ * @return {!Set<string>}
+ */
+export function getNamesInUse(generator, block) {
+  const inUse = new Set(
+      getGlobalNames(block).map((name) => getGlobalName(generator, name)));
+  let child = block;
+  let parent = block.getParent();
+  while (parent) {
+    if (parent.withLexicalVarsAndPrefix) {
+      const declBlock = parent;
+      declBlock.withLexicalVarsAndPrefix(child, (lexVar) => {
+        inUse.add(getDeclaredName(generator, declBlock, lexVar));
+      });
+    }
+    child = parent;
+    parent = parent.getParent();
+  }
+  return inUse;
+}
+
+/**
+ * Allocate the generated names for the lexical names declared by the given
+ * block. A plain name is kept unless it would shadow a global or a lexical
+ * variable in scope, in which case a distinct name is chosen.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} declBlock The declaring block.
+ * @param {!Array<string>} declared The declared names.
+ * @param {boolean=} opt_blockScoped True if the target language gives the
+ *     declaration its own scope (e.g., Lua's local), so that only globals
+ *     need to be avoided.
+ * @return {!Array<string>} The names to use in the generated code, in the
+ *     same order as declared.
+ */
+export function declareNames(generator, declBlock, declared,
+    opt_blockScoped) {
+  const inUse = opt_blockScoped ?
+      new Set(getGlobalNames(declBlock).map(
+          (name) => getGlobalName(generator, name))) :
+      getNamesInUse(generator, declBlock);
+  const names = new Map();
+  declared.forEach((name) => {
+    let generated =
+        generator.nameDB_.getName(name, Blockly.VARIABLE_CATEGORY_NAME);
+    if (inUse.has(generated)) {
+      generated = generator.nameDB_.getDistinctName(name,
+          Blockly.VARIABLE_CATEGORY_NAME);
+    }
+    inUse.add(generated);
+    names.set(name, generated);
+  });
+  tableFor(generator).set(declBlock, names);
+  return declared.map((name) => names.get(name));
+}
+
+/**
+ * Allocate generated names for the lexical names declared by the given block
+ * that are distinct from every name generated so far. This is for
+ * declarations that the generated code moves out of their scope (e.g.,
+ * hoisted out of an expression), where they may meet names that the blocks
+ * keep apart.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} declBlock The declaring block.
+ * @param {!Array<string>} declared The declared names.
+ * @return {!Array<string>} The names to use in the generated code, in the
+ *     same order as declared.
+ */
+export function declareDistinctNames(generator, declBlock, declared) {
+  const names = new Map();
+  declared.forEach((name) => {
+    names.set(name, generator.nameDB_.getDistinctName(name,
+        Blockly.VARIABLE_CATEGORY_NAME));
+  });
+  tableFor(generator).set(declBlock, names);
+  return declared.map((name) => names.get(name));
+}
+
+/**
+ * Get the generated name for the variable referenced by a getter or setter.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The getter or setter block.
+ * @param {string} fieldValue The (possibly "global"-prefixed) variable name.
+ * @return {string}
+ */
+export function getVariableName(generator, block, fieldValue) {
+  const [prefix, name] = Shared.unprefixName(fieldValue);
+  if (prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+      prefix === Shared.GLOBAL_KEYWORD) {
+    return getGlobalName(generator, name);
+  }
+  const declBlock = LexicalVariable.getBindingBlock(block, name);
+  if (declBlock) {
+    return getDeclaredName(generator, declBlock, name);
+  }
+  return generator.nameDB_.getName(
+      Shared.possiblyPrefixGeneratedVarName(prefix)(name),
+      Blockly.VARIABLE_CATEGORY_NAME);
+}
+
+/**
+ * Types of the blocks that refer to a variable through their VAR field.
+ * @type {!Array<string>}
+ */
+const VARIABLE_SETTERS = ['lexical_variable_set', 'typed_lexical_variable_set'];
+const VARIABLE_REFERENCES = [
+  'lexical_variable_get',
+  'typed_lexical_variable_get',
+  ...VARIABLE_SETTERS,
+];
+
+/**
+ * Get the names of the globals referred to by blocks of the given types
+ * anywhere inside the given block.
+ * @param {Blockly.Block} block
+ * @param {!Array<string>} types
+ * @return {!Array<string>} The unprefixed global names, without duplicates.
+ */
+function collectGlobals(block, types) {
+  const globals = [];
+  block.getDescendants(false).forEach((descendant) => {
+    if (types.includes(descendant.type)) {
+      const [prefix, name] =
+          Shared.unprefixName(descendant.getFieldValue('VAR'));
+      if ((prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+          prefix === Shared.GLOBAL_KEYWORD) && !globals.includes(name)) {
+        globals.push(name);
+      }
+    }
+  });
+  return globals;
+}
+
+/**
+ * Get the names of the globals assigned anywhere inside the given block.
+ * @param {Blockly.Block} block
+ * @return {!Array<string>} The unprefixed global names, without duplicates.
+ */
+export function getAssignedGlobals(block) {
+  return collectGlobals(block, VARIABLE_SETTERS);
+}
+
+/**
+ * Get the names of the globals read or assigned anywhere inside the given
+ * block.
+ * @param {Blockly.Block} block
+ * @return {!Array<string>} The unprefixed global names, without duplicates.
+ */
+export function getReferencedGlobals(block) {
+  return collectGlobals(block, VARIABLE_REFERENCES);
+}
+
+/**
+ * Get the generated names of the variables that code generated for the
+ * given inputs of a block refers to but doesn't bind itself, i.e., the
+ * variables a closure built from those inputs has to capture. Names bound by
+ * the block itself (e.g., the locals of local_declaration_expression) are
+ * not captured.
+ * @param {Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block
+ * @param {!Array<string>} inputNames The inputs that form the closure body.
+ * @return {!Array<string>} The generated names, without duplicates.
+ */
+export function getCapturedNames(generator, block, inputNames) {
+  const body = [];
+  inputNames.forEach((inputName) => {
+    const target = block.getInputTargetBlock(inputName);
+    if (target) {
+      body.push(...target.getDescendants(false));
+    }
+  });
+  const captured = [];
+  body.forEach((descendant) => {
+    if (!VARIABLE_REFERENCES.includes(descendant.type)) {
+      return;
+    }
+    const [prefix, name] =
+        Shared.unprefixName(descendant.getFieldValue('VAR'));
+    let generated;
+    if (prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+        prefix === Shared.GLOBAL_KEYWORD) {
+      generated = getGlobalName(generator, name);
+    } else {
+      const declBlock = LexicalVariable.getBindingBlock(descendant, name);
+      if (!declBlock || declBlock === block || body.includes(declBlock)) {
+        return;
+      }
+      generated = getDeclaredName(generator, declBlock, name);
+    }
+    if (!captured.includes(generated)) {
+      captured.push(generated);
+    }
+  });
+  return captured;
+}
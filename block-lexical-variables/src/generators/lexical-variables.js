@@ -3,12 +3,21 @@
 import * as Shared from '../shared.js';
 import * as Blockly from 'blockly/core';
 import * as pkg from 'blockly/javascript';
+import {declareTemporaries, getHoistedName, hoistTemporaries, installHoisting, isHoisted} from './hoisting.js';
+import {containsAwait} from './async.js';
+import {isYielding} from './stepping.js';
+import {installScopeWatch, publishScope} from './scope-frames.js';
 
 if (pkg) {
 // We might be loaded into an environment that doesn't have Blockly's JavaScript generator.
   const {javascriptGenerator, Order} = pkg;
+  installHoisting(javascriptGenerator,
+      (names) => 'let ' + names.join(', ') + ';\n');
+  installScopeWatch(javascriptGenerator, (generator, name) => name);
+
   javascriptGenerator.forBlock['lexical_variable_get'] = function (block, generator) {
-    const code = getVariableName(block.getFieldValue('VAR'));
+    const code = getHoistedName(generator, block, block.getFieldValue('VAR')) ||
+        getVariableName(block.getFieldValue('VAR'));
     return [code, Order.ATOMIC];
   };
 
@@ -38,7 +47,9 @@ if (pkg) {
   function genBasicSetterCode(block, varFieldName, generator) {
     const argument0 = generator.valueToCode(block, 'VALUE',
         Order.ASSIGNMENT) || '0';
-    const varName = getVariableName(block.getFieldValue(varFieldName));
+    const varName =
+        getHoistedName(generator, block, block.getFieldValue(varFieldName)) ||
+        getVariableName(block.getFieldValue(varFieldName));
     return varName + ' = ' + argument0 + ';\n';
   }
 
@@ -52,11 +63,19 @@ if (pkg) {
     return 'var ' + genBasicSetterCode(block, 'NAME', generator);
   };
 
+  /**
+   * Get the generated name of a local.
+   * @param {string} name
+   * @return {string}
+   */
+  function getLocalName(name) {
+    return (Shared.usePrefixInCode ? 'local_' : '') + name;
+  }
+
   function generateDeclarations(block, generator) {
-    let code = '{\n  let ';
+    let code = generator.INDENT + 'let ';
     for (let i = 0; block.getFieldValue('VAR' + i); i++) {
-      code += (Shared.usePrefixInCode ? 'local_' : '') +
-          block.getFieldValue('VAR' + i);
+      code += getLocalName(block.getFieldValue('VAR' + i));
       code += ' = ' + (generator.valueToCode(block,
           'DECL' + i, Order.NONE) || '0');
       code += ', ';
@@ -68,31 +87,60 @@ if (pkg) {
   }
 
   javascriptGenerator.forBlock['local_declaration_statement'] = function (block, generator) {
-    let code = generateDeclarations(block, generator);
-    code += generator.statementToCode(block, 'STACK');
+    let code = '{\n' + generateDeclarations(block, generator);
+    code += publishScope(generator, block,
+        block.getDeclaredVars().map((name) => [name, getLocalName(name)]),
+        generator.statementToCode(block, 'STACK'));
     code += '}\n';
     return code;
   };
 
   javascriptGenerator.forBlock['local_declaration_expression'] = function (block, generator) {
-    // TODO: This can probably be redone to use the variables as parameters to the generated function
-    // and then call the function with the generated variable values.
-    let code = '(function() {\n'
+    if (isHoisted(generator, block)) {
+      // The locals are held in temporaries declared in front of the
+      // enclosing statement (see hoisting.js), so this becomes a comma
+      // expression that assigns them and then evaluates the body.
+      const inits = [];
+      for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+        inits.push(generator.valueToCode(block, 'DECL' + i,
+            Order.ASSIGNMENT) || '0');
+      }
+      const temps = declareTemporaries(generator, block);
+      hoistTemporaries(generator, block, temps);
+      const parts = temps.map((temp, i) => temp + ' = ' + inits[i]);
+      parts.push(generator.valueToCode(block, 'RETURN', Order.COMMA) ||
+          'null');
+      return [parts.join(', '), Order.COMMA];
+    }
+    // In async mode, the function is async, and awaited, if its body awaits
+    // anything. In yield step mode, it's a generator function, delegated to
+    // with yield*, as its body may call procedures.
+    const isAsync = containsAwait(generator, block);
+    const isGenerator = isYielding(generator);
+    let code = '(' + (isAsync ? 'async function' :
+        isGenerator ? 'function*' : 'function') + '() {\n';
     code += generateDeclarations(block, generator);
-    code += 'return ' + (generator.valueToCode(block,
-        'RETURN', Order.NONE) || 'null');
-    code += '}})()\n';
-    return [code, Order.NONE];
+    code += generator.INDENT + 'return ' + (generator.valueToCode(block,
+        'RETURN', Order.NONE) || 'null') + ';\n';
+    code += '})()';
+    if (isAsync) {
+      return ['await ' + code, Order.AWAIT];
+    }
+    if (isGenerator) {
+      return ['yield* ' + code, Order.YIELD];
+    }
+    return [code, Order.FUNCTION_CALL];
   };
 
   javascriptGenerator.forBlock['simple_local_declaration_statement'] = function (block, generator) {
+    const name = block.getFieldValue('VAR');
     let code = '{\n  let ';
-    code += (Shared.usePrefixInCode ? 'local_' : '') +
-        block.getFieldValue('VAR');
+    code += getLocalName(name);
     code += ' = ' + (generator.valueToCode(block,
         'DECL', Order.NONE) || '0');
     code += ';\n';
-    code += generator.statementToCode(block, 'DO');
+    code += publishScope(generator, block, [[name, getLocalName(name)]],
+        generator.statementToCode(block, 'DO'));
     code += '}\n';
     return code;
   }
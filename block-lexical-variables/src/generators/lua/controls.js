@@ -0,0 +1,116 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as pkg from 'blockly/lua';
+import {declareNames} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's Lua generator.
+  const {luaGenerator, Order} = pkg;
+
+  /**
+   * The text Blockly's Lua generator uses to implement a continue statement.
+   */
+  const CONTINUE_STATEMENT = 'goto continue\n';
+
+  /**
+   * This code is copied from Blockly. If the loop body contains a continue
+   * statement, add a continue label to the end of the loop body.
+   * @param {string} branch Generated code of the loop body.
+   * @param {string} indent Whitespace by which to indent the label.
+   * @return {string} The loop body.
+   */
+  function addContinueLabel(branch, indent) {
+    if (branch.indexOf(CONTINUE_STATEMENT) !== -1) {
+      // False positives are possible (e.g. a string literal), but are harmless.
+      return branch + indent + '::continue::\n';
+    } else {
+      return branch;
+    }
+  }
+
+  /**
+   * This code is copied from Blockly but the loop variable and the cached
+   * increment are declared local.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {string} The generated code.
+   */
+  luaGenerator.forBlock['controls_forRange'] = function(block, generator) {
+    // For loop.
+    const startVar = generator.valueToCode(block, 'FROM', Order.NONE) || '0';
+    const endVar = generator.valueToCode(block, 'TO', Order.NONE) || '0';
+    const increment = generator.valueToCode(block, 'BY', Order.NONE) || '1';
+    const variable0 = declareNames(generator, block,
+        [block.getFieldValue('VAR')], true)[0];
+    let branch = generator.statementToCode(block, 'DO');
+    branch = generator.addLoopTrap(branch, block);
+    branch = addContinueLabel(branch, generator.INDENT);
+    let code = '';
+    let incValue;
+    if (Blockly.utils.string.isNumber(startVar) &&
+        Blockly.utils.string.isNumber(endVar) &&
+        Blockly.utils.string.isNumber(increment)) {
+      // All arguments are simple numbers.
+      const up = Number(startVar) <= Number(endVar);
+      const step = Math.abs(Number(increment));
+      incValue = (up ? '' : '-') + step;
+    } else {
+      // Determine loop direction at start, in case one of the bounds
+      // changes during loop execution.
+      incValue = generator.nameDB_.getDistinctName(
+          variable0 + '_inc', Blockly.VARIABLE_CATEGORY_NAME);
+      code += 'local ' + incValue + ' = ';
+      if (Blockly.utils.string.isNumber(increment)) {
+        code += Math.abs(increment) + '\n';
+      } else {
+        code += 'math.abs(' + increment + ')\n';
+      }
+      code += 'if (' + startVar + ') > (' + endVar + ') then\n';
+      code += generator.INDENT + incValue + ' = -' + incValue + '\n';
+      code += 'end\n';
+    }
+    code += 'for ' + variable0 + ' = ' + startVar + ', ' + endVar + ', ' +
+        incValue + ' do\n' + branch + 'end\n';
+    return code;
+  };
+  // controls_forRange and controls_for are aliases.  This is to make the
+  // controls_statement_flow block work correctly for controls_forRange.
+  luaGenerator.forBlock['controls_for'] = luaGenerator.forBlock['controls_forRange'];
+
+  /**
+   * This code is copied from Blockly but the loop variable is resolved
+   * through the lexical scope of the block.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {string} The generated code.
+   */
+  luaGenerator.forBlock['controls_forEach'] = function(block, generator) {
+    // For each loop.
+    const argument0 = generator.valueToCode(block, 'LIST', Order.NONE) || '{}';
+    const variable0 = declareNames(generator, block,
+        [block.getFieldValue('VAR')], true)[0];
+    let branch = generator.statementToCode(block, 'DO');
+    branch = generator.addLoopTrap(branch, block);
+    branch = addContinueLabel(branch, generator.INDENT);
+    return 'for _, ' + variable0 + ' in ipairs(' + argument0 + ') do\n' +
+        branch + 'end\n';
+  };
+
+  /**
+   * Run the statements, then produce the value. Lua has no statement
+   * expressions, so both are wrapped in a function that is called on the
+   * spot. Its body is a closure, so the statements still see (and can
+   * assign) the enclosing locals.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {(string|*)[]} The generated code.
+   */
+  luaGenerator.forBlock['controls_do_then_return'] = function(block, generator) {
+    const statements = generator.statementToCode(block, 'STM');
+    const value = generator.valueToCode(block, 'VALUE', Order.NONE) || 'nil';
+    const code = '(function()\n' + statements +
+        generator.INDENT + 'return ' + value + '\nend)()';
+    return [code, Order.HIGH];
+  };
+}
@@ -0,0 +1,90 @@
+'use strict';
+
+import * as pkg from 'blockly/lua';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's Lua generator.
+  const {luaGenerator, Order} = pkg;
+
+  // Lua's local and do ... end scope names the same way our blocks do, so a
+  // declaration keeps its own name unless it would hide a global that its
+  // body may still refer to.
+
+  luaGenerator.forBlock['lexical_variable_get'] = function(block, generator) {
+    const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+    return [code, Order.ATOMIC];
+  };
+
+  luaGenerator.forBlock['lexical_variable_set'] = function(block, generator) {
+    // Variable setter.
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.NONE) || '0';
+    const varName = getVariableName(generator, block,
+        block.getFieldValue('VAR'));
+    return varName + ' = ' + argument0 + '\n';
+  };
+
+  luaGenerator.forBlock['global_declaration'] = function(block, generator) {
+    // Global variable declaration
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.NONE) || '0';
+    const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+    return varName + ' = ' + argument0 + '\n';
+  };
+
+  /**
+   * Generate the local statement for the locals of a local declaration
+   * block. Lua evaluates the initializers before the new locals come into
+   * scope, which is what our blocks expect.
+   * @param {Blockly.Block} block
+   * @param generator
+   * @return {string} The code.
+   */
+  function generateDeclarations(block, generator) {
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.NONE) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars(),
+        true);
+    return 'local ' + varNames.join(', ') + ' = ' + inits.join(', ') + '\n';
+  }
+
+  luaGenerator.forBlock['local_declaration_statement'] = function(block, generator) {
+    let code = 'do\n';
+    code += generator.prefixLines(generateDeclarations(block, generator),
+        generator.INDENT);
+    code += generator.statementToCode(block, 'STACK');
+    code += 'end\n';
+    return code;
+  };
+
+  luaGenerator.forBlock['local_declaration_expression'] = function(block, generator) {
+    // The locals become the parameters of a function that is called
+    // immediately with the initializers as its arguments.
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.NONE) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars(),
+        true);
+    const body = generator.valueToCode(block, 'RETURN', Order.NONE) || 'nil';
+    const code = '(function(' + varNames.join(', ') + ') return ' + body +
+        ' end)(' + inits.join(', ') + ')';
+    return [code, Order.HIGH];
+  };
+
+  luaGenerator.forBlock['simple_local_declaration_statement'] = function(block, generator) {
+    const init = generator.valueToCode(block, 'DECL', Order.NONE) || '0';
+    const varName = declareNames(generator, block,
+        [block.getFieldValue('VAR')], true)[0];
+    let code = 'do\n';
+    code += generator.INDENT + 'local ' + varName + ' = ' + init + '\n';
+    code += generator.statementToCode(block, 'DO');
+    code += 'end\n';
+    return code;
+  };
+}
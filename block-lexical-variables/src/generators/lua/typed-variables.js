@@ -0,0 +1,131 @@
+'use strict';
+
+import * as pkg from 'blockly/lua';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+import {getTypeCategory} from '../../types.js';
+import {TypeManager} from '../../typeManager.js';
+
+if (pkg) {
+  const {luaGenerator, Order} = pkg;
+
+  // Lua is dynamically typed, so the typed blocks generate the same code as
+  // their untyped counterparts. The declared type only picks the default
+  // value used when the initializer socket is empty.
+
+  /**
+   * Generate Lua code for typed global variable declaration.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  luaGenerator.forBlock['typed_global_declaration'] = function(block, generator) {
+    const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+    const value = generator.valueToCode(block, 'DECL', Order.NONE) ||
+        getDefaultValue(block.getFieldValue('TYPE'));
+    return varName + ' = ' + value + '\n';
+  };
+
+  /**
+   * Generate Lua code for typed local variable declaration statement.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  luaGenerator.forBlock['typed_local_declaration_statement'] = function(block, generator) {
+    const value = generator.valueToCode(block, 'DECL', Order.NONE) ||
+        getDefaultValue(block.getFieldValue('TYPE'));
+    const varName = declareNames(generator, block,
+        [block.getFieldValue('VAR')], true)[0];
+    let code = 'do\n';
+    code += generator.INDENT + 'local ' + varName + ' = ' + value + '\n';
+    code += generator.statementToCode(block, 'DO');
+    code += 'end\n';
+    return code;
+  };
+
+  /**
+   * Generate Lua code for typed variable getter.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  luaGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
+    const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+    return [code, Order.ATOMIC];
+  };
+
+  /**
+   * Generate Lua code for typed variable setter.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  luaGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
+    const argument0 = generator.valueToCode(block, 'VALUE', Order.NONE) || '0';
+    const varName = getVariableName(generator, block,
+        block.getFieldValue('VAR'));
+    return varName + ' = ' + argument0 + '\n';
+  };
+
+  /**
+   * Generate Lua code for a cast. Numbers and strings are converted with
+   * tonumber and tostring, and casts to int truncate. Casts to booleans
+   * follow JavaScript, to which zero and the empty string are false;
+   * casts to other types leave the value as it is.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  luaGenerator.forBlock['typed_cast'] = function(block, generator) {
+    const type = block.getFieldValue('TYPE');
+    const sourceCategory = getTypeCategory(new TypeManager(block.workspace)
+        .inferValueType(block.getInputTargetBlock('VALUE')));
+    switch (getTypeCategory(type)) {
+      case 'number': {
+        const value = 'tonumber(' + (generator.valueToCode(block, 'VALUE',
+            Order.NONE) || '0') + ')';
+        // math.modf truncates, and the parentheses keep its first result.
+        return type === 'int' ? ['(math.modf(' + value + '))', Order.HIGH] :
+            [value, Order.HIGH];
+      }
+      case 'string':
+        return ['tostring(' + (generator.valueToCode(block, 'VALUE',
+            Order.NONE) || '\'\'') + ')', Order.HIGH];
+      case 'boolean':
+        if (sourceCategory === 'number' || sourceCategory === 'string') {
+          const value = generator.valueToCode(block, 'VALUE',
+              Order.RELATIONAL);
+          return [value + (sourceCategory === 'number' ? ' ~= 0' :
+              ' ~= \'\''), Order.RELATIONAL];
+        }
+        return ['not not ' + (generator.valueToCode(block, 'VALUE',
+            Order.UNARY) || 'false'), Order.UNARY];
+      default:
+        return [generator.valueToCode(block, 'VALUE', Order.NONE) ||
+            getDefaultValue(type), Order.NONE];
+    }
+  };
+
+  /**
+   * Get the Lua default value for a type.
+   * @param {string} type The type.
+   * @return {string} The default value.
+   */
+  function getDefaultValue(type) {
+    switch (getTypeCategory(type)) {
+      case 'number':
+        return '0';
+      case 'string':
+        return '\'\'';
+      case 'boolean':
+        return 'false';
+      case 'list':
+      case 'map':
+      case 'set':
+      case 'object':
+        return '{}';
+      default:
+        return 'nil';
+    }
+  }
+}
@@ -0,0 +1,126 @@
+'use strict';
+
+import * as pkg from 'blockly/php';
+import {
+  declareNames,
+  getCapturedNames,
+  getGlobalName,
+  getVariableName,
+} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's PHP generator.
+  const {phpGenerator, Order} = pkg;
+
+  // PHP scopes names to the whole function, so the names declared by our
+  // blocks are allocated through lexical-names.js, which renames any
+  // declaration that would otherwise shadow a name that's still in scope.
+  // Closures don't see the variables around them at all, so they capture
+  // every outside variable they use by reference.
+
+  phpGenerator.forBlock['lexical_variable_get'] = function(block, generator) {
+    const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+    return [code, Order.ATOMIC];
+  };
+
+  phpGenerator.forBlock['lexical_variable_set'] = function(block, generator) {
+    // Variable setter.
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.ASSIGNMENT) || '0';
+    const varName = getVariableName(generator, block,
+        block.getFieldValue('VAR'));
+    return varName + ' = ' + argument0 + ';\n';
+  };
+
+  phpGenerator.forBlock['global_declaration'] = function(block, generator) {
+    // Global variable declaration
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.ASSIGNMENT) || '0';
+    const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+    return varName + ' = ' + argument0 + ';\n';
+  };
+
+  /**
+   * Generate the assignments for the locals of a local declaration block.
+   * The initializers are evaluated before any of the new names are bound, so
+   * they must be generated before the names are declared.
+   * @param {Blockly.Block} block
+   * @param generator
+   * @return {string} The code.
+   */
+  function generateDeclarations(block, generator) {
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.ASSIGNMENT) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars());
+    let code = '';
+    for (let i = 0; i < varNames.length; i++) {
+      code += varNames[i] + ' = ' + inits[i] + ';\n';
+    }
+    return code;
+  }
+
+  /**
+   * Generate the use clause of a closure that captures the given variables.
+   * @param {!Array<string>} captured The generated variable names.
+   * @return {string} The code.
+   */
+  function generateUseClause(captured) {
+    if (!captured.length) {
+      return '';
+    }
+    return ' use (' + captured.map((name) => '&' + name).join(', ') + ')';
+  }
+
+  phpGenerator.forBlock['local_declaration_statement'] = function(block, generator) {
+    // PHP has no nested block scope, so the body continues at the same
+    // indentation as the declarations.
+    return generateDeclarations(block, generator) +
+        generator.blockToCode(block.getInputTargetBlock('STACK'));
+  };
+
+  phpGenerator.forBlock['local_declaration_expression'] = function(block, generator) {
+    // A closure introduces a real scope, so the locals become its parameters
+    // and the initializers its arguments.
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.NONE) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars());
+    const body = generator.valueToCode(block, 'RETURN', Order.NONE) || 'null';
+    const captured = getCapturedNames(generator, block, ['RETURN']);
+    const code = '(function(' + varNames.join(', ') + ')' +
+        generateUseClause(captured) + ' { return ' + body + '; })(' +
+        inits.join(', ') + ')';
+    return [code, Order.FUNCTION_CALL];
+  };
+
+  phpGenerator.forBlock['simple_local_declaration_statement'] = function(block, generator) {
+    const init = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+        '0';
+    const varName = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    return varName + ' = ' + init + ';\n' +
+        generator.blockToCode(block.getInputTargetBlock('DO'));
+  };
+
+  /**
+   * Run the statements, then produce the value, by calling a closure on the
+   * spot. The closure captures the outside variables it uses by reference,
+   * so assignments made by the statements are seen outside.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {(string|*)[]} The generated code.
+   */
+  phpGenerator.forBlock['controls_do_then_return'] = function(block, generator) {
+    const statements = generator.statementToCode(block, 'STM');
+    const value = generator.valueToCode(block, 'VALUE', Order.NONE) || 'null';
+    const captured = getCapturedNames(generator, block, ['STM', 'VALUE']);
+    const code = '(function()' + generateUseClause(captured) + ' {\n' +
+        statements + generator.INDENT + 'return ' + value + ';\n})()';
+    return [code, Order.FUNCTION_CALL];
+  };
+}
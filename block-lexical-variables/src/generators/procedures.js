@@ -1,14 +1,91 @@
 'use strict';
 
+import * as Shared from '../shared.js';
 import * as Blockly from 'blockly/core';
 import * as pkg from 'blockly/javascript';
+import {defineAsyncMode, isAsyncCall, isAsyncProcedure} from './async.js';
+import {takeTemporaries} from './hoisting.js';
+import {isYielding} from './stepping.js';
+import {publishScope} from './scope-frames.js';
 
 if (pkg) {
 // We might be loaded into an environment that doesn't have Blockly's JavaScript generator.
   const {javascriptGenerator, Order} = pkg;
+  // See async.js.
+  defineAsyncMode(javascriptGenerator);
+
+  /**
+   * This code is adapted from Blockly. Parameters come from the block's
+   * arguments_ rather than from Blockly variables, and in async mode the
+   * function is async if its body contains async blocks. In yield step mode
+   * (see stepping.js), it's a generator function.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {null} Procedures are emitted as definitions.
+   */
+  javascriptGenerator.forBlock['procedures_defreturn'] = function (block, generator) {
+    const funcName = generator.getProcedureName(block.getFieldValue('NAME'));
+    const params = block.getParameters();
+    const args = params.map(Shared.possiblyPrefixGeneratedVarName(
+        Shared.procedureParameterPrefix));
+    let xfix1 = '';
+    if (generator.STATEMENT_PREFIX) {
+      xfix1 += generator.injectId(generator.STATEMENT_PREFIX, block);
+    }
+    if (generator.STATEMENT_SUFFIX) {
+      xfix1 += generator.injectId(generator.STATEMENT_SUFFIX, block);
+    }
+    if (xfix1) {
+      xfix1 = generator.prefixLines(xfix1, generator.INDENT);
+    }
+    let loopTrap = '';
+    if (generator.INFINITE_LOOP_TRAP) {
+      loopTrap = generator.prefixLines(
+          generator.injectId(generator.INFINITE_LOOP_TRAP, block),
+          generator.INDENT);
+    }
+    let branch = '';
+    if (block.getInput('STACK')) {
+      branch = generator.statementToCode(block, 'STACK');
+    }
+    let returnValue = '';
+    if (block.getInput('RETURN')) {
+      returnValue = generator.valueToCode(block, 'RETURN', Order.NONE) ||
+          'null';
+    }
+    if (returnValue) {
+      returnValue = generator.INDENT + 'return ' + returnValue + ';\n';
+    }
+    // Temporaries hoisted out of the return value are local to the function.
+    const temps = takeTemporaries(generator, block);
+    if (temps.length) {
+      returnValue = generator.INDENT + 'let ' + temps.join(', ') + ';\n' +
+          returnValue;
+    }
+    const body = publishScope(generator, block,
+        params.map((param, i) => [param, args[i]]), branch + returnValue);
+    let keyword = 'function ';
+    if (isAsyncProcedure(generator, block)) {
+      keyword = 'async function ';
+    } else if (isYielding(generator)) {
+      keyword = 'function* ';
+    }
+    let code = keyword + funcName + '(' + args.join(', ') + ') {\n' +
+        xfix1 + loopTrap + body + '}';
+    code = generator.scrub_(block, code);
+    // Add % so as not to collide with helper functions in definitions list.
+    generator.definitions_['%' + funcName] = code;
+    return null;
+  };
+
+  // Defining a procedure without a return value uses the same generator as
+  // a procedure with a return value.
+  javascriptGenerator.forBlock['procedures_defnoreturn'] = javascriptGenerator.forBlock['procedures_defreturn'];
+
   /**
    * This code is copied from Blockly but the 'NAME' field is changed to
-   * 'PROCNAME'.
+   * 'PROCNAME', and in async mode calls to async procedures are awaited.
+   * In yield step mode, the call delegates to the procedure with yield*.
    * @param {Blockly.Block} block The block to generate code for.
    * @param generator The generator that will be passed in.
    * @return {(string|*)[]} The generated code.
@@ -24,6 +101,12 @@ if (pkg) {
           Order.NONE) || 'null';
     }
     const code = funcName + '(' + args.join(', ') + ')';
+    if (isAsyncCall(generator, block)) {
+      return ['await ' + code, Order.AWAIT];
+    }
+    if (isYielding(generator)) {
+      return ['yield* ' + code, Order.YIELD];
+    }
     return [code, Order.FUNCTION_CALL];
   };
 }
@@ -0,0 +1,137 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as pkg from 'blockly/python';
+import {declareNames} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's Python generator.
+  const {pythonGenerator, Order} = pkg;
+  /**
+   * This code is copied from Blockly but the loop variable is allocated so
+   * that it can't clobber a variable of the same name in an enclosing scope.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {string} The generated code.
+   */
+  pythonGenerator.forBlock['controls_forRange'] = function(block, generator) {
+    // For loop.
+    let argument0 = generator.valueToCode(block, 'FROM', Order.NONE) || '0';
+    let argument1 = generator.valueToCode(block, 'TO', Order.NONE) || '0';
+    let increment = generator.valueToCode(block, 'BY', Order.NONE) || '1';
+    const variable0 = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    let branch = generator.statementToCode(block, 'DO');
+    branch = generator.addLoopTrap(branch, block) || generator.PASS;
+
+    let code = '';
+    let range;
+
+    // Helper functions.
+    const defineUpRange = function() {
+      return generator.provideFunction_('upRange', `
+def ${generator.FUNCTION_NAME_PLACEHOLDER_}(start, stop, step):
+  while start <= stop:
+    yield start
+    start += abs(step)
+`);
+    };
+    const defineDownRange = function() {
+      return generator.provideFunction_('downRange', `
+def ${generator.FUNCTION_NAME_PLACEHOLDER_}(start, stop, step):
+  while start >= stop:
+    yield start
+    start -= abs(step)
+`);
+    };
+    // Arguments are legal Python code (numbers or strings returned by
+    // scrub()).
+    const generateUpDownRange = function(start, end, inc) {
+      return '(' + start + ' <= ' + end + ') and ' + defineUpRange() + '(' +
+          start + ', ' + end + ', ' + inc + ') or ' + defineDownRange() + '(' +
+          start + ', ' + end + ', ' + inc + ')';
+    };
+
+    if (Blockly.utils.string.isNumber(argument0) &&
+        Blockly.utils.string.isNumber(argument1) &&
+        Blockly.utils.string.isNumber(increment)) {
+      // All parameters are simple numbers.
+      argument0 = Number(argument0);
+      argument1 = Number(argument1);
+      increment = Math.abs(Number(increment));
+      if (argument0 % 1 === 0 && argument1 % 1 === 0 &&
+          increment % 1 === 0) {
+        // All parameters are integers.
+        if (argument0 <= argument1) {
+          // Count up.
+          argument1++;
+          if (argument0 === 0 && increment === 1) {
+            // If starting index is 0, omit it.
+            range = argument1;
+          } else {
+            range = argument0 + ', ' + argument1;
+          }
+          // If increment isn't 1, it must be explicit.
+          if (increment !== 1) {
+            range += ', ' + increment;
+          }
+        } else {
+          // Count down.
+          argument1--;
+          range = argument0 + ', ' + argument1 + ', -' + increment;
+        }
+        range = 'range(' + range + ')';
+      } else {
+        // At least one of the parameters is not an integer.
+        if (argument0 < argument1) {
+          range = defineUpRange();
+        } else {
+          range = defineDownRange();
+        }
+        range += '(' + argument0 + ', ' + argument1 + ', ' + increment + ')';
+      }
+    } else {
+      // Cache non-trivial values to variables to prevent repeated look-ups.
+      const scrub = function(arg, suffix) {
+        if (Blockly.utils.string.isNumber(arg)) {
+          // Simple number.
+          arg = String(Number(arg));
+        } else if (!arg.match(/^\w+$/)) {
+          // Not a variable, it's complicated.
+          const varName = generator.nameDB_.getDistinctName(
+              variable0 + suffix, Blockly.VARIABLE_CATEGORY_NAME);
+          code += varName + ' = ' + arg + '\n';
+          arg = varName;
+        }
+        return arg;
+      };
+      const startVar = scrub(argument0, '_start');
+      const endVar = scrub(argument1, '_end');
+      const incVar = scrub(increment, '_inc');
+      range = generateUpDownRange(startVar, endVar, incVar);
+    }
+    code += 'for ' + variable0 + ' in ' + range + ':\n' + branch;
+    return code;
+  };
+  // controls_forRange and controls_for are aliases.  This is to make the
+  // controls_statement_flow block work correctly for controls_forRange.
+  pythonGenerator.forBlock['controls_for'] = pythonGenerator.forBlock['controls_forRange'];
+
+  /**
+   * This code is copied from Blockly but the loop variable is allocated so
+   * that it can't clobber a variable of the same name in an enclosing scope.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {string} The generated code.
+   */
+  pythonGenerator.forBlock['controls_forEach'] = function(block, generator) {
+    // For each loop.
+    const argument0 = generator.valueToCode(block, 'LIST',
+        Order.RELATIONAL) || '[]';
+    const variable0 = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    let branch = generator.statementToCode(block, 'DO');
+    branch = generator.addLoopTrap(branch, block) || generator.PASS;
+    return 'for ' + variable0 + ' in ' + argument0 + ':\n' + branch;
+  };
+}
@@ -0,0 +1,88 @@
+'use strict';
+
+import * as pkg from 'blockly/python';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's Python generator.
+  const {pythonGenerator, Order} = pkg;
+
+  // Python scopes names to the whole function, so the names declared by our
+  // blocks are allocated through lexical-names.js, which renames any
+  // declaration that would otherwise shadow a name that's still in scope.
+
+  pythonGenerator.forBlock['lexical_variable_get'] = function(block, generator) {
+    const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+    return [code, Order.ATOMIC];
+  };
+
+  pythonGenerator.forBlock['lexical_variable_set'] = function(block, generator) {
+    // Variable setter.
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.NONE) || '0';
+    const varName = getVariableName(generator, block,
+        block.getFieldValue('VAR'));
+    return varName + ' = ' + argument0 + '\n';
+  };
+
+  pythonGenerator.forBlock['global_declaration'] = function(block, generator) {
+    // Global variable declaration
+    const argument0 = generator.valueToCode(block, 'VALUE',
+        Order.NONE) || '0';
+    const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+    return varName + ' = ' + argument0 + '\n';
+  };
+
+  /**
+   * Generate the assignments for the locals of a local declaration block.
+   * The initializers are evaluated before any of the new names are bound, so
+   * they must be generated before the names are declared.
+   * @param {Blockly.Block} block
+   * @param generator
+   * @return {string} The code.
+   */
+  function generateDeclarations(block, generator) {
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.NONE) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars());
+    let code = '';
+    for (let i = 0; i < varNames.length; i++) {
+      code += varNames[i] + ' = ' + inits[i] + '\n';
+    }
+    return code;
+  }
+
+  pythonGenerator.forBlock['local_declaration_statement'] = function(block, generator) {
+    // Python has no nested block scope, so the body continues at the same
+    // indentation as the declarations.
+    return generateDeclarations(block, generator) +
+        generator.blockToCode(block.getInputTargetBlock('STACK'));
+  };
+
+  pythonGenerator.forBlock['local_declaration_expression'] = function(block, generator) {
+    // A lambda introduces a real scope, so the locals become its parameters
+    // and the initializers its arguments.
+    const inits = [];
+    for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+      inits.push(generator.valueToCode(block, 'DECL' + i, Order.NONE) ||
+          '0');
+    }
+    const varNames = declareNames(generator, block, block.getDeclaredVars());
+    const body = generator.valueToCode(block, 'RETURN', Order.LAMBDA) ||
+        'None';
+    const code = '(lambda ' + varNames.join(', ') + ': ' + body + ')(' +
+        inits.join(', ') + ')';
+    return [code, Order.FUNCTION_CALL];
+  };
+
+  pythonGenerator.forBlock['simple_local_declaration_statement'] = function(block, generator) {
+    const init = generator.valueToCode(block, 'DECL', Order.NONE) || '0';
+    const varName = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    return varName + ' = ' + init + '\n' +
+        generator.blockToCode(block.getInputTargetBlock('DO'));
+  };
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as pkg from 'blockly/python';
+import {declareNames, getAssignedGlobals, getGlobalName} from '../lexical-names.js';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's Python generator.
+  const {pythonGenerator, Order} = pkg;
+  /**
+   * This code is adapted from Blockly. Parameters come from the block's
+   * arguments_ rather than from Blockly variables, and only the globals that
+   * the body assigns to are declared global.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {null} Procedures are emitted as definitions.
+   */
+  pythonGenerator.forBlock['procedures_defreturn'] = function(block, generator) {
+    const globals = getAssignedGlobals(block).map(
+        (name) => getGlobalName(generator, name));
+    const globalString = globals.length ?
+        generator.INDENT + 'global ' + globals.join(', ') + '\n' : '';
+    const funcName = generator.getProcedureName(block.getFieldValue('NAME'));
+    const args = declareNames(generator, block, block.getParameters());
+    let xfix1 = '';
+    if (generator.STATEMENT_PREFIX) {
+      xfix1 += generator.injectId(generator.STATEMENT_PREFIX, block);
+    }
+    if (generator.STATEMENT_SUFFIX) {
+      xfix1 += generator.injectId(generator.STATEMENT_SUFFIX, block);
+    }
+    if (xfix1) {
+      xfix1 = generator.prefixLines(xfix1, generator.INDENT);
+    }
+    let loopTrap = '';
+    if (generator.INFINITE_LOOP_TRAP) {
+      loopTrap = generator.prefixLines(
+          generator.injectId(generator.INFINITE_LOOP_TRAP, block),
+          generator.INDENT);
+    }
+    let branch = '';
+    if (block.getInput('STACK')) {
+      branch = generator.statementToCode(block, 'STACK');
+    }
+    let returnValue = '';
+    if (block.getInput('RETURN')) {
+      returnValue = generator.valueToCode(block, 'RETURN', Order.NONE) ||
+          'None';
+    }
+    if (returnValue) {
+      returnValue = generator.INDENT + 'return ' + returnValue + '\n';
+    } else if (!branch) {
+      branch = generator.PASS;
+    }
+    let code = 'def ' + funcName + '(' + args.join(', ') + '):\n' +
+        globalString + xfix1 + loopTrap + branch + returnValue;
+    code = generator.scrub_(block, code);
+    // Add % so as not to collide with helper functions in definitions list.
+    generator.definitions_['%' + funcName] = code;
+    return null;
+  };
+
+  // Defining a procedure without a return value uses the same generator as
+  // a procedure with a return value.
+  pythonGenerator.forBlock['procedures_defnoreturn'] = pythonGenerator.forBlock['procedures_defreturn'];
+
+  /**
+   * This code is copied from Blockly but the 'NAME' field is changed to
+   * 'PROCNAME'.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param generator The generator that will be passed in.
+   * @return {(string|*)[]} The generated code.
+   */
+  pythonGenerator.forBlock['procedures_callreturn'] = function(block, generator) {
+    // Call a procedure with a return value.
+    const funcName = generator.nameDB_.getName(
+        block.getFieldValue('PROCNAME'), Blockly.PROCEDURE_CATEGORY_NAME);
+    const args = [];
+    const variables = block.arguments_;
+    for (let i = 0; i < variables.length; i++) {
+      args[i] = generator.valueToCode(block, 'ARG' + i,
+          Order.NONE) || 'None';
+    }
+    const code = funcName + '(' + args.join(', ') + ')';
+    return [code, Order.FUNCTION_CALL];
+  };
+
+  pythonGenerator.forBlock['procedures_callnoreturn'] = function(block, generator) {
+    // Call a procedure with no return value.
+    const tuple = generator.forBlock['procedures_callreturn'](block, generator);
+    return tuple[0] + '\n';
+  };
+}
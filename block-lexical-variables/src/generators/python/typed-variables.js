@@ -0,0 +1,111 @@
+'use strict';
+
+import * as pkg from 'blockly/python';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+import {getTypeCategory} from '../../types.js';
+
+if (pkg) {
+  const {pythonGenerator, Order} = pkg;
+
+  // Python has no declarations, so the typed blocks generate the same code as
+  // their untyped counterparts. The declared type only picks the default
+  // value used when the initializer socket is empty.
+
+  /**
+   * Generate Python code for typed global variable declaration.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  pythonGenerator.forBlock['typed_global_declaration'] = function(block, generator) {
+    const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+    const value = generator.valueToCode(block, 'DECL', Order.NONE) ||
+        getDefaultValue(block.getFieldValue('TYPE'));
+    return varName + ' = ' + value + '\n';
+  };
+
+  /**
+   * Generate Python code for typed local variable declaration statement.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  pythonGenerator.forBlock['typed_local_declaration_statement'] = function(block, generator) {
+    const value = generator.valueToCode(block, 'DECL', Order.NONE) ||
+        getDefaultValue(block.getFieldValue('TYPE'));
+    const varName = declareNames(generator, block,
+        [block.getFieldValue('VAR')])[0];
+    return varName + ' = ' + value + '\n' +
+        generator.blockToCode(block.getInputTargetBlock('DO'));
+  };
+
+  /**
+   * Generate Python code for typed variable getter.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  pythonGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
+    const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+    return [code, Order.ATOMIC];
+  };
+
+  /**
+   * Generate Python code for typed variable setter.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  pythonGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
+    const argument0 = generator.valueToCode(block, 'VALUE', Order.NONE) || '0';
+    const varName = getVariableName(generator, block,
+        block.getFieldValue('VAR'));
+    return varName + ' = ' + argument0 + '\n';
+  };
+
+  /**
+   * Generate Python code for a cast. Numbers, strings and booleans are
+   * converted with int, float, str and bool; casts to other types leave the
+   * value as it is.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  pythonGenerator.forBlock['typed_cast'] = function(block, generator) {
+    const type = block.getFieldValue('TYPE');
+    const value = generator.valueToCode(block, 'VALUE', Order.NONE) ||
+        getDefaultValue(type);
+    const func = {
+      'number': type === 'int' ? 'int' : 'float',
+      'string': 'str',
+      'boolean': 'bool',
+    }[getTypeCategory(type)];
+    return func ? [func + '(' + value + ')', Order.FUNCTION_CALL] :
+        [value, Order.NONE];
+  };
+
+  /**
+   * Get the Python default value for a type.
+   * @param {string} type The type.
+   * @return {string} The default value.
+   */
+  function getDefaultValue(type) {
+    switch (getTypeCategory(type)) {
+      case 'number':
+        return '0';
+      case 'string':
+        return '\'\'';
+      case 'boolean':
+        return 'False';
+      case 'list':
+        return '[]';
+      case 'map':
+      case 'object':
+        return '{}';
+      case 'set':
+        return 'set()';
+      default:
+        return 'None';
+    }
+  }
+}
@@ -0,0 +1,225 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Scope frames for watching variables while code runs, for
+ * the JavaScript and TypeScript generators.
+ *
+ * With a generator's WATCH_SCOPES option set, the generated code publishes a
+ * frame to a ScopeStack, named __scope, for the globals, for each run of a
+ * local declaration statement's body, for each procedure call and for each
+ * loop iteration. A frame holds the ID of the block that declares its
+ * variables and a function per variable that reads its current value, and
+ * is taken off the stack when its scope is left, however it's left. When
+ * execution is paused at a block (e.g., by a Stepper), the ScopeStack can
+ * then tell the value of every variable in scope there.
+ */
+
+'use strict';
+
+import * as Shared from '../shared.js';
+import * as Blockly from 'blockly/core';
+import {FieldLexicalVariable, LexicalVariable} from '../fields/field_lexical_variable.js';
+
+/**
+ * The name of the ScopeStack in the generated code.
+ * @type {string}
+ */
+export const SCOPE_STACK = '__scope';
+
+/**
+ * Whether a generator is to publish scope frames.
+ * @param {!Blockly.CodeGenerator} generator
+ * @return {boolean}
+ */
+export function isWatching(generator) {
+  return !!generator.WATCH_SCOPES;
+}
+
+/**
+ * Generate the code that pushes a frame.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The block that declares the variables, or
+ *     null for the globals.
+ * @param {!Array<!Array<string>>} variables [name, generated name] pairs.
+ * @return {string} The statement.
+ */
+function enterScope(generator, block, variables) {
+  const getters = variables.map(([name, varName]) =>
+    generator.quote_(name) + ': () => ' + varName);
+  return SCOPE_STACK + '.enter(' +
+      (block ? generator.quote_(block.id) : 'null') + ', {' +
+      getters.join(', ') + '});\n';
+}
+
+/**
+ * Wrap the statements that make up a scope so that its frame is on the
+ * stack while they run.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {!Blockly.Block} block The block that declares the variables.
+ * @param {!Array<!Array<string>>} variables [name, generated name] pairs.
+ * @param {string} code The statements, indented as a block's body.
+ * @return {string} The wrapped statements, indented in the same way, or the
+ *     statements as they are if the generator isn't publishing frames.
+ */
+export function publishScope(generator, block, variables, code) {
+  if (!isWatching(generator)) {
+    return code;
+  }
+  const indent = generator.INDENT;
+  return indent + enterScope(generator, block, variables) +
+      indent + 'try {\n' + (code && generator.prefixLines(code, indent)) +
+      indent + '} finally {\n' +
+      indent + indent + SCOPE_STACK + '.exit();\n' +
+      indent + '}\n';
+}
+
+/**
+ * Set a generator up to publish the frame for the globals ahead of the
+ * top-level statements. Its finish is wrapped to put it there.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {function(!Blockly.CodeGenerator, string): string} getName Gets the
+ *     generated name of a global.
+ */
+export function installScopeWatch(generator, getName) {
+  generator.WATCH_SCOPES = false;
+  const finish = generator.finish;
+  generator.finish = function(code) {
+    if (isWatching(this) && this.watchedWorkspace_) {
+      const names = [];
+      this.watchedWorkspace_.getTopBlocks(false).forEach((block) => {
+        if (block.getGlobalNames) {
+          names.push(...block.getGlobalNames());
+        } else if (block.type === 'typed_global_declaration') {
+          names.push(...block.getDeclaredVars());
+        }
+      });
+      code = enterScope(this, null, names.map((name) =>
+        [name, getName(this, name)])) + code;
+    }
+    return finish.call(this, code);
+  };
+  const init = generator.init;
+  generator.init = function(workspace) {
+    // finish isn't given the workspace.
+    this.watchedWorkspace_ = workspace;
+    return init.call(this, workspace);
+  };
+}
+
+/**
+ * The frames published by code generated with WATCH_SCOPES set. Give it to
+ * the code as __scope.
+ */
+export class ScopeStack {
+  /**
+   * @param {!Blockly.Workspace} workspace The workspace the code was
+   *     generated from.
+   */
+  constructor(workspace) {
+    /**
+     * @type {!Blockly.Workspace}
+     * @private
+     */
+    this.workspace_ = workspace;
+    /**
+     * The frames, outermost first.
+     * @type {!Array<{blockId: ?string,
+     *     variables: !Object<string, function(): *>}>}
+     * @private
+     */
+    this.frames_ = [];
+  }
+
+  /**
+   * Push a frame. Called by the generated code.
+   * @param {?string} blockId The ID of the block that declares the
+   *     variables, or null for the globals.
+   * @param {!Object<string, function(): *>} variables Reads the value of each
+   *     variable, by name.
+   */
+  enter(blockId, variables) {
+    this.frames_.push({blockId, variables});
+  }
+
+  /**
+   * Pop the innermost frame. Called by the generated code.
+   */
+  exit() {
+    this.frames_.pop();
+  }
+
+  /**
+   * Get the current values of the variables of every frame.
+   * @return {!Array<{blockId: ?string, values: !Object<string, *>}>} The
+   *     frames, innermost first. Variables that haven't been initialized yet
+   *     are left out.
+   */
+  getFrames() {
+    return this.frames_.slice().reverse().map(({blockId, variables}) => {
+      const values = {};
+      Object.keys(variables).forEach((name) => {
+        const variable = readVariable(variables, name);
+        if (variable.initialized) {
+          values[name] = variable.value;
+        }
+      });
+      return {blockId, values};
+    });
+  }
+
+  /**
+   * Get every variable in scope at a block, with its current value. The
+   * value of a lexical variable comes from the innermost frame of the block
+   * that binds it, i.e., the current run of the scope it's in.
+   * @param {!Blockly.Block} block The block where execution is paused.
+   * @return {!Array<{name: string, value: *, global: boolean,
+   *     initialized: boolean}>} The variables, globals first, as in the
+   *     getter and setter dropdowns. A variable whose frame hasn't been
+   *     published, or that hasn't been initialized yet, has initialized set
+   *     to false and an undefined value.
+   */
+  getVariablesInScope(block) {
+    return FieldLexicalVariable.getNamesInScope(block).map(
+        ([displayName, codeName]) => {
+          const [prefix, name] = Shared.unprefixName(codeName);
+          const global = prefix === Shared.GLOBAL_KEYWORD ||
+              prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX;
+          let blockId = null;
+          if (!global) {
+            const bindingBlock = LexicalVariable.getBindingBlock(block, name);
+            blockId = bindingBlock ? bindingBlock.id : undefined;
+          }
+          const frame = this.frames_.slice().reverse().find((frame) =>
+            frame.blockId === blockId && name in frame.variables);
+          const variable = frame ? readVariable(frame.variables, name) :
+              {value: undefined, initialized: false};
+          return Object.assign({name: displayName, global}, variable);
+        });
+  }
+
+  /**
+   * Get the block that declares the variables of a frame.
+   * @param {?string} blockId The frame's block ID.
+   * @return {Blockly.Block} The block, or null for the globals' frame.
+   */
+  getBlock(blockId) {
+    return blockId === null ? null : this.workspace_.getBlockById(blockId);
+  }
+}
+
+/**
+ * Read the value of a variable of a frame.
+ * @param {!Object<string, function(): *>} variables The frame's variables.
+ * @param {string} name The variable's name.
+ * @return {{value: *, initialized: boolean}}
+ */
+function readVariable(variables, name) {
+  try {
+    return {value: variables[name](), initialized: true};
+  } catch (e) {
+    // A let or const read before its declaration has run.
+    return {value: undefined, initialized: false};
+  }
+}
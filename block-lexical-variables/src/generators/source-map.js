@@ -0,0 +1,320 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Mapping of generated code back to the blocks it was
+ * generated from. generateWithSourceMap generates the code for a workspace
+ * with any of the plugin's generators, along with the range of the code
+ * generated for each statement block (including procedure definitions) and
+ * the same information as a Source Map v3, so that a position reported by a
+ * runtime error can be traced to the block to highlight.
+ *
+ * The ranges are found by having the generator's scrub_, which Blockly
+ * calls with the code for each block, bracket the code with markers, which
+ * are then taken out of the finished code. Value blocks are not bracketed,
+ * as their code is inspected by the blocks that contain them; a position in
+ * an expression maps to the statement that contains it.
+ */
+
+'use strict';
+
+// The markers are private use characters, which don't turn up in code.
+const BEGIN = '\uE000';
+const BEGIN_END = '\uE001';
+const END = '\uE002';
+const MARKER = /[\uE000\uE002]/g;
+
+/**
+ * The end markers after the last newline of a stack of statements.
+ * @type {!RegExp}
+ */
+const TRAILING_ENDS = /\n\uE002+$/;
+
+/**
+ * End markers at the start of a line, after its indentation.
+ * @type {!RegExp}
+ */
+const NEWLINE_ENDS = /\n([ \t]*)(\uE002+)/g;
+
+/**
+ * Bracket the code generated for a block with markers holding its ID. A
+ * trailing newline is kept inside the markers, so that generators that look
+ * for a statement in the code of others (e.g., Lua's for 'goto continue\n')
+ * still find it. unmark ends the block's range on its last line.
+ * @param {string} id The block's ID.
+ * @param {string} code The code generated for the block.
+ * @return {string} The bracketed code.
+ */
+function mark(id, code) {
+  return BEGIN + id + BEGIN_END + code + END;
+}
+
+/**
+ * Indent each line of code, as the generator's prefixLines does, taking the
+ * end markers after the last newline as being at the end of the code, so
+ * that no indentation is left after them.
+ * @param {function(string, string): string} prefixLines The generator's
+ *     prefixLines.
+ * @param {string} text The code.
+ * @param {string} prefix The indentation.
+ * @return {string} The indented code.
+ */
+function prefixMarkedLines(prefixLines, text, prefix) {
+  const match = TRAILING_ENDS.exec(text);
+  if (!match) {
+    return prefixLines(text, prefix);
+  }
+  return prefixLines(text.slice(0, match.index + 1), prefix) +
+      match[0].slice(1);
+}
+
+/**
+ * Take the end markers at the start of lines back ahead of the newlines
+ * before them, and of any indentation the lines got in front of them, so
+ * that a range that ends with a newline ends where its last line does.
+ * @param {string} marked The generated code, with markers.
+ * @return {string}
+ */
+function endsBeforeNewlines(marked) {
+  return marked.replace(NEWLINE_ENDS, '$2\n$1');
+}
+
+/**
+ * Take the markers out of generated code.
+ * @param {string} marked The generated code, with markers.
+ * @return {{code: string, blocks: !Array<!Object>,
+ *     lines: !Array<!Array<{column: number, id: ?string}>>}} The code, the
+ *     range of each marked block in the order the blocks start (see
+ *     generateWithSourceMap), and for each line, the columns at which the
+ *     innermost block changes.
+ */
+function unmark(marked) {
+  marked = endsBeforeNewlines(marked);
+  let code = '';
+  const blocks = [];
+  const lines = [[]];
+  const stack = [];
+  let line = 0;
+  let column = 0;
+  let last = 0;
+  // Record that the innermost block changes at the current position.
+  const change = () => {
+    const segments = lines[line];
+    const id = stack.length ? stack[stack.length - 1].id : null;
+    if (segments.length && segments[segments.length - 1].column === column) {
+      segments.pop();
+    }
+    if ((segments.length ? segments[segments.length - 1].id : null) !== id) {
+      segments.push({column, id});
+    }
+  };
+  // Copy the code up to a marker, keeping track of the position.
+  const copy = (end) => {
+    for (let i = last; i < end; i++) {
+      if (marked[i] === '\n') {
+        line++;
+        column = 0;
+        lines.push([]);
+        if (stack.length) {
+          change();
+        }
+      } else {
+        column++;
+      }
+    }
+    code += marked.slice(last, end);
+  };
+  MARKER.lastIndex = 0;
+  let match;
+  while ((match = MARKER.exec(marked))) {
+    copy(match.index);
+    if (match[0] === BEGIN) {
+      const idEnd = marked.indexOf(BEGIN_END, match.index);
+      const range = {
+        id: marked.slice(match.index + 1, idEnd),
+        start: {line, column},
+        end: null,
+      };
+      blocks.push(range);
+      stack.push(range);
+      last = idEnd + 1;
+    } else {
+      stack.pop().end = {line, column};
+      last = match.index + 1;
+    }
+    MARKER.lastIndex = last;
+    change();
+  }
+  copy(marked.length);
+  return {code, blocks, lines};
+}
+
+const BASE64 =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a number as a Base64 VLQ, as used by the mappings of a source map.
+ * @param {number} value
+ * @return {string}
+ */
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq) {
+      digit |= 32;
+    }
+    encoded += BASE64[digit];
+  } while (vlq);
+  return encoded;
+}
+
+/**
+ * Build a Source Map v3 from the changes of innermost block on each line.
+ * Each block is a source of its own, named by its ID, and all of its code
+ * maps to the start of that source.
+ * @param {!Array<!Array<{column: number, id: ?string}>>} lines
+ * @param {string=} opt_file The name of the generated file.
+ * @return {!Object} The source map.
+ */
+function buildSourceMap(lines, opt_file) {
+  const sources = [];
+  const sourceIndex = new Map();
+  let previousSource = 0;
+  const mappings = lines.map((segments) => {
+    let previousColumn = 0;
+    return segments.map(({column, id}) => {
+      let segment = encodeVlq(column - previousColumn);
+      previousColumn = column;
+      if (id !== null) {
+        if (!sourceIndex.has(id)) {
+          sourceIndex.set(id, sources.length);
+          sources.push(id);
+        }
+        const source = sourceIndex.get(id);
+        segment += encodeVlq(source - previousSource) + 'AA';
+        previousSource = source;
+      }
+      return segment;
+    }).join(',');
+  }).join(';');
+  const map = {version: 3};
+  if (opt_file) {
+    map.file = opt_file;
+  }
+  return Object.assign(map, {sources, names: [], mappings});
+}
+
+/**
+ * Generate code for a workspace, along with where in it the code for each
+ * statement block is.
+ * @param {!Blockly.CodeGenerator} generator Any of the generators the
+ *     plugin provides blocks for.
+ * @param {!Blockly.Workspace} workspace
+ * @param {string=} opt_file The name of the generated file, for the source
+ *     map.
+ * @return {{code: string, blocks: !Array<!Object>, sourceMap: !Object}}
+ *     The code (the same as the generator's workspaceToCode would produce),
+ *     the range of each statement block's code, as {id, start, end}, where
+ *     start and end (exclusive) are {line, column}, both zero-based as in
+ *     source maps, and a Source Map v3 whose sources are block IDs.
+ */
+export function generateWithSourceMap(generator, workspace, opt_file) {
+  const restores = [
+    override(generator, 'scrub_', (scrub) =>
+      function(block, code, opt_thisOnly) {
+        if (code && !block.outputConnection) {
+          code = mark(block.id, code);
+        }
+        return scrub.call(this, block, code, opt_thisOnly);
+      }),
+    override(generator, 'prefixLines', (prefixLines) =>
+      function(text, prefix) {
+        return prefixMarkedLines((t, p) => prefixLines.call(this, t, p),
+            text, prefix);
+      }),
+    // The code of the blocks is complete by the time it's finished, and
+    // generators tidy the newlines between definitions, so the end markers
+    // are taken back ahead of the newlines first.
+    override(generator, 'finish', (finish) =>
+      function(code) {
+        for (const name in this.definitions_) {
+          this.definitions_[name] =
+              endsBeforeNewlines(this.definitions_[name]);
+        }
+        return finish.call(this, endsBeforeNewlines(code));
+      }),
+  ];
+  let marked;
+  try {
+    marked = generator.workspaceToCode(workspace);
+  } finally {
+    restores.forEach((restore) => restore());
+  }
+  const {code, blocks, lines} = unmark(marked);
+  return {code, blocks, sourceMap: buildSourceMap(lines, opt_file)};
+}
+
+/**
+ * Replace a method of a generator for the duration of a generation.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {string} name The name of the method.
+ * @param {function(!Function): !Function} makeMethod Makes the replacement
+ *     of the method.
+ * @return {function()} Puts the method back.
+ */
+function override(generator, name, makeMethod) {
+  const hasOwn = Object.prototype.hasOwnProperty.call(generator, name);
+  const method = generator[name];
+  generator[name] = makeMethod(method);
+  return () => {
+    if (hasOwn) {
+      generator[name] = method;
+    } else {
+      delete generator[name];
+    }
+  };
+}
+
+/**
+ * Find the innermost statement block whose code contains a position.
+ * @param {!Array<!Object>} blocks The block ranges from
+ *     generateWithSourceMap.
+ * @param {number} line Zero-based line.
+ * @param {number} column Zero-based column.
+ * @return {?string} The ID of the block, or null if there is none.
+ */
+export function getBlockIdAt(blocks, line, column) {
+  const before = (a, b) => a.line < b.line ||
+      (a.line === b.line && a.column <= b.column);
+  const position = {line, column};
+  let found = null;
+  // Blocks are in the order they start, so an enclosed block comes after
+  // the blocks that enclose it.
+  blocks.forEach((range) => {
+    if (before(range.start, position) && !before(range.end, position)) {
+      found = range.id;
+    }
+  });
+  return found;
+}
+
+/**
+ * Highlight the block that a position in the generated code comes from,
+ * e.g., the position of a runtime error.
+ * @param {!Blockly.WorkspaceSvg} workspace
+ * @param {!Array<!Object>} blocks The block ranges from
+ *     generateWithSourceMap.
+ * @param {number} line Zero-based line.
+ * @param {number} column Zero-based column.
+ * @return {?string} The ID of the highlighted block, or null if there is
+ *     none.
+ */
+export function highlightBlockAt(workspace, blocks, line, column) {
+  const id = getBlockIdAt(blocks, line, column);
+  workspace.highlightBlock(id);
+  return id;
+}
@@ -0,0 +1,146 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Instrumented generation for stepping through code a block at
+ * a time, for the JavaScript and TypeScript generators.
+ *
+ * In HOOK mode, a call to a hook function, with the ID of the block, is
+ * generated in front of every statement block, at the start of every
+ * procedure body and at the end of every loop iteration. This suits
+ * interpreters that can pause in a native function, such as JS-Interpreter.
+ *
+ * In YIELD mode, a yield of the ID of the block is generated in the same
+ * places instead, procedures are generated as generator functions, and
+ * calls to them delegate to them with yield*, so that the code can be run a
+ * step at a time with a Stepper, which highlights each block as it's
+ * reached.
+ *
+ * Both modes are built on the generator's STATEMENT_PREFIX, which Blockly and
+ * the plugin's generators inject in all of the places above.
+ *
+ * YIELD mode can't be combined with async mode (see async.js): an async
+ * procedure would be an async generator function, which a call can neither
+ * await nor delegate to with yield*, nor a Stepper step through.
+ */
+
+'use strict';
+
+/**
+ * Values of a generator's STEP_MODE option.
+ * @enum {string}
+ */
+export const StepMode = {
+  OFF: 'off',
+  HOOK: 'hook',
+  YIELD: 'yield',
+};
+
+/**
+ * Set the step mode of a generator.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {StepMode} mode
+ * @param {string=} opt_hook In HOOK mode, the name of the function to call
+ *     with each block's ID. Defaults to __step.
+ * @throws {Error} If the mode is YIELD and the generator's ASYNC_MODE is on.
+ */
+export function setStepMode(generator, mode, opt_hook) {
+  if (mode === StepMode.YIELD && generator.ASYNC_MODE) {
+    throw Error('The yield step mode can\'t be combined with ASYNC_MODE');
+  }
+  generator.STEP_MODE = mode;
+  if (mode === StepMode.HOOK) {
+    generator.STATEMENT_PREFIX = (opt_hook || '__step') + '(%1);\n';
+  } else if (mode === StepMode.YIELD) {
+    generator.STATEMENT_PREFIX = 'yield %1;\n';
+  } else {
+    generator.STATEMENT_PREFIX = null;
+  }
+}
+
+/**
+ * Whether a generator is to generate functions as generator functions, and
+ * calls to them with yield*.
+ * @param {!Blockly.CodeGenerator} generator
+ * @return {boolean}
+ */
+export function isYielding(generator) {
+  return generator.STEP_MODE === StepMode.YIELD;
+}
+
+/**
+ * Runs code generated in YIELD mode a step at a time.
+ */
+export class Stepper {
+  /**
+   * @param {string} code The generated code.
+   * @param {Object<string, *>=} opt_globals Values for the names that the
+   *     code uses but doesn't define, e.g., host functions.
+   * @param {Blockly.WorkspaceSvg=} opt_workspace The workspace the code was
+   *     generated from, to highlight each block in as it's reached.
+   */
+  constructor(code, opt_globals, opt_workspace) {
+    const globals = opt_globals || {};
+    const names = Object.keys(globals);
+    const makeProgram = new Function(...names,
+        'return function*() {\n' + code + '};');
+    /**
+     * The running program.
+     * @type {!Iterator<string>}
+     * @private
+     */
+    this.program_ = makeProgram(...names.map((name) => globals[name]))();
+    /**
+     * @type {?Blockly.WorkspaceSvg}
+     * @private
+     */
+    this.workspace_ = opt_workspace || null;
+    /**
+     * The IDs of the blocks that resume() stops at.
+     * @type {!Set<string>}
+     */
+    this.breakpoints = new Set();
+    /**
+     * The ID of the block about to be run, or null if the program hasn't
+     * started or has finished.
+     * @type {?string}
+     */
+    this.blockId = null;
+    /**
+     * Whether the program has finished.
+     * @type {boolean}
+     */
+    this.done = false;
+  }
+
+  /**
+   * Run the program up to the next block.
+   * @return {boolean} False if the program has finished.
+   */
+  step() {
+    if (this.done) {
+      return false;
+    }
+    const {value, done} = this.program_.next();
+    this.done = !!done;
+    this.blockId = this.done ? null : value;
+    if (this.workspace_) {
+      this.workspace_.highlightBlock(this.blockId);
+    }
+    return !this.done;
+  }
+
+  /**
+   * Run the program up to the next breakpoint, or to the end.
+   * @return {boolean} False if the program has finished.
+   */
+  resume() {
+    while (this.step()) {
+      if (this.breakpoints.has(this.blockId)) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
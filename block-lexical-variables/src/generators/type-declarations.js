@@ -0,0 +1,100 @@
+'use strict';
+
+import * as pkg from 'blockly/javascript';
+
+if (pkg) {
+// We might be loaded into an environment that doesn't have Blockly's JavaScript generator.
+  const {javascriptGenerator, Order} = pkg;
+
+  // JavaScript has no struct or enum types, so a struct type is generated as
+  // a class whose constructor takes the fields in order, and an enum type as
+  // a frozen object mapping each member to its index. The declarations are
+  // emitted as definitions, ahead of the code that uses them.
+
+  /**
+   * Generate a class for a struct type declaration.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {null} The class is emitted as a definition.
+   */
+  javascriptGenerator.forBlock['struct_declaration'] = function(block, generator) {
+    const typeName = block.getFieldValue('NAME');
+    const fieldNames = block.getFields().map((field) => field.name);
+    let code = 'class ' + typeName + ' {\n';
+    code += generator.INDENT + 'constructor(' + fieldNames.join(', ') +
+        ') {\n';
+    fieldNames.forEach((name) => {
+      code += generator.INDENT + generator.INDENT + 'this.' + name + ' = ' +
+          name + ';\n';
+    });
+    code += generator.INDENT + '}\n}';
+    generator.definitions_['type ' + typeName] = code;
+    return null;
+  };
+
+  /**
+   * Generate a frozen object for an enum type declaration.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {null} The object is emitted as a definition.
+   */
+  javascriptGenerator.forBlock['enum_declaration'] = function(block, generator) {
+    const typeName = block.getFieldValue('NAME');
+    const members = block.getMembers().map((member, i) =>
+      generator.INDENT + member + ': ' + i + ',\n');
+    generator.definitions_['type ' + typeName] = 'const ' + typeName +
+        ' = Object.freeze({\n' + members.join('') + '});';
+    return null;
+  };
+
+  /**
+   * Generate a call to the constructor of a struct type's class.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  javascriptGenerator.forBlock['struct_create'] = function(block, generator) {
+    const args = block.fieldNames_.map((name) =>
+      generator.valueToCode(block, 'FIELD_' + name, Order.NONE) || 'null');
+    const code = 'new ' + block.getStructType() + '(' + args.join(', ') +
+        ')';
+    return [code, Order.NEW];
+  };
+
+  /**
+   * Generate a member of an enum type.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  javascriptGenerator.forBlock['enum_value'] = function(block, generator) {
+    return [block.getEnumType() + '.' + block.getMemberName(), Order.MEMBER];
+  };
+
+  /**
+   * Generate code to get a field of a struct value.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  javascriptGenerator.forBlock['struct_field_get'] = function(block, generator) {
+    const object = generator.valueToCode(block, 'OBJECT', Order.MEMBER) ||
+        'null';
+    return [object + '.' + block.getFieldValue('FIELD'), Order.MEMBER];
+  };
+
+  /**
+   * Generate code to set a field of a struct value.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {string} The generated code.
+   */
+  javascriptGenerator.forBlock['struct_field_set'] = function(block, generator) {
+    const object = generator.valueToCode(block, 'OBJECT', Order.MEMBER) ||
+        'null';
+    const value = generator.valueToCode(block, 'VALUE', Order.ASSIGNMENT) ||
+        'null';
+    return object + '.' + block.getFieldValue('FIELD') + ' = ' + value +
+        ';\n';
+  };
+}
@@ -3,10 +3,21 @@
 import * as Shared from '../shared.js';
 import * as Blockly from 'blockly/core';
 import * as pkg from 'blockly/javascript';
+import {getHoistedName} from './hoisting.js';
+import {publishScope} from './scope-frames.js';
+import {getLanguageProfile, getProfileDefaultValue}
+  from '../languageProfiles.js';
+import {getTypeCategory} from '../types.js';
+import {TypeManager} from '../typeManager.js';
 
 if (pkg) {
   const {javascriptGenerator, Order} = pkg;
 
+  // JavaScript has no type annotations, so the typed blocks generate the
+  // same code as their untyped counterparts. The declared type only picks
+  // the default value used when the initializer socket is empty. TypeScript
+  // is generated by typescriptGenerator (see typescript/).
+
   /**
    * Generate code for typed global variable declaration.
    * @param {Blockly.Block} block The block to generate code for.
@@ -17,9 +28,7 @@ if (pkg) {
     const varName = getVariableName(block.getFieldValue('NAME'));
     const varType = block.getFieldValue('TYPE');
     const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) || getDefaultValue(varType);
-    
-    // Generate TypeScript-style code
-    return `declare global {\n  var ${varName}: ${varType} = ${value};\n}\n`;
+    return 'var ' + varName + ' = ' + value + ';\n';
   };
 
   /**
@@ -33,10 +42,13 @@ if (pkg) {
     const varType = block.getFieldValue('TYPE');
     const value = generator.valueToCode(block, 'DECL', Order.NONE) || getDefaultValue(varType);
     
+    const localName = (Shared.usePrefixInCode ? 'local_' : '') + varName;
     let code = '{\n  let ';
-    code += (Shared.usePrefixInCode ? 'local_' : '') + varName;
-    code += `: ${varType} = ${value};\n`;
-    code += generator.statementToCode(block, 'DO');
+    code += localName;
+    code += ' = ' + value + ';\n';
+    code += publishScope(generator, block,
+        [[block.getFieldValue('VAR'), localName]],
+        generator.statementToCode(block, 'DO'));
     code += '}\n';
     return code;
   };
@@ -48,7 +60,8 @@ if (pkg) {
    * @return {Array} The generated code and order.
    */
   javascriptGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
-    const code = getVariableName(block.getFieldValue('VAR'));
+    const code = getHoistedName(generator, block, block.getFieldValue('VAR')) ||
+        getVariableName(block.getFieldValue('VAR'));
     return [code, Order.ATOMIC];
   };
 
@@ -60,10 +73,42 @@ if (pkg) {
    */
   javascriptGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
     const argument0 = generator.valueToCode(block, 'VALUE', Order.ASSIGNMENT) || '0';
-    const varName = getVariableName(block.getFieldValue('VAR'));
+    const varName = getHoistedName(generator, block, block.getFieldValue('VAR')) ||
+        getVariableName(block.getFieldValue('VAR'));
     return varName + ' = ' + argument0 + ';\n';
   };
 
+  /**
+   * Generate code for a cast. Numbers, strings and booleans are converted
+   * with Number, String and Boolean, and casts to int truncate; casts to
+   * other types leave the value as it is.
+   * @param {Blockly.Block} block The block to generate code for.
+   * @param {Object} generator The code generator.
+   * @return {Array} The generated code and order.
+   */
+  javascriptGenerator.forBlock['typed_cast'] = function(block, generator) {
+    const type = block.getFieldValue('TYPE');
+    const value = generator.valueToCode(block, 'VALUE', Order.NONE) ||
+        getDefaultValue(type);
+    switch (getTypeCategory(type)) {
+      case 'number': {
+        if (type !== 'int') {
+          return ['Number(' + value + ')', Order.FUNCTION_CALL];
+        }
+        const sourceType = new TypeManager(block.workspace).inferValueType(
+            block.getInputTargetBlock('VALUE'));
+        return ['Math.trunc(' + (getTypeCategory(sourceType) === 'number' ?
+            value : 'Number(' + value + ')') + ')', Order.FUNCTION_CALL];
+      }
+      case 'string':
+        return ['String(' + value + ')', Order.FUNCTION_CALL];
+      case 'boolean':
+        return ['Boolean(' + value + ')', Order.FUNCTION_CALL];
+      default:
+        return [value, Order.NONE];
+    }
+  };
+
   /**
    * Generate variable name with proper prefixing.
    * @param {string} name The variable name.
@@ -87,180 +132,6 @@ if (pkg) {
    * @return {string} The default value.
    */
   function getDefaultValue(type) {
-    switch (type) {
-      case 'number':
-      case 'int':
-      case 'float':
-      case 'double':
-        return '0';
-      case 'string':
-      case 'char':
-      case 'char*':
-        return '""';
-      case 'boolean':
-      case 'bool':
-        return 'false';
-      case 'array':
-      case 'number[]':
-      case 'string[]':
-      case 'boolean[]':
-        return '[]';
-      case 'object':
-        return '{}';
-      case 'function':
-        return '() => {}';
-      case 'void':
-        return '';
-      default:
-        return 'null';
-    }
-  }
-}
-
-// C Generator
-if (typeof Blockly.C !== 'undefined') {
-  const cGenerator = Blockly.C;
-
-  /**
-   * Generate C code for typed global variable declaration.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {string} The generated code.
-   */
-  cGenerator.forBlock['typed_global_declaration'] = function(block, generator) {
-    const varName = getVariableName(block.getFieldValue('NAME'));
-    const varType = block.getFieldValue('TYPE');
-    const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) || getCDefaultValue(varType);
-    
-    return `${varType} ${varName} = ${value};\n`;
-  };
-
-  /**
-   * Generate C code for typed local variable declaration statement.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {string} The generated code.
-   */
-  cGenerator.forBlock['typed_local_declaration_statement'] = function(block, generator) {
-    const varName = getVariableName(block.getFieldValue('VAR'));
-    const varType = block.getFieldValue('TYPE');
-    const value = generator.valueToCode(block, 'DECL', Order.NONE) || getCDefaultValue(varType);
-    
-    let code = '{\n  ';
-    code += `${varType} ${varName} = ${value};\n`;
-    code += generator.statementToCode(block, 'DO');
-    code += '}\n';
-    return code;
-  };
-
-  /**
-   * Generate C code for typed variable getter.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {Array} The generated code and order.
-   */
-  cGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
-    const code = getVariableName(block.getFieldValue('VAR'));
-    return [code, Order.ATOMIC];
-  };
-
-  /**
-   * Generate C code for typed variable setter.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {string} The generated code.
-   */
-  cGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
-    const argument0 = generator.valueToCode(block, 'VALUE', Order.ASSIGNMENT) || '0';
-    const varName = getVariableName(block.getFieldValue('VAR'));
-    return varName + ' = ' + argument0 + ';\n';
-  };
-
-  /**
-   * Get default value for C types.
-   * @param {string} type The C type.
-   * @return {string} The default value.
-   */
-  function getCDefaultValue(type) {
-    switch (type) {
-      case 'int':
-      case 'float':
-      case 'double':
-        return '0';
-      case 'char':
-        return "'\\0'";
-      case 'char*':
-        return '""';
-      case 'bool':
-        return 'false';
-      case 'void':
-        return '';
-      case 'int*':
-      case 'float*':
-        return 'NULL';
-      default:
-        return '0';
-    }
+    return getProfileDefaultValue(getLanguageProfile('javascript'), type);
   }
 }
-
-// TypeScript Generator
-if (typeof Blockly.TypeScript !== 'undefined') {
-  const typescriptGenerator = Blockly.TypeScript;
-
-  /**
-   * Generate TypeScript code for typed global variable declaration.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {string} The generated code.
-   */
-  typescriptGenerator.forBlock['typed_global_declaration'] = function(block, generator) {
-    const varName = getVariableName(block.getFieldValue('NAME'));
-    const varType = block.getFieldValue('TYPE');
-    const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) || getDefaultValue(varType);
-    
-    return `declare global {\n  var ${varName}: ${varType} = ${value};\n}\n`;
-  };
-
-  /**
-   * Generate TypeScript code for typed local variable declaration statement.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {string} The generated code.
-   */
-  typescriptGenerator.forBlock['typed_local_declaration_statement'] = function(block, generator) {
-    const varName = getVariableName(block.getFieldValue('VAR'));
-    const varType = block.getFieldValue('TYPE');
-    const value = generator.valueToCode(block, 'DECL', Order.NONE) || getDefaultValue(varType);
-    
-    let code = '{\n  let ';
-    code += (Shared.usePrefixInCode ? 'local_' : '') + varName;
-    code += `: ${varType} = ${value};\n`;
-    code += generator.statementToCode(block, 'DO');
-    code += '}\n';
-    return code;
-  };
-
-  /**
-   * Generate TypeScript code for typed variable getter.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {Array} The generated code and order.
-   */
-  typescriptGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
-    const code = getVariableName(block.getFieldValue('VAR'));
-    return [code, Order.ATOMIC];
-  };
-
-  /**
-   * Generate TypeScript code for typed variable setter.
-   * @param {Blockly.Block} block The block to generate code for.
-   * @param {Object} generator The code generator.
-   * @return {string} The generated code.
-   */
-  typescriptGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
-    const argument0 = generator.valueToCode(block, 'VALUE', Order.ASSIGNMENT) || '0';
-    const varName = getVariableName(block.getFieldValue('VAR'));
-    return varName + ' = ' + argument0 + ';\n';
-  };
-}
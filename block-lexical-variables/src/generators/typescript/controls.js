@@ -0,0 +1,159 @@
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import {typescriptGenerator, Order} from './typescript_generator.js';
+import {declaration, getDeclaredType, getElementType} from './types.js';
+import {declareNames} from '../lexical-names.js';
+import {containsAwait} from '../async.js';
+import {isYielding} from '../stepping.js';
+import {publishScope} from '../scope-frames.js';
+
+/**
+ * This code is copied from the JavaScript generator but the loop variable
+ * is allocated so that it can't clobber a variable of the same name in an
+ * enclosing scope, and the loop variables are annotated as numbers, or the
+ * counter with its declared type.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {string} The generated code.
+ */
+typescriptGenerator.forBlock['controls_forRange'] = function(block, generator) {
+  // For loop.
+  const argument0 = generator.valueToCode(block, 'FROM',
+      Order.ASSIGNMENT) || '0';
+  const argument1 = generator.valueToCode(block, 'TO',
+      Order.ASSIGNMENT) || '0';
+  const increment = generator.valueToCode(block, 'BY',
+      Order.ASSIGNMENT) || '1';
+  const type = getDeclaredType(block, block.getFieldValue('VAR'));
+  const variable0 = declareNames(generator, block,
+      [block.getFieldValue('VAR')])[0];
+  let branch = publishScope(generator, block,
+      [[block.getFieldValue('VAR'), variable0]],
+      generator.statementToCode(block, 'DO'));
+  branch = generator.addLoopTrap(branch, block);
+  let code;
+  if (Blockly.utils.string.isNumber(argument0) &&
+      Blockly.utils.string.isNumber(argument1) &&
+      Blockly.utils.string.isNumber(increment)) {
+    // All arguments are simple numbers.
+    const up = Number(argument0) <= Number(argument1);
+    code = 'for (let ' + declaration(variable0, type) + ' = ' + argument0 +
+        '; ' + variable0 + (up ? ' <= ' : ' >= ') + argument1 + '; ' +
+        variable0;
+    const step = Math.abs(Number(increment));
+    if (step === 1) {
+      code += up ? '++' : '--';
+    } else {
+      code += (up ? ' += ' : ' -= ') + step;
+    }
+    code += ') {\n' + branch + '}\n';
+  } else {
+    code = '';
+    // Cache non-trivial values to variables to prevent repeated look-ups.
+    let startVar = argument0;
+    if (!argument0.match(/^\w+$/) &&
+        !Blockly.utils.string.isNumber(argument0)) {
+      startVar = generator.nameDB_.getDistinctName(
+          variable0 + '_start', Blockly.VARIABLE_CATEGORY_NAME);
+      code += 'let ' + startVar + ': number = ' + argument0 + ';\n';
+    }
+    let endVar = argument1;
+    if (!argument1.match(/^\w+$/) &&
+        !Blockly.utils.string.isNumber(argument1)) {
+      endVar = generator.nameDB_.getDistinctName(
+          variable0 + '_end', Blockly.VARIABLE_CATEGORY_NAME);
+      code += 'let ' + endVar + ': number = ' + argument1 + ';\n';
+    }
+    // Determine loop direction at start, in case one of the bounds
+    // changes during loop execution.
+    const incVar = generator.nameDB_.getDistinctName(
+        variable0 + '_inc', Blockly.VARIABLE_CATEGORY_NAME);
+    code += 'let ' + incVar + ': number = ';
+    if (Blockly.utils.string.isNumber(increment)) {
+      code += Math.abs(Number(increment)) + ';\n';
+    } else {
+      code += 'Math.abs(' + increment + ');\n';
+    }
+    code += 'if (' + startVar + ' > ' + endVar + ') {\n';
+    code += generator.INDENT + incVar + ' = -' + incVar + ';\n';
+    code += '}\n';
+    code += 'for (let ' + declaration(variable0, type) + ' = ' + startVar +
+        '; ' + incVar + ' >= 0 ? ' +
+        variable0 + ' <= ' + endVar + ' : ' +
+        variable0 + ' >= ' + endVar + '; ' +
+        variable0 + ' += ' + incVar + ') {\n' +
+        branch + '}\n';
+  }
+  return code;
+};
+// controls_forRange and controls_for are aliases.  This is to make the
+// controls_statement_flow block work correctly for controls_forRange.
+typescriptGenerator.forBlock['controls_for'] = typescriptGenerator.forBlock['controls_forRange'];
+
+/**
+ * This code is copied from the JavaScript generator but the loop variable
+ * is allocated so that it can't clobber a variable of the same name in an
+ * enclosing scope. TypeScript doesn't allow a type annotation on the
+ * variable of a for...of loop, so the list is indexed instead, and the item
+ * is declared in the body with its declared type, or else the element
+ * type of the list.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {string} The generated code.
+ */
+typescriptGenerator.forBlock['controls_forEach'] = function(block, generator) {
+  // For each loop.
+  const argument0 = generator.valueToCode(block, 'LIST',
+      Order.ASSIGNMENT) || '[]';
+  const type = block.getFieldValue('TYPE') === 'any' ?
+      getElementType(generator, block.getInputTargetBlock('LIST')) :
+      getDeclaredType(block, block.getFieldValue('VAR'));
+  const variable0 = declareNames(generator, block,
+      [block.getFieldValue('VAR')])[0];
+  let branch = generator.statementToCode(block, 'DO');
+  let code = '';
+  // Cache non-trivial values to variables to prevent repeated look-ups.
+  let listVar = argument0;
+  if (!argument0.match(/^\w+$/)) {
+    listVar = generator.nameDB_.getDistinctName(
+        variable0 + '_list', Blockly.VARIABLE_CATEGORY_NAME);
+    code += 'const ' + listVar + ': ' + type + '[] = ' + argument0 + ';\n';
+  }
+  const indexVar = generator.nameDB_.getDistinctName(
+      variable0 + '_index', Blockly.VARIABLE_CATEGORY_NAME);
+  // The item is declared ahead of the frame, which reads it.
+  branch = generator.INDENT + 'let ' + declaration(variable0, type) + ' = ' +
+      listVar + '[' + indexVar + '];\n' +
+      publishScope(generator, block,
+          [[block.getFieldValue('VAR'), variable0]], branch);
+  branch = generator.addLoopTrap(branch, block);
+  code += 'for (let ' + indexVar + ': number = 0; ' + indexVar + ' < ' +
+      listVar + '.length; ' + indexVar + '++) {\n' + branch + '}\n';
+  return code;
+};
+
+/**
+ * Run the statements, then produce the value, by calling an arrow function
+ * on the spot. It closes over the enclosing locals, so the statements can
+ * still assign them. In async mode, the function is async, and awaited, if
+ * the statements or the value await anything. In yield step mode, it's a
+ * generator function, delegated to with yield*.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {(string|*)[]} The generated code.
+ */
+typescriptGenerator.forBlock['controls_do_then_return'] = function(block, generator) {
+  const statements = generator.statementToCode(block, 'STM');
+  const value = generator.valueToCode(block, 'VALUE', Order.NONE) || 'null';
+  if (isYielding(generator)) {
+    return ['yield* (function*() {\n' + statements +
+        generator.INDENT + 'return ' + value + ';\n})()', Order.YIELD];
+  }
+  const code = '(() => {\n' + statements +
+      generator.INDENT + 'return ' + value + ';\n})()';
+  if (containsAwait(generator, block)) {
+    return ['await (async ' + code.slice(1), Order.AWAIT];
+  }
+  return [code, Order.FUNCTION_CALL];
+};
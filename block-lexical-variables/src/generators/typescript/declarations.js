@@ -0,0 +1,120 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview TypeScript declaration files (.d.ts) for the JavaScript that
+ * Blockly's JavaScript generator makes of a workspace, so that a host
+ * application calling into the generated code can type check its calls.
+ * The file declares the workspace's struct and enum types, its globals with
+ * their declared or inferred types, and the procedures of its
+ * ProcedureDatabase with their parameter and return types.
+ */
+
+'use strict';
+
+import {javascriptGenerator} from 'blockly/javascript';
+import * as Shared from '../../shared.js';
+import {TypeManager} from '../../typeManager.js';
+import {isAsyncProcedure} from '../async.js';
+import {isYielding} from '../stepping.js';
+import {getTsType} from './types.js';
+
+/**
+ * Make the TypeScript declaration file for the code a generator makes of a
+ * workspace. Untyped globals and procedure return values get their inferred
+ * types (see TypeManager), and any where none can be inferred. Procedures
+ * are declared async, or as generator functions, as the generator's
+ * ASYNC_MODE and step mode make them.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Blockly.CodeGenerator=} generator The JavaScript generator the
+ *     code is made with, which names the procedures.
+ * @return {string} The contents of the declaration file.
+ */
+export function workspaceToDeclarations(workspace,
+    generator = javascriptGenerator) {
+  const typeManager = new TypeManager(workspace);
+  const tsType = (type) => getTsType(type, workspace);
+  const declarations = [];
+  const topBlocks = workspace.getTopBlocks(true);
+  topBlocks.forEach((block) => {
+    if (block.type === 'struct_declaration') {
+      declarations.push(declareStruct(generator, block, tsType));
+    } else if (block.type === 'enum_declaration') {
+      declarations.push(declareEnum(generator, block));
+    }
+  });
+  topBlocks.forEach((block) => {
+    if (block.type === 'global_declaration' ||
+        block.type === 'typed_global_declaration') {
+      const name = block.getFieldValue('NAME');
+      declarations.push('declare var ' + name + ': ' +
+          tsType(typeManager.inferDeclarationType(block, name)) + ';');
+    }
+  });
+  generator.init(workspace);
+  try {
+    workspace.getProcedureDatabase().getDeclarationsBlocksExcept(null)
+        .forEach((block) => {
+          declarations.push(declareProcedure(generator, block, typeManager,
+              tsType));
+        });
+  } finally {
+    generator.finish('');
+  }
+  return declarations.map((declaration) => declaration + '\n').join('');
+}
+
+/**
+ * Declare the class the JavaScript generator makes of a struct type, whose
+ * constructor takes the fields in order.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {!Blockly.Block} block The struct declaration.
+ * @param {function(?string): string} tsType Gets a TypeScript type.
+ * @return {string}
+ */
+function declareStruct(generator, block, tsType) {
+  const fields = block.getFields().map((field) =>
+    field.name + ': ' + tsType(field.type));
+  return 'declare class ' + block.getFieldValue('NAME') + ' {\n' +
+      generator.INDENT + 'constructor(' + fields.join(', ') + ');\n' +
+      fields.map((field) => generator.INDENT + field + ';\n').join('') + '}';
+}
+
+/**
+ * Declare the object the JavaScript generator makes of an enum type, which
+ * maps each member to its index, as an enum.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {!Blockly.Block} block The enum declaration.
+ * @return {string}
+ */
+function declareEnum(generator, block) {
+  return 'declare enum ' + block.getFieldValue('NAME') + ' {\n' +
+      block.getMembers().map((member) =>
+        generator.INDENT + member + ',\n').join('') + '}';
+}
+
+/**
+ * Declare the function the generator makes of a procedure.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {!Blockly.Block} block The procedure definition.
+ * @param {!TypeManager} typeManager
+ * @param {function(?string): string} tsType Gets a TypeScript type.
+ * @return {string}
+ */
+function declareProcedure(generator, block, typeManager, tsType) {
+  const paramTypes = block.getParameterTypes();
+  const params = block.getParameters().map((param, i) =>
+    Shared.possiblyPrefixGeneratedVarName(Shared.procedureParameterPrefix)(
+        param) + ': ' + tsType(paramTypes[i]));
+  let returnType = block.getInput('RETURN') ?
+      tsType(typeManager.inferReturnType(block)) : 'void';
+  if (isAsyncProcedure(generator, block)) {
+    returnType = 'Promise<' + returnType + '>';
+  } else if (isYielding(generator)) {
+    returnType = 'Generator<string, ' + returnType + ', unknown>';
+  }
+  return 'declare function ' +
+      generator.getProcedureName(block.getFieldValue('NAME')) + '(' +
+      params.join(', ') + '): ' + returnType + ';';
+}
@@ -0,0 +1,139 @@
+'use strict';
+
+import {typescriptGenerator, Order} from './typescript_generator.js';
+import {DEFAULT_TYPE, declaration, getInferredType} from './types.js';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+import {declareTemporaries, hoistTemporaries, installHoisting, isHoisted} from '../hoisting.js';
+import {containsAwait} from '../async.js';
+import {isYielding} from '../stepping.js';
+import {installScopeWatch, publishScope} from '../scope-frames.js';
+
+// A let can't be initialized from a variable of the same name in an
+// enclosing scope (the new binding is already in scope in its own
+// initializer), so declarations are allocated through lexical-names.js,
+// which renames any declaration that would otherwise shadow a name that's
+// still in scope.
+
+installHoisting(typescriptGenerator, (names) => 'let ' +
+    names.map((name) => name + ': ' + DEFAULT_TYPE).join(', ') + ';\n');
+installScopeWatch(typescriptGenerator, getGlobalName);
+
+// See types.js.
+typescriptGenerator.INFER_TYPES = false;
+
+typescriptGenerator.forBlock['lexical_variable_get'] = function(block, generator) {
+  const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+  return [code, Order.ATOMIC];
+};
+
+typescriptGenerator.forBlock['lexical_variable_set'] = function(block, generator) {
+  // Variable setter.
+  const argument0 = generator.valueToCode(block, 'VALUE',
+      Order.ASSIGNMENT) || '0';
+  const varName = getVariableName(generator, block,
+      block.getFieldValue('VAR'));
+  return varName + ' = ' + argument0 + ';\n';
+};
+
+typescriptGenerator.forBlock['global_declaration'] = function(block, generator) {
+  // Global variable declaration
+  const argument0 = generator.valueToCode(block, 'VALUE',
+      Order.ASSIGNMENT) || '0';
+  const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+  const type = getInferredType(generator, block, block.getFieldValue('NAME'));
+  return 'let ' + declaration(varName, type) + ' = ' + argument0 + ';\n';
+};
+
+/**
+ * Generate the declarations for the locals of a local declaration block.
+ * The initializers are evaluated before any of the new names are bound, so
+ * they must be generated before the names are declared.
+ * @param {Blockly.Block} block
+ * @param generator
+ * @return {{code: string, varNames: !Array<string>}} The code, and the
+ *     generated names of the locals.
+ */
+function generateDeclarations(block, generator) {
+  const inits = [];
+  for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+    inits.push(generator.valueToCode(block, 'DECL' + i, Order.ASSIGNMENT) ||
+        '0');
+  }
+  const names = block.getDeclaredVars();
+  const varNames = declareNames(generator, block, names);
+  let code = '';
+  for (let i = 0; i < varNames.length; i++) {
+    code += generator.INDENT + 'let ' + declaration(varNames[i],
+        getInferredType(generator, block, names[i])) + ' = ' + inits[i] +
+        ';\n';
+  }
+  return {code, varNames};
+}
+
+typescriptGenerator.forBlock['local_declaration_statement'] = function(block, generator) {
+  const declarations = generateDeclarations(block, generator);
+  let code = '{\n' + declarations.code;
+  code += publishScope(generator, block,
+      block.getDeclaredVars().map(
+          (name, i) => [name, declarations.varNames[i]]),
+      generator.statementToCode(block, 'STACK'));
+  code += '}\n';
+  return code;
+};
+
+typescriptGenerator.forBlock['local_declaration_expression'] = function(block, generator) {
+  const inits = [];
+  for (let i = 0; block.getFieldValue('VAR' + i); i++) {
+    inits.push(generator.valueToCode(block, 'DECL' + i, Order.ASSIGNMENT) ||
+        '0');
+  }
+  if (isHoisted(generator, block)) {
+    // The locals are held in temporaries declared in front of the enclosing
+    // statement (see hoisting.js).
+    const temps = declareTemporaries(generator, block);
+    hoistTemporaries(generator, block, temps);
+    const parts = temps.map((temp, i) => temp + ' = ' + inits[i]);
+    parts.push(generator.valueToCode(block, 'RETURN', Order.COMMA) ||
+        'null');
+    return [parts.join(', '), Order.COMMA];
+  }
+  // The locals become the parameters of an arrow function that is called
+  // immediately with the initializers as its arguments. In async mode, it's
+  // an async function, and awaited, if its body awaits anything. In yield
+  // step mode, it's a generator function, delegated to with yield*, as its
+  // body may call procedures; arrow functions can't be generators.
+  const names = block.getDeclaredVars();
+  const params = declareNames(generator, block, names)
+      .map((varName, i) => varName + ': ' +
+        getInferredType(generator, block, names[i]));
+  const body = generator.valueToCode(block, 'RETURN', Order.ASSIGNMENT) ||
+      'null';
+  if (isYielding(generator)) {
+    return ['yield* (function*(' + params.join(', ') + ') {\n' +
+        generator.INDENT + 'return ' + body + ';\n})(' + inits.join(', ') +
+        ')', Order.YIELD];
+  }
+  const code = '((' + params.join(', ') + ') => ' + body + ')(' +
+      inits.join(', ') + ')';
+  const returnBlock = block.getInputTargetBlock('RETURN');
+  if (returnBlock && containsAwait(generator, returnBlock)) {
+    return ['await (async ' + code.slice(1), Order.AWAIT];
+  }
+  return [code, Order.FUNCTION_CALL];
+};
+
+typescriptGenerator.forBlock['simple_local_declaration_statement'] = function(block, generator) {
+  const init = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+      '0';
+  const varName = declareNames(generator, block,
+      [block.getFieldValue('VAR')])[0];
+  let code = '{\n';
+  code += generator.INDENT + 'let ' + declaration(varName,
+      getInferredType(generator, block, block.getFieldValue('VAR'))) + ' = ' +
+      init + ';\n';
+  code += publishScope(generator, block,
+      [[block.getFieldValue('VAR'), varName]],
+      generator.statementToCode(block, 'DO'));
+  code += '}\n';
+  return code;
+};
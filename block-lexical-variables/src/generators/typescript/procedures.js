@@ -0,0 +1,88 @@
+'use strict';
+
+import {typescriptGenerator, Order} from './typescript_generator.js';
+import {DEFAULT_TYPE, getReturnType, getTsType} from './types.js';
+import {declareNames} from '../lexical-names.js';
+import {takeTemporaries} from '../hoisting.js';
+import {defineAsyncMode, isAsyncProcedure} from '../async.js';
+import {isYielding} from '../stepping.js';
+import {publishScope} from '../scope-frames.js';
+
+// See async.js.
+defineAsyncMode(typescriptGenerator);
+
+/**
+ * This code is adapted from Blockly. Parameters come from the block's
+ * arguments_ rather than from Blockly variables, and the parameters and
+ * return value are annotated with their declared types (an untyped return
+ * value with its inferred type in INFER_TYPES mode). In async mode, the
+ * function is async, and returns a Promise, if its body contains async
+ * blocks. In yield step mode (see stepping.js), it's a generator function
+ * that yields block IDs.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param generator The generator that will be passed in.
+ * @return {null} Procedures are emitted as definitions.
+ */
+typescriptGenerator.forBlock['procedures_defreturn'] = function(block, generator) {
+  const funcName = generator.getProcedureName(block.getFieldValue('NAME'));
+  const params = block.getParameters();
+  const argNames = declareNames(generator, block, params);
+  const paramTypes = block.getParameterTypes();
+  const args = argNames.map((arg, i) =>
+    arg + ': ' + getTsType(paramTypes[i], block.workspace));
+  let xfix1 = '';
+  if (generator.STATEMENT_PREFIX) {
+    xfix1 += generator.injectId(generator.STATEMENT_PREFIX, block);
+  }
+  if (generator.STATEMENT_SUFFIX) {
+    xfix1 += generator.injectId(generator.STATEMENT_SUFFIX, block);
+  }
+  if (xfix1) {
+    xfix1 = generator.prefixLines(xfix1, generator.INDENT);
+  }
+  let loopTrap = '';
+  if (generator.INFINITE_LOOP_TRAP) {
+    loopTrap = generator.prefixLines(
+        generator.injectId(generator.INFINITE_LOOP_TRAP, block),
+        generator.INDENT);
+  }
+  let branch = '';
+  if (block.getInput('STACK')) {
+    branch = generator.statementToCode(block, 'STACK');
+  }
+  let returnValue = '';
+  if (block.getInput('RETURN')) {
+    returnValue = generator.valueToCode(block, 'RETURN', Order.NONE) ||
+        'null';
+  }
+  if (returnValue) {
+    returnValue = generator.INDENT + 'return ' + returnValue + ';\n';
+  }
+  // Temporaries hoisted out of the return value are local to the function.
+  const temps = takeTemporaries(generator, block);
+  if (temps.length) {
+    returnValue = generator.INDENT + 'let ' + temps.map((temp) =>
+      temp + ': ' + DEFAULT_TYPE).join(', ') + ';\n' + returnValue;
+  }
+  let returnType = getReturnType(generator, block);
+  let keyword = 'function ';
+  if (isAsyncProcedure(generator, block)) {
+    returnType = 'Promise<' + returnType + '>';
+    keyword = 'async ' + keyword;
+  } else if (isYielding(generator)) {
+    returnType = 'Generator<string, ' + returnType + ', unknown>';
+    keyword = 'function* ';
+  }
+  const body = publishScope(generator, block,
+      params.map((param, i) => [param, argNames[i]]), branch + returnValue);
+  let code = keyword + funcName + '(' + args.join(', ') + '): ' +
+      returnType + ' {\n' + xfix1 + loopTrap + body + '}';
+  code = generator.scrub_(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  generator.definitions_['%' + funcName] = code;
+  return null;
+};
+
+// Defining a procedure without a return value uses the same generator as
+// a procedure with a return value.
+typescriptGenerator.forBlock['procedures_defnoreturn'] = typescriptGenerator.forBlock['procedures_defreturn'];
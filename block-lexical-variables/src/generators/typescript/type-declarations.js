@@ -0,0 +1,58 @@
+'use strict';
+
+import {typescriptGenerator, Order} from './typescript_generator.js';
+import {getDefaultValue, getTsType} from './types.js';
+import '../type-declarations.js';
+
+// Struct types are generated as interfaces and their values as object
+// literals; enum types as enums. The field getters and setters, and the
+// enum values, are generated as JavaScript.
+
+/**
+ * Generate a TypeScript interface for a struct type declaration.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {null} The interface is emitted as a definition.
+ */
+typescriptGenerator.forBlock['struct_declaration'] = function(block, generator) {
+  const typeName = block.getFieldValue('NAME');
+  const fields = block.getFields().map((field) => generator.INDENT +
+      field.name + ': ' + getTsType(field.type, block.workspace) + ';\n');
+  generator.definitions_['type ' + typeName] = 'interface ' + typeName +
+      ' {\n' + fields.join('') + '}';
+  return null;
+};
+
+/**
+ * Generate a TypeScript enum for an enum type declaration.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {null} The enum is emitted as a definition.
+ */
+typescriptGenerator.forBlock['enum_declaration'] = function(block, generator) {
+  const typeName = block.getFieldValue('NAME');
+  const members = block.getMembers().map((member) =>
+    generator.INDENT + member + ',\n');
+  generator.definitions_['type ' + typeName] = 'enum ' + typeName + ' {\n' +
+      members.join('') + '}';
+  return null;
+};
+
+/**
+ * Generate an object literal for a value of a struct type. Fields whose
+ * inputs are empty get their type's default value.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+typescriptGenerator.forBlock['struct_create'] = function(block, generator) {
+  const userType = block.workspace.getTypeManager().getUserType(
+      block.getStructType());
+  const fields = userType && userType.kind === 'struct' ? userType.fields :
+      block.fieldNames_.map((name) => ({name: name, type: 'any'}));
+  const code = fields.map((field) => field.name + ': ' +
+      (generator.valueToCode(block, 'FIELD_' + field.name, Order.NONE) ||
+      getDefaultValue(getTsType(field.type, block.workspace),
+          block.workspace)));
+  return ['{' + code.join(', ') + '}', Order.ATOMIC];
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+import {javascriptGenerator} from 'blockly/javascript';
+import {typescriptGenerator, Order} from './typescript_generator.js';
+import {declaration, getDefaultValue, getTsType} from './types.js';
+import {getTypeCategory} from '../../types.js';
+import '../typed-variables.js';
+import {declareNames, getGlobalName, getVariableName} from '../lexical-names.js';
+import {publishScope} from '../scope-frames.js';
+
+/**
+ * Generate TypeScript code for typed global variable declaration.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {string} The generated code.
+ */
+typescriptGenerator.forBlock['typed_global_declaration'] = function(block, generator) {
+  const type = getTsType(block.getFieldValue('TYPE'), block.workspace);
+  const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+      getDefaultValue(type, block.workspace);
+  const varName = getGlobalName(generator, block.getFieldValue('NAME'));
+  return 'let ' + declaration(varName, type) + ' = ' + value + ';\n';
+};
+
+/**
+ * Generate TypeScript code for typed local variable declaration statement.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {string} The generated code.
+ */
+typescriptGenerator.forBlock['typed_local_declaration_statement'] = function(block, generator) {
+  const type = getTsType(block.getFieldValue('TYPE'), block.workspace);
+  const value = generator.valueToCode(block, 'DECL', Order.ASSIGNMENT) ||
+      getDefaultValue(type, block.workspace);
+  const varName = declareNames(generator, block,
+      [block.getFieldValue('VAR')])[0];
+  let code = '{\n';
+  code += generator.INDENT + 'let ' + declaration(varName, type) + ' = ' +
+      value + ';\n';
+  code += publishScope(generator, block,
+      [[block.getFieldValue('VAR'), varName]],
+      generator.statementToCode(block, 'DO'));
+  code += '}\n';
+  return code;
+};
+
+/**
+ * Generate TypeScript code for typed variable getter.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+typescriptGenerator.forBlock['typed_lexical_variable_get'] = function(block, generator) {
+  const code = getVariableName(generator, block, block.getFieldValue('VAR'));
+  return [code, Order.ATOMIC];
+};
+
+/**
+ * Generate TypeScript code for typed variable setter.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {string} The generated code.
+ */
+typescriptGenerator.forBlock['typed_lexical_variable_set'] = function(block, generator) {
+  const argument0 = generator.valueToCode(block, 'VALUE',
+      Order.ASSIGNMENT) || '0';
+  const varName = getVariableName(generator, block,
+      block.getFieldValue('VAR'));
+  return varName + ' = ' + argument0 + ';\n';
+};
+
+/**
+ * Generate TypeScript code for a cast. Numbers, strings and booleans are
+ * converted as in JavaScript; casts to other types are type assertions.
+ * @param {Blockly.Block} block The block to generate code for.
+ * @param {Object} generator The code generator.
+ * @return {Array} The generated code and order.
+ */
+typescriptGenerator.forBlock['typed_cast'] = function(block, generator) {
+  const type = block.getFieldValue('TYPE');
+  if (['number', 'string', 'boolean'].includes(getTypeCategory(type))) {
+    return javascriptGenerator.forBlock['typed_cast'].call(this, block,
+        generator);
+  }
+  const tsType = getTsType(type, block.workspace);
+  const value = generator.valueToCode(block, 'VALUE', Order.NONE) ||
+      getDefaultValue(tsType, block.workspace);
+  return ['(' + value + ' as ' + tsType + ')', Order.ATOMIC];
+};
@@ -0,0 +1,326 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Types for the TypeScript generator. Declared types are
+ * mapped onto TypeScript types. Untyped declarations are annotated as any,
+ * because the blocks let a variable hold values of different types over
+ * its lifetime, which TypeScript's inferred types wouldn't allow.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import * as Shared from '../../shared.js';
+import {LexicalVariable} from '../../fields/field_lexical_variable.js';
+import {TypeManager} from '../../typeManager.js';
+import * as Types from '../../types.js';
+import {getLanguageProfile, getProfileDefaultValue}
+  from '../../languageProfiles.js';
+
+/**
+ * The TypeScript type of untyped declarations.
+ * @type {string}
+ */
+export const DEFAULT_TYPE = 'any';
+
+/**
+ * Get the TypeScript type for a type from the type dropdown.
+ * @param {?string} type The type.
+ * @param {Blockly.Workspace=} opt_workspace The workspace the type is used
+ *     on, whose struct and enum types (see TypeManager.getUserType) are
+ *     generated under their own names.
+ * @return {string} The TypeScript type, or DEFAULT_TYPE for a type
+ *     TypeScript has no counterpart for.
+ */
+export function getTsType(type, opt_workspace) {
+  const node = Types.tryParseType(type);
+  return node ? formatTsType(node, getUserTypeNames(opt_workspace)) :
+      DEFAULT_TYPE;
+}
+
+/**
+ * Get the names of the struct and enum types of a workspace.
+ * @param {Blockly.Workspace=} opt_workspace
+ * @return {!Array<string>} The names, none without a workspace.
+ */
+function getUserTypeNames(opt_workspace) {
+  return opt_workspace ?
+      opt_workspace.getTypeManager().getUserTypeNames() : [];
+}
+
+/**
+ * The generic types TypeScript has, by the number of type arguments.
+ * @type {!Object<string, number>}
+ */
+const GENERIC_TYPES = {
+  Array: 1,
+  Promise: 1,
+  Set: 1,
+  Map: 2,
+  Record: 2,
+};
+
+/**
+ * Print a type node as a TypeScript type.
+ * @param {!Object} type The type node.
+ * @param {!Array<string>} userTypes The names of the struct and enum types.
+ * @return {string} The TypeScript type.
+ */
+function formatTsType(type, userTypes) {
+  const format = (type) => formatTsType(type, userTypes);
+  switch (type.kind) {
+    case Types.TypeKind.ARRAY:
+      return formatTsOperand(type.element, userTypes) + '[]';
+    case Types.TypeKind.POINTER:
+      // C's strings are strings, and its other pointers arrays.
+      return type.target.kind === Types.TypeKind.NAME &&
+          type.target.name === 'char' ? 'string' :
+          formatTsOperand(type.target, userTypes) + '[]';
+    case Types.TypeKind.FUNCTION:
+      return '(' + type.params.map((param, i) =>
+        'arg' + i + ': ' + format(param)).join(', ') + ') => ' +
+          format(type.result);
+    case Types.TypeKind.UNION:
+      return type.members.map((member) => member.kind ===
+          Types.TypeKind.FUNCTION ? '(' + format(member) + ')' :
+          format(member)).join(' | ');
+  }
+  if (!type.args.length && userTypes.includes(type.name)) {
+    return type.name;
+  }
+  switch (type.name) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+    case 'object':
+    case 'void':
+    case 'null':
+    case 'undefined':
+      return type.name;
+    case 'int':
+    case 'float':
+    case 'double':
+      return 'number';
+    case 'char':
+      return 'string';
+    case 'bool':
+      return 'boolean';
+    case 'function':
+    case 'Function':
+      return 'Function';
+    default:
+      if (GENERIC_TYPES[type.name] === type.args.length) {
+        return type.name + '<' + type.args.map(format).join(', ') + '>';
+      }
+      return DEFAULT_TYPE;
+  }
+}
+
+/**
+ * Print the TypeScript type an array suffix applies to, in parentheses if
+ * it's a function or union type.
+ * @param {!Object} type The type node.
+ * @param {!Array<string>} userTypes
+ * @return {string}
+ */
+function formatTsOperand(type, userTypes) {
+  const tsType = formatTsType(type, userTypes);
+  return type.kind === Types.TypeKind.FUNCTION ||
+      type.kind === Types.TypeKind.UNION ? '(' + tsType + ')' : tsType;
+}
+
+/**
+ * Get the default value for a TypeScript type.
+ * @param {string} type The TypeScript type.
+ * @param {Blockly.Workspace=} opt_workspace The workspace the type is used
+ *     on. The default value of one of its struct types is an object with the
+ *     default value of each field, and that of one of its enum types is the
+ *     first member.
+ * @return {string} The default value.
+ */
+export function getDefaultValue(type, opt_workspace) {
+  return getDefaultValue_(type, opt_workspace, new Set());
+}
+
+/**
+ * As getDefaultValue.
+ * @param {string} type
+ * @param {Blockly.Workspace|undefined} workspace
+ * @param {!Set<string>} visiting The struct types whose default values are
+ *     being made, to stop at structs that contain themselves, whose
+ *     default value is null.
+ * @return {string}
+ */
+function getDefaultValue_(type, workspace, visiting) {
+  const userType = workspace && workspace.getTypeManager().getUserType(type);
+  if (userType && userType.kind === 'enum' && userType.members.length) {
+    return type + '.' + userType.members[0];
+  }
+  if (userType && userType.kind === 'struct' && !visiting.has(type)) {
+    visiting.add(type);
+    const fields = userType.fields.map((field) => field.name + ': ' +
+        getDefaultValue_(getTsType(field.type, workspace), workspace,
+            visiting));
+    visiting.delete(type);
+    return '{' + fields.join(', ') + '}';
+  }
+  switch (Types.getTypeCategory(type)) {
+    case 'function': {
+      // A function that returns the default value of its result type.
+      const node = Types.parseType(type);
+      if (node.kind !== Types.TypeKind.FUNCTION ||
+          Types.getTypeCategory(Types.formatType(node.result)) === 'void') {
+        return '() => {}';
+      }
+      return '() => (' + getDefaultValue_(
+          formatTsType(node.result, getUserTypeNames(workspace)),
+          workspace, visiting) + ')';
+    }
+    case 'null': {
+      // An optional value (T | undefined) is missing until it's set.
+      const node = Types.parseType(type);
+      const members = node.kind === Types.TypeKind.UNION ? node.members :
+          [node];
+      return members.some((member) => Types.isNull(member) &&
+          member.name === 'null') ? 'null' : 'undefined';
+    }
+    default:
+      return getProfileDefaultValue(getLanguageProfile('typescript'), type);
+  }
+}
+
+/**
+ * Format the declaration of a variable or parameter, as the TypeScript
+ * profile declares names (see languageProfiles.js).
+ * @param {string} name The generated name.
+ * @param {string} type The TypeScript type.
+ * @return {string} The declaration, e.g., 'x: number'.
+ */
+export function declaration(name, type) {
+  return getLanguageProfile('typescript').declare(name, type);
+}
+
+/**
+ * Get the TypeScript type of a name declared by a block.
+ * @param {Blockly.Block} declBlock The declaring block.
+ * @param {string} name The declared name.
+ * @return {string} The TypeScript type.
+ */
+export function getDeclaredType(declBlock, name) {
+  switch (declBlock.type) {
+    case 'typed_global_declaration':
+    case 'typed_local_declaration_statement':
+      return getTsType(declBlock.getFieldValue('TYPE'), declBlock.workspace);
+    case 'procedures_defnoreturn':
+    case 'procedures_defreturn':
+      return getTsType(declBlock.getParameterTypes()[
+          declBlock.getParameters().indexOf(name)], declBlock.workspace);
+    case 'controls_forRange':
+    case 'controls_for':
+      return declBlock.getFieldValue('TYPE') === 'any' ? 'number' :
+          getTsType(declBlock.getFieldValue('TYPE'), declBlock.workspace);
+    case 'controls_forEach':
+      return getTsType(declBlock.getFieldValue('TYPE'), declBlock.workspace);
+    default:
+      return DEFAULT_TYPE;
+  }
+}
+
+/**
+ * Get the TypeScript type of a variable of an untyped declaration.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {!Blockly.Block} declBlock The declaring block.
+ * @param {string} name The variable's name.
+ * @return {string} The inferred type in INFER_TYPES mode, where it can be
+ *     inferred, otherwise DEFAULT_TYPE.
+ */
+export function getInferredType(generator, declBlock, name) {
+  if (!generator.INFER_TYPES) {
+    return DEFAULT_TYPE;
+  }
+  return getTsType(new TypeManager(declBlock.workspace)
+      .inferDeclarationType(declBlock, name), declBlock.workspace);
+}
+
+/**
+ * Get the TypeScript type of the value a procedure returns.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {!Blockly.Block} block The procedure definition, with a return
+ *     value.
+ * @return {string} The inferred type in INFER_TYPES mode, where it can be
+ *     inferred, otherwise DEFAULT_TYPE.
+ */
+export function getInferredReturnType(generator, block) {
+  if (!generator.INFER_TYPES) {
+    return DEFAULT_TYPE;
+  }
+  return getTsType(new TypeManager(block.workspace).inferReturnType(block),
+      block.workspace);
+}
+
+/**
+ * Get the TypeScript type of the value a procedure returns: its declared
+ * return type, if it has one, otherwise as for getInferredReturnType.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {!Blockly.Block} block The procedure definition.
+ * @return {string} The TypeScript type, 'void' if the procedure doesn't
+ *     return a value.
+ */
+export function getReturnType(generator, block) {
+  if (!block.getInput('RETURN')) {
+    return 'void';
+  }
+  const returnType = block.getReturnType();
+  return returnType !== 'any' ? getTsType(returnType, block.workspace) :
+      getInferredReturnType(generator, block);
+}
+
+/**
+ * Work out the type of the elements of a list.
+ * @param {!Blockly.CodeGenerator} generator
+ * @param {Blockly.Block} block The list block, or null if the input is
+ *     empty.
+ * @return {string} The TypeScript element type, or DEFAULT_TYPE if it
+ *     can't be worked out.
+ */
+export function getElementType(generator, block) {
+  if (!block) {
+    return DEFAULT_TYPE;
+  }
+  let type = DEFAULT_TYPE;
+  if (block.type === 'lexical_variable_get' ||
+      block.type === 'typed_lexical_variable_get') {
+    const declBlock = getDeclaringBlock(block);
+    if (declBlock) {
+      type = getDeclaredType(declBlock,
+          Shared.unprefixName(block.getFieldValue('VAR'))[1]);
+    }
+  }
+  if (type === DEFAULT_TYPE && generator.INFER_TYPES) {
+    type = getTsType(new TypeManager(block.workspace).inferValueType(block),
+        block.workspace);
+  }
+  const list = Types.parseType(type);
+  return list.kind === Types.TypeKind.ARRAY ?
+      formatTsType(list.element, getUserTypeNames(block.workspace)) :
+      DEFAULT_TYPE;
+}
+
+/**
+ * Find the block that declares the variable a getter or setter refers to.
+ * @param {Blockly.Block} block The getter or setter.
+ * @return {Blockly.Block} The declaring block, or null if there isn't one.
+ */
+function getDeclaringBlock(block) {
+  const [prefix, name] = Shared.unprefixName(block.getFieldValue('VAR'));
+  if (prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+      prefix === Shared.GLOBAL_KEYWORD) {
+    return block.workspace.getTopBlocks(false).find((topBlock) =>
+      (topBlock.type === 'global_declaration' ||
+        topBlock.type === 'typed_global_declaration') &&
+        topBlock.getFieldValue('NAME') === name) || null;
+  }
+  return LexicalVariable.getBindingBlock(block, name);
+}
@@ -0,0 +1,47 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview A TypeScript code generator. TypeScript is JavaScript with
+ * type annotations, so this generator extends Blockly's JavaScript generator
+ * and falls back on its block generators; only the blocks that declare
+ * something are generated differently.
+ */
+
+'use strict';
+
+import {JavascriptGenerator, javascriptGenerator} from 'blockly/javascript';
+import {getLanguageProfile} from '../../languageProfiles.js';
+
+export {Order} from 'blockly/javascript';
+
+/**
+ * TypeScript code generator class.
+ */
+export class TypescriptGenerator extends JavascriptGenerator {
+  /** @param {string=} name Name of the language the generator is for. */
+  constructor(name = 'TypeScript') {
+    super(name);
+
+    // Any block without a TypeScript generator of its own is generated as
+    // JavaScript. Looking the generators up through the prototype chain,
+    // rather than copying them, picks up JavaScript generators that are
+    // registered after this one is created.
+    this.forBlock = Object.create(javascriptGenerator.forBlock);
+
+    this.addReservedWords(
+        // https://github.com/microsoft/TypeScript/issues/2536
+        'any,as,boolean,constructor,declare,get,infer,is,keyof,module,' +
+        'namespace,never,number,readonly,require,set,string,symbol,type,' +
+        'undefined,unique,unknown');
+    this.addReservedWords(
+        getLanguageProfile('typescript').reservedWords.join(','));
+  }
+}
+
+/**
+ * TypeScript code generator instance.
+ * @type {!TypescriptGenerator}
+ */
+export const typescriptGenerator = new TypescriptGenerator();
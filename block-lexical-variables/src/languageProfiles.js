@@ -0,0 +1,250 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview Language profiles: what the typed blocks need to know about
+ * a language they're generated in. A profile bundles
+ *  - name: the key it's registered and looked up under, e.g., 'java'.
+ *  - displayName: the language's name in messages, e.g., 'Java'.
+ *  - types: the types offered in the type dropdowns, written as in
+ *    types.js (e.g., 'int', 'String', 'int[]', 'Vec<i64>').
+ *  - displayType: optional; shows a type in the dropdowns. Types are
+ *    capitalized by default.
+ *  - typeNames: optional; the names, besides those in types, that the types
+ *    entered with a dropdown's "Other…" editor may use, e.g., 'Map' or
+ *    'uint8_t'.
+ *  - defaultValues: the code of the value a variable of a type starts with
+ *    when its declaration has none, by type ('i32') or by category (see
+ *    Types.getTypeCategory: 'number', 'string', ...), with 'any' for the
+ *    rest.
+ *  - isAssignable: optional; replaces Types.isAssignable, which it can fall
+ *    back on, as the rule for which values a variable of a type accepts.
+ *  - reservedWords: the words that can't be used as names.
+ *  - declare: prints the declaration of a name of a type, e.g., 'int x' or
+ *    'x: i32'.
+ *
+ * The type dropdowns offer the types of their language's profile, the
+ * TypeManager checks compatibility and names by its workspace's (see
+ * TypeManager.setLanguage), and the generators take their default values,
+ * declarations and reserved words from theirs. Profiles for TypeScript,
+ * JavaScript and C are built in; others, such as Java or Rust, are
+ * registered with registerLanguageProfile.
+ */
+
+'use strict';
+
+import * as Types from './types.js';
+
+/**
+ * The registered profiles, by name.
+ * @type {!Map<string, !Object>}
+ */
+const profiles = new Map();
+
+/**
+ * Register a language profile, replacing any registered under its name.
+ * @param {!Object} profile The profile (see the file overview). Its name is
+ *     lowercased; displayName defaults to the name, and reservedWords and
+ *     typeNames to none.
+ * @return {!Object} The registered profile.
+ * @throws {Error} If the profile has no name, types, default values or
+ *     declaration syntax, or one of its types doesn't parse.
+ */
+export function registerLanguageProfile(profile) {
+  if (!profile.name) {
+    throw Error('A language profile needs a name');
+  }
+  ['types', 'defaultValues', 'declare'].forEach((key) => {
+    if (!profile[key]) {
+      throw Error(`The language profile ${profile.name} needs ${key}`);
+    }
+  });
+  profile.types.forEach(Types.parseType);
+  const registered = Object.assign({
+    displayName: profile.name,
+    reservedWords: [],
+    typeNames: [],
+    displayType: (type) => type.charAt(0).toUpperCase() + type.slice(1),
+  }, profile, {name: profile.name.toLowerCase()});
+  profiles.set(registered.name, registered);
+  return registered;
+}
+
+/**
+ * Get the profile of a language.
+ * @param {string} language The name of the language, in any case.
+ * @return {!Object} The profile.
+ * @throws {Error} If no profile is registered for the language.
+ */
+export function getLanguageProfile(language) {
+  const profile = language && profiles.get(language.toLowerCase());
+  if (!profile) {
+    throw Error(`Unknown language: ${language}. Register a profile for it ` +
+        'with registerLanguageProfile.');
+  }
+  return profile;
+}
+
+/**
+ * Check if a profile is registered for a language.
+ * @param {string} language The name of the language, in any case.
+ * @return {boolean}
+ */
+export function hasLanguageProfile(language) {
+  return !!language && profiles.has(language.toLowerCase());
+}
+
+/**
+ * Get the names of the registered languages.
+ * @return {!Array<string>}
+ */
+export function getLanguageNames() {
+  return [...profiles.keys()];
+}
+
+/**
+ * Get the names that the types of a language may use: those of the types of
+ * its profile, and its other type names.
+ * @param {!Object} profile The language's profile.
+ * @return {!Array<string>}
+ */
+export function getProfileTypeNames(profile) {
+  const names = [].concat(...profile.types.map((type) =>
+    Types.getTypeNames(Types.parseType(type))), profile.typeNames);
+  return [...new Set(names)];
+}
+
+/**
+ * Get the code of the value a variable of a type starts with in a language:
+ * the profile's default value for the type, else for its category, else
+ * for any.
+ * @param {!Object} profile The language's profile.
+ * @param {?string} type The type.
+ * @return {string} The code.
+ */
+export function getProfileDefaultValue(profile, type) {
+  const values = profile.defaultValues;
+  if (type && Object.prototype.hasOwnProperty.call(values, type)) {
+    return values[type];
+  }
+  const category = Types.getTypeCategory(type);
+  return Object.prototype.hasOwnProperty.call(values, category) ?
+      values[category] : values.any;
+}
+
+/**
+ * The words JavaScript, and so TypeScript, reserves.
+ * @type {!Array<string>}
+ */
+const JAVASCRIPT_RESERVED_WORDS = ['await', 'break', 'case', 'catch',
+  'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for',
+  'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface',
+  'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+  'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'var', 'void', 'while', 'with', 'yield'];
+
+/**
+ * The default values of JavaScript.
+ * @type {!Object<string, string>}
+ */
+const JAVASCRIPT_DEFAULT_VALUES = {
+  'number': '0',
+  'string': '""',
+  'boolean': 'false',
+  'list': '[]',
+  'map': 'new Map()',
+  'set': 'new Set()',
+  'object': '{}',
+  'function': '() => {}',
+  'void': 'undefined',
+  'any': 'null',
+};
+
+/**
+ * The types JavaScript and TypeScript offer.
+ * @type {!Array<string>}
+ */
+const JAVASCRIPT_TYPES = ['any', 'number', 'string', 'boolean', 'array',
+  'object', 'function', 'void', 'number[]', 'string[]', 'boolean[]'];
+
+/**
+ * The JavaScript and TypeScript types that aren't offered but can be
+ * entered.
+ * @type {!Array<string>}
+ */
+const JAVASCRIPT_TYPE_NAMES = ['Array', 'Map', 'Set', 'Record', 'Promise',
+  'Function', 'null', 'undefined'];
+
+/**
+ * The C integer types from stddef.h and stdint.h, which can be entered, and
+ * which are as assignable as int.
+ * @type {!Array<string>}
+ */
+const C_INTEGER_TYPES = ['size_t', 'int8_t', 'int16_t', 'int32_t',
+  'int64_t', 'uint8_t', 'uint16_t', 'uint32_t', 'uint64_t'];
+
+/**
+ * Treat a C integer type as int.
+ * @param {!Object} type The type node.
+ * @return {!Object} The type node.
+ */
+function toInt(type) {
+  return type.kind === Types.TypeKind.NAME &&
+      C_INTEGER_TYPES.includes(type.name) ? Types.nameType('int') : type;
+}
+
+registerLanguageProfile({
+  name: 'typescript',
+  displayName: 'TypeScript',
+  types: [...JAVASCRIPT_TYPES, 'Promise<any>', 'Promise<number>',
+    'Promise<string>', 'Promise<boolean>', 'number | null', 'string | null',
+    'boolean | null'],
+  defaultValues: Object.assign({}, JAVASCRIPT_DEFAULT_VALUES, {
+    'string': '\'\'',
+    'promise': 'new Promise(() => {})',
+    'null': 'null',
+  }),
+  reservedWords: JAVASCRIPT_RESERVED_WORDS,
+  typeNames: JAVASCRIPT_TYPE_NAMES,
+  declare: (name, type) => name + ': ' + type,
+});
+
+registerLanguageProfile({
+  name: 'javascript',
+  displayName: 'JavaScript',
+  types: JAVASCRIPT_TYPES,
+  defaultValues: JAVASCRIPT_DEFAULT_VALUES,
+  reservedWords: JAVASCRIPT_RESERVED_WORDS,
+  typeNames: JAVASCRIPT_TYPE_NAMES,
+  // JavaScript's declarations have no types.
+  declare: (name) => name,
+});
+
+registerLanguageProfile({
+  name: 'c',
+  displayName: 'C',
+  types: ['int', 'float', 'double', 'char', 'char*', 'void', 'bool', 'int*',
+    'float*'],
+  // C's types are shown as they're written.
+  displayType: (type) => type,
+  typeNames: C_INTEGER_TYPES,
+  isAssignable: (target, source) =>
+    Types.isAssignable(toInt(target), toInt(source)),
+  defaultValues: {
+    'char': '\'\\0\'',
+    'string': '""',
+    'boolean': 'false',
+    'any': '0',
+  },
+  // https://en.cppreference.com/w/c/keyword
+  reservedWords: ['auto', 'break', 'case', 'char', 'const', 'continue',
+    'default', 'do', 'double', 'else', 'enum', 'extern', 'float', 'for',
+    'goto', 'if', 'inline', 'int', 'long', 'register', 'restrict', 'return',
+    'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef',
+    'union', 'unsigned', 'void', 'volatile', 'while', '_Alignas',
+    '_Alignof', '_Atomic', '_Bool', '_Complex', '_Generic', '_Imaginary',
+    '_Noreturn', '_Static_assert', '_Thread_local'],
+  declare: (name, type) => type + ' ' + name,
+});
@@ -30,6 +30,16 @@ Blockly.Msg['LANG_VARIABLES_SET_COLLAPSED_TEXT'] = 'set';
 Blockly.Msg['LANG_VARIABLES_SET_TOOLTIP'] =
     'Sets this variable to be equal to the input.';
 Blockly.Msg['LANG_VARIABLES_VARIABLE'] = ' variable';
+Blockly.Msg['LANG_VARIABLES_TYPE_TOOLTIP'] = 'Type: %1';
+Blockly.Msg['LANG_VARIABLES_TYPED_NAME'] = '%1 : %2';
+Blockly.Msg['LANG_VARIABLES_TYPE_OTHER'] = 'Other…';
+Blockly.Msg['LANG_VARIABLES_TYPE_OTHER_PROMPT'] = 'Type:';
+Blockly.Msg['LANG_VARIABLES_TYPE_UNKNOWN'] = 'Unknown type %1 in %2';
+Blockly.Msg['LANG_VARIABLES_UNUSED_VARIABLE'] = 'Variable %1 is never read';
+Blockly.Msg['LANG_VARIABLES_UNUSED_PARAMETER'] = 'Parameter %1 is never read';
+Blockly.Msg['LANG_VARIABLES_UNUSED_COUNTER'] = 'Loop variable %1 is never read';
+Blockly.Msg['LANG_VARIABLES_REMOVE_UNUSED_VARIABLE'] = 'Remove unused variable';
+Blockly.Msg['LANG_VARIABLES_REMOVE_UNUSED_VARIABLES'] = 'Remove unused variables';
 Blockly.Msg['LANG_VARIABLES_LOCAL_DECLARATION_TITLE_INIT'] = 'initialize local';
 Blockly.Msg['LANG_VARIABLES_LOCAL_DECLARATION_DEFAULT_NAME'] = 'name';
 Blockly.Msg['LANG_VARIABLES_LOCAL_DECLARATION_INPUT_TO'] = 'to';
@@ -88,6 +98,7 @@ Blockly.Msg['LANG_PROCEDURES_CALLRETURN_TOOLTIP'] =
 Blockly.Msg['LANG_PROCEDURES_CALLRETURN_TRANSLATED_NAME'] = 'call return';
 Blockly.Msg['LANG_PROCEDURES_MUTATORCONTAINER_TITLE'] = 'inputs';
 Blockly.Msg['LANG_PROCEDURES_MUTATORARG_TITLE'] = 'input:';
+Blockly.Msg['LANG_PROCEDURES_MUTATORCONTAINER_RETURN_TYPE'] = 'result:';
 Blockly.Msg['LANG_PROCEDURES_HIGHLIGHT_DEF'] = 'Highlight Procedure';
 Blockly.Msg['LANG_PROCEDURES_MUTATORCONTAINER_TOOLTIP'] = '';
 Blockly.Msg['LANG_PROCEDURES_MUTATORARG_TOOLTIP'] = '';
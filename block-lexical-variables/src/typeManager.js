@@ -1,6 +1,12 @@
 'use strict';
 
 import * as Blockly from 'blockly/core';
+import * as Shared from './shared.js';
+import * as Types from './types.js';
+import {Assignment, DefiniteAssignment} from './definiteAssignment.js';
+import {getLanguageProfile} from './languageProfiles.js';
+import * as Utilities from './utilities.js';
+import {LexicalVariable} from './fields/field_lexical_variable.js';
 
 /**
  * Manages type information for variables across the workspace.
@@ -13,9 +19,72 @@ export class TypeManager {
    */
   constructor(workspace) {
     this.workspace = workspace;
-    this.variableTypes = new Map(); // Map of variable name to type
+    // Map of declaring block ID (null for globals and for variables
+    // registered by name only) to Map of variable name to type information
+    this.variableTypes = new Map();
     this.blockTypes = new Map(); // Map of block ID to type information
     this.typeErrors = []; // Array of type errors
+    this.blockErrors_ = new Map(); // Map of block ID to its type errors
+    // Map of type name to struct or enum type registered by name only
+    this.userTypes_ = new Map();
+    // Map of declaration key to inferred type (see inferDeclarationType_),
+    // while checking, and the number of inferences cut short by a cycle
+    this.inferredTypes_ = null;
+    this.cycles_ = 0;
+    // The top blocks that declare globals, procedures and types (see
+    // indexDeclarations), and Map of global name to the values assigned to
+    // it, while checking
+    this.declarations_ = null;
+    this.assignedValues_ = null;
+    // The definite-assignment analysis, and Map of top block ID to the
+    // states of the variables its getters read, while checking
+    this.definiteAssignment_ = null;
+    this.assignmentStates_ = null;
+    // The language the workspace is generated in (see setLanguage)
+    this.language_ = 'typescript';
+    this.listener_ = null; // The workspace change listener, while listening
+    // Map of use key (see getUseKey) to the IDs of the blocks that use the
+    // global or procedure, and Map of the ID of each getter, setter and call
+    // to its use key, while listening or checking (see syncUses_)
+    this.uses_ = null;
+    this.useKeys_ = null;
+    // Connections whose checks have been set from their declared types,
+    // and those whose checks are held back because the blocks connected to
+    // them wouldn't pass (see updateConnectionChecks_)
+    this.checkedConnections_ = new WeakSet();
+    this.heldChecks_ = new WeakSet();
+  }
+
+  /**
+   * Set the language the workspace is generated in. Its profile (see
+   * languageProfiles.js) decides which types are compatible and which names
+   * are reserved. The type dropdowns of the workspace's blocks, and of those
+   * created on it from now on while listening, offer its types, and every
+   * block is checked again.
+   * @param {string} language The name of the language.
+   * @throws {Error} If no profile is registered for the language.
+   */
+  setLanguage(language) {
+    this.language_ = getLanguageProfile(language).name;
+    this.workspace.getAllBlocks(false).forEach((block) =>
+      setBlockLanguage(block, this.language_));
+    this.recheck_(this.workspace.getAllBlocks(false));
+  }
+
+  /**
+   * Get the language the workspace is generated in.
+   * @return {string} The name of the language.
+   */
+  getLanguage() {
+    return this.language_;
+  }
+
+  /**
+   * Get the profile of the language the workspace is generated in.
+   * @return {!Object} The profile.
+   */
+  getLanguageProfile() {
+    return getLanguageProfile(this.language_);
   }
 
   /**
@@ -23,32 +92,678 @@ export class TypeManager {
    * @param {string} variableName The name of the variable.
    * @param {string} type The type of the variable.
    * @param {string} scope The scope of the variable ('global' or 'local').
+   * @param {Blockly.Block=} declBlock The block that declares the variable.
+   *     Local variables are registered per declaring block, so that
+   *     variables with the same name in different scopes are kept apart.
    */
-  registerVariable(variableName, type, scope = 'local') {
-    this.variableTypes.set(variableName, {
+  registerVariable(variableName, type, scope = 'local', declBlock = null) {
+    const key = scope === 'local' && declBlock ? declBlock.id : null;
+    if (!this.variableTypes.has(key)) {
+      this.variableTypes.set(key, new Map());
+    }
+    this.variableTypes.get(key).set(variableName, {
       type: type,
       scope: scope,
-      declared: true
+      declared: true,
+      blockId: declBlock ? declBlock.id : null
     });
   }
 
+  /**
+   * Get the type information of a variable declared by a block.
+   * @param {Blockly.Block} declBlock The declaring block, or null for a
+   *     global.
+   * @param {string} variableName The name of the variable.
+   * @return {Object|null} The type information, or null if not found.
+   * @private
+   */
+  getVariableInfo_(declBlock, variableName) {
+    const key = declBlock && !isGlobalDeclaration(declBlock) ?
+        declBlock.id : null;
+    const variables = this.variableTypes.get(key);
+    return (variables && variables.get(variableName)) || null;
+  }
+
   /**
    * Get the type of a variable.
+   * @param {string} variableName The name of the variable, as it appears in
+   *     a getter or setter (i.e., with the global prefix for globals).
+   * @param {Blockly.Block=} block The block to look the variable up from.
+   *     If given, the name resolves to the innermost declaration in scope at
+   *     the block; otherwise it's looked up among the globals and the
+   *     variables registered by name only.
+   * @return {string|null} The type of the variable, declared or inferred,
+   *     or null if not found or if it can't be inferred.
+   */
+  getVariableType(variableName, block) {
+    if (block) {
+      const binding = this.resolveBinding(block, variableName);
+      return binding &&
+          this.getDeclarationType(binding.declBlock, binding.name);
+    }
+    return this.getDeclarationType(null,
+        Shared.unprefixName(variableName)[1]);
+  }
+
+  /**
+   * Get the type of a variable declared by a block. A variable that hasn't
+   * been registered has its type inferred (see inferDeclarationType).
+   * @param {Blockly.Block} declBlock The declaring block, or null for a
+   *     global.
+   * @param {string} variableName The name of the variable.
+   * @return {string|null} The type of the variable, or null if not found or
+   *     if it can't be inferred.
+   */
+  getDeclarationType(declBlock, variableName) {
+    const varInfo = this.getVariableInfo_(declBlock, variableName);
+    if (varInfo) {
+      return varInfo.type;
+    }
+    if (!declBlock) {
+      declBlock = this.findGlobalDeclaration(variableName);
+    }
+    return declBlock ?
+        this.inferDeclarationType(declBlock, variableName) : null;
+  }
+
+  /**
+   * Get the type a variable is declared with, leaving inference aside: the
+   * type of a typed declaration, procedure parameter or loop variable, or
+   * that of a variable registered by name. The item of a for each loop
+   * without a type of its own gets the element type of the declared type
+   * of its list.
+   * @param {Blockly.Block} declBlock The declaring block, or null for a
+   *     global.
    * @param {string} variableName The name of the variable.
+   * @return {string|null} The declared type, or null if the variable is
+   *     untyped or not found.
+   */
+  getDeclaredType(declBlock, variableName) {
+    if (!declBlock) {
+      declBlock = this.findGlobalDeclaration(variableName);
+    }
+    if (!declBlock) {
+      const varInfo = this.getVariableInfo_(null, variableName);
+      return varInfo && declaredType(varInfo.type);
+    }
+    switch (declBlock.type) {
+      case 'typed_global_declaration':
+      case 'typed_local_declaration_statement':
+        return declaredType(declBlock.getFieldValue('TYPE'));
+      case 'procedures_defnoreturn':
+      case 'procedures_defreturn':
+        return declaredType(declBlock.getParameterTypes()[
+            declBlock.getParameters().indexOf(variableName)]);
+      case 'controls_forRange':
+      case 'controls_for':
+        return declaredType(declBlock.getFieldValue('TYPE'));
+      case 'controls_forEach': {
+        // An untyped item takes the element type of its list's.
+        const list = declBlock.getInputTargetBlock('LIST');
+        return declaredType(declBlock.getFieldValue('TYPE')) ||
+            (list && GETTER_TYPES.includes(list.type) ?
+                elementType(this.getDeclaredBindingType(list)) : null);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the type of the variable that a getter or setter refers to.
+   * @param {Blockly.Block} block The getter or setter.
    * @return {string|null} The type of the variable, or null if not found.
    */
-  getVariableType(variableName) {
-    const varInfo = this.variableTypes.get(variableName);
-    return varInfo ? varInfo.type : null;
+  getBindingType(block) {
+    return this.getVariableType(block.getFieldValue('VAR'), block);
+  }
+
+  /**
+   * Get the declared type of the variable that a getter or setter refers
+   * to (see getDeclaredType).
+   * @param {Blockly.Block} block The getter or setter.
+   * @return {string|null} The declared type, or null if the variable is
+   *     untyped or not found.
+   */
+  getDeclaredBindingType(block) {
+    const binding = this.resolveBinding(block, block.getFieldValue('VAR'));
+    return binding && this.getDeclaredType(binding.declBlock, binding.name);
+  }
+
+  /**
+   * Find the declaration that a variable name refers to at a block.
+   * @param {Blockly.Block} block The block the name is used in.
+   * @param {string} variableName The name, as it appears in a getter or
+   *     setter.
+   * @return {{declBlock: Blockly.Block, name: string}|null} The declaring
+   *     block (null for a global) and the unprefixed name, or null if the
+   *     name isn't in scope at the block.
+   */
+  resolveBinding(block, variableName) {
+    const [prefix, name] = Shared.unprefixName(variableName);
+    if (prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+        prefix === Shared.GLOBAL_KEYWORD) {
+      return {declBlock: null, name: name};
+    }
+    const declBlock = LexicalVariable.getBindingBlock(block, name);
+    return declBlock ? {declBlock: declBlock, name: name} : null;
+  }
+
+  /**
+   * Find the top block that declares a global.
+   * @param {string} variableName The unprefixed name of the global.
+   * @return {Blockly.Block} The declaration, or null if there isn't one.
+   */
+  findGlobalDeclaration(variableName) {
+    return this.findDeclaration_('global ' + variableName);
+  }
+
+  /**
+   * Find the definition of a procedure.
+   * @param {string} procedureName The name of the procedure.
+   * @return {Blockly.Block} The definition, or null if there isn't one.
+   */
+  findProcedureDefinition(procedureName) {
+    return this.findDeclaration_('procedure ' + procedureName);
+  }
+
+  /**
+   * Find the first top block that declares something, in the index of
+   * declarations made for the check under way, if there is one.
+   * @param {string} key The kind of declaration and the name (see
+   *     indexDeclarations).
+   * @return {Blockly.Block} The declaration, or null if there isn't one.
+   * @private
+   */
+  findDeclaration_(key) {
+    const declarations = this.declarations_ ||
+        indexDeclarations(this.workspace);
+    return declarations.get(key) || null;
+  }
+
+  /**
+   * Register a struct type that isn't declared by a block, e.g., one that
+   * the host application defines. It's offered in the type dropdowns and
+   * its fields are checked like those of a declared struct.
+   * @param {string} typeName The name of the type.
+   * @param {!Array<{name: string, type: string}>} fields The fields.
+   */
+  registerStructType(typeName, fields) {
+    this.userTypes_.set(typeName, {
+      kind: 'struct',
+      name: typeName,
+      fields: fields.map((field) => ({name: field.name, type: field.type})),
+      block: null,
+    });
+  }
+
+  /**
+   * Register an enum type that isn't declared by a block, as for
+   * registerStructType.
+   * @param {string} typeName The name of the type.
+   * @param {!Array<string>} members The names of its members.
+   */
+  registerEnumType(typeName, members) {
+    this.userTypes_.set(typeName, {
+      kind: 'enum',
+      name: typeName,
+      members: members.slice(),
+      block: null,
+    });
+  }
+
+  /**
+   * Find the top block that declares a struct or enum type.
+   * @param {string} typeName The name of the type.
+   * @return {Blockly.Block} The declaration, or null if there isn't one.
+   */
+  findTypeDeclaration(typeName) {
+    return this.findDeclaration_('type ' + typeName);
+  }
+
+  /**
+   * Get a struct or enum type, declared by a block or registered by name.
+   * @param {?string} typeName The name of the type.
+   * @return {?{kind: string, name: string, fields: (!Array|undefined),
+   *     members: (!Array<string>|undefined), block: Blockly.Block}} The
+   *     type: its kind ('struct' or 'enum'), its fields ({name, type}
+   *     pairs) if it's a struct, its members if it's an enum, and the block
+   *     that declares it, if any. Null if there's no such type.
+   */
+  getUserType(typeName) {
+    const block = typeName ? this.findTypeDeclaration(typeName) : null;
+    if (block) {
+      return Object.assign(block.getTypeDeclaration(), {block: block});
+    }
+    return this.userTypes_.get(typeName) || null;
+  }
+
+  /**
+   * Get the names of the struct and enum types, declared or registered.
+   * @return {!Array<string>} The names of the declared types, in the order
+   *     of the workspace's top blocks, then those of the registered types.
+   */
+  getUserTypeNames() {
+    const names = this.workspace.getTopBlocks(false)
+        .filter((block) => TYPE_DECLARATION_TYPES.includes(block.type))
+        .map((block) => block.getFieldValue('NAME'));
+    names.push(...this.userTypes_.keys());
+    return [...new Set(names)];
+  }
+
+  /**
+   * Get the type of a field of a struct type.
+   * @param {?string} typeName The name of the struct type.
+   * @param {string} fieldName The name of the field.
+   * @return {?string} The field's type, or null if the type isn't a struct
+   *     type or has no such field.
+   */
+  getFieldType(typeName, fieldName) {
+    const userType = this.getUserType(typeName);
+    const field = userType && userType.kind === 'struct' &&
+        userType.fields.find((field) => field.name === fieldName);
+    return field ? field.type : null;
   }
 
   /**
    * Check if a variable is declared.
    * @param {string} variableName The name of the variable.
+   * @param {Blockly.Block=} block The block to look the variable up from,
+   *     as for getVariableType.
    * @return {boolean} True if the variable is declared.
    */
-  isVariableDeclared(variableName) {
-    return this.variableTypes.has(variableName);
+  isVariableDeclared(variableName, block) {
+    const binding = block ? this.resolveBinding(block, variableName) :
+        {declBlock: null, name: Shared.unprefixName(variableName)[1]};
+    return !!binding && (!!binding.declBlock ||
+        !!this.getVariableInfo_(null, binding.name) ||
+        !!this.findGlobalDeclaration(binding.name));
+  }
+
+  /**
+   * Infer the type of a variable from its declaration. A typed declaration
+   * gives its declared type. The type of a variable of an untyped
+   * declaration is inferred from its initializer together with every value
+   * assigned to it by a setter, and is only inferred if they all have the
+   * same type. Loop counters are numbers, and the item of a for each loop
+   * has the element type of the list.
+   * @param {Blockly.Block} declBlock The declaring block.
+   * @param {string} variableName The name of the variable.
+   * @param {!Set<string>=} visiting The variables and procedures whose types
+   *     are being inferred, to stop at cycles.
+   * @return {string|null} The type, or null if it can't be inferred.
+   */
+  inferDeclarationType(declBlock, variableName, visiting = new Set()) {
+    const type = this.inferDeclarationType_(declBlock, variableName,
+        visiting);
+    return type === undefined ? null : type;
+  }
+
+  /**
+   * As inferDeclarationType, but undefined for a variable whose type is
+   * already being inferred, which places no constraint on the type.
+   * @param {Blockly.Block} declBlock
+   * @param {string} variableName
+   * @param {!Set<string>} visiting
+   * @return {string|null|undefined}
+   * @private
+   */
+  inferDeclarationType_(declBlock, variableName, visiting) {
+    switch (declBlock.type) {
+      case 'typed_global_declaration':
+      case 'typed_local_declaration_statement':
+        return declBlock.getFieldValue('TYPE');
+      case 'controls_forRange':
+      case 'controls_for':
+        return declaredType(declBlock.getFieldValue('TYPE')) || 'number';
+      case 'controls_forEach':
+        return declaredType(declBlock.getFieldValue('TYPE')) ||
+            elementType(this.inferValueType_(
+                declBlock.getInputTargetBlock('LIST'), visiting));
+      case 'procedures_defnoreturn':
+      case 'procedures_defreturn':
+        return declaredType(declBlock.getParameterTypes()[
+            declBlock.getParameters().indexOf(variableName)]);
+    }
+    let initInput;
+    switch (declBlock.type) {
+      case 'global_declaration':
+        initInput = 'VALUE';
+        break;
+      case 'simple_local_declaration_statement':
+        initInput = 'DECL';
+        break;
+      case 'local_declaration_statement':
+      case 'local_declaration_expression':
+        initInput = 'DECL' +
+            declBlock.getDeclaredVars().indexOf(variableName);
+        break;
+      default:
+        // Anything else that binds names can hold values of any type.
+        return null;
+    }
+    const key = declBlock.id + ' ' + variableName;
+    if (visiting.has(key)) {
+      this.cycles_++;
+      return undefined;
+    }
+    // Types inferred while other types are being inferred may be missing
+    // constraints from a cycle through those, so they're only cached, and
+    // the cache only used for them, if no cycle cut the inference short.
+    const cached = this.inferredTypes_ && this.inferredTypes_.get(key);
+    if (cached && (cached.acyclic || !visiting.size)) {
+      return cached.type;
+    }
+    const cycles = this.cycles_;
+    visiting.add(key);
+    const values = [declBlock.getInputTargetBlock(initInput)]
+        .concat(this.getAssignedValues_(declBlock, variableName));
+    const type = unifyTypes(values.map((value) =>
+      this.inferValueType_(value, visiting)));
+    visiting.delete(key);
+    const acyclic = this.cycles_ === cycles;
+    if (this.inferredTypes_ && (acyclic || !visiting.size)) {
+      this.inferredTypes_.set(key, {type: type, acyclic: acyclic});
+    }
+    return type;
+  }
+
+  /**
+   * Find the values that setters assign to a variable.
+   * @param {Blockly.Block} declBlock The declaring block.
+   * @param {string} variableName The name of the variable.
+   * @return {!Array<Blockly.Block>} The value blocks (null for a setter with
+   *     nothing plugged in).
+   * @private
+   */
+  getAssignedValues_(declBlock, variableName) {
+    if (isGlobalDeclaration(declBlock)) {
+      let values = this.assignedValues_ &&
+          this.assignedValues_.get(variableName);
+      if (!values) {
+        values = this.findGlobalSetters(variableName)
+            .map((block) => block.getInputTargetBlock('VALUE'));
+        if (this.assignedValues_) {
+          this.assignedValues_.set(variableName, values);
+        }
+      }
+      return values;
+    }
+    // A local can only be assigned inside its declaration.
+    return declBlock.getDescendants(false).filter((block) => {
+      if (!SETTER_TYPES.includes(block.type)) {
+        return false;
+      }
+      const binding = this.resolveBinding(block, block.getFieldValue('VAR'));
+      return !!binding && binding.name === variableName &&
+          binding.declBlock === declBlock;
+    }).map((block) => block.getInputTargetBlock('VALUE'));
+  }
+
+  /**
+   * Find the setters of a global.
+   * @param {string} variableName The unprefixed name of the global.
+   * @return {!Array<!Blockly.Block>} The setters.
+   */
+  findGlobalSetters(variableName) {
+    return this.getUses_('global ' + variableName)
+        .filter((block) => SETTER_TYPES.includes(block.type));
+  }
+
+  /**
+   * Get the blocks that use a global or call a procedure: from the index
+   * of uses while listening or checking (see syncUses_), otherwise from the
+   * workspace's getters, setters and calls.
+   * @param {string} key The use key (see getUseKey).
+   * @return {!Array<!Blockly.Block>} The blocks.
+   * @private
+   */
+  getUses_(key) {
+    if (!this.uses_) {
+      // Neither listening nor checking.
+      return getBlocksOfTypes(this.workspace, USE_TYPES)
+          .filter((block) => getUseKey(block) === key);
+    }
+    const blocks = [];
+    for (const id of this.uses_.get(key) || []) {
+      const block = this.workspace.getBlockById(id);
+      // The index lags behind the workspace until its events are fired.
+      if (block && getUseKey(block) === key) {
+        blocks.push(block);
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Make the index of uses, or make it again if the workspace's getters,
+   * setters and calls have changed behind its back: the listener keeps it
+   * up to date, but doesn't see the blocks created or deleted while events
+   * are disabled, e.g., while a workspace is loaded without them.
+   * @private
+   */
+  syncUses_() {
+    if (this.uses_ && getBlocksOfTypes(this.workspace, USE_TYPES).length ===
+        this.useKeys_.size) {
+      return;
+    }
+    this.uses_ = new Map();
+    this.useKeys_ = new Map();
+    getBlocksOfTypes(this.workspace, USE_TYPES).forEach((block) =>
+      this.indexUse_(block));
+  }
+
+  /**
+   * Add a getter, setter or call to the index of uses, or move it to the
+   * right place in it.
+   * @param {!Blockly.Block} block
+   * @private
+   */
+  indexUse_(block) {
+    if (!this.uses_ || !USE_TYPES.includes(block.type)) {
+      return;
+    }
+    const key = getUseKey(block);
+    if (this.useKeys_.has(block.id) && this.useKeys_.get(block.id) === key) {
+      return;
+    }
+    this.unindexUse_(block.id);
+    this.useKeys_.set(block.id, key);
+    if (key) {
+      if (!this.uses_.has(key)) {
+        this.uses_.set(key, new Set());
+      }
+      this.uses_.get(key).add(block.id);
+    }
+  }
+
+  /**
+   * Remove a block from the index of uses.
+   * @param {string} blockId The ID of the block.
+   * @private
+   */
+  unindexUse_(blockId) {
+    if (!this.uses_ || !this.useKeys_.has(blockId)) {
+      return;
+    }
+    const key = this.useKeys_.get(blockId);
+    if (key) {
+      const ids = this.uses_.get(key);
+      ids.delete(blockId);
+      if (!ids.size) {
+        this.uses_.delete(key);
+      }
+    }
+    this.useKeys_.delete(blockId);
+  }
+
+  /**
+   * Infer the type of the value a block produces.
+   * @param {Blockly.Block} block The value block, or null for an empty
+   *     input.
+   * @param {!Set<string>=} visiting As for inferDeclarationType.
+   * @return {string|null} The type, or null if it can't be inferred.
+   */
+  inferValueType(block, visiting = new Set()) {
+    const type = this.inferValueType_(block, visiting);
+    return type === undefined ? null : type;
+  }
+
+  /**
+   * As inferValueType, but undefined for a value that depends only on
+   * variables whose types are already being inferred.
+   * @param {Blockly.Block} block
+   * @param {!Set<string>} visiting
+   * @return {string|null|undefined}
+   * @private
+   */
+  inferValueType_(block, visiting) {
+    if (!block) {
+      return null;
+    }
+    switch (block.type) {
+      case 'math_number':
+      case 'math_arithmetic':
+      case 'math_single':
+      case 'math_trig':
+      case 'math_constant':
+      case 'math_round':
+      case 'math_on_list':
+      case 'math_modulo':
+      case 'math_constrain':
+      case 'math_random_int':
+      case 'math_random_float':
+      case 'lists_length':
+      case 'text_length':
+      case 'text_indexOf':
+        return 'number';
+      case 'text':
+      case 'text_join':
+      case 'text_charAt':
+      case 'text_getSubstring':
+      case 'text_changeCase':
+      case 'text_trim':
+        return 'string';
+      case 'logic_boolean':
+      case 'logic_compare':
+      case 'logic_operation':
+      case 'logic_negate':
+      case 'math_number_property':
+      case 'lists_isEmpty':
+      case 'text_isEmpty':
+        return 'boolean';
+      case 'lists_create_empty':
+        return 'array';
+      case 'lists_create_with': {
+        const items = [];
+        for (let i = 0; block.getInput('ADD' + i); i++) {
+          items.push(this.inferValueType_(
+              block.getInputTargetBlock('ADD' + i), visiting));
+        }
+        return listType(items.length ? unifyTypes(items) : null);
+      }
+      case 'lists_repeat':
+        return listType(this.inferValueType_(
+            block.getInputTargetBlock('ITEM'), visiting));
+      case 'lists_split':
+        return block.getFieldValue('MODE') === 'SPLIT' ? 'string[]' : 'string';
+      case 'lists_getSublist':
+      case 'lists_sort':
+        return this.inferValueType_(block.getInputTargetBlock('LIST'),
+            visiting);
+      case 'lists_getIndex':
+        return elementType(this.inferValueType_(
+            block.getInputTargetBlock('VALUE'), visiting));
+      case 'logic_ternary':
+        return unifyTypes([
+          this.inferValueType_(block.getInputTargetBlock('THEN'), visiting),
+          this.inferValueType_(block.getInputTargetBlock('ELSE'), visiting),
+        ]);
+      case 'lexical_variable_get':
+      case 'typed_lexical_variable_get': {
+        const binding = this.resolveBinding(block,
+            block.getFieldValue('VAR'));
+        if (!binding) {
+          return null;
+        }
+        const varInfo = this.getVariableInfo_(binding.declBlock,
+            binding.name);
+        if (varInfo) {
+          return varInfo.type;
+        }
+        const declBlock = binding.declBlock ||
+            this.findGlobalDeclaration(binding.name);
+        return declBlock ?
+            this.inferDeclarationType_(declBlock, binding.name, visiting) :
+            null;
+      }
+      case 'local_declaration_expression':
+        return this.inferValueType_(block.getInputTargetBlock('RETURN'),
+            visiting);
+      case 'controls_do_then_return':
+        return this.inferValueType_(block.getInputTargetBlock('VALUE'),
+            visiting);
+      case 'procedures_callreturn': {
+        const def = this.findProcedureDefinition(
+            block.getFieldValue('PROCNAME'));
+        return def ? this.inferReturnType_(def, visiting) : null;
+      }
+      case 'struct_create':
+        return block.getFieldValue('TYPE');
+      case 'enum_value':
+        return block.getEnumType();
+      case 'typed_cast':
+        return block.getFieldValue('TYPE');
+      case 'logic_null':
+        return 'null';
+      case 'struct_field_get': {
+        const objectType = this.inferValueType_(
+            block.getInputTargetBlock('OBJECT'), visiting);
+        return objectType ?
+            this.getFieldType(objectType, block.getFieldValue('FIELD')) :
+            objectType;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Infer the type of the value a procedure returns. A declared return type
+   * is taken as it is.
+   * @param {Blockly.Block} block The procedure definition.
+   * @return {string|null} The type, or null if it can't be inferred or the
+   *     procedure doesn't return a value.
+   */
+  inferReturnType(block) {
+    const type = this.inferReturnType_(block, new Set());
+    return type === undefined ? null : type;
+  }
+
+  /**
+   * As inferReturnType, but undefined for a procedure whose return type is
+   * already being inferred, e.g., a recursive call.
+   * @param {Blockly.Block} block
+   * @param {!Set<string>} visiting
+   * @return {string|null|undefined}
+   * @private
+   */
+  inferReturnType_(block, visiting) {
+    const returnType = declaredType(block.getReturnType());
+    if (returnType && returnType !== 'void') {
+      return returnType;
+    }
+    if (!block.getInput('RETURN')) {
+      return null;
+    }
+    if (visiting.has(block.id)) {
+      this.cycles_++;
+      return undefined;
+    }
+    visiting.add(block.id);
+    const type = this.inferValueType_(block.getInputTargetBlock('RETURN'),
+        visiting);
+    visiting.delete(block.id);
+    return type;
   }
 
   /**
@@ -70,62 +785,213 @@ export class TypeManager {
   }
 
   /**
-   * Check if two types are compatible for assignment.
+   * Check if two types are compatible for assignment: by the rule of the
+   * language's profile, if it has one, otherwise Types.isAssignable.
    * @param {string} targetType The target type.
    * @param {string} sourceType The source type.
    * @return {boolean} True if the types are compatible.
    */
   areTypesCompatible(targetType, sourceType) {
-    // Handle 'any' type
-    if (targetType === 'any' || sourceType === 'any') {
-      return true;
-    }
-
-    // Handle exact matches
     if (targetType === sourceType) {
       return true;
     }
-
-    // Handle numeric types
-    const numericTypes = ['number', 'int', 'float', 'double'];
-    if (numericTypes.includes(targetType) && numericTypes.includes(sourceType)) {
-      return true;
+    const target = Types.tryParseType(targetType);
+    const source = Types.tryParseType(sourceType);
+    if (!target || !source) {
+      // Types that can't be parsed are only compatible with themselves and
+      // with any.
+      return targetType === 'any' || sourceType === 'any';
     }
+    const profile = this.getLanguageProfile();
+    return profile.isAssignable ? profile.isAssignable(target, source) :
+        Types.isAssignable(target, source);
+  }
 
-    // Handle array types
-    if (targetType.endsWith('[]') && sourceType.endsWith('[]')) {
-      const targetBase = targetType.slice(0, -2);
-      const sourceBase = sourceType.slice(0, -2);
-      return this.areTypesCompatible(targetBase, sourceBase);
-    }
+  /**
+   * Check if assigning a value of one type to a variable of another is a
+   * narrowing conversion (see Types.isNarrowing), e.g., double to int.
+   * @param {string} targetType The target type.
+   * @param {string} sourceType The source type.
+   * @return {boolean} True if the conversion may lose data.
+   */
+  isNarrowingConversion(targetType, sourceType) {
+    const target = Types.tryParseType(targetType);
+    const source = Types.tryParseType(sourceType);
+    return !!target && !!source && Types.isNarrowing(target, source);
+  }
 
-    // Handle pointer types (for C)
-    if (targetType.endsWith('*') && sourceType.endsWith('*')) {
-      const targetBase = targetType.slice(0, -1);
-      const sourceBase = sourceType.slice(0, -1);
-      return this.areTypesCompatible(targetBase, sourceBase);
+  /**
+   * Check if a value of one type can be cast to another (see
+   * Types.isCastable).
+   * @param {string} targetType The type to cast to.
+   * @param {string} sourceType The type of the value.
+   * @return {boolean} True if the cast is allowed.
+   */
+  isCastable(targetType, sourceType) {
+    const target = Types.tryParseType(targetType);
+    const source = Types.tryParseType(sourceType);
+    if (!target || !source) {
+      return this.areTypesCompatible(targetType, sourceType);
     }
+    return Types.isCastable(target, source);
+  }
 
-    return false;
+  /**
+   * Check if a variable of a type may hold null (see Types.isNullable).
+   * Untyped variables, and those of type any, may hold anything.
+   * @param {?string} type The type, or null if untyped.
+   * @return {boolean} True if the type allows null.
+   */
+  isNullable(type) {
+    const node = Types.tryParseType(type);
+    return !node || Types.isAny(node) || Types.isNullable(node);
+  }
+
+  /**
+   * Get the states that the variable a getter reads may be in there (see
+   * DefiniteAssignment): unassigned, null, assigned, or several of them.
+   * @param {!Blockly.Block} block The getter.
+   * @return {number} The states, as the bits of Assignment, or 0 if the
+   *     variable isn't in scope.
+   */
+  getAssignmentStates(block) {
+    const root = block.getRootBlock();
+    let states = this.assignmentStates_ &&
+        this.assignmentStates_.get(root.id);
+    if (!states) {
+      states = (this.definiteAssignment_ || new DefiniteAssignment(this))
+          .analyze(root);
+      if (this.assignmentStates_) {
+        this.assignmentStates_.set(root.id, states);
+      }
+    }
+    return states.get(block.id) || 0;
   }
 
   /**
-   * Check for type errors in the workspace.
+   * Check for type errors in the workspace. The types of the workspace's
+   * declarations are collected afresh first, so that getters and setters are
+   * checked against the declarations they refer to.
    * @return {Array} Array of type errors found.
    */
   checkTypeErrors() {
-    this.typeErrors = [];
-    const blocks = this.workspace.getAllBlocks(false);
+    this.blockErrors_.clear();
+    this.clearDeclarations_();
+    this.checkBlocks_(this.workspace.getAllBlocks(false));
+    return this.typeErrors;
+  }
 
-    for (const block of blocks) {
-      this.checkBlockTypeErrors(block);
+  /**
+   * Check a set of blocks for type errors, replacing their previous errors.
+   * The declarations, the uses of globals and procedures, the values
+   * assigned to globals, inferred types and the states of variables are
+   * cached for the duration.
+   * @param {!Array<!Blockly.Block>} blocks The blocks.
+   * @private
+   */
+  checkBlocks_(blocks) {
+    this.syncUses_();
+    this.inferredTypes_ = new Map();
+    this.declarations_ = indexDeclarations(this.workspace);
+    this.assignedValues_ = new Map();
+    this.definiteAssignment_ = new DefiniteAssignment(this);
+    this.assignmentStates_ = new Map();
+    try {
+      for (const block of blocks) {
+        this.blockErrors_.delete(block.id);
+        this.registerDeclarations_(block);
+      }
+      for (const block of blocks) {
+        this.checkBlockTypeErrors(block);
+      }
+    } finally {
+      if (!this.listener_) {
+        this.uses_ = null;
+        this.useKeys_ = null;
+      }
+      this.inferredTypes_ = null;
+      this.declarations_ = null;
+      this.assignedValues_ = null;
+      this.definiteAssignment_ = null;
+      this.assignmentStates_ = null;
     }
+    this.typeErrors = [].concat(...this.blockErrors_.values());
+  }
 
-    return this.typeErrors;
+  /**
+   * Forget the variables registered from declaration blocks, keeping the
+   * ones registered by name only.
+   * @param {Set<string>=} blockIds Only forget the variables registered from
+   *     these blocks.
+   * @private
+   */
+  clearDeclarations_(blockIds) {
+    for (const [key, variables] of this.variableTypes) {
+      for (const [varName, varInfo] of variables) {
+        if (varInfo.blockId &&
+            (!blockIds || blockIds.has(varInfo.blockId))) {
+          variables.delete(varName);
+        }
+      }
+      if (!variables.size) {
+        this.variableTypes.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Record a type error.
+   * @param {!Blockly.Block} block The offending block.
+   * @param {string} message
+   * @param {string=} severity 'error' or 'warning'.
+   * @return {!Object} The error.
+   * @private
+   */
+  reportError_(block, message, severity = 'error') {
+    if (!this.blockErrors_.has(block.id)) {
+      this.blockErrors_.set(block.id, []);
+    }
+    const error = {block: block, message: message, severity: severity};
+    this.blockErrors_.get(block.id).push(error);
+    this.typeErrors.push(error);
+    return error;
   }
 
   /**
-   * Check for type errors in a specific block.
+   * Register the variables declared by a typed declaration block. A typed
+   * global with the same name as one declared ahead of it (in the order of
+   * the workspace's top blocks) is reported as a type error.
+   * @param {Blockly.Block} block The block.
+   * @private
+   */
+  registerDeclarations_(block) {
+    const blockType = block.type;
+    if (blockType !== 'typed_global_declaration' &&
+        blockType !== 'typed_local_declaration_statement') {
+      return;
+    }
+    const global = blockType === 'typed_global_declaration';
+    const varName = block.getFieldValue(global ? 'NAME' : 'VAR');
+
+    if (global && this.findDeclaration_('typed global ' + varName) !== block) {
+      this.reportError_(block, `Variable ${varName} is already declared`);
+    } else {
+      this.registerVariable(varName, block.getFieldValue('TYPE'),
+          global ? 'global' : 'local', block);
+    }
+  }
+
+  /**
+   * Check for type errors in a specific block. Getters and setters are
+   * checked against the type of the declaration they refer to, and values
+   * assigned to variables, or used to initialize typed declarations, against
+   * the type of the variable. The bounds and step of a loop with a typed
+   * counter are checked against its type, as is the list of a for each loop
+   * with a typed item. The arguments of procedure calls, and the values
+   * procedures return, are checked against the procedure's declared types.
+   * Typed getters that may read a variable before it's assigned, or read
+   * null where it isn't expected, and typed declarations of names that the
+   * language reserves, are reported as warnings.
    * @param {Blockly.Block} block The block to check.
    */
   checkBlockTypeErrors(block) {
@@ -135,14 +1001,20 @@ export class TypeManager {
     if (blockType === 'typed_lexical_variable_get') {
       const varName = block.getFieldValue('VAR');
       const expectedType = block.getVariableType();
-      const actualType = this.getVariableType(varName);
+      const actualType = this.getBindingType(block);
 
       if (actualType && !this.areTypesCompatible(expectedType, actualType)) {
-        this.typeErrors.push({
-          block: block,
-          message: `Type mismatch: expected ${expectedType}, got ${actualType} for variable ${varName}`,
-          severity: 'error'
-        });
+        this.reportError_(block, `Type mismatch: expected ${expectedType}, got ${actualType} for variable ${varName}`);
+      }
+
+      const states = this.getAssignmentStates(block);
+      if (states & Assignment.UNASSIGNED) {
+        this.reportError_(block,
+            `Variable ${varName} may be used before it is assigned`,
+            'warning');
+      } else if (states & Assignment.NULL && !this.acceptsNull_(block)) {
+        this.reportError_(block, `Variable ${varName} may be null`,
+            'warning');
       }
     }
 
@@ -150,35 +1022,297 @@ export class TypeManager {
     if (blockType === 'typed_lexical_variable_set') {
       const varName = block.getFieldValue('VAR');
       const expectedType = block.getVariableType();
-      const actualType = this.getVariableType(varName);
+      const actualType = this.getBindingType(block);
 
       if (actualType && !this.areTypesCompatible(actualType, expectedType)) {
-        this.typeErrors.push({
-          block: block,
-          message: `Type mismatch: cannot assign ${expectedType} to variable ${varName} of type ${actualType}`,
-          severity: 'error'
-        });
+        this.reportError_(block, `Type mismatch: cannot assign ${expectedType} to variable ${varName} of type ${actualType}`);
+        return;
       }
     }
 
-    // Check typed variable declarations
-    if (blockType === 'typed_global_declaration' || blockType === 'typed_local_declaration_statement') {
-      const varName = block.getFieldValue(blockType === 'typed_global_declaration' ? 'NAME' : 'VAR');
+    // Check the values assigned by setters
+    if (SETTER_TYPES.includes(blockType)) {
+      const varName = block.getFieldValue('VAR');
+      const varType = this.getBindingType(block);
+      this.checkValueType_(block, 'VALUE', varType,
+          `variable ${varName} of type ${varType}`);
+    }
+
+    // Check the initial values of typed declarations
+    if (blockType === 'typed_global_declaration' ||
+        blockType === 'typed_local_declaration_statement') {
+      const varName = block.getFieldValue(
+          blockType === 'typed_global_declaration' ? 'NAME' : 'VAR');
       const declaredType = block.getFieldValue('TYPE');
-      
-      // Check if variable is already declared
-      if (this.isVariableDeclared(varName)) {
-        this.typeErrors.push({
-          block: block,
-          message: `Variable ${varName} is already declared`,
-          severity: 'error'
-        });
+      this.checkValueType_(block, 'DECL', declaredType,
+          `variable ${varName} of type ${declaredType}`);
+      const profile = this.getLanguageProfile();
+      if (profile.reservedWords.includes(varName)) {
+        this.reportError_(block, `Variable ${varName} is a reserved word ` +
+            `in ${profile.displayName}`, 'warning');
+      }
+    }
+
+    // Check typed loop counters, and the values they run over
+    if (blockType === 'controls_forRange' || blockType === 'controls_for') {
+      const varName = block.getFieldValue('VAR');
+      const type = declaredType(block.getFieldValue('TYPE'));
+      const node = Types.tryParseType(type);
+      if (node && !Types.isNumeric(node)) {
+        this.reportError_(block, `Type mismatch: loop counter ${varName} ` +
+            `of type ${type} must be a number`);
       } else {
-        // Register the variable
-        this.registerVariable(varName, declaredType, 
-          blockType === 'typed_global_declaration' ? 'global' : 'local');
+        ['FROM', 'TO', 'BY'].forEach((inputName) => {
+          this.checkValueType_(block, inputName, type,
+              `loop counter ${varName} of type ${type}`);
+        });
+      }
+    }
+
+    // Check the lists of typed for each loops
+    if (blockType === 'controls_forEach') {
+      const varName = block.getFieldValue('VAR');
+      const type = declaredType(block.getFieldValue('TYPE'));
+      this.checkValueType_(block, 'LIST', type && listType(type),
+          `the list of loop variable ${varName} of type ${type}`);
+    }
+
+    // Check the arguments of procedure calls
+    if (blockType === 'procedures_callnoreturn' ||
+        blockType === 'procedures_callreturn') {
+      const def = this.findProcedureDefinition(
+          block.getFieldValue('PROCNAME'));
+      if (def) {
+        const paramTypes = def.getParameterTypes();
+        def.getParameters().forEach((param, i) => {
+          this.checkValueType_(block, 'ARG' + i, paramTypes[i],
+              `parameter ${param} of type ${paramTypes[i]}`);
+        });
+      }
+    }
+
+    // Check the values of casts
+    if (blockType === 'typed_cast') {
+      const type = block.getFieldValue('TYPE');
+      const valueType =
+          this.inferValueType(block.getInputTargetBlock('VALUE'));
+      if (valueType && !this.isCastable(type, valueType)) {
+        this.reportError_(block,
+            `Type mismatch: cannot cast ${valueType} to ${type}`);
+      }
+    }
+
+    // Check the values returned by procedures
+    if (blockType === 'procedures_defreturn') {
+      const returnType = block.getReturnType();
+      this.checkValueType_(block, 'RETURN', returnType,
+          `the result of ${block.getFieldValue('NAME')} of type ` +
+          returnType);
+    }
+
+    if (TYPE_DECLARATION_TYPES.includes(blockType) ||
+        MEMBER_TYPES.includes(blockType) ||
+        STRUCT_VALUE_TYPES.includes(blockType)) {
+      this.checkUserTypeErrors_(block);
+    }
+  }
+
+  /**
+   * Check for type errors in the blocks that declare struct and enum types,
+   * and in those that make and use their values. A type can only be
+   * declared once, and a field or member only once per type. The values of
+   * a struct's fields are checked against the fields' types, and the fields
+   * and members used against those the type has.
+   * @param {!Blockly.Block} block The block.
+   * @private
+   */
+  checkUserTypeErrors_(block) {
+    const blockType = block.type;
+    if (TYPE_DECLARATION_TYPES.includes(blockType)) {
+      const typeName = block.getFieldValue('NAME');
+      if (this.findTypeDeclaration(typeName) !== block) {
+        this.reportError_(block, `Type ${typeName} is already declared`);
+      }
+      return;
+    }
+
+    if (MEMBER_TYPES.includes(blockType)) {
+      // A field or member must be named differently from the ones above it.
+      const name = block.getFieldValue('NAME');
+      const parent = block.getSurroundParent();
+      if (!parent) {
+        return;
+      }
+      for (let previous = block.getPreviousBlock();
+        previous && previous !== parent;
+        previous = previous.getPreviousBlock()) {
+        if (previous.getFieldValue('NAME') === name) {
+          this.reportError_(block, `${blockType === 'struct_field' ?
+              'Field' : 'Member'} ${name} is already declared in ` +
+              parent.getFieldValue('NAME'));
+          return;
+        }
+      }
+      return;
+    }
+
+    if (blockType === 'struct_create') {
+      const typeName = block.getFieldValue('TYPE');
+      const userType = this.getUserType(typeName);
+      if (!userType || userType.kind !== 'struct') {
+        this.reportError_(block, `Unknown struct type ${typeName}`);
+        return;
+      }
+      userType.fields.forEach((field) => {
+        this.checkValueType_(block, 'FIELD_' + field.name, field.type,
+            `field ${field.name} of ${typeName} of type ${field.type}`);
+      });
+      return;
+    }
+
+    if (blockType === 'enum_value') {
+      const typeName = block.getEnumType();
+      const userType = this.getUserType(typeName);
+      if (!userType || userType.kind !== 'enum') {
+        this.reportError_(block, `Unknown enum type ${typeName}`);
+      } else if (!userType.members.includes(block.getMemberName())) {
+        this.reportError_(block,
+            `${typeName} has no member ${block.getMemberName()}`);
+      }
+      return;
+    }
+
+    // Field getters and setters
+    const fieldName = block.getFieldValue('FIELD');
+    const objectType =
+        this.inferValueType(block.getInputTargetBlock('OBJECT'));
+    if (!objectType || objectType === 'any') {
+      return;
+    }
+    const userType = this.getUserType(objectType);
+    if (!userType || userType.kind !== 'struct') {
+      this.reportError_(block,
+          `Type mismatch: ${objectType} has no field ${fieldName}`);
+      return;
+    }
+    const fieldType = this.getFieldType(objectType, fieldName);
+    if (!fieldType) {
+      this.reportError_(block, `${objectType} has no field ${fieldName}`);
+    } else if (blockType === 'struct_field_set') {
+      this.checkValueType_(block, 'VALUE', fieldType,
+          `field ${fieldName} of ${objectType} of type ${fieldType}`);
+    }
+  }
+
+  /**
+   * Check that the value plugged into an input has a type compatible with
+   * a variable's. A compatible value whose conversion narrows it (see
+   * isNarrowingConversion) is reported as a warning; a number literal with
+   * a fraction counts as a double. Errors and warnings that a cast of the
+   * value would fix carry the fix, as {inputName, type}, for the quick fix
+   * in the block's context menu (see blocks/typed-variables.js).
+   * @param {!Blockly.Block} block The block with the input.
+   * @param {string} inputName The input.
+   * @param {?string} targetType The variable's type, or null if it isn't
+   *     known.
+   * @param {string} target Describes the variable, for the message.
+   * @private
+   */
+  checkValueType_(block, inputName, targetType, target) {
+    const valueBlock = block.getInput(inputName) &&
+        block.getInputTargetBlock(inputName);
+    let valueType = this.inferValueType(valueBlock);
+    if (!targetType || !valueType) {
+      return;
+    }
+    const fix = {inputName: inputName, type: targetType};
+    if (!this.areTypesCompatible(targetType, valueType)) {
+      const error = this.reportError_(block,
+          `Type mismatch: cannot assign ${valueType} to ${target}`);
+      if (this.isCastable(targetType, valueType)) {
+        error.fix = fix;
+      }
+      return;
+    }
+    if (valueBlock.type === 'math_number' &&
+        !Number.isInteger(Number(valueBlock.getFieldValue('NUM')))) {
+      valueType = 'double';
+    }
+    if (this.isNarrowingConversion(targetType, valueType)) {
+      this.reportError_(block, `Narrowing conversion: assigning ` +
+          `${valueType} to ${target} may lose data`, 'warning').fix = fix;
+    }
+  }
+
+  /**
+   * Check if the value of a block goes where null is expected: into a
+   * variable, parameter or result that may hold null (see isNullable), or
+   * a comparison, which may be checking for it.
+   * @param {!Blockly.Block} block The value block.
+   * @return {boolean}
+   * @private
+   */
+  acceptsNull_(block) {
+    const parent = block.getParent();
+    const input = parent && parent.getInputWithBlock(block);
+    if (!input) {
+      return true;
+    }
+    const inputName = input.name;
+    switch (parent.type) {
+      case 'logic_compare':
+        return true;
+      case 'logic_ternary':
+        return inputName !== 'IF' && this.acceptsNull_(parent);
+      case 'lexical_variable_set':
+      case 'typed_lexical_variable_set':
+        return this.isNullable(this.getDeclaredBindingType(parent));
+      case 'global_declaration':
+      case 'simple_local_declaration_statement':
+      case 'local_declaration_statement':
+      case 'local_declaration_expression':
+        return inputName !== 'RETURN' || this.acceptsNull_(parent);
+      case 'typed_global_declaration':
+      case 'typed_local_declaration_statement':
+        return this.isNullable(parent.getFieldValue('TYPE'));
+      case 'procedures_callnoreturn':
+      case 'procedures_callreturn': {
+        const def = this.findProcedureDefinition(
+            parent.getFieldValue('PROCNAME'));
+        return !def || this.isNullable(
+            def.getParameterTypes()[Number(inputName.slice('ARG'.length))]);
       }
+      case 'procedures_defreturn':
+        return this.isNullable(parent.getReturnType());
     }
+    return false;
+  }
+
+  /**
+   * Get the fixes for a block's type errors and warnings, as of the last
+   * check: the casts that would make its values fit their inputs.
+   * @param {!Blockly.Block} block
+   * @return {!Array<{inputName: string, type: string}>} The fixes, one per
+   *     input.
+   */
+  getCastFixes(block) {
+    const fixes = [];
+    this.getBlockErrors(block).forEach((error) => {
+      if (error.fix && !fixes.some((fix) =>
+        fix.inputName === error.fix.inputName)) {
+        fixes.push(error.fix);
+      }
+    });
+    return fixes;
+  }
+
+  /**
+   * Get the type errors of a block, as of the last check.
+   * @param {!Blockly.Block} block
+   * @return {!Array} The block's type errors.
+   */
+  getBlockErrors(block) {
+    return this.blockErrors_.get(block.id) || [];
   }
 
   /**
@@ -194,16 +1328,338 @@ export class TypeManager {
    */
   clearTypeErrors() {
     this.typeErrors = [];
+    this.blockErrors_.clear();
+  }
+
+  /**
+   * Keep the workspace checked: check it now, then, whenever blocks are
+   * created, changed, moved or deleted, check again the blocks that might
+   * have been affected (see getAffectedBlocks_), and have the WarningHandler
+   * update the error icons of the blocks whose errors have changed. This is
+   * what the workspace's getTypeManager() does.
+   */
+  listen() {
+    if (this.listener_) {
+      return;
+    }
+    this.listener_ = (event) => this.onChange_(event);
+    this.workspace.addChangeListener(this.listener_);
+    this.recheck_(this.workspace.getAllBlocks(false));
+  }
+
+  /**
+   * Stop listening to the workspace.
+   */
+  dispose() {
+    if (this.listener_) {
+      this.workspace.removeChangeListener(this.listener_);
+      this.listener_ = null;
+      this.uses_ = null;
+      this.useKeys_ = null;
+    }
+  }
+
+  /**
+   * Handle a workspace change event.
+   * @param {!Blockly.Events.Abstract} event
+   * @private
+   */
+  onChange_(event) {
+    if (event.isUiEvent || this.workspace.isClearing ||
+        ![Blockly.Events.BLOCK_CREATE, Blockly.Events.BLOCK_CHANGE,
+          Blockly.Events.BLOCK_MOVE, Blockly.Events.BLOCK_DELETE]
+            .includes(event.type)) {
+      return;
+    }
+    const seeds = new Set();
+    const globals = new Set();
+    const procedures = new Set();
+    const addSeed = (blockId) => {
+      const block = blockId && this.workspace.getBlockById(blockId);
+      if (block) {
+        seeds.add(block.getRootBlock());
+        // The values assigned to globals, and returned by procedures,
+        // inside the block determine their types.
+        for (let ancestor = block; ancestor;
+          ancestor = ancestor.getParent()) {
+          addDependents(ancestor, globals, procedures);
+        }
+      }
+    };
+    addSeed(event.blockId);
+    if (event.type === Blockly.Events.BLOCK_CREATE) {
+      event.ids.forEach((id) => {
+        const block = this.workspace.getBlockById(id);
+        if (block) {
+          setBlockLanguage(block, this.language_);
+          this.indexUse_(block);
+        }
+      });
+    } else if (event.type === Blockly.Events.BLOCK_MOVE) {
+      addSeed(event.oldParentId);
+    } else if (event.type === Blockly.Events.BLOCK_CHANGE) {
+      const block = this.workspace.getBlockById(event.blockId);
+      if (block) {
+        this.indexUse_(block);
+      }
+      if (typeof event.oldValue === 'string' &&
+          (event.name === 'VAR' || event.name === 'NAME')) {
+        // A getter or setter that referred to another global, or a global
+        // that was renamed.
+        const [prefix, name] = Shared.unprefixName(event.oldValue);
+        if (event.name === 'NAME' || prefix === Shared.GLOBAL_KEYWORD) {
+          globals.add(name);
+        }
+      }
+    } else if (event.type === Blockly.Events.BLOCK_DELETE) {
+      const deleted = new Set(event.ids);
+      for (const id of deleted) {
+        this.blockErrors_.delete(id);
+        this.unindexUse_(id);
+      }
+      this.clearDeclarations_(deleted);
+      addDeletedDependents(event.oldJson, globals, procedures);
+      if (event.oldJson &&
+          TYPE_DECLARATION_TYPES.includes(event.oldJson.type)) {
+        // Anything may have used the type.
+        this.workspace.getTopBlocks(false).forEach((root) =>
+          seeds.add(root));
+      }
+    }
+    this.recheck_(this.getAffectedBlocks_(seeds, globals, procedures),
+        event.group);
+  }
+
+  /**
+   * Work out which blocks a change might affect the type errors of. A local
+   * is only used inside its declaration, so a change can only affect the
+   * tree of blocks it's in (its root), unless it changes the type of a global
+   * or the signature or return type of a procedure. That affects the blocks
+   * that use the global or call the procedure, the blocks their values are
+   * plugged into up to the statement that uses them, and the scopes of the
+   * locals that those values initialize or are assigned to; and so on, for
+   * the globals and procedures whose types depend on those. A change to the
+   * declaration of a struct or enum type may affect any block.
+   * @param {!Set<!Blockly.Block>} seeds The roots of the changed blocks.
+   * @param {!Set<string>} globals Globals whose types may have changed.
+   * @param {!Set<string>} procedures Procedures whose signatures or return
+   *     types may have changed.
+   * @return {!Set<!Blockly.Block>} The blocks to check again.
+   * @private
+   */
+  getAffectedBlocks_(seeds, globals, procedures) {
+    this.syncUses_();
+    const blocks = new Set();
+    const roots = new Set();
+    const addRoot = (root) => {
+      if (!roots.has(root)) {
+        roots.add(root);
+        if (isGlobalDeclaration(root)) {
+          globals.add(root.getFieldValue('NAME'));
+        } else if (PROCEDURE_TYPES.includes(root.type)) {
+          procedures.add(root.getFieldValue('NAME'));
+        } else if (TYPE_DECLARATION_TYPES.includes(root.type)) {
+          this.workspace.getTopBlocks(false).forEach(addRoot);
+        }
+        root.getDescendants(false).forEach((block) => {
+          blocks.add(block);
+          // Any of the root's assignments to globals may have a new type.
+          if (SETTER_TYPES.includes(block.type)) {
+            addDependents(block, globals, procedures);
+          }
+        });
+      }
+    };
+    const scopes = new Set();
+    const addScope = (declBlock) => {
+      if (!scopes.has(declBlock)) {
+        scopes.add(declBlock);
+        declBlock.getDescendants(false).forEach(addUse);
+      }
+    };
+    const addUse = (block) => {
+      for (let ancestor = block; ancestor && !blocks.has(ancestor);
+        ancestor = ancestor.outputConnection && ancestor.getParent()) {
+        blocks.add(ancestor);
+        addDependents(ancestor, globals, procedures);
+        if (INFERRED_SCOPE_TYPES.includes(ancestor.type)) {
+          addScope(ancestor);
+        } else if (SETTER_TYPES.includes(ancestor.type)) {
+          const binding = this.resolveBinding(ancestor,
+              ancestor.getFieldValue('VAR'));
+          if (binding && binding.declBlock &&
+              INFERRED_SCOPE_TYPES.includes(binding.declBlock.type)) {
+            addScope(binding.declBlock);
+          }
+        }
+      }
+    };
+    seeds.forEach(addRoot);
+    let declarations = null;
+    const doneGlobals = new Set();
+    const doneProcedures = new Set();
+    while (globals.size > doneGlobals.size ||
+        procedures.size > doneProcedures.size) {
+      for (const name of [...globals].filter((n) => !doneGlobals.has(n))) {
+        doneGlobals.add(name);
+        this.getUses_('global ' + name).forEach(addUse);
+        if (!declarations) {
+          declarations = getGlobalDeclarations(this.workspace);
+        }
+        (declarations.get(name) || []).forEach(addRoot);
+      }
+      for (const name of [...procedures].filter((n) =>
+        !doneProcedures.has(n))) {
+        doneProcedures.add(name);
+        this.getUses_('procedure ' + name).forEach(addUse);
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Update the connection checks of some blocks, check them again, and
+   * update the error icons of the blocks whose errors have changed.
+   * @param {!Iterable<!Blockly.Block>} blocks
+   * @param {string=} group The event group of the change, which blocks that
+   *     no longer pass their connection checks are unplugged in.
+   * @private
+   */
+  recheck_(blocks, group = '') {
+    blocks = [...blocks];
+    const before = new Map(blocks.map((block) =>
+      [block, errorText(this.getBlockErrors(block))]));
+    this.clearDeclarations_(new Set(blocks.map((block) => block.id)));
+    // Ahead of the check, so that the blocks it unplugs aren't reported.
+    this.updateConnectionChecks_(blocks, group);
+    this.checkBlocks_(blocks.filter((block) => !block.isDisposed()));
+    const warningHandler = this.workspace.getWarningHandler &&
+        this.workspace.getWarningHandler();
+    if (!warningHandler) {
+      return;
+    }
+    for (const [block, text] of before) {
+      if (text !== errorText(this.getBlockErrors(block))) {
+        warningHandler.checkErrors(block);
+      }
+    }
+  }
+
+  /**
+   * Set the connection checks of the typed connections of some blocks (see
+   * getTypedConnections_) from their declared types, so that Blockly only
+   * lets values of a compatible type be plugged in. When a type changes
+   * (e.g., that of a declaration), the blocks connected to it that no
+   * longer pass are unplugged. A mismatch that was there before the check
+   * was set, as in blocks that are being loaded, is left connected
+   * instead, and flagged by its type error; the connection keeps its old
+   * check until it's disconnected.
+   * @param {!Array<!Blockly.Block>} blocks
+   * @param {string} group The event group to unplug blocks in.
+   * @private
+   */
+  updateConnectionChecks_(blocks, group) {
+    // The declarations don't move while blocks are unplugged.
+    this.declarations_ = indexDeclarations(this.workspace);
+    try {
+      for (const block of blocks) {
+        if (block.isDisposed()) {
+          // Unplugged and disposed of as a shadow.
+          continue;
+        }
+        for (const [connection, type] of this.getTypedConnections_(block)) {
+          const check = Utilities.typeToBlocklyType(type);
+          const checked = this.checkedConnections_.has(connection);
+          this.checkedConnections_.add(connection);
+          if (JSON.stringify(check) ===
+              JSON.stringify(connection.getCheck())) {
+            this.heldChecks_.delete(connection);
+            continue;
+          }
+          const target = connection.targetConnection;
+          const fits = !target || !check || !target.getCheck() ||
+              check.some((name) => target.getCheck().includes(name));
+          if (!fits && (!checked || this.heldChecks_.has(connection))) {
+            this.heldChecks_.add(connection);
+            continue;
+          }
+          this.heldChecks_.delete(connection);
+          Blockly.Events.setGroup(group || false);
+          try {
+            connection.setCheck(check);
+          } finally {
+            Blockly.Events.setGroup(false);
+          }
+        }
+      }
+    } finally {
+      this.declarations_ = null;
+    }
+  }
+
+  /**
+   * Get the connections of a block that take or give values of a declared
+   * type: the outputs of typed getters, of casts and of calls to procedures
+   * with a declared return type, and the inputs of typed setters, of the initial
+   * values of typed declarations, of the arguments of procedure calls and
+   * of the value procedures return.
+   * @param {!Blockly.Block} block
+   * @return {!Array<!Array>} Pairs of a connection and its declared type
+   *     (null for untyped).
+   * @private
+   */
+  getTypedConnections_(block) {
+    const connections = [];
+    const add = (connection, type) => {
+      if (connection) {
+        connections.push([connection, declaredType(type)]);
+      }
+    };
+    switch (block.type) {
+      case 'typed_lexical_variable_get':
+        add(block.outputConnection, this.getDeclaredBindingType(block));
+        break;
+      case 'typed_cast':
+        add(block.outputConnection, block.getFieldValue('TYPE'));
+        break;
+      case 'typed_lexical_variable_set':
+        add(block.getInput('VALUE').connection,
+            this.getDeclaredBindingType(block));
+        break;
+      case 'typed_global_declaration':
+      case 'typed_local_declaration_statement':
+        add(block.getInput('DECL').connection, block.getFieldValue('TYPE'));
+        break;
+      case 'procedures_defreturn':
+        add(block.getInput('RETURN').connection, block.getReturnType());
+        break;
+      case 'procedures_callnoreturn':
+      case 'procedures_callreturn': {
+        const def = this.findProcedureDefinition(
+            block.getFieldValue('PROCNAME'));
+        const paramTypes = def ? def.getParameterTypes() : [];
+        for (let i = 0; block.getInput('ARG' + i); i++) {
+          add(block.getInput('ARG' + i).connection, paramTypes[i]);
+        }
+        if (block.type === 'procedures_callreturn') {
+          add(block.outputConnection, def && def.getReturnType());
+        }
+        break;
+      }
+    }
+    return connections;
   }
 
   /**
    * Get a summary of all variable types in the workspace.
-   * @return {Object} Object mapping variable names to their type information.
+   * @return {Object} Object mapping the ID of each declaring block ('global'
+   *     for globals and variables registered by name only) to an object
+   *     mapping variable names to their type information.
    */
   getVariableTypeSummary() {
     const summary = {};
-    for (const [varName, typeInfo] of this.variableTypes) {
-      summary[varName] = typeInfo;
+    for (const [key, variables] of this.variableTypes) {
+      summary[key === null ? 'global' : key] = Object.fromEntries(variables);
     }
     return summary;
   }
@@ -213,8 +1669,10 @@ export class TypeManager {
    */
   reset() {
     this.variableTypes.clear();
+    this.userTypes_.clear();
     this.blockTypes.clear();
     this.typeErrors = [];
+    this.blockErrors_.clear();
   }
 
   /**
@@ -223,24 +1681,335 @@ export class TypeManager {
    */
   exportTypeInfo() {
     return JSON.stringify({
-      variableTypes: Object.fromEntries(this.variableTypes),
+      variableTypes: this.getVariableTypeSummary(),
       blockTypes: Object.fromEntries(this.blockTypes),
-      typeErrors: this.typeErrors
+      typeErrors: this.typeErrors.map((error) => ({
+        blockId: error.block.id,
+        message: error.message,
+        severity: error.severity
+      }))
     }, null, 2);
   }
 
   /**
-   * Import type information from JSON.
+   * Import type information from JSON. Variable types exported before they
+   * were kept per declaring block, as a flat map of variable name to type
+   * information, are imported as variables registered by name only.
    * @param {string} jsonString JSON string containing type information.
    */
   importTypeInfo(jsonString) {
     try {
       const data = JSON.parse(jsonString);
-      this.variableTypes = new Map(Object.entries(data.variableTypes || {}));
+      this.variableTypes = importVariableTypes(data.variableTypes || {});
       this.blockTypes = new Map(Object.entries(data.blockTypes || {}));
-      this.typeErrors = data.typeErrors || [];
+      this.clearTypeErrors();
+      (data.typeErrors || []).forEach((error) => {
+        const block = this.workspace.getBlockById(error.blockId);
+        if (block) {
+          this.reportError_(block, error.message, error.severity);
+        }
+      });
     } catch (error) {
       console.error('Failed to import type information:', error);
     }
   }
 }
+
+/**
+ * Types of the blocks that get the value of a variable.
+ * @type {!Array<string>}
+ */
+const GETTER_TYPES = ['lexical_variable_get', 'typed_lexical_variable_get'];
+
+/**
+ * Types of the blocks that set the value of a variable.
+ * @type {!Array<string>}
+ */
+const SETTER_TYPES = ['lexical_variable_set', 'typed_lexical_variable_set'];
+
+/**
+ * The types of procedure definitions.
+ * @type {!Array<string>}
+ */
+const PROCEDURE_TYPES = ['procedures_defnoreturn', 'procedures_defreturn'];
+
+/**
+ * The types of procedure calls.
+ * @type {!Array<string>}
+ */
+const CALL_TYPES = ['procedures_callnoreturn', 'procedures_callreturn'];
+
+/**
+ * The types of the blocks that may use a global or a procedure.
+ * @type {!Array<string>}
+ */
+const USE_TYPES = GETTER_TYPES.concat(SETTER_TYPES, CALL_TYPES);
+
+/**
+ * The types of the blocks that declare locals whose types are inferred from
+ * the values they're initialized with or assigned (see
+ * TypeManager.inferDeclarationType).
+ * @type {!Array<string>}
+ */
+const INFERRED_SCOPE_TYPES = ['local_declaration_statement',
+  'local_declaration_expression', 'simple_local_declaration_statement',
+  'controls_forEach'];
+
+/**
+ * The types of the blocks that declare struct and enum types.
+ * @type {!Array<string>}
+ */
+const TYPE_DECLARATION_TYPES = ['struct_declaration', 'enum_declaration'];
+
+/**
+ * The types of the blocks that declare the fields of structs and the
+ * members of enums.
+ * @type {!Array<string>}
+ */
+const MEMBER_TYPES = ['struct_field', 'enum_member'];
+
+/**
+ * The types of the blocks that make and use the values of struct and enum
+ * types.
+ * @type {!Array<string>}
+ */
+const STRUCT_VALUE_TYPES = ['struct_create', 'enum_value', 'struct_field_get',
+  'struct_field_set'];
+
+/**
+ * Read the variable types of exported type information (see
+ * TypeManager.getVariableTypeSummary): maps of variable name to type
+ * information, by declaring block ID, with 'global' for the globals and
+ * the variables registered by name only. The flat map of variable name to
+ * type information that was exported before is read into the latter.
+ * @param {!Object} summary The exported variable types.
+ * @return {!Map<?string, !Map<string, !Object>>}
+ */
+function importVariableTypes(summary) {
+  const entries = Object.entries(summary);
+  if (entries.some(([, value]) => typeof value.type === 'string')) {
+    return new Map([[null, new Map(entries.map(([name, info]) =>
+      [name, Object.assign({blockId: null}, info)]))]]);
+  }
+  return new Map(entries.map(([key, variables]) =>
+    [key === 'global' ? null : key, new Map(Object.entries(variables))]));
+}
+
+/**
+ * Index the declarations among a workspace's top blocks.
+ * @param {!Blockly.Workspace} workspace
+ * @return {!Map<string, !Blockly.Block>} The first declaration of each kind
+ *     and name, by 'global', 'typed global', 'procedure' or 'type' followed
+ *     by a space and the name.
+ */
+function indexDeclarations(workspace) {
+  const declarations = new Map();
+  const add = (kind, block) => {
+    const key = kind + ' ' + block.getFieldValue('NAME');
+    if (!declarations.has(key)) {
+      declarations.set(key, block);
+    }
+  };
+  workspace.getTopBlocks(false).forEach((block) => {
+    if (isGlobalDeclaration(block)) {
+      add('global', block);
+      if (block.type === 'typed_global_declaration') {
+        add('typed global', block);
+      }
+    } else if (PROCEDURE_TYPES.includes(block.type)) {
+      add('procedure', block);
+    } else if (TYPE_DECLARATION_TYPES.includes(block.type)) {
+      add('type', block);
+    }
+  });
+  return declarations;
+}
+
+/**
+ * Get all the declarations of globals in a workspace, by name.
+ * @param {!Blockly.Workspace} workspace
+ * @return {!Map<string, !Array<!Blockly.Block>>}
+ */
+function getGlobalDeclarations(workspace) {
+  const declarations = new Map();
+  workspace.getTopBlocks(false).forEach((block) => {
+    if (isGlobalDeclaration(block)) {
+      const name = block.getFieldValue('NAME');
+      declarations.set(name, (declarations.get(name) || []).concat(block));
+    }
+  });
+  return declarations;
+}
+
+/**
+ * Get the key that a block has in the index of the uses of globals and
+ * procedures (see TypeManager.getUses_).
+ * @param {!Blockly.Block} block
+ * @return {?string} 'global' or 'procedure' followed by a space and the
+ *     name, or null if the block isn't a getter or setter of a global or a
+ *     procedure call.
+ */
+function getUseKey(block) {
+  if (GETTER_TYPES.includes(block.type) ||
+      SETTER_TYPES.includes(block.type)) {
+    const [prefix, name] = Shared.unprefixName(block.getFieldValue('VAR'));
+    return prefix === Shared.GLOBAL_KEYWORD ||
+        prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ?
+        'global ' + name : null;
+  }
+  return CALL_TYPES.includes(block.type) ?
+      'procedure ' + block.getFieldValue('PROCNAME') : null;
+}
+
+/**
+ * Get the blocks of some types in a workspace.
+ * @param {!Blockly.Workspace} workspace
+ * @param {!Array<string>} types
+ * @return {!Array<!Blockly.Block>}
+ */
+function getBlocksOfTypes(workspace, types) {
+  return [].concat(...types.map((type) =>
+    workspace.getBlocksByType(type, false)));
+}
+
+/**
+ * Note the global or procedure whose type depends on the value a block
+ * holds, if it's a setter of a global or the definition of a procedure.
+ * @param {!Blockly.Block} block
+ * @param {!Set<string>} globals The names of the globals.
+ * @param {!Set<string>} procedures The names of the procedures.
+ */
+function addDependents(block, globals, procedures) {
+  if (SETTER_TYPES.includes(block.type)) {
+    const [prefix, name] = Shared.unprefixName(block.getFieldValue('VAR'));
+    if (prefix === Shared.GLOBAL_KEYWORD ||
+        prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX) {
+      globals.add(name);
+    }
+  } else if (PROCEDURE_TYPES.includes(block.type)) {
+    procedures.add(block.getFieldValue('NAME'));
+  } else if (isGlobalDeclaration(block)) {
+    globals.add(block.getFieldValue('NAME'));
+  }
+}
+
+/**
+ * As addDependents, for the blocks of a deleted tree.
+ * @param {Object} json The deleted blocks, serialized.
+ * @param {!Set<string>} globals
+ * @param {!Set<string>} procedures
+ */
+function addDeletedDependents(json, globals, procedures) {
+  if (!json || typeof json !== 'object') {
+    return;
+  }
+  if (json.type && json.fields) {
+    addDependents({
+      type: json.type,
+      getFieldValue: (name) => json.fields[name],
+    }, globals, procedures);
+  }
+  Object.values(json).forEach((value) =>
+    addDeletedDependents(value, globals, procedures));
+}
+
+/**
+ * Summarize the type errors of a block, to tell whether they've changed.
+ * @param {!Array} errors
+ * @return {string}
+ */
+function errorText(errors) {
+  return errors.map((error) => error.severity + ' ' + error.message)
+      .join('\n');
+}
+
+/**
+ * Set the language of the type dropdowns and typed variable fields of a
+ * block.
+ * @param {!Blockly.Block} block
+ * @param {string} language
+ */
+function setBlockLanguage(block, language) {
+  block.inputList.forEach((input) => input.fieldRow.forEach((field) => {
+    if (field.setLanguage && field.getLanguage &&
+        field.getLanguage() !== language) {
+      field.setLanguage(language);
+    }
+  }));
+}
+
+/**
+ * Whether a block declares a global.
+ * @param {Blockly.Block} block
+ * @return {boolean}
+ */
+function isGlobalDeclaration(block) {
+  return block.type === 'global_declaration' ||
+      block.type === 'typed_global_declaration';
+}
+
+/**
+ * Get a declared type, as a type that may be inferred.
+ * @param {string|undefined} type The type from a type dropdown.
+ * @return {string|null} The type, or null if it's 'any' (untyped).
+ */
+function declaredType(type) {
+  return type && type !== 'any' ? type : null;
+}
+
+/**
+ * Combine the types of the values a variable can hold, or that an
+ * expression can produce.
+ * @param {!Array<string|null|undefined>} types The types. Undefined places
+ *     no constraint; null is a type that couldn't be inferred.
+ * @return {string|null|undefined} The type, if they're all the same (or all
+ *     numeric, which is a number, or all the same but null, which is a
+ *     nullable type), otherwise null. Undefined if there are no
+ *     constraints.
+ */
+function unifyTypes(types) {
+  const known = types.filter((type) => type !== undefined);
+  if (!known.length) {
+    return undefined;
+  }
+  if (known.some((type) => type === null || type === 'any')) {
+    return null;
+  }
+  if (known.every((type) => type === known[0])) {
+    return known[0];
+  }
+  if (known.includes('null')) {
+    // A variable that may be null: T | null.
+    const type = Types.tryParseType(
+        unifyTypes(known.filter((type) => type !== 'null')));
+    return type && Types.formatType(
+        Types.unionType([type, Types.nameType('null')]));
+  }
+  return known.every((type) => Types.NUMERIC_TYPES.includes(type)) ?
+      'number' : null;
+}
+
+/**
+ * Get the type of a list of elements of a type.
+ * @param {string|null|undefined} type The element type.
+ * @return {string} The list type.
+ */
+function listType(type) {
+  const element = Types.tryParseType(type);
+  return Types.formatType(Types.arrayType(element || Types.nameType('any')));
+}
+
+/**
+ * Get the type of the elements of a list type.
+ * @param {string|null|undefined} type The list type.
+ * @return {string|null|undefined} The element type, or null if it isn't
+ *     known.
+ */
+function elementType(type) {
+  if (type === undefined) {
+    return undefined;
+  }
+  const list = Types.tryParseType(type);
+  return list && list.kind === Types.TypeKind.ARRAY &&
+      !Types.isAny(list.element) ? Types.formatType(list.element) : null;
+}
@@ -0,0 +1,557 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview The structure of types. Types are kept and passed around as
+ * strings, as written in the type dropdowns (e.g., 'number[]', 'int**',
+ * 'Map<string, number[]>', '(number, string) => boolean'). parseType turns
+ * a type into a tree of type nodes, which the TypeManager checks
+ * compatibility on, the generators print in their languages (see
+ * typescript/types.js and c/types.js) and the type dropdowns build their
+ * options from.
+ *
+ * Besides the types the languages have built in, a named type can be a
+ * struct or enum declared on the workspace (see blocks/type-declarations.js),
+ * which the TypeManager looks up by name.
+ *
+ * A type node is one of:
+ *  - {kind: TypeKind.NAME, name, args}: a named type, with type arguments
+ *    for generic types (Promise<T>, Map<K, V>, ...), otherwise none. null
+ *    and undefined are named types too.
+ *  - {kind: TypeKind.ARRAY, element}: T[]. The untyped list type 'array' is
+ *    an array of any.
+ *  - {kind: TypeKind.POINTER, target}: T*, for C.
+ *  - {kind: TypeKind.FUNCTION, params, result}: (T1, T2) => R. Parameters
+ *    may be named, as in TypeScript, but the names are dropped.
+ *  - {kind: TypeKind.UNION, members}: T1 | T2, e.g., string | null for a
+ *    nullable string, or number | undefined for an optional number. Unions
+ *    are flattened, so no member is itself a union.
+ */
+
+'use strict';
+
+/**
+ * The kinds of type nodes.
+ * @enum {string}
+ */
+export const TypeKind = {
+  NAME: 'name',
+  ARRAY: 'array',
+  POINTER: 'pointer',
+  FUNCTION: 'function',
+  UNION: 'union',
+};
+
+/**
+ * The names of the numeric types, which are compatible with each other.
+ * @type {!Array<string>}
+ */
+export const NUMERIC_TYPES = ['number', 'int', 'float', 'double'];
+
+/**
+ * The names of the types the languages have built in, which user-declared
+ * types can't be named.
+ * @type {!Array<string>}
+ */
+export const BUILT_IN_TYPES = [
+  'any', 'number', 'string', 'boolean', 'object', 'function', 'void',
+  'array', 'int', 'float', 'double', 'char', 'bool', 'Array', 'Promise',
+  'Set', 'Map', 'Record', 'Function', 'null', 'undefined',
+];
+
+/**
+ * Make a named type.
+ * @param {string} name
+ * @param {!Array<!Object>=} args The type arguments of a generic type.
+ * @return {!Object} The type node.
+ */
+export function nameType(name, args = []) {
+  return {kind: TypeKind.NAME, name, args};
+}
+
+/**
+ * Make an array type.
+ * @param {!Object} element The type node of the elements.
+ * @return {!Object} The type node.
+ */
+export function arrayType(element) {
+  return {kind: TypeKind.ARRAY, element};
+}
+
+/**
+ * Make a pointer type.
+ * @param {!Object} target The type node of what it points to.
+ * @return {!Object} The type node.
+ */
+export function pointerType(target) {
+  return {kind: TypeKind.POINTER, target};
+}
+
+/**
+ * Make a union type. Members that are unions are flattened, and repeated
+ * members dropped.
+ * @param {!Array<!Object>} members The type nodes of the members.
+ * @return {!Object} The type node, or the member itself if there's only one.
+ */
+export function unionType(members) {
+  const flattened = [];
+  const add = (member) => {
+    if (member.kind === TypeKind.UNION) {
+      member.members.forEach(add);
+    } else if (!flattened.some((other) =>
+      formatType(other) === formatType(member))) {
+      flattened.push(member);
+    }
+  };
+  members.forEach(add);
+  return flattened.length === 1 ? flattened[0] :
+      {kind: TypeKind.UNION, members: flattened};
+}
+
+/**
+ * Make a function type.
+ * @param {!Array<!Object>} params The type nodes of the parameters.
+ * @param {!Object} result The type node of the result.
+ * @return {!Object} The type node.
+ */
+export function functionType(params, result) {
+  return {kind: TypeKind.FUNCTION, params, result};
+}
+
+const TOKEN = /\s*(=>|[A-Za-z_$][\w$]*|[<>,()[\]*:|]|\S)/y;
+
+/**
+ * Split a type into tokens.
+ * @param {string} text
+ * @return {!Array<string>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let match;
+  while (TOKEN.lastIndex < text.length && (match = TOKEN.exec(text))) {
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * Parse a type.
+ * @param {string} text The type, as written in a type dropdown.
+ * @return {!Object} The type node.
+ * @throws {Error} If the text isn't a type.
+ */
+export function parseType(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+  const fail = (message) => {
+    throw Error('Invalid type "' + text + '": ' + message);
+  };
+  const peek = () => tokens[pos];
+  const expect = (token) => {
+    if (tokens[pos] !== token) {
+      fail('expected ' + token + (pos < tokens.length ?
+          ' but found ' + tokens[pos] : ' at the end'));
+    }
+    pos++;
+  };
+  const isName = (token) => !!token && /^[A-Za-z_$]/.test(token);
+
+  // type := postfix ('|' postfix)*
+  const parse = () => {
+    const members = [parsePostfix()];
+    while (peek() === '|') {
+      pos++;
+      members.push(parsePostfix());
+    }
+    return members.length === 1 ? members[0] : unionType(members);
+  };
+  // postfix := primary ('[' ']' | '*')*
+  const parsePostfix = () => {
+    let type = parsePrimary();
+    for (;;) {
+      if (peek() === '[') {
+        pos++;
+        expect(']');
+        type = arrayType(type);
+      } else if (peek() === '*') {
+        pos++;
+        type = pointerType(type);
+      } else {
+        return type;
+      }
+    }
+  };
+  // primary := name ('<' type (',' type)* '>')?
+  //          | '(' (param (',' param)*)? ')' '=>' type
+  //          | '(' type ')'
+  // param := (name ':')? type
+  const parsePrimary = () => {
+    const token = peek();
+    if (token === '(') {
+      pos++;
+      const params = [];
+      let named = false;
+      while (peek() !== ')') {
+        if (params.length) {
+          expect(',');
+        }
+        if (isName(peek()) && tokens[pos + 1] === ':') {
+          named = true;
+          pos += 2;
+        }
+        params.push(parse());
+      }
+      expect(')');
+      if (peek() === '=>') {
+        pos++;
+        return functionType(params, parse());
+      }
+      if (params.length !== 1 || named) {
+        fail('expected =>');
+      }
+      return params[0];
+    }
+    if (!isName(token)) {
+      fail(token === undefined ? 'expected a type' :
+          'unexpected ' + token);
+    }
+    pos++;
+    if (token === 'array') {
+      return arrayType(nameType('any'));
+    }
+    const args = [];
+    if (peek() === '<') {
+      pos++;
+      do {
+        if (args.length) {
+          expect(',');
+        }
+        args.push(parse());
+      } while (peek() === ',');
+      expect('>');
+    }
+    return nameType(token, args);
+  };
+
+  const type = parse();
+  if (pos < tokens.length) {
+    fail('unexpected ' + tokens[pos]);
+  }
+  return type;
+}
+
+/**
+ * Parse a type, if it is one.
+ * @param {?string} text
+ * @return {?Object} The type node, or null if the text is empty or isn't a
+ *     type.
+ */
+export function tryParseType(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return parseType(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Print a type the way the type dropdowns write it, which parseType reads
+ * back.
+ * @param {!Object} type The type node.
+ * @return {string}
+ */
+export function formatType(type) {
+  switch (type.kind) {
+    case TypeKind.NAME:
+      return type.name + (type.args.length ?
+          '<' + type.args.map(formatType).join(', ') + '>' : '');
+    case TypeKind.ARRAY:
+      return isAny(type.element) ? 'array' :
+          formatOperand(type.element) + '[]';
+    case TypeKind.POINTER:
+      return formatOperand(type.target) + '*';
+    case TypeKind.FUNCTION:
+      return '(' + type.params.map(formatType).join(', ') + ') => ' +
+          formatType(type.result);
+    case TypeKind.UNION:
+      return type.members.map((member) => member.kind === TypeKind.FUNCTION ?
+          '(' + formatType(member) + ')' : formatType(member)).join(' | ');
+  }
+  throw Error('Unknown kind of type: ' + type.kind);
+}
+
+/**
+ * Print the type an array or pointer suffix applies to, in parentheses if
+ * it's a function or union type.
+ * @param {!Object} type
+ * @return {string}
+ */
+function formatOperand(type) {
+  return type.kind === TypeKind.FUNCTION || type.kind === TypeKind.UNION ?
+      '(' + formatType(type) + ')' : formatType(type);
+}
+
+/**
+ * Rename a named type wherever it occurs in a type, e.g., in its type
+ * arguments or as the element type of an array type.
+ * @param {string} text The type.
+ * @param {string} oldName
+ * @param {string} newName
+ * @return {string} The renamed type, or the type as it is if it doesn't
+ *     refer to oldName or isn't a type.
+ */
+export function renameType(text, oldName, newName) {
+  const type = tryParseType(text);
+  if (!type || !getTypeNames(type).includes(oldName)) {
+    return text;
+  }
+  const rename = (type) => {
+    switch (type.kind) {
+      case TypeKind.NAME:
+        return nameType(type.name === oldName ? newName : type.name,
+            type.args.map(rename));
+      case TypeKind.ARRAY:
+        return arrayType(rename(type.element));
+      case TypeKind.POINTER:
+        return pointerType(rename(type.target));
+      case TypeKind.FUNCTION:
+        return functionType(type.params.map(rename), rename(type.result));
+      case TypeKind.UNION:
+        return unionType(type.members.map(rename));
+    }
+  };
+  return formatType(rename(type));
+}
+
+/**
+ * Get the names of the named types a type is made of.
+ * @param {!Object} type The type node.
+ * @return {!Array<string>} The names, e.g., ['Map', 'string', 'Point'] for
+ *     Map<string, Point[]>.
+ */
+export function getTypeNames(type) {
+  switch (type.kind) {
+    case TypeKind.NAME:
+      return [type.name, ...[].concat(...type.args.map(getTypeNames))];
+    case TypeKind.ARRAY:
+      return getTypeNames(type.element);
+    case TypeKind.POINTER:
+      return getTypeNames(type.target);
+    case TypeKind.FUNCTION:
+      return [].concat(...type.params.map(getTypeNames),
+          getTypeNames(type.result));
+    case TypeKind.UNION:
+      return [].concat(...type.members.map(getTypeNames));
+  }
+  return [];
+}
+
+/**
+ * Whether a type node is any.
+ * @param {!Object} type
+ * @return {boolean}
+ */
+export function isAny(type) {
+  return type.kind === TypeKind.NAME && type.name === 'any';
+}
+
+/**
+ * Whether a type node is null or undefined, the types of missing values.
+ * @param {!Object} type
+ * @return {boolean}
+ */
+export function isNull(type) {
+  return type.kind === TypeKind.NAME &&
+      (type.name === 'null' || type.name === 'undefined');
+}
+
+/**
+ * Whether a value of a type may be missing: the type is null or undefined,
+ * or a union with one of them among its members (e.g., string | null).
+ * @param {!Object} type
+ * @return {boolean}
+ */
+export function isNullable(type) {
+  return isNull(type) ||
+      (type.kind === TypeKind.UNION && type.members.some(isNull));
+}
+
+/**
+ * Remove null and undefined from a type.
+ * @param {!Object} type
+ * @return {?Object} The type node without them, e.g., string for
+ *     string | null, or null if nothing is left.
+ */
+export function nonNullType(type) {
+  if (type.kind !== TypeKind.UNION) {
+    return isNull(type) ? null : type;
+  }
+  const members = type.members.filter((member) => !isNull(member));
+  return members.length ? unionType(members) : null;
+}
+
+/**
+ * Whether a type node is one of the numeric types.
+ * @param {!Object} type
+ * @return {boolean}
+ */
+export function isNumeric(type) {
+  return type.kind === TypeKind.NAME && NUMERIC_TYPES.includes(type.name);
+}
+
+/**
+ * Check if a value of one type can be assigned to a variable of another.
+ * any is compatible with everything, numeric types with each other, and
+ * arrays, pointers, generic types and function types if their parts are. A
+ * union is assignable if each of its members is, and assignable to if one
+ * of its members is; null and undefined are only assignable to themselves
+ * and the unions that have them.
+ * @param {!Object} target The type node of the variable.
+ * @param {!Object} source The type node of the value.
+ * @return {boolean}
+ */
+export function isAssignable(target, source) {
+  if (isAny(target) || isAny(source)) {
+    return true;
+  }
+  if (source.kind === TypeKind.UNION) {
+    return source.members.every((member) => isAssignable(target, member));
+  }
+  if (target.kind === TypeKind.UNION) {
+    return target.members.some((member) => isAssignable(member, source));
+  }
+  if (isNumeric(target) && isNumeric(source)) {
+    return true;
+  }
+  if (target.kind === TypeKind.NAME && target.name === 'function' &&
+      source.kind === TypeKind.FUNCTION) {
+    return true;
+  }
+  if (target.kind !== source.kind) {
+    return false;
+  }
+  switch (target.kind) {
+    case TypeKind.NAME:
+      return target.name === source.name &&
+          target.args.length === source.args.length &&
+          target.args.every((arg, i) => isAssignable(arg, source.args[i]));
+    case TypeKind.ARRAY:
+      return isAssignable(target.element, source.element);
+    case TypeKind.POINTER:
+      return isAssignable(target.target, source.target);
+    case TypeKind.FUNCTION:
+      // A function is assignable if it takes what the target would be
+      // called with and gives what the target would give.
+      return target.params.length === source.params.length &&
+          target.params.every((param, i) =>
+            isAssignable(source.params[i], param)) &&
+          isAssignable(target.result, source.result);
+  }
+  return false;
+}
+
+/**
+ * The C numeric types, from the narrowest to the widest. number, the type of
+ * literals and of JavaScript and TypeScript numbers, isn't among them: it
+ * converts to and from each of them without a warning.
+ * @type {!Array<string>}
+ */
+const NUMERIC_RANKS = ['int', 'float', 'double'];
+
+/**
+ * Check if assigning a value of one type to a variable of another is a
+ * narrowing conversion, which may lose the fraction (to int) or precision
+ * (double to float). The types are assignable (see isAssignable), but C
+ * converts silently.
+ * @param {!Object} target The type node of the variable.
+ * @param {!Object} source The type node of the value.
+ * @return {boolean}
+ */
+export function isNarrowing(target, source) {
+  if (target.kind !== TypeKind.NAME || source.kind !== TypeKind.NAME) {
+    return false;
+  }
+  const targetRank = NUMERIC_RANKS.indexOf(target.name);
+  return targetRank >= 0 &&
+      NUMERIC_RANKS.indexOf(source.name) > targetRank;
+}
+
+/**
+ * Check if a value of one type can be cast to another: if either is
+ * assignable to the other, or both are among the numbers, strings and
+ * booleans, which the generators convert between.
+ * @param {!Object} target The type node to cast to.
+ * @param {!Object} source The type node of the value.
+ * @return {boolean}
+ */
+export function isCastable(target, source) {
+  const convertible = ['number', 'string', 'boolean'];
+  return isAssignable(target, source) || isAssignable(source, target) ||
+      (convertible.includes(getTypeCategory(formatType(target))) &&
+       convertible.includes(getTypeCategory(formatType(source))));
+}
+
+/**
+ * Sort a type into the kinds of values that the generators have a default
+ * value for. A nullable type's values default to null; a union's otherwise fall in
+ * the category of its first member.
+ * @param {?string} text The type.
+ * @return {string} One of 'number', 'string', 'boolean', 'list', 'map',
+ *     'set', 'object', 'function', 'promise', 'void', 'null', or 'any' for a
+ *     type without a particular default value.
+ */
+export function getTypeCategory(text) {
+  const type = tryParseType(text);
+  if (!type) {
+    return 'any';
+  }
+  if (isNullable(type)) {
+    return 'null';
+  }
+  switch (type.kind) {
+    case TypeKind.UNION:
+      return getTypeCategory(formatType(type.members[0]));
+    case TypeKind.ARRAY:
+      return 'list';
+    case TypeKind.FUNCTION:
+      return 'function';
+    case TypeKind.POINTER:
+      // A C string.
+      return type.target.kind === TypeKind.NAME &&
+          type.target.name === 'char' ? 'string' : 'any';
+  }
+  if (NUMERIC_TYPES.includes(type.name)) {
+    return 'number';
+  }
+  switch (type.name) {
+    case 'string':
+    case 'char':
+      return 'string';
+    case 'boolean':
+    case 'bool':
+      return 'boolean';
+    case 'Array':
+      return 'list';
+    case 'Map':
+      return 'map';
+    case 'Set':
+      return 'set';
+    case 'object':
+    case 'Record':
+      return 'object';
+    case 'function':
+    case 'Function':
+      return 'function';
+    case 'Promise':
+      return 'promise';
+    case 'void':
+      return 'void';
+    default:
+      return 'any';
+  }
+}
@@ -0,0 +1,463 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview A lint pass for variables that are never read: globals,
+ * locals, procedure parameters and loop counters that no getter refers to.
+ * Setting a variable doesn't count as reading it. A getter reads the
+ * binding its name resolves to where it is (see
+ * LexicalVariable.getBindingBlock), or, with the global prefix, the global
+ * of that name.
+ *
+ * The WarningHandler shows the unused variables of a workspace that's
+ * checked with an UnusedVariables on their declarations, as warnings,
+ * through ErrorCheckers.checkUnusedVariables. Unused globals and locals get
+ * a "Remove unused variable" quick fix in their declarations' context menu,
+ * which removes the declaration and the setters of the variable;
+ * parameters and loop counters are only flagged, and can be left out.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import './msg.js';
+import * as Shared from './shared.js';
+import {LexicalVariable} from './fields/field_lexical_variable.js';
+
+/**
+ * Types of the blocks that get the value of a variable.
+ * @type {!Array<string>}
+ */
+const GETTER_TYPES = ['lexical_variable_get', 'typed_lexical_variable_get'];
+
+/**
+ * Types of the blocks that set the value of a variable.
+ * @type {!Array<string>}
+ */
+const SETTER_TYPES = ['lexical_variable_set', 'typed_lexical_variable_set'];
+
+/**
+ * The blocks that declare variables, and the kind of variable and names
+ * each declares, by type.
+ * @type {!Object<string, {kind: string,
+ *     names: function(!Blockly.Block): !Array<string>}>}
+ */
+const DECLARATIONS = {
+  'global_declaration': {
+    kind: 'global',
+    names: (block) => [block.getFieldValue('NAME')],
+  },
+  'typed_global_declaration': {
+    kind: 'global',
+    names: (block) => [block.getFieldValue('NAME')],
+  },
+  'simple_local_declaration_statement': {
+    kind: 'local',
+    names: (block) => [block.getFieldValue('VAR')],
+  },
+  'typed_local_declaration_statement': {
+    kind: 'local',
+    names: (block) => [block.getFieldValue('VAR')],
+  },
+  'local_declaration_statement': {
+    kind: 'local',
+    names: (block) => block.declaredNames(),
+  },
+  'local_declaration_expression': {
+    kind: 'local',
+    names: (block) => block.declaredNames(),
+  },
+  'procedures_defnoreturn': {
+    kind: 'parameter',
+    names: (block) => block.getParameters(),
+  },
+  'procedures_defreturn': {
+    kind: 'parameter',
+    names: (block) => block.getParameters(),
+  },
+  'controls_forRange': {
+    kind: 'counter',
+    names: (block) => [block.getFieldValue('VAR')],
+  },
+  'controls_for': {
+    kind: 'counter',
+    names: (block) => [block.getFieldValue('VAR')],
+  },
+  'controls_forEach': {
+    kind: 'counter',
+    names: (block) => [block.getFieldValue('VAR')],
+  },
+};
+
+/**
+ * The messages of the warnings, by kind of variable.
+ * @type {!Object<string, string>}
+ */
+const MESSAGES = {
+  'global': 'LANG_VARIABLES_UNUSED_VARIABLE',
+  'local': 'LANG_VARIABLES_UNUSED_VARIABLE',
+  'parameter': 'LANG_VARIABLES_UNUSED_PARAMETER',
+  'counter': 'LANG_VARIABLES_UNUSED_COUNTER',
+};
+
+/**
+ * The UnusedVariables checking each workspace, while they're listening or
+ * since they last checked it.
+ * @type {!WeakMap<!Blockly.Workspace, !UnusedVariables>}
+ */
+const checkers = new WeakMap();
+
+/**
+ * Finds the variables of a workspace that are never read.
+ */
+export class UnusedVariables {
+  /**
+   * @param {!Blockly.Workspace} workspace The workspace to check.
+   * @param {{ignoreParameters: (boolean|undefined),
+   *     ignoreLoopCounters: (boolean|undefined)}=} options Whether to leave
+   *     out unused procedure parameters, and unused loop counters (of for
+   *     range and for each loops). Both are flagged by default.
+   */
+  constructor(workspace, options = {}) {
+    this.workspace = workspace;
+    this.options = Object.assign({
+      ignoreParameters: false,
+      ignoreLoopCounters: false,
+    }, options);
+    // Map of declaring block ID to its unused variables, as of the last check
+    this.unused_ = new Map();
+    this.listener_ = null; // The workspace change listener, while listening
+  }
+
+  /**
+   * Check the workspace for unused variables, and update the warnings of
+   * the declarations whose unused variables have changed.
+   * @return {!Array<{block: !Blockly.Block, name: string, kind: string}>}
+   *     The unused variables: their declaring blocks, names, and kinds
+   *     ('global', 'local', 'parameter' or 'counter').
+   */
+  check() {
+    const reads = this.getReads_();
+    const unused = [];
+    this.workspace.getAllBlocks(false).forEach((block) => {
+      const declaration = DECLARATIONS[block.type];
+      if (!declaration || this.isIgnored_(declaration.kind)) {
+        return;
+      }
+      const isGlobal = declaration.kind === 'global';
+      declaration.names(block).forEach((name) => {
+        if (!reads.has(isGlobal ? globalKey(name) : localKey(block, name))) {
+          unused.push({block: block, name: name, kind: declaration.kind});
+        }
+      });
+    });
+    const before = this.unused_;
+    this.unused_ = new Map();
+    unused.forEach((variable) => {
+      if (!this.unused_.has(variable.block.id)) {
+        this.unused_.set(variable.block.id, []);
+      }
+      this.unused_.get(variable.block.id).push(variable);
+    });
+    checkers.set(this.workspace, this);
+    this.updateWarnings_(before);
+    return unused;
+  }
+
+  /**
+   * Get the unused variables that a block declares, as of the last check.
+   * @param {!Blockly.Block} block
+   * @return {!Array<{block: !Blockly.Block, name: string, kind: string}>}
+   */
+  getUnused(block) {
+    return this.unused_.get(block.id) || [];
+  }
+
+  /**
+   * Keep the workspace checked: check it now, then again whenever blocks
+   * are created, changed, moved or deleted.
+   */
+  listen() {
+    if (this.listener_) {
+      return;
+    }
+    this.listener_ = (event) => this.onChange_(event);
+    this.workspace.addChangeListener(this.listener_);
+    this.check();
+  }
+
+  /**
+   * Stop listening to the workspace, and take the warnings off its blocks.
+   */
+  dispose() {
+    if (this.listener_) {
+      this.workspace.removeChangeListener(this.listener_);
+      this.listener_ = null;
+    }
+    const before = this.unused_;
+    this.unused_ = new Map();
+    this.updateWarnings_(before);
+    if (checkers.get(this.workspace) === this) {
+      checkers.delete(this.workspace);
+    }
+  }
+
+  /**
+   * Handle a workspace change event.
+   * @param {!Blockly.Events.Abstract} event
+   * @private
+   */
+  onChange_(event) {
+    if (event.isUiEvent || this.workspace.isClearing ||
+        ![Blockly.Events.BLOCK_CREATE, Blockly.Events.BLOCK_CHANGE,
+          Blockly.Events.BLOCK_MOVE, Blockly.Events.BLOCK_DELETE]
+            .includes(event.type)) {
+      return;
+    }
+    this.check();
+  }
+
+  /**
+   * Check if a kind of variable is left out by the options.
+   * @param {string} kind
+   * @return {boolean}
+   * @private
+   */
+  isIgnored_(kind) {
+    return (kind === 'parameter' && this.options.ignoreParameters) ||
+        (kind === 'counter' && this.options.ignoreLoopCounters);
+  }
+
+  /**
+   * Find the variables that the workspace's getters read.
+   * @return {!Set<string>} Their keys (see globalKey and localKey).
+   * @private
+   */
+  getReads_() {
+    const reads = new Set();
+    getBlocksOfTypes(this.workspace, GETTER_TYPES).forEach((getter) => {
+      const key = getBindingKey(getter);
+      if (key) {
+        reads.add(key);
+      }
+    });
+    return reads;
+  }
+
+  /**
+   * Have the WarningHandler check the declarations whose unused variables
+   * have changed again.
+   * @param {!Map<string, !Array<!Object>>} before The unused variables
+   *     before, by declaring block ID.
+   * @private
+   */
+  updateWarnings_(before) {
+    const warningHandler = this.workspace.getWarningHandler &&
+        this.workspace.getWarningHandler();
+    if (!warningHandler) {
+      return;
+    }
+    const names = (variables) =>
+      (variables || []).map((variable) => variable.name).join('\n');
+    new Set([...before.keys(), ...this.unused_.keys()]).forEach((id) => {
+      const block = this.workspace.getBlockById(id);
+      if (block && names(before.get(id)) !== names(this.unused_.get(id))) {
+        warningHandler.checkErrors(block);
+      }
+    });
+  }
+}
+
+/**
+ * Get the unused variables that a block declares, as of the last check of
+ * its workspace with an UnusedVariables.
+ * @param {!Blockly.Block} block
+ * @return {!Array<{block: !Blockly.Block, name: string, kind: string}>}
+ */
+export function getUnusedVariables(block) {
+  const checker = checkers.get(block.workspace);
+  return checker ? checker.getUnused(block) : [];
+}
+
+/**
+ * Get the warning message for an unused variable.
+ * @param {{name: string, kind: string}} variable
+ * @return {string}
+ */
+export function getUnusedMessage(variable) {
+  return Blockly.Msg[MESSAGES[variable.kind]].replace('%1', variable.name);
+}
+
+/**
+ * Remove an unused global or local: its declaration and the setters of the
+ * variable. A local declaration of other names only loses the variable's
+ * name and initial value; one of the variable alone is replaced by its
+ * body.
+ * @param {{block: !Blockly.Block, name: string, kind: string}} variable
+ *     The variable, as found by an UnusedVariables.
+ * @throws {Error} If the variable is a parameter or a loop counter.
+ */
+export function removeUnusedVariable(variable) {
+  const {block, name, kind} = variable;
+  if (kind !== 'global' && kind !== 'local') {
+    throw Error(`Can't remove the ${kind} ${name}`);
+  }
+  const key = kind === 'global' ? globalKey(name) : localKey(block, name);
+  getBlocksOfTypes(block.workspace, SETTER_TYPES).forEach((setter) => {
+    if (!setter.isDisposed() && getBindingKey(setter) === key) {
+      setter.dispose(true);
+    }
+  });
+  if (kind === 'global') {
+    block.dispose(false);
+    return;
+  }
+  const names = DECLARATIONS[block.type].names(block);
+  if (names.length > 1) {
+    removeLocalName(block, names, names.indexOf(name));
+  } else {
+    replaceWithBody(block, block.bodyInputName || block.getScopedInputName());
+  }
+}
+
+/**
+ * Remove one of the names, with its initial value, from a local
+ * declaration of several.
+ * @param {!Blockly.Block} block The declaration.
+ * @param {!Array<string>} names Its names.
+ * @param {number} index The index of the name to remove.
+ */
+function removeLocalName(block, names, index) {
+  const oldMutation = Blockly.Xml.domToText(block.mutationToDom());
+  const inits = names.map((_, i) =>
+    block.getInput('DECL' + i).connection.targetConnection);
+  if (inits[index]) {
+    inits[index].getSourceBlock().dispose(false);
+  }
+  block.updateDeclarationInputs_(names.filter((_, i) => i !== index),
+      inits.filter((_, i) => i !== index));
+  const newMutation = Blockly.Xml.domToText(block.mutationToDom());
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.BlockChange(block, 'mutation',
+        null, oldMutation, newMutation));
+  }
+}
+
+/**
+ * Replace a local declaration with the blocks in its body: its statements,
+ * followed by the blocks after it, or its value.
+ * @param {!Blockly.Block} block The declaration.
+ * @param {string} bodyInputName The name of the body's input.
+ */
+function replaceWithBody(block, bodyInputName) {
+  const body = block.getInputTargetBlock(bodyInputName);
+  const parentConnection = block.outputConnection ?
+      block.outputConnection.targetConnection :
+      block.previousConnection.targetConnection;
+  const next = block.getNextBlock();
+  const xy = block.getRelativeToSurfaceXY();
+  if (body) {
+    body.unplug();
+  }
+  if (next) {
+    next.unplug();
+  }
+  block.dispose(false);
+  if (body && next) {
+    body.lastConnectionInStack(false).connect(next.previousConnection);
+  }
+  const first = body || next;
+  if (!first) {
+    return;
+  }
+  if (parentConnection) {
+    parentConnection.connect(first.outputConnection ||
+        first.previousConnection);
+  } else {
+    const firstXY = first.getRelativeToSurfaceXY();
+    first.moveBy(xy.x - firstXY.x, xy.y - firstXY.y);
+  }
+}
+
+/**
+ * The key of the binding of a global.
+ * @param {string} name The unprefixed name.
+ * @return {string}
+ */
+function globalKey(name) {
+  return 'global ' + name;
+}
+
+/**
+ * The key of the binding of a local, parameter or loop counter.
+ * @param {!Blockly.Block} declBlock The declaring block.
+ * @param {string} name The unprefixed name.
+ * @return {string}
+ */
+function localKey(declBlock, name) {
+  return declBlock.id + ' ' + name;
+}
+
+/**
+ * Get the key of the binding that a getter or setter refers to.
+ * @param {!Blockly.Block} block The getter or setter.
+ * @return {?string} The key, or null if its name isn't in scope.
+ */
+function getBindingKey(block) {
+  const [prefix, name] = Shared.unprefixName(block.getFieldValue('VAR'));
+  if (prefix === Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX ||
+      prefix === Shared.GLOBAL_KEYWORD) {
+    return globalKey(name);
+  }
+  const declBlock = LexicalVariable.getBindingBlock(block, name);
+  return declBlock ? localKey(declBlock, name) : null;
+}
+
+/**
+ * Get the blocks of some types in a workspace.
+ * @param {!Blockly.Workspace} workspace
+ * @param {!Array<string>} types
+ * @return {!Array<!Blockly.Block>}
+ */
+function getBlocksOfTypes(workspace, types) {
+  return [].concat(...types.map((type) =>
+    workspace.getBlocksByType(type, false)));
+}
+
+/**
+ * Get the unused variables that the quick fix can remove from a block.
+ * @param {!Blockly.Block} block
+ * @return {!Array<{block: !Blockly.Block, name: string, kind: string}>}
+ */
+function getRemovableVariables(block) {
+  return getUnusedVariables(block).filter((variable) =>
+    variable.kind === 'global' || variable.kind === 'local');
+}
+
+// The quick fix for unused globals and locals: their declarations' context
+// menu gets an item that removes them (see removeUnusedVariable).
+if (!Blockly.ContextMenuRegistry.registry.getItem('removeUnusedVariable')) {
+  Blockly.ContextMenuRegistry.registry.register({
+    id: 'removeUnusedVariable',
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    weight: 0,
+    displayText: function(scope) {
+      return getRemovableVariables(scope.block).length === 1 ?
+          Blockly.Msg['LANG_VARIABLES_REMOVE_UNUSED_VARIABLE'] :
+          Blockly.Msg['LANG_VARIABLES_REMOVE_UNUSED_VARIABLES'];
+    },
+    preconditionFn: function(scope) {
+      return getRemovableVariables(scope.block).length ? 'enabled' : 'hidden';
+    },
+    callback: function(scope) {
+      const variables = getRemovableVariables(scope.block);
+      Blockly.Events.setGroup(true);
+      try {
+        variables.forEach(removeUnusedVariable);
+      } finally {
+        Blockly.Events.setGroup(false);
+      }
+    },
+  });
+}
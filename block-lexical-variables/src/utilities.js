@@ -11,6 +11,7 @@
 
 import * as Blockly from 'blockly/core';
 import './msg.js';
+import * as Types from './types.js';
 
 /**
  * Checks that the given otherConnection is compatible with an InstantInTime
@@ -101,6 +102,51 @@ export const yailTypeToBlocklyType = function(yail, inputOrOutput) {
   return type;
 };
 
+/**
+ * The Yail types that the categories of declared types (see
+ * Types.getTypeCategory) correspond to.
+ * @type {!Object<string, string>}
+ */
+const TypeCategoryToYailType = {
+  'number': 'number',
+  'string': 'text',
+  'boolean': 'boolean',
+  'list': 'list',
+  'map': 'dictionary',
+};
+
+/**
+ * Gets the Blockly connection check for a declared type (e.g., 'number',
+ * 'string[]', or the name of a struct type). A typed value is only ever of
+ * its own type, so unlike the Yail types, which App Inventor coerces (a
+ * number can go where text is expected), inputs and outputs get the same
+ * check: that of the Yail input of the type's category. Struct and enum
+ * types are checked by name, and unions by the checks of their members.
+ * @param {?string} type The declared type.
+ *
+ * @return {Array<string>} The check, or null to connect to anything (for
+ *     any, types that aren't declared, and types without a Yail
+ *     counterpart).
+ */
+export const typeToBlocklyType = function(type) {
+  const node = Types.tryParseType(type);
+  if (!node || Types.isAny(node)) {
+    return null;
+  }
+  if (node.kind === Types.TypeKind.UNION) {
+    // A value of any of the members, or null, which isn't checked.
+    const checks = node.members.filter((member) => !Types.isNull(member))
+        .map((member) => typeToBlocklyType(Types.formatType(member)));
+    return checks.includes(null) ? null :
+        [...new Set([].concat(...checks))];
+  }
+  if (node.kind === Types.TypeKind.NAME && !node.args.length &&
+      !Types.BUILT_IN_TYPES.includes(node.name)) {
+    return [node.name];
+  }
+  const yail = TypeCategoryToYailType[Types.getTypeCategory(type)];
+  return yail ? yailTypeToBlocklyType(yail, INPUT) : null;
+};
 
 // Blockly doesn't wrap tooltips, so these can get too wide.  We'll create our
 // own tooltip setter that wraps to length 60.
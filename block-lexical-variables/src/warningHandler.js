@@ -13,6 +13,8 @@
 
 import * as Blockly from 'blockly/core';
 import './msg.js';
+import {getCompilerDiagnostics} from './generators/compiler-check.js';
+import {getUnusedMessage, getUnusedVariables} from './unusedVariables.js';
 
 export default class WarningHandler {
   /**
@@ -42,8 +44,11 @@ export default class WarningHandler {
     }
 
     // add warnings and errors that are on every block
-    const errorTestArray = block.errors;
-    const warningTestArray = block.warnings;
+    const errorTestArray = block.errors.concat(
+        [{func: ErrorCheckers.checkCompilerDiagnostics}]);
+    const warningTestArray = block.warnings.concat(
+        [{func: ErrorCheckers.checkCompilerDiagnostics, severity: 'warning'},
+          {func: ErrorCheckers.checkUnusedVariables}]);
 
     // check if there are any errors
     for (let i=0; i<errorTestArray.length; i++) {
@@ -112,6 +117,62 @@ export class ErrorCheckers {
   };
 
 
+// Check if the workspace's TypeManager has found type errors in the block, if
+// so, create an error. With params.severity set to 'warning', check for type
+// warnings instead.
+  static checkTypeErrors(block, params) {
+    if (block.isInFlyout || !block.workspace.getTypeManager) {
+      return false;
+    }
+    const severity = (params && params.severity) || 'error';
+    const errors = block.workspace.getTypeManager().getBlockErrors(block)
+        .filter((error) => error.severity === severity);
+    if (!errors.length) {
+      return false;
+    }
+    const message = errors.map((error) => error.message).join('\n');
+    if (severity === 'warning') {
+      block.workspace.getWarningHandler().setWarning(block, message);
+    } else {
+      block.workspace.getWarningHandler().setError(block, message);
+    }
+    return true;
+  };
+
+// Check if the last check of the workspace's generated code with a compiler
+// (see generators/compiler-check.js) found errors in the block's code, if so,
+// create an error. With params.severity set to 'warning', check for compiler
+// warnings instead. Every block is checked for them.
+  static checkCompilerDiagnostics(block, params) {
+    const severity = (params && params.severity) || 'error';
+    const diagnostics = getCompilerDiagnostics(block)
+        .filter((diagnostic) => diagnostic.severity === severity);
+    if (!diagnostics.length) {
+      return false;
+    }
+    const message = diagnostics.map((diagnostic) => diagnostic.message)
+        .join('\n');
+    if (severity === 'warning') {
+      block.workspace.getWarningHandler().setWarning(block, message);
+    } else {
+      block.workspace.getWarningHandler().setError(block, message);
+    }
+    return true;
+  };
+
+// Check if the last check of the block's workspace for unused variables (see
+// unusedVariables.js) found variables that the block declares and that are
+// never read, if so, create a warning. Every block is checked for them.
+  static checkUnusedVariables(block) {
+    const unused = getUnusedVariables(block);
+    if (!unused.length) {
+      return false;
+    }
+    const message = unused.map(getUnusedMessage).join('\n');
+    block.workspace.getWarningHandler().setWarning(block, message);
+    return true;
+  };
+
 // Check if the block has an invalid drop down value, if so, create an error
   static checkDropDownContainsValidValue(block, params) {
     if (block.workspace.isDragging && block.workspace.isDragging()) {
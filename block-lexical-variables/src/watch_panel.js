@@ -0,0 +1,104 @@
+// -*- mode: java; c-basic-offset: 2; -*-
+// Copyright 2024 MIT, All rights reserved
+// Released under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+/**
+ * @fileoverview A panel, to put next to the workspace, that shows the frames
+ * of a ScopeStack (see generators/scope-frames.js) as a stack, innermost
+ * first, with the current value of each variable.
+ */
+
+'use strict';
+
+import * as Blockly from 'blockly/core';
+
+/**
+ * Shows the frames of a ScopeStack.
+ */
+export class WatchPanel {
+  /**
+   * @param {!Element} container The element to put the panel in.
+   * @param {!ScopeStack} scopes The frames to show.
+   */
+  constructor(container, scopes) {
+    /**
+     * @type {!ScopeStack}
+     * @private
+     */
+    this.scopes_ = scopes;
+    /**
+     * @type {!Element}
+     * @private
+     */
+    this.element_ = document.createElement('div');
+    this.element_.className = 'lexicalWatchPanel';
+    container.appendChild(this.element_);
+  }
+
+  /**
+   * Show the current frames and values. Call this whenever execution pauses.
+   */
+  render() {
+    this.element_.textContent = '';
+    this.scopes_.getFrames().forEach(({blockId, values}) => {
+      const frame = document.createElement('div');
+      frame.className = 'lexicalWatchFrame';
+      const title = document.createElement('div');
+      title.className = 'lexicalWatchFrameTitle';
+      title.textContent = this.getTitle_(blockId);
+      frame.appendChild(title);
+      const table = document.createElement('table');
+      Object.keys(values).forEach((name) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = name;
+        row.insertCell().textContent = formatValue(values[name]);
+      });
+      frame.appendChild(table);
+      this.element_.appendChild(frame);
+    });
+  }
+
+  /**
+   * Get the title of a frame: the name of the procedure for a procedure
+   * call, otherwise the kind of block that declares its variables.
+   * @param {?string} blockId The ID of the frame's block, or null for the
+   *     globals.
+   * @return {string}
+   * @private
+   */
+  getTitle_(blockId) {
+    const block = this.scopes_.getBlock(blockId);
+    if (!block) {
+      return Blockly.Msg.LANG_VARIABLES_GLOBAL_PREFIX;
+    }
+    if (block.getProcedureDef) {
+      return block.getFieldValue('NAME');
+    }
+    return block.type;
+  }
+
+  /**
+   * Remove the panel.
+   */
+  dispose() {
+    this.element_.remove();
+  }
+}
+
+/**
+ * Format a value for display.
+ * @param {*} value
+ * @return {string}
+ */
+function formatValue(value) {
+  if (typeof value === 'function') {
+    return 'function';
+  }
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? String(value) : json;
+  } catch (e) {
+    // Cyclic structures.
+    return String(value);
+  }
+}
@@ -1,6 +1,7 @@
 import * as Blockly from 'blockly/core';
 import WarningHandler from './warningHandler.js';
 import {ProcedureDatabase} from './procedure_database.js';
+import {TypeManager} from './typeManager.js';
 
 // This ia a bit kludgey and we'll need a better way to make this play nice with
 // apps that already define some of these things (e.g. App Inventor).  It's also
@@ -29,6 +30,21 @@ Blockly.Workspace.prototype.getProcedureDatabase = Blockly.Workspace.prototype.g
   return this.procedureDb_;
 };
 
+/**
+ * Obtain the {@link TypeManager} associated with the workspace. It keeps the
+ * workspace's type errors up to date as blocks change, except in flyouts.
+ * @return {!TypeManager}
+ */
+Blockly.Workspace.prototype.getTypeManager = Blockly.Workspace.prototype.getTypeManager || function() {
+  if (!this.typeManager_) {
+    this.typeManager_ = new TypeManager(this);
+    if (!this.isFlyout) {
+      this.typeManager_.listen();
+    }
+  }
+  return this.typeManager_;
+};
+
 /**
  * Get the topmost workspace in the workspace hierarchy.
  * @return {Blockly.Workspace}
@@ -70,6 +86,21 @@ Blockly.WorkspaceSvg.prototype.getProcedureDatabase = Blockly.WorkspaceSvg.proto
   return this.procedureDb_;
 };
 
+/**
+ * Obtain the {@link TypeManager} associated with the workspace. It keeps the
+ * workspace's type errors up to date as blocks change, except in flyouts.
+ * @return {!TypeManager}
+ */
+Blockly.WorkspaceSvg.prototype.getTypeManager = Blockly.WorkspaceSvg.prototype.getTypeManager || function() {
+  if (!this.typeManager_) {
+    this.typeManager_ = new TypeManager(this);
+    if (!this.isFlyout) {
+      this.typeManager_.listen();
+    }
+  }
+  return this.typeManager_;
+};
+
 /**
  * Get the topmost workspace in the workspace hierarchy.
  * @return {Blockly.WorkspaceSvg}
@@ -0,0 +1,648 @@
+/**
+ * @license
+ * @fileoverview C generator tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import * as En from 'blockly/msg/en';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/blocks/typed-variables';
+import '../src/blocks/type-declarations';
+import '../src/generators/c/core-blocks';
+import '../src/generators/c/controls';
+import '../src/generators/c/procedures';
+import '../src/generators/c/lexical-variables';
+import '../src/generators/c/typed-variables';
+import '../src/generators/c/type-declarations';
+import {cGenerator} from '../src/generators/c/c_generator';
+import {checkWithCompiler, createGccCompiler, getCompilerDiagnostics}
+  from '../src/generators/compiler-check';
+
+import chai from 'chai';
+import {execFileSync, spawnSync} from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Check that the code compiles, if there's a C compiler to check it with.
+ * @param {string} code
+ */
+function assertCompiles(code) {
+  try {
+    execFileSync('gcc', ['--version']);
+  } catch (e) {
+    return;
+  }
+  execFileSync('gcc', ['-std=c99', '-pedantic-errors', '-fsyntax-only',
+    '-x', 'c', '-'], {input: code});
+}
+
+/**
+ * Compile and run the code, if there's a C compiler to do it with.
+ * @param {string} code
+ * @return {?string} What the program printed, or null if there's no
+ *     compiler.
+ */
+function run(code) {
+  try {
+    execFileSync('gcc', ['--version']);
+  } catch (e) {
+    return null;
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexical-c-'));
+  try {
+    const program = path.join(dir, 'program');
+    execFileSync('gcc', ['-std=c99', '-x', 'c', '-o', program, '-', '-lm'],
+        {input: code});
+    return execFileSync(program, {encoding: 'utf8'});
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+}
+
+/**
+ * XML for a block that prints some text.
+ * @param {string} text
+ * @return {string}
+ */
+function print(text) {
+  return '<block type="text_print">' +
+      '  <value name="TEXT"><block type="text">' +
+      '    <field name="TEXT">' + text + '</field></block></value>' +
+      '</block>';
+}
+
+/**
+ * XML for a block that prints some text and then produces a value.
+ * @param {string} text
+ * @param {string} valueXml The XML of the value block.
+ * @return {string}
+ */
+function printThen(text, valueXml) {
+  return '<block type="controls_do_then_return">' +
+      '  <statement name="STM">' + print(text) + '</statement>' +
+      '  <value name="VALUE">' + valueXml + '</value>' +
+      '</block>';
+}
+
+/**
+ * XML for a logic_boolean block.
+ * @param {boolean} value
+ * @return {string}
+ */
+function bool(value) {
+  return '<block type="logic_boolean"><field name="BOOL">' +
+      (value ? 'TRUE' : 'FALSE') + '</field></block>';
+}
+
+suite ('C Generator', function() {
+  suiteSetup(function() {
+    // text_print needs Blockly's messages.
+    Blockly.setLocale(En);
+  });
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    this.generate = function(xml) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+      const code = cGenerator.workspaceToCode(this.workspace);
+      assertCompiles(code);
+      return code;
+    };
+  });
+  teardown(function() {
+    this.workspace.dispose();
+    delete this.generate;
+    delete this.workspace;
+  });
+
+  test('Empty workspace', function() {
+    chai.assert.equal(this.generate('<xml></xml>'),
+        'int main(void) {\n  return 0;\n}\n');
+  });
+
+  suite('Declarations', function() {
+    test('Typed global', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">flag</field>' +
+          '  <field name="TYPE">boolean</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, '#include <stdbool.h>\n\n' +
+          'bool flag;\n\n' +
+          'int main(void) {\n  flag = false;\n  return 0;\n}\n');
+    });
+    test('Untyped global takes the type of its initializer', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">name</field>' +
+          '  <value name="VALUE"><block type="text">' +
+          '    <field name="TEXT">Ada</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'char* name;\n');
+      chai.assert.include(code, '  name = "Ada";\n');
+    });
+    test('Locals', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_local_declaration_statement">' +
+          '  <field name="VAR">x</field>' +
+          '  <field name="TYPE">number</field>' +
+          '  <value name="DECL"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="local_declaration_statement">' +
+          '      <mutation><localname name="x"></localname>' +
+          '        <localname name="y"></localname></mutation>' +
+          '      <field name="VAR0">x</field>' +
+          '      <field name="VAR1">y</field>' +
+          '      <value name="DECL0"><block type="typed_lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '      <value name="DECL1"><block type="math_number">' +
+          '        <field name="NUM">0.5</field></block></value>' +
+          '      <statement name="STACK">' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">y</field>' +
+          '          <value name="VALUE"><block type="lexical_variable_get">' +
+          '            <field name="VAR">x</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, '  {\n' +
+          '    double x = 1;\n' +
+          '    {\n' +
+          '      double x2 = x;\n' +
+          '      double y = 0.5;\n' +
+          '      y = x2;\n' +
+          '    }\n' +
+          '  }\n');
+    });
+    test('Expression is hoisted', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global g</field>' +
+          '      <value name="VALUE"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A">' +
+          '          <block type="local_declaration_expression">' +
+          '            <mutation><localname name="a"></localname></mutation>' +
+          '            <field name="VAR0">a</field>' +
+          '            <value name="DECL0"><block type="math_number">' +
+          '              <field name="NUM">1</field></block></value>' +
+          '            <value name="RETURN"><block type="lexical_variable_get">' +
+          '              <field name="VAR">a</field></block></value>' +
+          '          </block>' +
+          '        </value>' +
+          '        <value name="B">' +
+          '          <block type="local_declaration_expression">' +
+          '            <mutation><localname name="a"></localname></mutation>' +
+          '            <field name="VAR0">a</field>' +
+          '            <value name="DECL0"><block type="math_number">' +
+          '              <field name="NUM">2</field></block></value>' +
+          '            <value name="RETURN"><block type="lexical_variable_get">' +
+          '              <field name="VAR">a</field></block></value>' +
+          '          </block>' +
+          '        </value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '</xml>');
+      chai.assert.include(code, '  g = 0;\n\n' +
+          '  {\n' +
+          '    int a = 1;\n' +
+          '    int a2 = 2;\n' +
+          '    g = a + a2;\n' +
+          '  }\n');
+    });
+    test('Do then return is hoisted', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <field name="TYPE">number</field>' +
+          '  <value name="DECL">' +
+          '    <block type="controls_do_then_return">' +
+          '      <statement name="STM">' +
+          '        <block type="text_print">' +
+          '          <value name="TEXT"><block type="text">' +
+          '            <field name="TEXT">hi</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '      <value name="VALUE"><block type="math_number">' +
+          '        <field name="NUM">2</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, '  {\n' +
+          '    printf("%s\\n", "hi");\n' +
+          '    g = 2;\n' +
+          '  }\n');
+    });
+  });
+
+  suite('Controls', function() {
+    test('forRange with an int counter', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">10</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">3</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="text_print">' +
+          '      <value name="TEXT"><block type="lexical_variable_get">' +
+          '        <field name="VAR">i</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          '  for (int i = 10; i >= 1; i -= 3) {\n' +
+          '    printf("%d\\n", i);\n' +
+          '  }\n');
+    });
+    test('forRange with a double counter', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">x</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">0.25</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'for (double x = 0; x <= 1; x += 0.25) {');
+    });
+    test('forRange with a typed counter', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">x</field>' +
+          '  <field name="TYPE">float</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">0.25</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="text_print">' +
+          '      <value name="TEXT"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'for (float x = 0; x <= 1; x += 0.25) {');
+    });
+  });
+
+  suite('Evaluation order', function() {
+    /**
+     * XML for an if/else-if/else statement whose conditions print.
+     * @param {boolean} first The value of the first condition.
+     * @param {boolean} second The value of the second condition.
+     * @return {string}
+     */
+    function ifElseIf(first, second) {
+      return '<block type="controls_if">' +
+          '  <mutation elseif="1" else="1"></mutation>' +
+          '  <value name="IF0">' + printThen('if', bool(first)) + '</value>' +
+          '  <statement name="DO0">' + print('then') +
+          '  </statement>' +
+          '  <value name="IF1">' + printThen('else if', bool(second)) +
+          '  </value>' +
+          '  <statement name="DO1">' + print('then 2') +
+          '  </statement>' +
+          '  <statement name="ELSE">' + print('else') +
+          '  </statement>' +
+          '</block>';
+    }
+    test('Else-if conditions are only evaluated after the ones before',
+        function() {
+          const code = this.generate('<xml>' + ifElseIf(true, true) +
+              '</xml>');
+          chai.assert.include(code, '  {\n' +
+              '    printf("%s\\n", "if");\n' +
+              '    if (true) {\n' +
+              '      printf("%s\\n", "then");\n' +
+              '    } else {\n' +
+              '      printf("%s\\n", "else if");\n' +
+              '      if (true) {\n');
+          const output = run(code);
+          if (output === null) {
+            this.skip();
+          }
+          chai.assert.equal(output, 'if\nthen\n');
+        });
+    test('Every condition is evaluated in order until one is true',
+        function() {
+          const code = this.generate('<xml>' + ifElseIf(false, true) +
+              '</xml>');
+          const output = run(code);
+          if (output === null) {
+            this.skip();
+          }
+          chai.assert.equal(output, 'if\nelse if\nthen 2\n');
+          this.workspace.clear();
+          chai.assert.equal(run(this.generate('<xml>' +
+              ifElseIf(false, false) + '</xml>')),
+          'if\nelse if\nelse\n');
+        });
+    test('The right operand of and and or is only evaluated if needed',
+        function() {
+          const printOperation = (operator, left, right) =>
+            '<block type="text_print">' +
+            '  <value name="TEXT"><block type="logic_operation">' +
+            '    <field name="OP">' + operator + '</field>' +
+            '    <value name="A">' + printThen('left', bool(left)) +
+            '    </value>' +
+            '    <value name="B">' + printThen('right', bool(right)) +
+            '    </value>' +
+            '  </block></value>' +
+            '  <next>';
+          const code = this.generate('<xml>' +
+              printOperation('AND', false, true) +
+              printOperation('AND', true, false) +
+              printOperation('OR', true, false) +
+              printOperation('OR', false, true) + print('end') +
+              '</next></block></next></block></next></block></next></block>' +
+              '</xml>');
+          chai.assert.include(code, '  {\n' +
+              '    printf("%s\\n", "left");\n' +
+              '    bool condition = false;\n' +
+              '    if (condition) {\n' +
+              '      printf("%s\\n", "right");\n' +
+              '      condition = true;\n' +
+              '    }\n' +
+              '    printf("%d\\n", condition);\n' +
+              '  }\n');
+          const output = run(code);
+          if (output === null) {
+            this.skip();
+          }
+          chai.assert.equal(output,
+              'left\n0\n' +
+              'left\nright\n0\n' +
+              'left\n1\n' +
+              'left\nright\n1\n' +
+              'end\n');
+        });
+  });
+
+  suite('Procedures', function() {
+    test('Typed parameters and return type', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation><arg name="n"></arg></mutation>' +
+          '  <field name="NAME">half</field>' +
+          '  <field name="VAR0">n</field>' +
+          '  <value name="RETURN"><block type="math_arithmetic">' +
+          '    <field name="OP">DIVIDE</field>' +
+          '    <value name="A"><block type="lexical_variable_get">' +
+          '      <field name="VAR">n</field></block></value>' +
+          '    <value name="B"><block type="math_number">' +
+          '      <field name="NUM">2</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <field name="NAME">greet</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="text_print">' +
+          '      <value name="TEXT"><block type="procedures_callreturn">' +
+          '        <mutation name="half"><arg name="n"></arg></mutation>' +
+          '        <field name="PROCNAME">half</field>' +
+          '        <value name="ARG0"><block type="math_number">' +
+          '          <field name="NUM">3</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="procedures_callnoreturn">' +
+          '  <mutation name="greet"></mutation>' +
+          '  <field name="PROCNAME">greet</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'double half(double n);\nvoid greet(void);\n');
+      chai.assert.include(code,
+          'double half(double n) {\n  return n / 2;\n}\n');
+      chai.assert.include(code,
+          'void greet(void) {\n  printf("%g\\n", half(3));\n}\n');
+      chai.assert.include(code,
+          'int main(void) {\n  greet();\n  return 0;\n}\n');
+    });
+    test('Declared parameter and return types', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation return_type="int"><arg name="n" type="int"></arg>' +
+          '  </mutation>' +
+          '  <field name="NAME">twice</field>' +
+          '  <field name="VAR0">n</field>' +
+          '  <value name="RETURN"><block type="math_arithmetic">' +
+          '    <field name="OP">MULTIPLY</field>' +
+          '    <value name="A"><block type="lexical_variable_get">' +
+          '      <field name="VAR">n</field></block></value>' +
+          '    <value name="B"><block type="math_number">' +
+          '      <field name="NUM">2</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <mutation><arg name="s" type="string"></arg></mutation>' +
+          '  <field name="NAME">show</field>' +
+          '  <field name="VAR0">s</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'int twice(int n) {\n  return n * 2;\n}\n');
+      chai.assert.include(code, 'void show(char* s) {\n}\n');
+    });
+  });
+  suite('Casts', function() {
+    test('Casts and conversions', function() {
+      const global = (name, type, value) =>
+        '<block type="typed_global_declaration">' +
+        '  <field name="NAME">' + name + '</field>' +
+        '  <field name="TYPE">' + type + '</field>' +
+        '  <value name="DECL">' + value + '</value>' +
+        '</block>';
+      const get = (name) => '<block type="lexical_variable_get">' +
+        '<field name="VAR">global ' + name + '</field></block>';
+      const cast = (type, value) => '<block type="typed_cast">' +
+        '<field name="TYPE">' + type + '</field>' +
+        '<value name="VALUE">' + value + '</value></block>';
+      const code = this.generate('<xml>' +
+          global('d', 'double', '<block type="math_number">' +
+              '<field name="NUM">2.5</field></block>') +
+          global('i', 'int', cast('int', get('d'))) +
+          global('s', 'string', cast('string', get('d'))) +
+          global('n', 'int', cast('int', get('s'))) +
+          global('f', 'double', cast('double', get('s'))) +
+          global('b', 'boolean', cast('boolean', get('i'))) +
+          global('t', 'string', cast('string', get('b'))) +
+          '</xml>');
+      chai.assert.include(code, '#include <stdio.h>\n');
+      chai.assert.include(code, '#include <stdlib.h>\n');
+      chai.assert.include(code,
+          'char* number_to_string(double value);\n');
+      chai.assert.include(code, 'char* number_to_string(double value) {\n' +
+          '  char* text = malloc(32);\n' +
+          '  snprintf(text, 32, "%.15g", value);\n' +
+          '  return text;\n' +
+          '}\n');
+      chai.assert.include(code, '  i = (int) d;\n');
+      chai.assert.include(code, '  s = number_to_string(d);\n');
+      chai.assert.include(code, '  n = atoi(s);\n');
+      chai.assert.include(code, '  f = atof(s);\n');
+      chai.assert.include(code, '  b = (bool) i;\n');
+      chai.assert.include(code, '  t = b ? "true" : "false";\n');
+    });
+  });
+
+  suite('Struct and enum types', function() {
+    test('Structs and enums', function() {
+      const code = this.generate('<xml>' +
+          '<block type="struct_declaration">' +
+          '  <field name="NAME">Line</field>' +
+          '  <statement name="FIELDS">' +
+          '    <block type="struct_field">' +
+          '      <field name="NAME">start</field>' +
+          '      <field name="TYPE">Point</field>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="struct_declaration">' +
+          '  <field name="NAME">Point</field>' +
+          '  <statement name="FIELDS">' +
+          '    <block type="struct_field">' +
+          '      <field name="NAME">x</field>' +
+          '      <field name="TYPE">int</field>' +
+          '      <next><block type="struct_field">' +
+          '        <field name="NAME">label</field>' +
+          '        <field name="TYPE">char*</field>' +
+          '      </block></next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="enum_declaration">' +
+          '  <field name="NAME">Color</field>' +
+          '  <statement name="MEMBERS">' +
+          '    <block type="enum_member">' +
+          '      <field name="NAME">RED</field>' +
+          '      <next><block type="enum_member">' +
+          '        <field name="NAME">GREEN</field>' +
+          '      </block></next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">origin</field>' +
+          '  <field name="TYPE">Point</field>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">p</field>' +
+          '  <field name="TYPE">Point</field>' +
+          '  <value name="DECL"><block type="struct_create">' +
+          '    <mutation><field name="x"></field><field name="label">' +
+          '    </field></mutation>' +
+          '    <field name="TYPE">Point</field>' +
+          '    <value name="FIELD_x"><block type="math_number">' +
+          '      <field name="NUM">3</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">c</field>' +
+          '  <field name="TYPE">Color</field>' +
+          '  <value name="DECL"><block type="enum_value">' +
+          '    <field name="VALUE">Color.GREEN</field></block></value>' +
+          '</block>' +
+          '<block type="struct_field_set">' +
+          '  <field name="FIELD">x</field>' +
+          '  <value name="OBJECT"><block type="lexical_variable_get">' +
+          '    <field name="VAR">global origin</field></block></value>' +
+          '  <value name="VALUE"><block type="struct_field_get">' +
+          '    <field name="FIELD">x</field>' +
+          '    <value name="OBJECT"><block type="lexical_variable_get">' +
+          '      <field name="VAR">global p</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'typedef struct Point Point;\n' +
+          'struct Point {\n' +
+          '  int x;\n' +
+          '  char* label;\n' +
+          '};\n' +
+          'typedef struct Line Line;\n' +
+          'struct Line {\n' +
+          '  Point start;\n' +
+          '};\n' +
+          'typedef enum Color {\n' +
+          '  Color_RED,\n' +
+          '  Color_GREEN,\n' +
+          '} Color;\n');
+      chai.assert.include(code, '  origin = (Point){0};\n');
+      chai.assert.include(code, '  p = (Point){.x = 3};\n');
+      chai.assert.include(code, '  c = Color_GREEN;\n');
+      chai.assert.include(code, '  origin.x = p.x;\n');
+    });
+  });
+
+  suite('Compiler checks', function() {
+    test('gcc diagnostics are shown on their blocks', function() {
+      try {
+        execFileSync('gcc', ['--version']);
+      } catch (e) {
+        this.skip();
+      }
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">x</field>' +
+          '  <field name="TYPE">int</field>' +
+          '</block>' +
+          '<block type="lexical_variable_set" id="set">' +
+          '  <field name="VAR">global x</field>' +
+          '  <value name="VALUE"><block type="text">' +
+          '    <field name="TEXT">a</field></block></value>' +
+          '</block>' +
+          '</xml>'), this.workspace);
+      const diagnostics = checkWithCompiler(cGenerator, this.workspace,
+          createGccCompiler(spawnSync));
+      // Newer versions of gcc make this an error.
+      chai.assert.lengthOf(diagnostics, 1);
+      chai.assert.equal(diagnostics[0].blockId, 'set');
+      chai.assert.include(diagnostics[0].message,
+          'makes integer from pointer without a cast');
+      chai.assert.deepEqual(getCompilerDiagnostics(
+          this.workspace.getBlockById('set')), diagnostics);
+    });
+  });
+});
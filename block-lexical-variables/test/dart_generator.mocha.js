@@ -0,0 +1,159 @@
+/**
+ * @license
+ * @fileoverview Dart generator tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import {dartGenerator} from 'blockly/dart';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/blocks/typed-variables';
+import '../src/generators/dart/controls';
+import '../src/generators/dart/procedures';
+import '../src/generators/dart/lexical-variables';
+import '../src/generators/dart/typed-variables';
+
+import chai from 'chai';
+
+suite ('Dart Generator', function() {
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    this.generate = function(xml) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+      return dartGenerator.workspaceToCode(this.workspace);
+    };
+  });
+  teardown(function() {
+    this.workspace.dispose();
+    delete this.generate;
+    delete this.workspace;
+  });
+
+  suite('Locals', function() {
+    test('Shadowing is renamed', function() {
+      const code = this.generate('<xml>' +
+          '<block type="simple_local_declaration_statement">' +
+          '  <field name="VAR">x</field>' +
+          '  <value name="DECL"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="local_declaration_statement">' +
+          '      <mutation><localname name="x"></localname></mutation>' +
+          '      <field name="VAR0">x</field>' +
+          '      <value name="DECL0"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          '  {\n    var x = 1;\n    {\n      var x2 = x;\n    }\n  }\n');
+    });
+    test('Expression', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <value name="DECL0"><block type="math_number">' +
+          '        <field name="NUM">1</field></block></value>' +
+          '      <value name="RETURN"><block type="lexical_variable_get">' +
+          '        <field name="VAR">a</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'var g;\n');
+      chai.assert.include(code, 'main() {\n  g = ((a) => a)(1);\n}');
+    });
+    test('Typed', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">n</field>' +
+          '  <field name="TYPE">number</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'late num n;\n');
+      chai.assert.include(code, '  n = 0;\n');
+    });
+  });
+
+  suite('Controls', function() {
+    test('forRange', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">10</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, '  for (var i = 1; i <= 10; i++) {\n  }\n');
+    });
+    test('Do then return', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="controls_do_then_return">' +
+          '      <statement name="STM">' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">global g</field>' +
+          '          <value name="VALUE"><block type="math_number">' +
+          '            <field name="NUM">1</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '      <value name="VALUE"><block type="math_number">' +
+          '        <field name="NUM">2</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          '  g = (() {\n    g = 1;\n    return 2;\n  })();\n');
+    });
+  });
+
+  suite('Procedures', function() {
+    test('Definition and call', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation><arg name="a"></arg></mutation>' +
+          '  <field name="NAME">identity</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">a</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_callnoreturn">' +
+          '  <mutation name="identity"><arg name="a"></arg></mutation>' +
+          '  <field name="PROCNAME">identity</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'dynamic identity(a) {\n  return a;\n}');
+      chai.assert.include(code, '  identity(null);\n');
+    });
+  });
+});
@@ -0,0 +1,765 @@
+/**
+ * @license
+ * @fileoverview JavaScript generator tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import * as En from 'blockly/msg/en';
+import {javascriptGenerator, Order} from 'blockly/javascript';
+import {dartGenerator} from 'blockly/dart';
+import {luaGenerator} from 'blockly/lua';
+import {phpGenerator} from 'blockly/php';
+import {pythonGenerator} from 'blockly/python';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/blocks/typed-variables';
+import '../src/generators/controls';
+import '../src/generators/procedures';
+import '../src/generators/lexical-variables';
+import '../src/generators/typed-variables';
+import '../src/generators';
+import {cGenerator} from '../src/generators/c/c_generator';
+import {typescriptGenerator}
+  from '../src/generators/typescript/typescript_generator';
+import {LocalExpressionLowering} from '../src/generators/hoisting';
+import {registerAsyncBlockType} from '../src/generators/async';
+import {generateWithSourceMap, getBlockIdAt} from '../src/generators/source-map';
+import {setStepMode, Stepper, StepMode} from '../src/generators/stepping';
+import {ScopeStack} from '../src/generators/scope-frames';
+
+import chai from 'chai';
+import vm from 'vm';
+
+suite ('JavaScript Generator', function() {
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    this.generate = function(xml) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+      return javascriptGenerator.workspaceToCode(this.workspace);
+    };
+    // Run the code and return the values of its globals.
+    this.run = function(code) {
+      const context = {};
+      vm.runInNewContext(code, context);
+      return context;
+    };
+  });
+  teardown(function() {
+    javascriptGenerator.WATCH_SCOPES = false;
+    setStepMode(javascriptGenerator, StepMode.OFF);
+    javascriptGenerator.ASYNC_MODE = false;
+    javascriptGenerator.LOCAL_EXPRESSION_LOWERING =
+        LocalExpressionLowering.IIFE;
+    this.workspace.dispose();
+    delete this.generate;
+    delete this.run;
+    delete this.workspace;
+  });
+
+  const sumExpression = '<xml>' +
+      '<block type="global_declaration">' +
+      '  <field name="NAME">g</field>' +
+      '  <value name="VALUE">' +
+      '    <block type="local_declaration_expression">' +
+      '      <mutation><localname name="a"></localname>' +
+      '        <localname name="b"></localname></mutation>' +
+      '      <field name="VAR0">a</field>' +
+      '      <field name="VAR1">b</field>' +
+      '      <value name="DECL0"><block type="math_number">' +
+      '        <field name="NUM">1</field></block></value>' +
+      '      <value name="DECL1"><block type="math_number">' +
+      '        <field name="NUM">2</field></block></value>' +
+      '      <value name="RETURN"><block type="math_arithmetic">' +
+      '        <field name="OP">ADD</field>' +
+      '        <value name="A"><block type="lexical_variable_get">' +
+      '          <field name="VAR">a</field></block></value>' +
+      '        <value name="B"><block type="lexical_variable_get">' +
+      '          <field name="VAR">b</field></block></value>' +
+      '      </block></value>' +
+      '    </block>' +
+      '  </value>' +
+      '</block>' +
+      '</xml>';
+
+  suite('Local declaration expression', function() {
+    test('Immediately invoked function', function() {
+      const code = this.generate(sumExpression);
+      chai.assert.equal(code, 'var g = (function() {\n' +
+          '  let a = 1, b = 2;\n' +
+          '  return a + b;\n' +
+          '})();\n');
+      chai.assert.equal(this.run(code).g, 3);
+    });
+    test('Hoisted', function() {
+      javascriptGenerator.LOCAL_EXPRESSION_LOWERING =
+          LocalExpressionLowering.HOIST;
+      const code = this.generate(sumExpression);
+      chai.assert.equal(code, 'let a, b;\nvar g = (a = 1, b = 2, a + b);\n');
+      chai.assert.equal(this.run(code).g, 3);
+    });
+    test('Hoisted nested declarations get distinct temporaries', function() {
+      javascriptGenerator.LOCAL_EXPRESSION_LOWERING =
+          LocalExpressionLowering.HOIST;
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <value name="DECL0"><block type="math_number">' +
+          '        <field name="NUM">1</field></block></value>' +
+          '      <value name="RETURN"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A">' +
+          '          <block type="local_declaration_expression">' +
+          '            <mutation><localname name="a"></localname></mutation>' +
+          '            <field name="VAR0">a</field>' +
+          '            <value name="DECL0"><block type="math_number">' +
+          '              <field name="NUM">10</field></block></value>' +
+          '            <value name="RETURN"><block type="lexical_variable_get">' +
+          '              <field name="VAR">a</field></block></value>' +
+          '          </block>' +
+          '        </value>' +
+          '        <value name="B"><block type="lexical_variable_get">' +
+          '          <field name="VAR">a</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code,
+          'let a, a2;\nvar g = (a = 1, (a2 = 10, a2) + a);\n');
+      chai.assert.equal(this.run(code).g, 11);
+    });
+    test('Hoisted temporary does not capture an outer local', function() {
+      javascriptGenerator.LOCAL_EXPRESSION_LOWERING =
+          LocalExpressionLowering.HOIST;
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '</block>' +
+          '<block type="simple_local_declaration_statement">' +
+          '  <field name="VAR">a</field>' +
+          '  <value name="DECL"><block type="math_number">' +
+          '    <field name="NUM">5</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global g</field>' +
+          '      <value name="VALUE">' +
+          '        <block type="local_declaration_expression">' +
+          '          <mutation><localname name="a"></localname></mutation>' +
+          '          <field name="VAR0">a</field>' +
+          '          <value name="DECL0"><block type="math_arithmetic">' +
+          '            <field name="OP">MULTIPLY</field>' +
+          '            <value name="A"><block type="lexical_variable_get">' +
+          '              <field name="VAR">a</field></block></value>' +
+          '            <value name="B"><block type="math_number">' +
+          '              <field name="NUM">2</field></block></value>' +
+          '          </block></value>' +
+          '          <value name="RETURN"><block type="math_arithmetic">' +
+          '            <field name="OP">ADD</field>' +
+          '            <value name="A"><block type="lexical_variable_get">' +
+          '              <field name="VAR">a</field></block></value>' +
+          '            <value name="B"><block type="math_number">' +
+          '              <field name="NUM">1</field></block></value>' +
+          '          </block></value>' +
+          '        </block>' +
+          '      </value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, '  let a2;\n  g = (a2 = a * 2, a2 + 1);\n');
+      chai.assert.equal(this.run(code).g, 11);
+    });
+    test('Hoisted inside a loop', function() {
+      javascriptGenerator.LOCAL_EXPRESSION_LOWERING =
+          LocalExpressionLowering.HOIST;
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">total</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">3</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global total</field>' +
+          '      <value name="VALUE"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A"><block type="lexical_variable_get">' +
+          '          <field name="VAR">global total</field></block></value>' +
+          '        <value name="B">' +
+          '          <block type="local_declaration_expression">' +
+          '            <mutation><localname name="d"></localname></mutation>' +
+          '            <field name="VAR0">d</field>' +
+          '            <value name="DECL0"><block type="math_arithmetic">' +
+          '              <field name="OP">MULTIPLY</field>' +
+          '              <value name="A"><block type="lexical_variable_get">' +
+          '                <field name="VAR">i</field></block></value>' +
+          '              <value name="B"><block type="math_number">' +
+          '                <field name="NUM">2</field></block></value>' +
+          '            </block></value>' +
+          '            <value name="RETURN"><block type="lexical_variable_get">' +
+          '              <field name="VAR">d</field></block></value>' +
+          '          </block>' +
+          '        </value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'for (let i = 1; i <= 3; i++) {\n' +
+          '  let d;\n' +
+          '  total = total + (d = i * 2, d);\n' +
+          '}\n');
+      chai.assert.equal(this.run(code).total, 12);
+    });
+  });
+
+  suite('Async mode', function() {
+    suiteSetup(function() {
+      // A stand-in for a block that calls a host API returning a Promise.
+      Blockly.Blocks['test_fetch'] = {
+        init: function() {
+          this.setOutput(true);
+        },
+      };
+      javascriptGenerator.forBlock['test_fetch'] = function() {
+        return ['await fetchValue()', Order.AWAIT];
+      };
+      registerAsyncBlockType('test_fetch');
+    });
+    setup(function() {
+      // Run the code, followed by a call, with a host whose fetchValue
+      // resolves to 5, and return the result of the call.
+      this.runAsync = function(code, call) {
+        return vm.runInNewContext(code + call,
+            {fetchValue: () => Promise.resolve(5)});
+      };
+    });
+    teardown(function() {
+      delete this.runAsync;
+    });
+
+    const procedures = '<xml>' +
+        '<block type="procedures_defreturn">' +
+        '  <field name="NAME">double</field>' +
+        '  <value name="RETURN"><block type="math_arithmetic">' +
+        '    <field name="OP">MULTIPLY</field>' +
+        '    <value name="A"><block type="test_fetch"></block></value>' +
+        '    <value name="B"><block type="math_number">' +
+        '      <field name="NUM">2</field></block></value>' +
+        '  </block></value>' +
+        '</block>' +
+        '<block type="procedures_defreturn">' +
+        '  <field name="NAME">quadruple</field>' +
+        '  <value name="RETURN"><block type="math_arithmetic">' +
+        '    <field name="OP">MULTIPLY</field>' +
+        '    <value name="A"><block type="procedures_callreturn">' +
+        '      <mutation name="double"></mutation>' +
+        '      <field name="PROCNAME">double</field></block></value>' +
+        '    <value name="B"><block type="math_number">' +
+        '      <field name="NUM">2</field></block></value>' +
+        '  </block></value>' +
+        '</block>' +
+        '<block type="procedures_defreturn">' +
+        '  <field name="NAME">three</field>' +
+        '  <value name="RETURN"><block type="math_number">' +
+        '    <field name="NUM">3</field></block></value>' +
+        '</block>' +
+        '</xml>';
+
+    test('Procedures are only async in async mode', function() {
+      const code = this.generate(procedures);
+      chai.assert.notInclude(code, 'async');
+    });
+    test('Async procedures and awaited calls', async function() {
+      javascriptGenerator.ASYNC_MODE = true;
+      const code = this.generate(procedures);
+      chai.assert.include(code,
+          'async function double() {\n  return await fetchValue() * 2;\n}');
+      chai.assert.include(code,
+          'async function quadruple() {\n  return await double() * 2;\n}');
+      chai.assert.include(code, '\nfunction three() {\n  return 3;\n}');
+      chai.assert.equal(await this.runAsync(code, 'quadruple();'), 20);
+    });
+    test('Async immediately invoked function', async function() {
+      javascriptGenerator.ASYNC_MODE = true;
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <field name="NAME">next</field>' +
+          '  <value name="RETURN">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <value name="DECL0"><block type="test_fetch"></block></value>' +
+          '      <value name="RETURN"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A"><block type="lexical_variable_get">' +
+          '          <field name="VAR">a</field></block></value>' +
+          '        <value name="B"><block type="math_number">' +
+          '          <field name="NUM">1</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'async function next() {\n' +
+          '  return await (async function() {\n' +
+          '  let a = await fetchValue();\n' +
+          '  return a + 1;\n' +
+          '})();\n' +
+          '}');
+      chai.assert.equal(await this.runAsync(code, 'next();'), 6);
+    });
+    test('Cannot be combined with the yield step mode', function() {
+      const program = '<xml>' +
+          '<block type="procedures_defnoreturn" id="load">' +
+          '  <field name="NAME">load</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global g</field>' +
+          '      <value name="VALUE"><block type="test_fetch"></block>' +
+          '      </value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '</block>' +
+          '</xml>';
+      javascriptGenerator.ASYNC_MODE = true;
+      chai.assert.throws(() =>
+        setStepMode(javascriptGenerator, StepMode.YIELD), /ASYNC_MODE/);
+      chai.assert.equal(javascriptGenerator.STEP_MODE, StepMode.OFF);
+      // Hooks are plain calls, which async functions can make.
+      setStepMode(javascriptGenerator, StepMode.HOOK);
+      chai.assert.include(this.generate(program),
+          'async function load() {\n  __step(\'load\');\n');
+      setStepMode(javascriptGenerator, StepMode.OFF);
+      javascriptGenerator.ASYNC_MODE = false;
+      setStepMode(javascriptGenerator, StepMode.YIELD);
+      chai.assert.throws(() => {
+        javascriptGenerator.ASYNC_MODE = true;
+      }, /yield step mode/);
+      chai.assert.isFalse(javascriptGenerator.ASYNC_MODE);
+      chai.assert.include(javascriptGenerator.workspaceToCode(this.workspace),
+          'function* load() {\n');
+    });
+  });
+
+  suite('Source maps', function() {
+    suiteSetup(function() {
+      Blockly.Blocks['test_throw'] = {
+        init: function() {
+          this.setPreviousStatement(true);
+          this.setNextStatement(true);
+        },
+      };
+      javascriptGenerator.forBlock['test_throw'] = function() {
+        return 'throw Error(\'boom\');\n';
+      };
+    });
+
+    const loop = '<xml>' +
+        '<block type="global_declaration" id="decl">' +
+        '  <field name="NAME">g</field>' +
+        '</block>' +
+        '<block type="controls_forRange" id="loop">' +
+        '  <field name="VAR">i</field>' +
+        '  <value name="FROM"><block type="math_number">' +
+        '    <field name="NUM">1</field></block></value>' +
+        '  <value name="TO"><block type="math_number">' +
+        '    <field name="NUM">3</field></block></value>' +
+        '  <value name="BY"><block type="math_number">' +
+        '    <field name="NUM">1</field></block></value>' +
+        '  <statement name="DO">' +
+        '    <block type="lexical_variable_set" id="set">' +
+        '      <field name="VAR">global g</field>' +
+        '      <value name="VALUE"><block type="lexical_variable_get">' +
+        '        <field name="VAR">i</field></block></value>' +
+        '      <next><block type="test_throw" id="throw"></block></next>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>' +
+        '</xml>';
+
+    test('Block ranges', function() {
+      const code = this.generate(loop);
+      const result = generateWithSourceMap(javascriptGenerator,
+          this.workspace);
+      chai.assert.equal(result.code, code);
+      chai.assert.equal(code, 'var g = 0;\n\n' +
+          'for (let i = 1; i <= 3; i++) {\n' +
+          '  g = i;\n' +
+          '  throw Error(\'boom\');\n' +
+          '}\n');
+      chai.assert.deepEqual(result.blocks, [
+        {id: 'decl', start: {line: 0, column: 0}, end: {line: 0, column: 10}},
+        {id: 'loop', start: {line: 2, column: 0}, end: {line: 5, column: 1}},
+        {id: 'set', start: {line: 3, column: 2}, end: {line: 3, column: 8}},
+        {id: 'throw', start: {line: 4, column: 2}, end: {line: 4, column: 22}},
+      ]);
+      chai.assert.equal(getBlockIdAt(result.blocks, 2, 5), 'loop');
+      chai.assert.equal(getBlockIdAt(result.blocks, 3, 6), 'set');
+      chai.assert.isNull(getBlockIdAt(result.blocks, 1, 0));
+    });
+    test('Source Map v3', function() {
+      this.generate(loop);
+      const {sourceMap} = generateWithSourceMap(javascriptGenerator,
+          this.workspace, 'program.js');
+      chai.assert.deepEqual(sourceMap, {
+        version: 3,
+        file: 'program.js',
+        sources: ['decl', 'loop', 'set', 'throw'],
+        names: [],
+        mappings: 'AAAA,U;;ACAA;AAAA,ECAA,MDAA;AAAA,EEAA,oBFAA;AAAA,C;',
+      });
+    });
+    test('The code is the same as without the source map', function() {
+      Blockly.setLocale(En);
+      // A continue, whose statement Lua's loops look for in their bodies,
+      // and procedure definitions, whose newlines generators tidy.
+      this.generate('<xml>' +
+          '<block type="global_declaration" id="decl">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defreturn" id="def">' +
+          '  <mutation><arg name="n"></arg></mutation>' +
+          '  <field name="NAME">twice</field>' +
+          '  <field name="VAR0">n</field>' +
+          '  <value name="RETURN"><block type="math_arithmetic">' +
+          '    <field name="OP">MULTIPLY</field>' +
+          '    <value name="A"><block type="lexical_variable_get">' +
+          '      <field name="VAR">n</field></block></value>' +
+          '    <value name="B"><block type="math_number">' +
+          '      <field name="NUM">2</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="controls_forRange" id="loop">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">3</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="local_declaration_statement" id="local">' +
+          '      <mutation><localname name="x"></localname></mutation>' +
+          '      <field name="VAR0">x</field>' +
+          '      <value name="DECL0"><block type="procedures_callreturn">' +
+          '        <mutation name="twice"><arg name="n"></arg></mutation>' +
+          '        <field name="PROCNAME">twice</field>' +
+          '        <value name="ARG0"><block type="lexical_variable_get">' +
+          '          <field name="VAR">i</field></block></value>' +
+          '      </block></value>' +
+          '      <statement name="STACK">' +
+          '        <block type="controls_if" id="if">' +
+          '          <value name="IF0"><block type="logic_compare">' +
+          '            <field name="OP">EQ</field>' +
+          '            <value name="A"><block type="lexical_variable_get">' +
+          '              <field name="VAR">x</field></block></value>' +
+          '            <value name="B"><block type="math_number">' +
+          '              <field name="NUM">4</field></block></value>' +
+          '          </block></value>' +
+          '          <statement name="DO0">' +
+          '            <block type="controls_flow_statements" id="continue">' +
+          '              <field name="FLOW">CONTINUE</field>' +
+          '            </block>' +
+          '          </statement>' +
+          '          <next>' +
+          '            <block type="lexical_variable_set" id="set">' +
+          '              <field name="VAR">global g</field>' +
+          '              <value name="VALUE"><block type="lexical_variable_get">' +
+          '                <field name="VAR">x</field></block></value>' +
+          '            </block>' +
+          '          </next>' +
+          '        </block>' +
+          '      </statement>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      const check = (generators) => {
+        for (const [language, generator] of Object.entries(generators)) {
+          const code = generator.workspaceToCode(this.workspace);
+          chai.assert.equal(
+              generateWithSourceMap(generator, this.workspace).code, code,
+              language);
+        }
+      };
+      check({
+        'JavaScript': javascriptGenerator,
+        'TypeScript': typescriptGenerator,
+        'Python': pythonGenerator,
+        'Lua': luaGenerator,
+        'Dart': dartGenerator,
+        'PHP': phpGenerator,
+      });
+      chai.assert.include(generateWithSourceMap(luaGenerator,
+          this.workspace).code, '::continue::');
+      // The C generator has no continue.
+      this.workspace.getBlockById('continue').dispose();
+      check({'C': cGenerator});
+    });
+    test('Runtime error maps to its block', function() {
+      this.generate(loop);
+      const {code, blocks} = generateWithSourceMap(javascriptGenerator,
+          this.workspace);
+      let error;
+      try {
+        vm.runInNewContext(code, {}, {filename: 'program.js'});
+      } catch (e) {
+        error = e;
+      }
+      // Stack traces number lines and columns from 1.
+      const [, line, column] = /program\.js:(\d+):(\d+)/.exec(error.stack);
+      chai.assert.equal(getBlockIdAt(blocks, line - 1, column - 1), 'throw');
+    });
+  });
+
+  suite('Step mode', function() {
+    const program = '<xml>' +
+        '<block type="procedures_defnoreturn" id="bump">' +
+        '  <field name="NAME">bump</field>' +
+        '  <statement name="STACK">' +
+        '    <block type="lexical_variable_set" id="inc">' +
+        '      <field name="VAR">global g</field>' +
+        '      <value name="VALUE"><block type="math_arithmetic">' +
+        '        <field name="OP">ADD</field>' +
+        '        <value name="A"><block type="lexical_variable_get">' +
+        '          <field name="VAR">global g</field></block></value>' +
+        '        <value name="B"><block type="math_number">' +
+        '          <field name="NUM">1</field></block></value>' +
+        '      </block></value>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>' +
+        '<block type="global_declaration" id="decl">' +
+        '  <field name="NAME">g</field>' +
+        '</block>' +
+        '<block type="controls_forRange" id="loop">' +
+        '  <field name="VAR">i</field>' +
+        '  <value name="FROM"><block type="math_number">' +
+        '    <field name="NUM">1</field></block></value>' +
+        '  <value name="TO"><block type="math_number">' +
+        '    <field name="NUM">2</field></block></value>' +
+        '  <value name="BY"><block type="math_number">' +
+        '    <field name="NUM">1</field></block></value>' +
+        '  <statement name="DO">' +
+        '    <block type="procedures_callnoreturn" id="call">' +
+        '      <mutation name="bump"></mutation>' +
+        '      <field name="PROCNAME">bump</field>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>' +
+        '</xml>';
+    const steps = ['decl', 'loop', 'call', 'bump', 'inc', 'loop', 'call',
+      'bump', 'inc', 'loop'];
+
+    test('Hooks', function() {
+      setStepMode(javascriptGenerator, StepMode.HOOK);
+      const code = this.generate(program);
+      chai.assert.include(code, 'function bump() {\n' +
+          '  __step(\'bump\');\n' +
+          '  __step(\'inc\');\n' +
+          '  g = g + 1;\n' +
+          '}');
+      chai.assert.include(code, '__step(\'loop\');\n' +
+          'for (let i = 1; i <= 2; i++) {\n' +
+          '  __step(\'call\');\n' +
+          '  bump();\n' +
+          '  __step(\'loop\');\n' +
+          '}\n');
+      const reached = [];
+      const context = {__step: (id) => reached.push(id)};
+      vm.runInNewContext(code, context);
+      chai.assert.deepEqual(reached, steps);
+      chai.assert.equal(context.g, 2);
+    });
+    test('Stepper', function() {
+      setStepMode(javascriptGenerator, StepMode.YIELD);
+      const code = this.generate(program);
+      chai.assert.include(code, 'function* bump() {\n  yield \'bump\';\n');
+      chai.assert.include(code, '  yield \'call\';\n  yield* bump();\n');
+      const highlighted = [];
+      const stepper = new Stepper(code, {},
+          {highlightBlock: (id) => highlighted.push(id)});
+      const reached = [];
+      while (stepper.step()) {
+        reached.push(stepper.blockId);
+      }
+      chai.assert.deepEqual(reached, steps);
+      chai.assert.deepEqual(highlighted, steps.concat([null]));
+      chai.assert.isFalse(stepper.step());
+    });
+    test('Breakpoints', function() {
+      setStepMode(javascriptGenerator, StepMode.YIELD);
+      const stepper = new Stepper(this.generate(program));
+      stepper.breakpoints.add('inc');
+      chai.assert.isTrue(stepper.resume());
+      chai.assert.equal(stepper.blockId, 'inc');
+      chai.assert.isTrue(stepper.step());
+      chai.assert.equal(stepper.blockId, 'loop');
+      chai.assert.isTrue(stepper.resume());
+      chai.assert.equal(stepper.blockId, 'inc');
+      chai.assert.isFalse(stepper.resume());
+      chai.assert.isTrue(stepper.done);
+    });
+    test('Local declaration expression delegates with yield*', function() {
+      setStepMode(javascriptGenerator, StepMode.YIELD);
+      const code = this.generate(sumExpression);
+      chai.assert.include(code, 'var g = (yield* (function*() {\n' +
+          '  let a = 1, b = 2;\n' +
+          '  return a + b;\n' +
+          '})());\n');
+      const stepper = new Stepper(code + 'result(g);\n',
+          {result: (g) => chai.assert.equal(g, 3)});
+      chai.assert.isFalse(stepper.resume());
+    });
+  });
+
+  suite('Watching scopes', function() {
+    const program = '<xml>' +
+        '<block type="procedures_defnoreturn" id="add">' +
+        '  <mutation><arg name="x"></arg></mutation>' +
+        '  <field name="NAME">add</field>' +
+        '  <field name="VAR0">x</field>' +
+        '  <statement name="STACK">' +
+        '    <block type="simple_local_declaration_statement" id="local">' +
+        '      <field name="VAR">y</field>' +
+        '      <value name="DECL"><block type="math_arithmetic">' +
+        '        <field name="OP">ADD</field>' +
+        '        <value name="A"><block type="lexical_variable_get">' +
+        '          <field name="VAR">x</field></block></value>' +
+        '        <value name="B"><block type="math_number">' +
+        '          <field name="NUM">1</field></block></value>' +
+        '      </block></value>' +
+        '      <statement name="DO">' +
+        '        <block type="lexical_variable_set" id="set">' +
+        '          <field name="VAR">global total</field>' +
+        '          <value name="VALUE"><block type="math_arithmetic">' +
+        '            <field name="OP">ADD</field>' +
+        '            <value name="A"><block type="lexical_variable_get">' +
+        '              <field name="VAR">global total</field></block></value>' +
+        '            <value name="B"><block type="lexical_variable_get">' +
+        '              <field name="VAR">y</field></block></value>' +
+        '          </block></value>' +
+        '        </block>' +
+        '      </statement>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>' +
+        '<block type="global_declaration" id="decl">' +
+        '  <field name="NAME">total</field>' +
+        '</block>' +
+        '<block type="controls_forRange" id="loop">' +
+        '  <field name="VAR">i</field>' +
+        '  <value name="FROM"><block type="math_number">' +
+        '    <field name="NUM">1</field></block></value>' +
+        '  <value name="TO"><block type="math_number">' +
+        '    <field name="NUM">2</field></block></value>' +
+        '  <value name="BY"><block type="math_number">' +
+        '    <field name="NUM">1</field></block></value>' +
+        '  <statement name="DO">' +
+        '    <block type="procedures_callnoreturn" id="call">' +
+        '      <mutation name="add"><arg name="x"></arg></mutation>' +
+        '      <field name="PROCNAME">add</field>' +
+        '      <value name="ARG0"><block type="lexical_variable_get">' +
+        '        <field name="VAR">i</field></block></value>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>' +
+        '</xml>';
+
+    test('Frames are published', function() {
+      javascriptGenerator.WATCH_SCOPES = true;
+      const code = this.generate(program);
+      chai.assert.include(code, 'function add(x) {\n' +
+          '  __scope.enter(\'add\', {\'x\': () => x});\n' +
+          '  try {\n' +
+          '    {\n' +
+          '      let y = x + 1;\n' +
+          '      __scope.enter(\'local\', {\'y\': () => y});\n' +
+          '      try {\n' +
+          '        total = total + y;\n' +
+          '      } finally {\n' +
+          '        __scope.exit();\n' +
+          '      }\n' +
+          '    }\n' +
+          '  } finally {\n' +
+          '    __scope.exit();\n' +
+          '  }\n' +
+          '}');
+      chai.assert.include(code,
+          '__scope.enter(null, {\'total\': () => total});\n' +
+          'var total = 0;\n');
+      const scopes = new ScopeStack(this.workspace);
+      const context = {__scope: scopes};
+      vm.runInNewContext(code, context);
+      chai.assert.equal(context.total, 5);
+      chai.assert.deepEqual(scopes.getFrames(),
+          [{blockId: null, values: {total: 5}}]);
+    });
+    test('Variables in scope where execution is paused', function() {
+      javascriptGenerator.WATCH_SCOPES = true;
+      setStepMode(javascriptGenerator, StepMode.YIELD);
+      const code = this.generate(program);
+      const scopes = new ScopeStack(this.workspace);
+      const stepper = new Stepper(code, {__scope: scopes});
+      stepper.breakpoints.add('set');
+      const set = this.workspace.getBlockById('set');
+
+      chai.assert.isTrue(stepper.resume());
+      chai.assert.deepEqual(scopes.getVariablesInScope(set), [
+        {name: 'global total', global: true, value: 0, initialized: true},
+        {name: 'x', global: false, value: 1, initialized: true},
+        {name: 'y', global: false, value: 2, initialized: true},
+      ]);
+      chai.assert.deepEqual(scopes.getFrames(), [
+        {blockId: 'local', values: {y: 2}},
+        {blockId: 'add', values: {x: 1}},
+        {blockId: 'loop', values: {i: 1}},
+        {blockId: null, values: {total: 0}},
+      ]);
+
+      chai.assert.isTrue(stepper.resume());
+      chai.assert.deepEqual(scopes.getVariablesInScope(set).map(
+          (variable) => variable.value), [2, 2, 3]);
+
+      chai.assert.isFalse(stepper.resume());
+      chai.assert.deepEqual(scopes.getFrames(),
+          [{blockId: null, values: {total: 5}}]);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * @license
+ * @fileoverview Lua generator tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import {luaGenerator} from 'blockly/lua';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/blocks/typed-variables';
+import '../src/generators/lua/controls';
+import '../src/generators/lua/procedures';
+import '../src/generators/lua/lexical-variables';
+import '../src/generators/lua/typed-variables';
+
+import chai from 'chai';
+
+suite ('Lua Generator', function() {
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    this.generate = function(xml) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+      return luaGenerator.workspaceToCode(this.workspace);
+    };
+  });
+  teardown(function() {
+    this.workspace.dispose();
+    delete this.generate;
+    delete this.workspace;
+  });
+
+  suite('Locals', function() {
+    test('Statement', function() {
+      const code = this.generate('<xml>' +
+          '<block type="local_declaration_statement">' +
+          '  <mutation><localname name="a"></localname>' +
+          '    <localname name="b"></localname></mutation>' +
+          '  <field name="VAR0">a</field>' +
+          '  <field name="VAR1">b</field>' +
+          '  <value name="DECL0"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="DECL1"><block type="math_number">' +
+          '    <field name="NUM">2</field></block></value>' +
+          '  <statement name="STACK">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">a</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">b</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'do\n  local a, b = 1, 2\n  a = b\nend\n');
+    });
+    test('Shadowing a local keeps the name', function() {
+      const code = this.generate('<xml>' +
+          '<block type="simple_local_declaration_statement">' +
+          '  <field name="VAR">x</field>' +
+          '  <value name="DECL"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="simple_local_declaration_statement">' +
+          '      <field name="VAR">x</field>' +
+          '      <value name="DECL"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code,
+          'do\n  local x = 1\n  do\n    local x = x\n  end\nend\n');
+    });
+    test('Shadowing a global is renamed', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">x</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>' +
+          '<block type="simple_local_declaration_statement">' +
+          '  <field name="VAR">x</field>' +
+          '  <value name="DECL"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global x</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'x = 0\n');
+      chai.assert.include(code, 'do\n  local x2 = 1\n  x = x2\nend\n');
+    });
+    test('Expression', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <value name="DECL0"><block type="math_number">' +
+          '        <field name="NUM">1</field></block></value>' +
+          '      <value name="RETURN"><block type="lexical_variable_get">' +
+          '        <field name="VAR">a</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'g = (function(a) return a end)(1)\n');
+    });
+    test('Typed', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_local_declaration_statement">' +
+          '  <field name="VAR">s</field>' +
+          '  <field name="TYPE">string</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'do\n  local s = \'\'\nend\n');
+    });
+  });
+
+  suite('Controls', function() {
+    test('forRange', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">5</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">2</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'for i = 5, 1, -2 do\nend\n');
+    });
+    test('forEach', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forEach">' +
+          '  <field name="VAR">item</field>' +
+          '  <value name="LIST"><block type="lists_create_empty">' +
+          '  </block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">item</field>' +
+          '      <value name="VALUE"><block type="math_number">' +
+          '        <field name="NUM">0</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code,
+          'for _, item in ipairs({}) do\n  item = 0\nend\n');
+    });
+    test('Do then return', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="controls_do_then_return">' +
+          '      <statement name="STM">' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">global g</field>' +
+          '          <value name="VALUE"><block type="math_number">' +
+          '            <field name="NUM">1</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '      <value name="VALUE"><block type="math_number">' +
+          '        <field name="NUM">2</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code,
+          'g = (function()\n  g = 1\n  return 2\nend)()\n');
+    });
+  });
+
+  suite('Procedures', function() {
+    test('Definition and call', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation><arg name="a"></arg></mutation>' +
+          '  <field name="NAME">identity</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">a</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">result</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="procedures_callreturn">' +
+          '      <mutation name="identity"><arg name="a"></arg></mutation>' +
+          '      <field name="PROCNAME">identity</field>' +
+          '      <value name="ARG0"><block type="math_number">' +
+          '        <field name="NUM">7</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'function identity(a)\n  return a\nend\n');
+      chai.assert.include(code, 'result = identity(7)\n');
+    });
+  });
+});
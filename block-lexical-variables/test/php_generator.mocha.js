@@ -0,0 +1,168 @@
+/**
+ * @license
+ * @fileoverview PHP generator tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import {phpGenerator} from 'blockly/php';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/blocks/typed-variables';
+import '../src/generators/php/controls';
+import '../src/generators/php/procedures';
+import '../src/generators/php/lexical-variables';
+import '../src/generators/php/typed-variables';
+
+import chai from 'chai';
+
+suite ('PHP Generator', function() {
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    this.generate = function(xml) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+      return phpGenerator.workspaceToCode(this.workspace);
+    };
+  });
+  teardown(function() {
+    this.workspace.dispose();
+    delete this.generate;
+    delete this.workspace;
+  });
+
+  suite('Locals', function() {
+    test('Shadowing is renamed', function() {
+      const code = this.generate('<xml>' +
+          '<block type="simple_local_declaration_statement">' +
+          '  <field name="VAR">x</field>' +
+          '  <value name="DECL"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="simple_local_declaration_statement">' +
+          '      <field name="VAR">x</field>' +
+          '      <value name="DECL"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, '$x = 1;\n$x2 = $x;\n');
+    });
+    test('Expression captures outer locals by reference', function() {
+      const code = this.generate('<xml>' +
+          '<block type="simple_local_declaration_statement">' +
+          '  <field name="VAR">y</field>' +
+          '  <value name="DECL"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">y</field>' +
+          '      <value name="VALUE">' +
+          '        <block type="local_declaration_expression">' +
+          '          <mutation><localname name="a"></localname></mutation>' +
+          '          <field name="VAR0">a</field>' +
+          '          <value name="DECL0"><block type="lexical_variable_get">' +
+          '            <field name="VAR">y</field></block></value>' +
+          '          <value name="RETURN"><block type="math_arithmetic">' +
+          '            <field name="OP">ADD</field>' +
+          '            <value name="A"><block type="lexical_variable_get">' +
+          '              <field name="VAR">a</field></block></value>' +
+          '            <value name="B"><block type="lexical_variable_get">' +
+          '              <field name="VAR">y</field></block></value>' +
+          '          </block></value>' +
+          '        </block>' +
+          '      </value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, '$y = 1;\n' +
+          '$y = (function($a) use (&$y) { return $a + $y; })($y);\n');
+    });
+    test('Do then return captures globals by reference', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="controls_do_then_return">' +
+          '      <statement name="STM">' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">global g</field>' +
+          '          <value name="VALUE"><block type="math_number">' +
+          '            <field name="NUM">1</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">global g</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code,
+          '$g = (function() use (&$g) {\n  $g = 1;\n  return $g;\n})();\n');
+    });
+  });
+
+  suite('Controls', function() {
+    test('forEach', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forEach">' +
+          '  <field name="VAR">item</field>' +
+          '  <value name="LIST"><block type="lists_create_empty">' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'foreach (array() as $item) {\n}\n');
+    });
+  });
+
+  suite('Procedures', function() {
+    test('Globals referenced in a procedure are declared global', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">total</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation><arg name="n"></arg></mutation>' +
+          '  <field name="NAME">plus</field>' +
+          '  <field name="VAR0">n</field>' +
+          '  <value name="RETURN"><block type="math_arithmetic">' +
+          '    <field name="OP">ADD</field>' +
+          '    <value name="A"><block type="lexical_variable_get">' +
+          '      <field name="VAR">global total</field></block></value>' +
+          '    <value name="B"><block type="lexical_variable_get">' +
+          '      <field name="VAR">n</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="procedures_callnoreturn">' +
+          '  <mutation name="plus"><arg name="n"></arg></mutation>' +
+          '  <field name="PROCNAME">plus</field>' +
+          '  <value name="ARG0"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'function plus($n) {\n' +
+          '  global $total;\n  return $total + $n;\n}');
+      chai.assert.include(code, 'plus(1);\n');
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * @license
+ * @fileoverview Python generator tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import {pythonGenerator} from 'blockly/python';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/generators/python/controls';
+import '../src/generators/python/procedures';
+import '../src/generators/python/lexical-variables';
+import {generateWithSourceMap, getBlockIdAt} from '../src/generators/source-map';
+
+import chai from 'chai';
+
+suite ('Python Generator', function() {
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    this.generate = function(xml) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+      return pythonGenerator.workspaceToCode(this.workspace);
+    };
+  });
+  teardown(function() {
+    this.workspace.dispose();
+    delete this.generate;
+    delete this.workspace;
+  });
+
+  suite('Locals', function() {
+    test('Simple', function() {
+      const code = this.generate('<xml>' +
+          '<block type="local_declaration_statement">' +
+          '  <mutation><localname name="x"></localname></mutation>' +
+          '  <field name="VAR0">x</field>' +
+          '  <value name="DECL0"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="STACK">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">x</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'x = 1\nx = x\n');
+    });
+    test('Shadowing is renamed', function() {
+      const code = this.generate('<xml>' +
+          '<block type="local_declaration_statement">' +
+          '  <mutation><localname name="x"></localname></mutation>' +
+          '  <field name="VAR0">x</field>' +
+          '  <value name="DECL0"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="STACK">' +
+          '    <block type="local_declaration_statement">' +
+          '      <mutation><localname name="x"></localname></mutation>' +
+          '      <field name="VAR0">x</field>' +
+          '      <value name="DECL0"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '      <statement name="STACK">' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">x</field>' +
+          '          <value name="VALUE"><block type="math_number">' +
+          '            <field name="NUM">2</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '      <next>' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">x</field>' +
+          '          <value name="VALUE"><block type="math_number">' +
+          '            <field name="NUM">3</field></block></value>' +
+          '        </block>' +
+          '      </next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'x = 1\nx2 = x\nx2 = 2\nx = 3\n');
+    });
+    test('Sibling scopes reuse the name', function() {
+      const decl = '<block type="local_declaration_statement">' +
+          '  <mutation><localname name="x"></localname></mutation>' +
+          '  <field name="VAR0">x</field>' +
+          '  <value name="DECL0"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>';
+      const code = this.generate('<xml>' + decl +
+          '  <next>' + decl + '</block></next>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'x = 1\nx = 1\n');
+    });
+    test('Local shadowing a global is renamed', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">x</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>' +
+          '<block type="simple_local_declaration_statement">' +
+          '  <field name="VAR">x</field>' +
+          '  <value name="DECL"><block type="lexical_variable_get">' +
+          '    <field name="VAR">global x</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global x</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'x2 = x\nx = x2\n');
+    });
+    test('Expression', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname>' +
+          '        <localname name="b"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <field name="VAR1">b</field>' +
+          '      <value name="DECL0"><block type="math_number">' +
+          '        <field name="NUM">1</field></block></value>' +
+          '      <value name="DECL1"><block type="math_number">' +
+          '        <field name="NUM">2</field></block></value>' +
+          '      <value name="RETURN"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A"><block type="lexical_variable_get">' +
+          '          <field name="VAR">a</field></block></value>' +
+          '        <value name="B"><block type="lexical_variable_get">' +
+          '          <field name="VAR">b</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'g = (lambda a, b: a + b)(1, 2)\n');
+    });
+  });
+
+  suite('Loops', function() {
+    test('Nested forRange with the same name', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">5</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="controls_forEach">' +
+          '      <field name="VAR">i</field>' +
+          '      <value name="LIST"><block type="lists_create_empty">' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code,
+          'for i in range(1, 6):\n  for i2 in []:\n    pass\n');
+    });
+  });
+
+  suite('Procedures', function() {
+    test('Globals assigned in a procedure are declared global', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">count</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <mutation><arg name="n"></arg></mutation>' +
+          '  <field name="NAME">bump</field>' +
+          '  <field name="VAR0">n</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global count</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">n</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          'def bump(n):\n  global count\n  count = n\n');
+      chai.assert.include(code, 'count = 0\n');
+    });
+    test('Procedure with a return value', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation><arg name="a"></arg></mutation>' +
+          '  <field name="NAME">identity</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">a</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">result</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="procedures_callreturn">' +
+          '      <mutation name="identity"><arg name="a"></arg></mutation>' +
+          '      <field name="PROCNAME">identity</field>' +
+          '      <value name="ARG0"><block type="math_number">' +
+          '        <field name="NUM">7</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'def identity(a):\n  return a\n');
+      chai.assert.include(code, 'result = identity(7)\n');
+    });
+  });
+
+  suite('Source maps', function() {
+    test('Procedure definitions are mapped', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn" id="def">' +
+          '  <mutation><arg name="a"></arg></mutation>' +
+          '  <field name="NAME">identity</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">a</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration" id="decl">' +
+          '  <field name="NAME">result</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="procedures_callreturn">' +
+          '      <mutation name="identity"><arg name="a"></arg></mutation>' +
+          '      <field name="PROCNAME">identity</field>' +
+          '      <value name="ARG0"><block type="math_number">' +
+          '        <field name="NUM">7</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      const result = generateWithSourceMap(pythonGenerator, this.workspace);
+      chai.assert.equal(result.code, code);
+      chai.assert.equal(code,
+          'def identity(a):\n  return a\n\n\nresult = identity(7)\n');
+      chai.assert.deepEqual(result.blocks, [
+        {id: 'def', start: {line: 0, column: 0}, end: {line: 1, column: 10}},
+        {id: 'decl', start: {line: 4, column: 0}, end: {line: 4, column: 20}},
+      ]);
+      chai.assert.equal(getBlockIdAt(result.blocks, 1, 4), 'def');
+      chai.assert.deepEqual(result.sourceMap.sources, ['def', 'decl']);
+    });
+  });
+});
@@ -0,0 +1,1430 @@
+/**
+ * @license
+ * @fileoverview TypeManager tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import * as En from 'blockly/msg/en';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/blocks/typed-variables';
+import '../src/blocks/type-declarations';
+import {FieldLexicalVariable} from '../src/fields/field_lexical_variable';
+import {FieldTypeDropdown} from '../src/fields/field_type_dropdown';
+import {getLanguageProfile, getProfileDefaultValue, registerLanguageProfile}
+  from '../src/languageProfiles';
+import {TypeManager} from '../src/typeManager';
+import {getUnusedVariables, UnusedVariables} from '../src/unusedVariables';
+import * as Types from '../src/types';
+import * as Utilities from '../src/utilities';
+import '../src/workspace';
+
+import chai from 'chai';
+
+suite ('TypeManager', function() {
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    this.typeManager = new TypeManager(this.workspace);
+    this.load = function(xml) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+    };
+    // A typed local declaration of a variable with a setter of it in its
+    // body, followed by opt_body, and followed by opt_next.
+    this.local = function(id, name, type, setterId, opt_body, opt_next) {
+      return '<block type="typed_local_declaration_statement" id="' + id +
+          '">' +
+          '  <field name="VAR">' + name + '</field>' +
+          '  <field name="TYPE">' + type + '</field>' +
+          '  <statement name="DO">' +
+          '    <block type="typed_lexical_variable_set" id="' + setterId +
+          '">' +
+          '      <field name="VAR">' + name + '</field>' +
+          (opt_body ? '<next>' + opt_body + '</next>' : '') +
+          '    </block>' +
+          '  </statement>' +
+          (opt_next ? '<next>' + opt_next + '</next>' : '') +
+          '</block>';
+    };
+    // A struct type Point with a number field x and a string field label,
+    // and an enum type Color with the members RED and GREEN.
+    this.types = '<block type="struct_declaration" id="point">' +
+        '  <field name="NAME">Point</field>' +
+        '  <statement name="FIELDS">' +
+        '    <block type="struct_field" id="x">' +
+        '      <field name="NAME">x</field>' +
+        '      <field name="TYPE">number</field>' +
+        '      <next><block type="struct_field" id="label">' +
+        '        <field name="NAME">label</field>' +
+        '        <field name="TYPE">string</field>' +
+        '      </block></next>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>' +
+        '<block type="enum_declaration" id="color">' +
+        '  <field name="NAME">Color</field>' +
+        '  <statement name="MEMBERS">' +
+        '    <block type="enum_member">' +
+        '      <field name="NAME">RED</field>' +
+        '      <next><block type="enum_member">' +
+        '        <field name="NAME">GREEN</field>' +
+        '      </block></next>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>';
+  });
+  teardown(function() {
+    this.workspace.dispose();
+    delete this.load;
+    delete this.local;
+    delete this.types;
+    delete this.typeManager;
+    delete this.workspace;
+  });
+
+  test('Variables registered by name', function() {
+    this.typeManager.registerVariable('counter', 'number', 'global');
+    this.typeManager.registerVariable('name', 'string', 'local');
+    chai.assert.equal(this.typeManager.getVariableType('counter'), 'number');
+    chai.assert.equal(this.typeManager.getVariableType('name'), 'string');
+    chai.assert.isTrue(this.typeManager.isVariableDeclared('counter'));
+    chai.assert.isFalse(this.typeManager.isVariableDeclared('other'));
+  });
+  test('Sibling scopes declaring the same name', function() {
+    this.load('<xml>' +
+        this.local('first', 'i', 'number', 'set1', null,
+            this.local('second', 'i', 'string', 'set2')) +
+        '</xml>');
+    chai.assert.deepEqual(this.typeManager.checkTypeErrors(), []);
+    const first = this.workspace.getBlockById('first');
+    const second = this.workspace.getBlockById('second');
+    chai.assert.equal(this.typeManager.getDeclarationType(first, 'i'),
+        'number');
+    chai.assert.equal(this.typeManager.getDeclarationType(second, 'i'),
+        'string');
+    chai.assert.equal(this.typeManager.getBindingType(
+        this.workspace.getBlockById('set1')), 'number');
+    chai.assert.equal(this.typeManager.getBindingType(
+        this.workspace.getBlockById('set2')), 'string');
+  });
+  test('Checking twice', function() {
+    this.load('<xml>' +
+        '<block type="typed_global_declaration">' +
+        '  <field name="NAME">x</field>' +
+        '  <field name="TYPE">number</field>' +
+        '</block>' +
+        '</xml>');
+    chai.assert.deepEqual(this.typeManager.checkTypeErrors(), []);
+    chai.assert.deepEqual(this.typeManager.checkTypeErrors(), []);
+  });
+  test('Shadowing', function() {
+    this.load('<xml>' +
+        this.local('outer', 'x', 'number', 'outerSet',
+            this.local('inner', 'x', 'string', 'innerSet')) +
+        '</xml>');
+    this.workspace.getBlockById('innerSet').getField('VAR')
+        .setType('number');
+    const errors = this.typeManager.checkTypeErrors();
+    chai.assert.equal(this.typeManager.getBindingType(
+        this.workspace.getBlockById('outerSet')), 'number');
+    chai.assert.equal(this.typeManager.getBindingType(
+        this.workspace.getBlockById('innerSet')), 'string');
+    chai.assert.deepEqual(errors.map((error) => error.block.id),
+        ['innerSet']);
+  });
+  test('Globals', function() {
+    this.load('<xml>' +
+        '<block type="typed_global_declaration" id="decl">' +
+        '  <field name="NAME">x</field>' +
+        '  <field name="TYPE">string</field>' +
+        '</block>' +
+        '<block type="typed_global_declaration" id="duplicate">' +
+        '  <field name="NAME">x</field>' +
+        '  <field name="TYPE">number</field>' +
+        '</block>' +
+        this.local('local', 'x', 'boolean', 'set', null,
+            '<block type="typed_lexical_variable_set" id="globalSet">' +
+            '  <field name="VAR">global x</field>' +
+            '</block>') +
+        '</xml>');
+    const errors = this.typeManager.checkTypeErrors();
+    chai.assert.deepEqual(errors.map((error) => error.message),
+        ['Variable x is already declared']);
+    chai.assert.equal(errors[0].block.id, 'duplicate');
+    chai.assert.equal(this.typeManager.getBindingType(
+        this.workspace.getBlockById('set')), 'boolean');
+    chai.assert.equal(this.typeManager.getBindingType(
+        this.workspace.getBlockById('globalSet')), 'string');
+    chai.assert.equal(this.typeManager.getVariableType('global x'),
+        'string');
+  });
+  test('Export and import', function() {
+    this.load('<xml>' +
+        this.local('local', 'i', 'number', 'set') +
+        '</xml>');
+    this.typeManager.checkTypeErrors();
+    const other = new TypeManager(this.workspace);
+    other.importTypeInfo(this.typeManager.exportTypeInfo());
+    chai.assert.equal(other.getBindingType(
+        this.workspace.getBlockById('set')), 'number');
+  });
+
+  test('Import of variable types exported by name', function() {
+    // Before variable types were kept per declaring block.
+    const exported = JSON.stringify({
+      variableTypes: {
+        x: {type: 'number', scope: 'global', declared: true},
+        type: {type: 'string', scope: 'local', declared: true},
+      },
+      blockTypes: {},
+      typeErrors: [],
+    });
+    this.typeManager.importTypeInfo(exported);
+    chai.assert.equal(this.typeManager.getVariableType('global x'), 'number');
+    chai.assert.equal(this.typeManager.getVariableType('type'), 'string');
+    chai.assert.deepEqual(this.typeManager.getVariableTypeSummary(), {
+      global: {
+        x: {type: 'number', scope: 'global', declared: true, blockId: null},
+        type: {type: 'string', scope: 'local', declared: true, blockId: null},
+      },
+    });
+    const other = new TypeManager(this.workspace);
+    other.importTypeInfo(this.typeManager.exportTypeInfo());
+    chai.assert.equal(other.getVariableType('global x'), 'number');
+    chai.assert.equal(other.getVariableType('type'), 'string');
+  });
+
+  test('Procedure signatures', function() {
+    this.load('<xml>' +
+        '<block type="procedures_defreturn" id="def">' +
+        '  <mutation return_type="string">' +
+        '    <arg name="a" type="number"></arg><arg name="b"></arg>' +
+        '  </mutation>' +
+        '  <field name="NAME">f</field>' +
+        '  <field name="VAR0">a</field>' +
+        '  <field name="VAR1">b</field>' +
+        '  <value name="RETURN"><block type="lexical_variable_get">' +
+        '    <field name="VAR">a</field></block></value>' +
+        '</block>' +
+        '<block type="global_declaration">' +
+        '  <field name="NAME">g</field>' +
+        '  <value name="VALUE"><block type="procedures_callreturn" id="call">' +
+        '    <mutation name="f"><arg name="a"></arg><arg name="b"></arg>' +
+        '    </mutation>' +
+        '    <field name="PROCNAME">f</field>' +
+        '    <value name="ARG0"><block type="text">' +
+        '      <field name="TEXT">one</field></block></value>' +
+        '    <value name="ARG1"><block type="text">' +
+        '      <field name="TEXT">two</field></block></value>' +
+        '  </block></value>' +
+        '</block>' +
+        '</xml>');
+    const def = this.workspace.getBlockById('def');
+    const mutation = def.mutationToDom();
+    chai.assert.equal(mutation.getAttribute('return_type'), 'string');
+    chai.assert.deepEqual(
+        Array.from(mutation.childNodes).map((arg) => arg.getAttribute('type')),
+        ['number', null]);
+    chai.assert.deepEqual(def.getParameterTypes(), ['number', 'any']);
+    chai.assert.equal(this.typeManager.getVariableType('a',
+        def.getInputTargetBlock('RETURN')), 'number');
+    chai.assert.isNull(this.typeManager.getVariableType('b',
+        def.getInputTargetBlock('RETURN')));
+    chai.assert.equal(this.typeManager.getVariableType('global g'),
+        'string');
+
+    this.typeManager.checkTypeErrors();
+    chai.assert.deepEqual(
+        this.typeManager.getBlockErrors(def).map((error) => error.message),
+        ['Type mismatch: cannot assign number to the result of f of type ' +
+          'string']);
+    chai.assert.deepEqual(this.typeManager.getBlockErrors(
+        this.workspace.getBlockById('call')).map((error) => error.message),
+    ['Type mismatch: cannot assign string to parameter a of type number']);
+  });
+
+  test('Narrowing conversions and casts', function() {
+    const global = (name, type, value) =>
+      '<block type="typed_global_declaration" id="' + name + '">' +
+      '  <field name="NAME">' + name + '</field>' +
+      '  <field name="TYPE">' + type + '</field>' +
+      '  <value name="DECL">' + value + '</value>' +
+      '</block>';
+    const number = (value) =>
+      '<block type="math_number"><field name="NUM">' + value +
+      '</field></block>';
+    const get = (name) => '<block type="lexical_variable_get">' +
+      '<field name="VAR">global ' + name + '</field></block>';
+    const cast = (type, value) => '<block type="typed_cast">' +
+      '<field name="TYPE">' + type + '</field>' +
+      '<value name="VALUE">' + value + '</value></block>';
+    this.load('<xml>' +
+        global('d', 'double', number(2.5)) +
+        global('i', 'int', number(2.5)) +
+        global('j', 'int', number(3)) +
+        global('k', 'int', get('d')) +
+        global('f', 'float', get('d')) +
+        global('e', 'double', get('k')) +
+        global('n', 'number', get('d')) +
+        global('s', 'string', get('d')) +
+        global('c', 'int', cast('int', get('d'))) +
+        global('t', 'string', cast('string', get('d'))) +
+        global('a', 'number[]', cast('number[]', get('t'))) +
+        '</xml>');
+    const messages = (name) => this.typeManager.getBlockErrors(
+        this.workspace.getBlockById(name)).map((error) =>
+      error.severity + ': ' + error.message);
+    const fixes = (name) => this.typeManager.getCastFixes(
+        this.workspace.getBlockById(name));
+    this.typeManager.checkTypeErrors();
+
+    // Narrowing conversions are warnings, and a literal with a fraction is
+    // a double. Widening conversions and numbers are fine.
+    chai.assert.deepEqual(messages('d'), []);
+    chai.assert.deepEqual(messages('i'),
+        ['warning: Narrowing conversion: assigning double to variable i of ' +
+          'type int may lose data']);
+    chai.assert.deepEqual(messages('j'), []);
+    chai.assert.deepEqual(messages('k'),
+        ['warning: Narrowing conversion: assigning double to variable k of ' +
+          'type int may lose data']);
+    chai.assert.deepEqual(fixes('k'), [{inputName: 'DECL', type: 'int'}]);
+    chai.assert.deepEqual(messages('f'),
+        ['warning: Narrowing conversion: assigning double to variable f of ' +
+          'type float may lose data']);
+    chai.assert.deepEqual(messages('e'), []);
+    chai.assert.deepEqual(messages('n'), []);
+    chai.assert.isTrue(this.typeManager.isNarrowingConversion('int',
+        'double'));
+    chai.assert.isFalse(this.typeManager.isNarrowingConversion('double',
+        'int'));
+    chai.assert.isFalse(this.typeManager.isNarrowingConversion('int',
+        'number'));
+
+    // Mismatches that a cast would fix carry the fix too.
+    chai.assert.deepEqual(messages('s'),
+        ['error: Type mismatch: cannot assign double to variable s of type ' +
+          'string']);
+    chai.assert.deepEqual(fixes('s'), [{inputName: 'DECL', type: 'string'}]);
+
+    // A cast gives its type, and can't convert between unrelated types.
+    chai.assert.deepEqual(messages('c'), []);
+    chai.assert.deepEqual(messages('t'), []);
+    chai.assert.equal(this.typeManager.inferValueType(
+        this.workspace.getBlockById('c').getInputTargetBlock('DECL')), 'int');
+    const castToArray =
+        this.workspace.getBlockById('a').getInputTargetBlock('DECL');
+    chai.assert.deepEqual(this.typeManager.getBlockErrors(castToArray)
+        .map((error) => error.message),
+    ['Type mismatch: cannot cast string to number[]']);
+    chai.assert.deepEqual(fixes('a'), []);
+  });
+
+  suite('Definite assignment', function() {
+    suiteSetup(function() {
+      // controls_if and text_print need Blockly's messages.
+      Blockly.setLocale(En);
+    });
+    setup(function() {
+      // A typed local declaration with no initial value, whose body is
+      // body.
+      this.declare = (name, type, body) =>
+        '<block type="typed_local_declaration_statement">' +
+        '  <field name="VAR">' + name + '</field>' +
+        '  <field name="TYPE">' + type + '</field>' +
+        '  <statement name="DO">' + body + '</statement>' +
+        '</block>';
+      this.get = (name, id) => '<block type="typed_lexical_variable_get" ' +
+        'id="' + id + '"><field name="VAR">' + name + '</field></block>';
+      this.set = (name, value, opt_next) =>
+        '<block type="lexical_variable_set">' +
+        '  <field name="VAR">' + name + '</field>' +
+        '  <value name="VALUE">' + value + '</value>' +
+        (opt_next ? '<next>' + opt_next + '</next>' : '') +
+        '</block>';
+      // Print the length of a value.
+      this.use = (value, opt_next) => '<block type="text_print">' +
+        '  <value name="TEXT"><block type="text_length">' +
+        '    <value name="VALUE">' + value + '</value>' +
+        '  </block></value>' +
+        (opt_next ? '<next>' + opt_next + '</next>' : '') +
+        '</block>';
+      this.ifThen = (condition, then, opt_else, opt_next) =>
+        '<block type="controls_if">' +
+        (opt_else ? '<mutation else="1"></mutation>' : '') +
+        '  <value name="IF0">' + condition + '</value>' +
+        '  <statement name="DO0">' + then + '</statement>' +
+        (opt_else ? '<statement name="ELSE">' + opt_else + '</statement>' :
+            '') +
+        (opt_next ? '<next>' + opt_next + '</next>' : '') +
+        '</block>';
+      this.text = '<block type="text"><field name="TEXT">a</field></block>';
+      this.null = '<block type="logic_null"></block>';
+      this.messages = (id) => this.typeManager.getBlockErrors(
+          this.workspace.getBlockById(id)).map((error) =>
+        error.severity + ': ' + error.message);
+    });
+    teardown(function() {
+      ['declare', 'get', 'set', 'use', 'ifThen', 'text', 'null', 'messages']
+          .forEach((name) => delete this[name]);
+    });
+
+    test('Branches of ifs', function() {
+      const flag = '<block type="logic_boolean">' +
+          '<field name="BOOL">TRUE</field></block>';
+      this.load('<xml>' + this.declare('x', 'any',
+          this.ifThen(flag, this.set('x', this.text),
+              null,
+              this.use(this.get('x', 'maybe'),
+                  this.ifThen(flag, this.set('x', this.text),
+                      this.set('x', this.text),
+                      this.use(this.get('x', 'both')))))) +
+          '</xml>');
+      this.typeManager.checkTypeErrors();
+      chai.assert.deepEqual(this.messages('maybe'),
+          ['warning: Variable x may be used before it is assigned']);
+      chai.assert.deepEqual(this.messages('both'), []);
+    });
+    test('Loops', function() {
+      const repeat = (body, opt_next) =>
+        '<block type="controls_repeat_ext">' +
+        '  <value name="TIMES"><block type="math_number">' +
+        '    <field name="NUM">3</field></block></value>' +
+        '  <statement name="DO">' + body + '</statement>' +
+        (opt_next ? '<next>' + opt_next + '</next>' : '') +
+        '</block>';
+      this.load('<xml>' + this.declare('x', 'any',
+          repeat(this.use(this.get('x', 'before'),
+              this.set('x', this.text, this.use(this.get('x', 'inside')))),
+          this.use(this.get('x', 'after')))) +
+          '</xml>');
+      this.typeManager.checkTypeErrors();
+      // The body may have run before, and may not run at all.
+      chai.assert.deepEqual(this.messages('before'),
+          ['warning: Variable x may be used before it is assigned']);
+      chai.assert.deepEqual(this.messages('inside'), []);
+      chai.assert.deepEqual(this.messages('after'),
+          ['warning: Variable x may be used before it is assigned']);
+    });
+    test('Nullable types', function() {
+      const notNull = '<block type="logic_compare">' +
+          '  <field name="OP">NEQ</field>' +
+          '  <value name="A">' + this.get('x', 'compared') + '</value>' +
+          '  <value name="B">' + this.null + '</value>' +
+          '</block>';
+      this.load('<xml>' + this.declare('x', 'string | null',
+          this.use(this.get('x', 'initial'),
+              this.ifThen(notNull, this.use(this.get('x', 'checked')),
+                  null,
+                  this.use(this.get('x', 'unchecked'),
+                      this.declare('y', 'string | null',
+                          this.set('y', this.get('x', 'assigned'),
+                              this.set('x', this.text,
+                                  this.use(this.get('x', 'set'))))))))) +
+          '</xml>');
+      this.typeManager.checkTypeErrors();
+      // Declared without a value, it's null until set.
+      chai.assert.deepEqual(this.messages('initial'),
+          ['warning: Variable x may be null']);
+      // Comparing it with null is fine, and narrows it.
+      chai.assert.deepEqual(this.messages('compared'), []);
+      chai.assert.deepEqual(this.messages('checked'), []);
+      chai.assert.deepEqual(this.messages('unchecked'),
+          ['warning: Variable x may be null']);
+      // It can go where null can.
+      chai.assert.deepEqual(this.messages('assigned'), []);
+      chai.assert.deepEqual(this.messages('set'), []);
+    });
+    test('Null values', function() {
+      const global = (name, type, value) =>
+        '<block type="typed_global_declaration" id="' + name + '">' +
+        '  <field name="NAME">' + name + '</field>' +
+        '  <field name="TYPE">' + type + '</field>' +
+        (value ? '<value name="DECL">' + value + '</value>' : '') +
+        '</block>';
+      this.load('<xml>' +
+          global('s', 'string', this.null) +
+          global('n', 'string | null', this.null) +
+          global('u', 'number | undefined') +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">v</field>' +
+          '  <value name="VALUE">' + this.text + '</value>' +
+          '</block>' +
+          '<block type="lexical_variable_set">' +
+          '  <field name="VAR">global v</field>' +
+          '  <value name="VALUE">' + this.null + '</value>' +
+          '</block>' +
+          '</xml>');
+      this.typeManager.checkTypeErrors();
+      chai.assert.deepEqual(this.messages('s'),
+          ['error: Type mismatch: cannot assign null to variable s of ' +
+            'type string']);
+      chai.assert.deepEqual(this.messages('n'), []);
+      chai.assert.deepEqual(this.messages('u'), []);
+      // An untyped variable that's set to null may be null.
+      chai.assert.equal(this.typeManager.getVariableType('global v'),
+          'string | null');
+      chai.assert.isTrue(this.typeManager.isNullable('string | null'));
+      chai.assert.isTrue(this.typeManager.isNullable('any'));
+      chai.assert.isFalse(this.typeManager.isNullable('string'));
+    });
+  });
+
+  suite('Struct and enum types', function() {
+    test('Declared and registered types', function() {
+      this.load('<xml>' + this.types +
+          '<block type="typed_global_declaration" id="g">' +
+          '  <field name="NAME">g</field>' +
+          '  <field name="TYPE">Point</field>' +
+          '</block>' +
+          '</xml>');
+      const typeManager = this.workspace.getTypeManager();
+      typeManager.registerStructType('Reading', [
+        {name: 'value', type: 'number'},
+        {name: 'sensor', type: 'string'},
+      ]);
+      chai.assert.deepEqual(typeManager.getUserTypeNames(),
+          ['Point', 'Color', 'Reading']);
+      chai.assert.deepEqual(typeManager.getUserType('Point').fields, [
+        {name: 'x', type: 'number'},
+        {name: 'label', type: 'string'},
+      ]);
+      chai.assert.deepEqual(typeManager.getUserType('Color').members,
+          ['RED', 'GREEN']);
+      chai.assert.equal(typeManager.getFieldType('Reading', 'sensor'),
+          'string');
+      chai.assert.isNull(typeManager.getFieldType('Color', 'RED'));
+      chai.assert.isNull(typeManager.getUserType('number'));
+
+      // Every type dropdown offers them, and keeps a type it refers to.
+      const options = this.workspace.getBlockById('g').getField('TYPE')
+          .getOptions(false).map((option) => option[1]);
+      chai.assert.includeMembers(options, ['Point', 'Color', 'Reading']);
+      chai.assert.equal(this.workspace.getBlockById('g')
+          .getFieldValue('TYPE'), 'Point');
+    });
+    test('Making and using values', function() {
+      this.load('<xml>' + this.types +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">p</field>' +
+          '  <field name="TYPE">Point</field>' +
+          '  <value name="DECL"><block type="struct_create" id="create">' +
+          '    <mutation><field name="x"></field><field name="label">' +
+          '    </field></mutation>' +
+          '    <field name="TYPE">Point</field>' +
+          '    <value name="FIELD_x"><block type="text">' +
+          '      <field name="TEXT">one</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="typed_global_declaration" id="n">' +
+          '  <field name="NAME">n</field>' +
+          '  <field name="TYPE">number</field>' +
+          '  <value name="DECL"><block type="struct_field_get" id="get">' +
+          '    <field name="FIELD">label</field>' +
+          '    <value name="OBJECT"><block type="lexical_variable_get">' +
+          '      <field name="VAR">global p</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">c</field>' +
+          '  <field name="TYPE">Color</field>' +
+          '  <value name="DECL"><block type="enum_value" id="blue">' +
+          '    <field name="VALUE">Color.BLUE</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <field name="NAME">move</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="struct_field_set" id="setZ">' +
+          '      <field name="FIELD">z</field>' +
+          '      <value name="OBJECT"><block type="lexical_variable_get">' +
+          '        <field name="VAR">global p</field></block></value>' +
+          '      <next><block type="struct_field_set" id="setX">' +
+          '        <field name="FIELD">x</field>' +
+          '        <value name="OBJECT"><block type="math_number">' +
+          '          <field name="NUM">1</field></block></value>' +
+          '      </block></next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      const messages = (id) => this.typeManager.getBlockErrors(
+          this.workspace.getBlockById(id)).map((error) => error.message);
+      this.typeManager.checkTypeErrors();
+      chai.assert.deepEqual(messages('create'), ['Type mismatch: cannot ' +
+          'assign string to field x of Point of type number']);
+      chai.assert.equal(this.typeManager.inferValueType(
+          this.workspace.getBlockById('get')), 'string');
+      chai.assert.deepEqual(messages('n'), ['Type mismatch: cannot assign ' +
+          'string to variable n of type number']);
+      chai.assert.deepEqual(messages('blue'), ['Color has no member BLUE']);
+      chai.assert.deepEqual(messages('setZ'), ['Point has no field z']);
+      chai.assert.deepEqual(messages('setX'),
+          ['Type mismatch: number has no field x']);
+    });
+    test('Names declared twice', function() {
+      this.load('<xml>' + this.types +
+          '<block type="struct_declaration" id="again">' +
+          '  <field name="NAME">Point</field>' +
+          '</block>' +
+          '</xml>');
+      const color = this.workspace.getBlockById('color');
+      const member = this.workspace.newBlock('enum_member');
+      member.setFieldValue('RED', 'NAME');
+      color.getInputTargetBlock('MEMBERS').getNextBlock().nextConnection
+          .connect(member.previousConnection);
+      this.typeManager.checkTypeErrors();
+      chai.assert.deepEqual(this.typeManager.getTypeErrors().map((error) =>
+        [error.block.id, error.message]), [
+        ['again', 'Type Point is already declared'],
+        [member.id, 'Member RED is already declared in Color'],
+      ]);
+    });
+  });
+
+  suite('Language profiles', function() {
+    suiteSetup(function() {
+      // Java widens int to long and long to double, but not the other way.
+      const widening = ['int', 'long', 'double'];
+      registerLanguageProfile({
+        name: 'Java',
+        types: ['int', 'long', 'double', 'boolean', 'String', 'int[]'],
+        displayType: (type) => type,
+        defaultValues: {'long': '0L', 'number': '0', 'boolean': 'false',
+          'any': 'null'},
+        isAssignable: (target, source) => {
+          const to = widening.indexOf(target.name);
+          const from = widening.indexOf(source.name);
+          return to >= 0 && from >= 0 ? to >= from :
+              Types.isAssignable(target, source);
+        },
+        reservedWords: ['class', 'goto', 'int', 'new'],
+        declare: (name, type) => type + ' ' + name,
+      });
+    });
+
+    test('Registering a profile', function() {
+      chai.assert.deepEqual(FieldTypeDropdown.getTypeOptions('java')
+          .slice(0, 2), [['int', 'int'], ['long', 'long']]);
+      chai.assert.throws(() => FieldTypeDropdown.getTypeOptions('rust'),
+          /Unknown language: rust/);
+      chai.assert.throws(() => new FieldTypeDropdown('i32', 'rust'),
+          /Unknown language: rust/);
+      chai.assert.throws(() => registerLanguageProfile({name: 'rust'}),
+          /needs types/);
+      const java = getLanguageProfile('JAVA');
+      chai.assert.equal(java.displayName, 'Java');
+      chai.assert.equal(getProfileDefaultValue(java, 'long'), '0L');
+      chai.assert.equal(getProfileDefaultValue(java, 'int'), '0');
+      chai.assert.equal(getProfileDefaultValue(java, 'String'), 'null');
+      chai.assert.equal(java.declare('x', 'long'), 'long x');
+    });
+    test('Switching the language of a workspace', function() {
+      this.load('<xml>' +
+          '<block type="typed_local_declaration_statement" id="local">' +
+          '  <field name="VAR">goto</field>' +
+          '  <field name="TYPE">long</field>' +
+          '</block>' +
+          '</xml>');
+      const block = this.workspace.getBlockById('local');
+      const messages = () => this.typeManager.getBlockErrors(block)
+          .map((error) => error.severity + ': ' + error.message);
+      this.typeManager.checkTypeErrors();
+      chai.assert.deepEqual(messages(), []);
+
+      this.typeManager.setLanguage('java');
+      chai.assert.equal(this.typeManager.getLanguage(), 'java');
+      chai.assert.equal(block.getField('TYPE').getLanguage(), 'java');
+      chai.assert.equal(block.getField('VAR').getLanguage(), 'java');
+      chai.assert.deepEqual(messages(),
+          ['warning: Variable goto is a reserved word in Java']);
+      chai.assert.isTrue(this.typeManager.areTypesCompatible('long', 'int'));
+      chai.assert.isFalse(this.typeManager.areTypesCompatible('int', 'long'));
+
+      this.typeManager.setLanguage('typescript');
+      chai.assert.equal(block.getField('TYPE').getLanguage(), 'typescript');
+      chai.assert.deepEqual(messages(), []);
+      chai.assert.throws(() => this.typeManager.setLanguage('rust'),
+          /Unknown language: rust/);
+      chai.assert.equal(this.typeManager.getLanguage(), 'typescript');
+    });
+  });
+
+  suite('Inference', function() {
+    test('Initializers', function() {
+      this.load('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">n</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">s</field>' +
+          '  <value name="VALUE"><block type="text">' +
+          '    <field name="TEXT">one</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">list</field>' +
+          '  <value name="VALUE"><block type="lists_create_with">' +
+          '    <mutation items="2"></mutation>' +
+          '    <value name="ADD0"><block type="math_number">' +
+          '      <field name="NUM">1</field></block></value>' +
+          '    <value name="ADD1"><block type="lexical_variable_get">' +
+          '      <field name="VAR">global n</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">mixed</field>' +
+          '  <value name="VALUE"><block type="lists_create_with">' +
+          '    <mutation items="2"></mutation>' +
+          '    <value name="ADD0"><block type="math_number">' +
+          '      <field name="NUM">1</field></block></value>' +
+          '    <value name="ADD1"><block type="text">' +
+          '      <field name="TEXT">one</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">empty</field>' +
+          '</block>' +
+          '</xml>');
+      const types = ['n', 's', 'list', 'mixed', 'empty'].map((name) =>
+        this.typeManager.getVariableType('global ' + name));
+      chai.assert.deepEqual(types,
+          ['number', 'string', 'number[]', 'array', null]);
+    });
+    test('Assignments', function() {
+      this.load('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">same</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">changes</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <field name="NAME">p</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">global same</field>' +
+          '      <value name="VALUE"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A"><block type="lexical_variable_get">' +
+          '          <field name="VAR">global same</field></block></value>' +
+          '      </block></value>' +
+          '      <next><block type="lexical_variable_set">' +
+          '        <field name="VAR">global changes</field>' +
+          '        <value name="VALUE"><block type="text">' +
+          '          <field name="TEXT">one</field></block></value>' +
+          '      </block></next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(this.typeManager.getVariableType('global same'),
+          'number');
+      chai.assert.isNull(this.typeManager.getVariableType('global changes'));
+    });
+    test('Locals and loops', function() {
+      this.load('<xml>' +
+          '<block type="local_declaration_statement">' +
+          '  <mutation><localname name="x"></localname>' +
+          '    <localname name="y"></localname></mutation>' +
+          '  <field name="VAR0">x</field>' +
+          '  <field name="VAR1">y</field>' +
+          '  <value name="DECL0"><block type="lists_create_with">' +
+          '    <mutation items="1"></mutation>' +
+          '    <value name="ADD0"><block type="text">' +
+          '      <field name="TEXT">one</field></block></value>' +
+          '  </block></value>' +
+          '  <value name="DECL1"><block type="logic_boolean">' +
+          '    <field name="BOOL">TRUE</field></block></value>' +
+          '  <statement name="STACK">' +
+          '    <block type="controls_forEach">' +
+          '      <field name="VAR">item</field>' +
+          '      <value name="LIST"><block type="lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '      <statement name="DO">' +
+          '        <block type="lexical_variable_set" id="set">' +
+          '          <field name="VAR">item</field>' +
+          '          <value name="VALUE"><block type="lexical_variable_get"' +
+          '              id="get"><field name="VAR">y</field></block>' +
+          '          </value>' +
+          '        </block>' +
+          '      </statement>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      const get = this.workspace.getBlockById('get');
+      chai.assert.equal(this.typeManager.getBindingType(get), 'boolean');
+      chai.assert.equal(this.typeManager.getVariableType('x', get),
+          'string[]');
+      // The item's type comes from the list, whatever's assigned to it.
+      chai.assert.equal(this.typeManager.getVariableType('item', get),
+          'string');
+    });
+    test('Typed loop variables', function() {
+      this.load('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">nums</field>' +
+          '  <field name="TYPE">number[]</field>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <field name="NAME">p</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="controls_forEach" id="each">' +
+          '      <field name="VAR">n</field>' +
+          '      <value name="LIST"><block type="lexical_variable_get">' +
+          '        <field name="VAR">global nums</field></block></value>' +
+          '      <statement name="DO">' +
+          '        <block type="controls_forRange" id="range">' +
+          '          <field name="VAR">i</field>' +
+          '          <field name="TYPE">int</field>' +
+          '          <next><block type="controls_forEach" id="strings">' +
+          '            <field name="VAR">s</field>' +
+          '            <field name="TYPE">string</field>' +
+          '            <value name="LIST"><block type="lexical_variable_get">' +
+          '              <field name="VAR">global nums</field></block>' +
+          '            </value>' +
+          '            <statement name="DO">' +
+          '              <block type="typed_lexical_variable_set" id="set">' +
+          '                <mutation type="string"></mutation>' +
+          '                <field name="VAR">n</field>' +
+          '              </block>' +
+          '            </statement>' +
+          '          </block></next>' +
+          '        </block>' +
+          '      </statement>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      const each = this.workspace.getBlockById('each');
+      const range = this.workspace.getBlockById('range');
+      const set = this.workspace.getBlockById('set');
+
+      // The item of an untyped loop takes the element type of the list's
+      // declared type, and a typed counter its own.
+      chai.assert.equal(this.typeManager.getDeclaredType(each, 'n'),
+          'number');
+      chai.assert.equal(each.getVariableType(), 'number');
+      chai.assert.equal(this.typeManager.getDeclaredType(range, 'i'), 'int');
+      chai.assert.equal(this.typeManager.inferDeclarationType(range, 'i'),
+          'int');
+
+      // The flydown gives getters and setters that carry the type.
+      const xml = each.getField('VAR').flydownBlocksXML_();
+      chai.assert.include(xml, '<block type="typed_lexical_variable_get">');
+      chai.assert.include(xml, 'type="number"');
+      chai.assert.equal(set.getVariableType(), 'string');
+      chai.assert.equal(Blockly.Xml.domToText(set.mutationToDom()),
+          '<mutation xmlns="https://developers.google.com/blockly/xml" ' +
+          'type="string"></mutation>');
+
+      chai.assert.deepEqual(this.typeManager.checkTypeErrors().map((error) =>
+        error.message), [
+        'Type mismatch: cannot assign number[] to the list of loop ' +
+          'variable s of type string',
+        'Type mismatch: cannot assign string to variable n of type number',
+      ]);
+      range.setFieldValue('string', 'TYPE');
+      chai.assert.include(this.typeManager.checkTypeErrors().map((error) =>
+        error.message), 'Type mismatch: loop counter i of type string ' +
+          'must be a number');
+    });
+    test('Procedure return values', function() {
+      this.load('<xml>' +
+          '<block type="procedures_defreturn" id="def">' +
+          '  <field name="NAME">count</field>' +
+          '  <value name="RETURN"><block type="math_arithmetic">' +
+          '    <field name="OP">ADD</field>' +
+          '    <value name="A"><block type="procedures_callreturn">' +
+          '      <mutation name="count"></mutation>' +
+          '      <field name="PROCNAME">count</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="procedures_defreturn">' +
+          '  <field name="NAME">recurse</field>' +
+          '  <value name="RETURN"><block type="procedures_callreturn">' +
+          '    <mutation name="recurse"></mutation>' +
+          '    <field name="PROCNAME">recurse</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">n</field>' +
+          '  <value name="VALUE"><block type="procedures_callreturn">' +
+          '    <mutation name="count"></mutation>' +
+          '    <field name="PROCNAME">count</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">r</field>' +
+          '  <value name="VALUE"><block type="procedures_callreturn">' +
+          '    <mutation name="recurse"></mutation>' +
+          '    <field name="PROCNAME">recurse</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(this.typeManager.inferReturnType(
+          this.workspace.getBlockById('def')), 'number');
+      chai.assert.equal(this.typeManager.getVariableType('global n'),
+          'number');
+      chai.assert.isNull(this.typeManager.getVariableType('global r'));
+    });
+    test('Tooltips and dropdowns', function() {
+      this.load('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">n</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">u</field>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE"><block type="lexical_variable_get"' +
+          '      id="get"><field name="VAR">global n</field></block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      const get = this.workspace.getBlockById('get');
+      chai.assert.equal(get.tooltip(),
+          Blockly.Msg.LANG_VARIABLES_GET_TOOLTIP + '\nType: number');
+      get.setFieldValue('global u', 'VAR');
+      chai.assert.equal(get.tooltip(), Blockly.Msg.LANG_VARIABLES_GET_TOOLTIP);
+      // The names are annotated in the menu only.
+      const field = get.getField('VAR');
+      field.showingTypes_ = true;
+      const options = FieldLexicalVariable.dropdownCreate.call(field);
+      field.showingTypes_ = false;
+      chai.assert.deepEqual(options, [
+        ['global g', 'global g'],
+        ['global n : number', 'global n'],
+        ['global u', 'global u'],
+      ]);
+      chai.assert.equal(field.getText(), 'global u');
+    });
+  });
+
+  suite('Unused variables', function() {
+    setup(function() {
+      this.load('<xml>' +
+          '<block type="global_declaration" id="g">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="global_declaration" id="h">' +
+          '  <field name="NAME">h</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">2</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn" id="def">' +
+          '  <mutation><arg name="a"></arg><arg name="b"></arg>' +
+          '  </mutation>' +
+          '  <field name="NAME">f</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <field name="VAR1">b</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="lexical_variable_set" id="setH">' +
+          '      <field name="VAR">global h</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">a</field></block></value>' +
+          '      <next>' +
+          '    <block type="local_declaration_statement" id="xy">' +
+          '      <mutation><localname name="x"></localname>' +
+          '        <localname name="y"></localname></mutation>' +
+          '      <field name="VAR0">x</field>' +
+          '      <field name="VAR1">y</field>' +
+          '      <value name="DECL0"><block type="lexical_variable_get">' +
+          '        <field name="VAR">global g</field></block></value>' +
+          '      <value name="DECL1"><block type="math_number" id="yValue">' +
+          '        <field name="NUM">3</field></block></value>' +
+          '      <statement name="STACK">' +
+          '        <block type="controls_forRange" id="loop">' +
+          '          <field name="VAR">i</field>' +
+          '          <next>' +
+          '        <block type="typed_local_declaration_statement" id="z">' +
+          '          <field name="VAR">z</field>' +
+          '          <field name="TYPE">number</field>' +
+          '          <statement name="DO">' +
+          '            <block type="lexical_variable_set" id="setZ">' +
+          '              <field name="VAR">z</field>' +
+          '              <value name="VALUE">' +
+          '                <block type="lexical_variable_get">' +
+          '                  <field name="VAR">x</field></block></value>' +
+          '              <next><block type="lexical_variable_set" id="setY">' +
+          '                <field name="VAR">y</field></block></next>' +
+          '            </block>' +
+          '          </statement>' +
+          '        </block>' +
+          '          </next>' +
+          '        </block>' +
+          '      </statement>' +
+          '    </block>' +
+          '      </next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      this.unused = function(checker) {
+        return checker.check().map((variable) =>
+          variable.kind + ' ' + variable.name + ' in ' + variable.block.id);
+      };
+    });
+    teardown(function() {
+      delete this.unused;
+    });
+
+    test('Variables that are never read', function() {
+      const checker = new UnusedVariables(this.workspace);
+      chai.assert.sameMembers(this.unused(checker), ['global h in h',
+        'parameter b in def', 'local y in xy', 'counter i in loop',
+        'local z in z']);
+      const h = this.workspace.getBlockById('h');
+      chai.assert.deepEqual(getUnusedVariables(h).map((variable) =>
+        variable.name), ['h']);
+      chai.assert.deepEqual(
+          getUnusedVariables(this.workspace.getBlockById('g')), []);
+      chai.assert.isTrue(h.hasWarning);
+      chai.assert.isNotOk(this.workspace.getBlockById('g').hasWarning);
+      checker.dispose();
+      chai.assert.deepEqual(getUnusedVariables(h), []);
+      chai.assert.isFalse(h.hasWarning);
+    });
+    test('Parameters and loop counters can be exempt', function() {
+      const checker = new UnusedVariables(this.workspace,
+          {ignoreParameters: true, ignoreLoopCounters: true});
+      chai.assert.sameMembers(this.unused(checker),
+          ['global h in h', 'local y in xy', 'local z in z']);
+      chai.assert.isNotOk(this.workspace.getBlockById('def').hasWarning);
+      checker.dispose();
+    });
+    test('The quick fix removes unused variables', function() {
+      const checker = new UnusedVariables(this.workspace,
+          {ignoreParameters: true, ignoreLoopCounters: true});
+      checker.check();
+      const quickFix =
+          Blockly.ContextMenuRegistry.registry.getItem('removeUnusedVariable');
+      const scopeOf = (id) => ({block: this.workspace.getBlockById(id)});
+      chai.assert.equal(quickFix.preconditionFn(scopeOf('g')), 'hidden');
+      chai.assert.equal(quickFix.preconditionFn(scopeOf('def')), 'hidden');
+      chai.assert.equal(quickFix.preconditionFn(scopeOf('h')), 'enabled');
+      chai.assert.equal(quickFix.displayText(scopeOf('h')),
+          'Remove unused variable');
+
+      // The global goes with its setter, which its procedure's body heals
+      // over.
+      quickFix.callback(scopeOf('h'));
+      chai.assert.isNull(this.workspace.getBlockById('h'));
+      chai.assert.isNull(this.workspace.getBlockById('setH'));
+      chai.assert.equal(this.workspace.getBlockById('def')
+          .getInputTargetBlock('STACK').id, 'xy');
+
+      // A name of several goes with its initial value.
+      quickFix.callback(scopeOf('xy'));
+      const xy = this.workspace.getBlockById('xy');
+      chai.assert.deepEqual(xy.declaredNames(), ['x']);
+      chai.assert.equal(xy.getInputTargetBlock('DECL0').type,
+          'lexical_variable_get');
+      chai.assert.isNull(this.workspace.getBlockById('yValue'));
+      chai.assert.isNull(this.workspace.getBlockById('setY'));
+
+      // A declaration of a single name is replaced by its body.
+      quickFix.callback(scopeOf('z'));
+      chai.assert.isNull(this.workspace.getBlockById('z'));
+      chai.assert.isNull(this.workspace.getBlockById('setZ'));
+      chai.assert.isNull(this.workspace.getBlockById('loop').getNextBlock());
+      // Its setter held the only read of x.
+      chai.assert.sameMembers(this.unused(checker), ['local x in xy']);
+      checker.dispose();
+    });
+    test('Warnings are kept up to date', async function() {
+      const checker = new UnusedVariables(this.workspace);
+      checker.listen();
+      const h = this.workspace.getBlockById('h');
+      chai.assert.isTrue(h.hasWarning);
+      const get = this.workspace.newBlock('lexical_variable_get');
+      get.setFieldValue('global h', 'VAR');
+      this.workspace.getBlockById('setY').getInput('VALUE').connection
+          .connect(get.outputConnection);
+      // Blockly fires change events asynchronously.
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      chai.assert.isFalse(h.hasWarning);
+      chai.assert.deepEqual(getUnusedVariables(h), []);
+      get.dispose();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      chai.assert.isTrue(h.hasWarning);
+      checker.dispose();
+    });
+  });
+
+  suite('Checking as blocks change', function() {
+    setup(function() {
+      // Blockly fires change events asynchronously.
+      this.fireEvents = function() {
+        return new Promise((resolve) => setTimeout(resolve, 0));
+      };
+    });
+    teardown(function() {
+      delete this.fireEvents;
+    });
+
+    test('Errors are kept up to date', async function() {
+      this.load('<xml>' +
+          '<block type="typed_local_declaration_statement" id="local">' +
+          '  <field name="VAR">x</field>' +
+          '  <field name="TYPE">number</field>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set" id="set">' +
+          '      <field name="VAR">x</field>' +
+          '      <value name="VALUE"><block type="text" id="text">' +
+          '        <field name="TEXT">one</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      const typeManager = this.workspace.getTypeManager();
+      chai.assert.strictEqual(this.workspace.getTypeManager(), typeManager);
+      await this.fireEvents();
+      const local = this.workspace.getBlockById('local');
+      const set = this.workspace.getBlockById('set');
+      chai.assert.deepEqual(
+          typeManager.getBlockErrors(set).map((error) => error.message),
+          ['Type mismatch: cannot assign string to variable x of type ' +
+            'number']);
+      chai.assert.isTrue(set.hasError);
+
+      local.setFieldValue('string', 'TYPE');
+      await this.fireEvents();
+      chai.assert.deepEqual(typeManager.getBlockErrors(set), []);
+      chai.assert.isFalse(set.hasError);
+
+      this.workspace.getBlockById('text').dispose();
+      set.getInput('VALUE').connection.connect(
+          this.workspace.newBlock('math_number').outputConnection);
+      await this.fireEvents();
+      chai.assert.isTrue(set.hasError);
+      local.dispose();
+      await this.fireEvents();
+      chai.assert.deepEqual(typeManager.getTypeErrors(), []);
+    });
+    test('Changes to globals reach where they are used', async function() {
+      this.load('<xml>' +
+          '<block type="global_declaration" id="g">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE"><block type="math_number" id="value">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="typed_local_declaration_statement" id="local">' +
+          '  <field name="VAR">s</field>' +
+          '  <field name="TYPE">string</field>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set" id="set">' +
+          '      <field name="VAR">s</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get">' +
+          '        <field name="VAR">global g</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      const typeManager = this.workspace.getTypeManager();
+      await this.fireEvents();
+      const set = this.workspace.getBlockById('set');
+      chai.assert.equal(typeManager.getBlockErrors(set).length, 1);
+      chai.assert.isTrue(set.hasError);
+
+      this.workspace.getBlockById('value').dispose();
+      const text = this.workspace.newBlock('text');
+      this.workspace.getBlockById('g').getInput('VALUE').connection.connect(
+          text.outputConnection);
+      await this.fireEvents();
+      chai.assert.deepEqual(typeManager.getBlockErrors(set), []);
+      chai.assert.isFalse(set.hasError);
+    });
+    test('Uses of a struct type follow its declaration', async function() {
+      this.load('<xml>' + this.types +
+          '<block type="typed_global_declaration" id="g">' +
+          '  <field name="NAME">g</field>' +
+          '  <field name="TYPE">Point[]</field>' +
+          '</block>' +
+          '<block type="procedures_defreturn" id="def">' +
+          '  <mutation return_type="Point">' +
+          '    <arg name="a" type="Point"></arg>' +
+          '  </mutation>' +
+          '  <field name="NAME">f</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <value name="RETURN"><block type="struct_create" id="create">' +
+          '    <mutation><field name="x"></field><field name="label">' +
+          '    </field></mutation>' +
+          '    <field name="TYPE">Point</field>' +
+          '    <value name="FIELD_label"><block type="text" id="text">' +
+          '      <field name="TEXT">origin</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>');
+      this.workspace.getTypeManager();
+      await this.fireEvents();
+      const point = this.workspace.getBlockById('point');
+      const create = this.workspace.getBlockById('create');
+
+      // The inputs follow the fields, keeping the values of those that
+      // remain.
+      const y = this.workspace.newBlock('struct_field');
+      y.setFieldValue('y', 'NAME');
+      this.workspace.getBlockById('x').nextConnection.connect(
+          y.previousConnection);
+      await this.fireEvents();
+      chai.assert.deepEqual(create.inputList.slice(1).map((input) =>
+        input.name), ['FIELD_x', 'FIELD_y', 'FIELD_label']);
+      chai.assert.equal(create.getInputTargetBlock('FIELD_label').id,
+          'text');
+
+      // Renaming the type renames where it's used.
+      point.setFieldValue('Vector', 'NAME');
+      await this.fireEvents();
+      chai.assert.equal(this.workspace.getBlockById('g')
+          .getFieldValue('TYPE'), 'Vector[]');
+      chai.assert.equal(create.getFieldValue('TYPE'), 'Vector');
+      const def = this.workspace.getBlockById('def');
+      chai.assert.deepEqual(def.getParameterTypes(), ['Vector']);
+      chai.assert.equal(def.getReturnType(), 'Vector');
+      chai.assert.deepEqual(this.workspace.getTypeManager().getTypeErrors(),
+          []);
+
+      // Deleting it leaves the uses in error.
+      point.dispose();
+      await this.fireEvents();
+      chai.assert.isTrue(create.hasError);
+    });
+    test('Connection checks follow declared types', async function() {
+      chai.assert.deepEqual(Utilities.typeToBlocklyType('int'), ['Number']);
+      chai.assert.deepEqual(Utilities.typeToBlocklyType('char*'),
+          ['String']);
+      chai.assert.deepEqual(Utilities.typeToBlocklyType('number[]'),
+          ['Array']);
+      chai.assert.deepEqual(Utilities.typeToBlocklyType('Point'), ['Point']);
+      chai.assert.isNull(Utilities.typeToBlocklyType('any'));
+      chai.assert.isNull(Utilities.typeToBlocklyType('Promise<number>'));
+
+      this.load('<xml>' +
+          '<block type="typed_global_declaration" id="g">' +
+          '  <field name="NAME">n</field>' +
+          '  <field name="TYPE">number</field>' +
+          '  <value name="DECL"><block type="math_number" id="one">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="typed_local_declaration_statement" id="local">' +
+          '  <field name="VAR">s</field>' +
+          '  <field name="TYPE">string</field>' +
+          '  <value name="DECL"><block type="typed_lexical_variable_get" ' +
+          '    id="get"><field name="VAR">global n</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="typed_lexical_variable_set" id="set">' +
+          '      <field name="VAR">s</field>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="procedures_callreturn" id="call">' +
+          '  <mutation name="twice"><arg name="x"></arg></mutation>' +
+          '  <field name="PROCNAME">twice</field>' +
+          '</block>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation return_type="number">' +
+          '    <arg name="x" type="int"></arg>' +
+          '  </mutation>' +
+          '  <field name="NAME">twice</field>' +
+          '  <field name="VAR0">x</field>' +
+          '</block>' +
+          '</xml>');
+      const typeManager = this.workspace.getTypeManager();
+      await this.fireEvents();
+      const checker = this.workspace.connectionChecker;
+      const local = this.workspace.getBlockById('local');
+      const get = this.workspace.getBlockById('get');
+      const set = this.workspace.getBlockById('set');
+      const call = this.workspace.getBlockById('call');
+      chai.assert.deepEqual(set.getInput('VALUE').connection.getCheck(),
+          ['String']);
+      chai.assert.deepEqual(call.getInput('ARG0').connection.getCheck(),
+          ['Number']);
+      chai.assert.deepEqual(call.outputConnection.getCheck(), ['Number']);
+
+      // Values of other types are rejected.
+      const text = this.workspace.newBlock('text');
+      const number = this.workspace.newBlock('math_number');
+      chai.assert.isTrue(checker.canConnect(
+          set.getInput('VALUE').connection, text.outputConnection, false));
+      chai.assert.isFalse(checker.canConnect(
+          set.getInput('VALUE').connection, number.outputConnection, false));
+      chai.assert.isFalse(checker.canConnect(
+          call.outputConnection, set.getInput('VALUE').connection, false));
+
+      // The number getter loaded into the string declaration is left there,
+      // and flagged.
+      chai.assert.equal(local.getInputTargetBlock('DECL'), get);
+      chai.assert.deepEqual(typeManager.getBlockErrors(local).map((error) =>
+        error.message), ['Type mismatch: cannot assign number to variable ' +
+          's of type string']);
+
+      // Changing the type of the global unplugs the value that no longer
+      // fits, and lets the getter fit.
+      this.workspace.getBlockById('g').setFieldValue('string', 'TYPE');
+      await this.fireEvents();
+      chai.assert.isNull(this.workspace.getBlockById('one').getParent());
+      chai.assert.deepEqual(get.outputConnection.getCheck(), ['String']);
+      chai.assert.equal(local.getInputTargetBlock('DECL'), get);
+      chai.assert.deepEqual(typeManager.getTypeErrors(), []);
+
+      // And changing that of the local unplugs the getter.
+      local.setFieldValue('boolean', 'TYPE');
+      await this.fireEvents();
+      chai.assert.isNull(get.getParent());
+      chai.assert.deepEqual(local.getInput('DECL').connection.getCheck(),
+          ['Boolean']);
+    });
+    test('Quick fix casts the offending value', async function() {
+      this.load('<xml>' +
+          '<block type="typed_global_declaration" id="d">' +
+          '  <field name="NAME">d</field>' +
+          '  <field name="TYPE">double</field>' +
+          '</block>' +
+          '<block type="typed_local_declaration_statement">' +
+          '  <field name="VAR">i</field>' +
+          '  <field name="TYPE">int</field>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set" id="set">' +
+          '      <field name="VAR">i</field>' +
+          '      <value name="VALUE"><block type="lexical_variable_get"' +
+          '          id="get">' +
+          '        <field name="VAR">global d</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      const typeManager = this.workspace.getTypeManager();
+      await this.fireEvents();
+      const block = this.workspace.getBlockById('set');
+      chai.assert.isTrue(block.hasWarning);
+      const quickFix =
+          Blockly.ContextMenuRegistry.registry.getItem('typedCastQuickFix');
+      const scope = {block: block};
+      chai.assert.equal(quickFix.preconditionFn(scope), 'enabled');
+      chai.assert.equal(quickFix.displayText(scope), 'Cast to int');
+      chai.assert.equal(quickFix.preconditionFn(
+          {block: this.workspace.getBlockById('d')}), 'hidden');
+
+      quickFix.callback(scope);
+      await this.fireEvents();
+      const cast = block.getInputTargetBlock('VALUE');
+      chai.assert.equal(cast.type, 'typed_cast');
+      chai.assert.equal(cast.getFieldValue('TYPE'), 'int');
+      chai.assert.equal(cast.getInputTargetBlock('VALUE').id, 'get');
+      chai.assert.deepEqual(typeManager.getBlockErrors(block), []);
+      chai.assert.isFalse(block.hasWarning);
+      chai.assert.equal(quickFix.preconditionFn(scope), 'hidden');
+    });
+
+    test('Only the affected scopes are checked again', async function() {
+      // 300 typed locals, and 500 typed globals initialized with an untyped
+      // global g: 1,602 blocks.
+      let xml = '<xml>' +
+          '<block type="global_declaration" id="g">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE"><block type="math_number" id="init">' +
+          '    <field name="NUM">0</field></block></value>' +
+          '</block>';
+      for (let i = 0; i < 300; i++) {
+        xml += this.local('local' + i, 'i', 'number', 'set' + i);
+      }
+      for (let i = 0; i < 500; i++) {
+        xml += '<block type="typed_global_declaration" id="h' + i + '">' +
+            '  <field name="NAME">h' + i + '</field>' +
+            '  <field name="TYPE">number</field>' +
+            '  <value name="DECL"><block type="lexical_variable_get">' +
+            '    <field name="VAR">global g</field></block></value>' +
+            '</block>';
+      }
+      // Without the events for loading the blocks, which every block's
+      // onchange would see.
+      Blockly.Events.disable();
+      try {
+        this.load(xml + '</xml>');
+      } finally {
+        Blockly.Events.enable();
+      }
+      const typeManager = this.workspace.getTypeManager();
+      chai.assert.equal(this.workspace.getAllBlocks(false).length, 1602);
+      chai.assert.equal(typeManager.getTypeErrors().length, 0);
+      const checked = [];
+      const checkBlockTypeErrors = typeManager.checkBlockTypeErrors;
+      typeManager.checkBlockTypeErrors = function(block) {
+        checked.push(block.id);
+        return checkBlockTypeErrors.call(this, block);
+      };
+      // The number of times the type manager goes through the workspace's
+      // blocks.
+      let scans = 0;
+      let handling = false;
+      const onChange = typeManager.onChange_;
+      typeManager.onChange_ = function(event) {
+        handling = true;
+        try {
+          return onChange.call(this, event);
+        } finally {
+          handling = false;
+        }
+      };
+      ['getAllBlocks', 'getTopBlocks', 'getBlocksByType'].forEach((name) => {
+        const method = this.workspace[name];
+        this.workspace[name] = function(...args) {
+          scans += handling ? 1 : 0;
+          return method.apply(this, args);
+        };
+      });
+      const text = this.workspace.newBlock('text');
+      this.workspace.getBlockById('set7').getInput('VALUE').connection
+          .connect(text.outputConnection);
+      await this.fireEvents();
+      chai.assert.sameMembers([...new Set(checked)],
+          ['local7', 'set7', text.id]);
+      chai.assert.isTrue(this.workspace.getBlockById('set7').hasError);
+
+      // Only g, and the globals it initializes, depend on g's initializer,
+      // and each of their blocks is checked once.
+      checked.length = 0;
+      scans = 0;
+      this.workspace.getBlockById('init').setFieldValue('1', 'NUM');
+      await this.fireEvents();
+      chai.assert.lengthOf(checked, 1002);
+      chai.assert.lengthOf(new Set(checked), 1002);
+      chai.assert.includeMembers(checked, ['g', 'init', 'h0', 'h499']);
+      chai.assert.isAtMost(scans, 20);
+      chai.assert.equal(typeManager.getTypeErrors().length, 1);
+
+      const name = this.workspace.newBlock('text');
+      this.workspace.getBlockById('g').getInput('VALUE').connection
+          .connect(name.outputConnection);
+      await this.fireEvents();
+      chai.assert.equal(typeManager.getTypeErrors().length, 501);
+      chai.assert.isTrue(this.workspace.getBlockById('h499').hasError);
+    });
+  });
+});
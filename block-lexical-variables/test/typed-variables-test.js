@@ -120,7 +120,7 @@ describe('Typed Variables', function() {
       assert.equal(field.getLanguage(), 'c');
       
       // Check that C types are available
-      const options = field.menuGenerator_;
+      const options = field.getOptions(false);
       const hasIntType = options.some(option => option[1] === 'int');
       assert.isTrue(hasIntType);
     });
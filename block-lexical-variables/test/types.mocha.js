@@ -0,0 +1,171 @@
+/**
+ * @license
+ * @fileoverview Type parser tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import * as Types from '../src/types';
+import {FieldTypeDropdown} from '../src/fields/field_type_dropdown';
+import {declaration, getDefaultValue as getCDefaultValue, getCType}
+  from '../src/generators/c/types';
+import {getDefaultValue, getTsType} from '../src/generators/typescript/types';
+import {TypeManager} from '../src/typeManager';
+
+import chai from 'chai';
+
+suite ('Types', function() {
+  test('Parsing', function() {
+    chai.assert.deepEqual(Types.parseType('Map<string, number[]>'),
+        Types.nameType('Map', [
+          Types.nameType('string'),
+          Types.arrayType(Types.nameType('number')),
+        ]));
+    chai.assert.deepEqual(Types.parseType('int**'),
+        Types.pointerType(Types.pointerType(Types.nameType('int'))));
+    chai.assert.deepEqual(Types.parseType('(a: number, string) => void'),
+        Types.functionType(
+            [Types.nameType('number'), Types.nameType('string')],
+            Types.nameType('void')));
+    chai.assert.deepEqual(Types.parseType('(() => boolean)[]'),
+        Types.arrayType(Types.functionType([], Types.nameType('boolean'))));
+    chai.assert.deepEqual(Types.parseType('array'),
+        Types.arrayType(Types.nameType('any')));
+    chai.assert.deepEqual(Types.parseType('Promise<Map<string, int>>'),
+        Types.nameType('Promise', [Types.nameType('Map',
+            [Types.nameType('string'), Types.nameType('int')])]));
+    chai.assert.deepEqual(Types.parseType('string | null | string'),
+        Types.unionType([Types.nameType('string'), Types.nameType('null')]));
+    chai.assert.deepEqual(Types.parseType('(int | float)[]'),
+        Types.arrayType(Types.unionType(
+            [Types.nameType('int'), Types.nameType('float')])));
+    chai.assert.deepEqual(Types.parseType('() => number | undefined'),
+        Types.functionType([], Types.unionType(
+            [Types.nameType('number'), Types.nameType('undefined')])));
+    ['', 'number[', 'Map<string', 'a b', '(number, string)', '=> void',
+      'string |']
+        .forEach((text) => {
+          chai.assert.throws(() => Types.parseType(text), /Invalid type/);
+          chai.assert.isNull(Types.tryParseType(text));
+        });
+  });
+  test('Printing', function() {
+    ['Map<string, number[]>', 'int**', '(number, string) => void',
+      '(() => boolean)[]', 'array', 'Promise<any>', 'string | null',
+      '(number | undefined)[]', '(() => void) | null'].forEach((text) => {
+      chai.assert.equal(Types.formatType(Types.parseType(text)), text);
+    });
+    chai.assert.equal(getTsType('Map<string, number[]>'),
+        'Map<string, number[]>');
+    chai.assert.equal(getTsType('(int, char*) => bool'),
+        '(arg0: number, arg1: string) => boolean');
+    chai.assert.equal(getTsType('(() => void)[]'), '(() => void)[]');
+    chai.assert.equal(getTsType('array'), 'any[]');
+    chai.assert.equal(getTsType('Widget'), 'any');
+    chai.assert.equal(getCType('int**'), 'int**');
+    chai.assert.equal(getCType('string[]'), 'char**');
+    chai.assert.equal(getCType('Map<string, number>'), 'void*');
+    chai.assert.equal(getCType('array'), 'void*');
+    chai.assert.equal(getTsType('(int | char*)[] | null'),
+        '(number | string)[] | null');
+    chai.assert.equal(getCType('char* | null'), 'char*');
+    chai.assert.equal(getCType('int | char*'), 'double');
+  });
+  test('Compatibility', function() {
+    const typeManager = new TypeManager(null);
+    const compatible = (target, source) =>
+      typeManager.areTypesCompatible(target, source);
+    chai.assert.isTrue(compatible('number', 'int'));
+    chai.assert.isTrue(compatible('array', 'string[]'));
+    chai.assert.isTrue(compatible('Map<string, number[]>',
+        'Map<string, int[]>'));
+    chai.assert.isFalse(compatible('Map<string, number[]>',
+        'Map<string, string[]>'));
+    chai.assert.isFalse(compatible('int**', 'int*'));
+    chai.assert.isTrue(compatible('Promise<number>', 'Promise<any>'));
+    chai.assert.isTrue(compatible('(number) => string', '(int) => string'));
+    chai.assert.isFalse(compatible('(number) => string', '() => string'));
+    chai.assert.isTrue(compatible('function', '() => void'));
+    chai.assert.isFalse(compatible('number[', 'number'));
+    chai.assert.isTrue(compatible('string | null', 'string'));
+    chai.assert.isTrue(compatible('string | null', 'null'));
+    chai.assert.isFalse(compatible('string', 'string | null'));
+    chai.assert.isFalse(compatible('string', 'null'));
+    chai.assert.isTrue(compatible('number | string', 'int | string'));
+    chai.assert.isFalse(compatible('number | undefined', 'null'));
+
+    chai.assert.isTrue(typeManager.isNarrowingConversion('float', 'double'));
+    chai.assert.isFalse(typeManager.isNarrowingConversion('int[]',
+        'double[]'));
+    chai.assert.isTrue(typeManager.isCastable('string', 'int'));
+    chai.assert.isTrue(typeManager.isCastable('number[]', 'array'));
+    chai.assert.isFalse(typeManager.isCastable('number[]', 'string'));
+  });
+  test('Default values', function() {
+    chai.assert.equal(getDefaultValue('Map<string, number>'), 'new Map()');
+    chai.assert.equal(getDefaultValue('number[][]'), '[]');
+    chai.assert.equal(getDefaultValue('(arg0: number) => string'),
+        '() => (\'\')');
+    chai.assert.equal(getDefaultValue('Promise<string>'),
+        'new Promise(() => {})');
+    chai.assert.equal(getDefaultValue('string | null'), 'null');
+    chai.assert.equal(getDefaultValue('number | undefined'), 'undefined');
+    chai.assert.equal(getDefaultValue('number | string'), '0');
+    const generator = {include: () => {}};
+    chai.assert.equal(getCDefaultValue(generator, 'char*'), '""');
+    chai.assert.equal(getCDefaultValue(generator, 'int**'), 'NULL');
+    chai.assert.equal(getCDefaultValue(generator, 'char'), '\'\\0\'');
+  });
+  test('Dropdown options', function() {
+    chai.assert.deepEqual(FieldTypeDropdown.getTypeOptions('typescript')
+        .slice(4, 5), [['Array', 'array']]);
+    chai.assert.deepEqual(FieldTypeDropdown.getTypeOptions('c').slice(3, 5),
+        [['char', 'char'], ['char*', 'char*']]);
+    const field = new FieldTypeDropdown('number[]', 'typescript');
+    chai.assert.isTrue(field.isArrayType());
+    chai.assert.equal(field.getBaseType(), 'number');
+  });
+  test('Entering other types', function() {
+    const validate = FieldTypeDropdown.validateType;
+    chai.assert.isNull(validate('Map<string, Player>', 'typescript',
+        ['Player']));
+    chai.assert.equal(validate('Map<string, Player>', 'typescript'),
+        'Unknown type Player in TypeScript');
+    chai.assert.isNull(validate('uint8_t*', 'c'));
+    chai.assert.equal(validate('Map<string, int>', 'c'),
+        'Unknown type Map in C');
+    chai.assert.match(validate('Map<string', 'typescript'), /Invalid type/);
+    chai.assert.equal(getCType('uint8_t*'), 'uint8_t*');
+    const headers = [];
+    chai.assert.equal(declaration({include: (header) => headers.push(header)},
+        'uint8_t*', 'bytes'), 'uint8_t* bytes');
+    chai.assert.deepEqual(headers, ['stdint.h']);
+
+    // An invalid type is asked for again, with its error.
+    const answers = ['Set<Widget>', 'Set<number>'];
+    const messages = [];
+    Blockly.dialog.setPrompt((message, defaultText, callback) => {
+      messages.push(message);
+      callback(answers.shift());
+    });
+    try {
+      const field = new FieldTypeDropdown('number', 'typescript');
+      chai.assert.equal(field.getOptions(false).pop()[1],
+          FieldTypeDropdown.OTHER);
+      field.onItemSelected_(null, {getValue: () => FieldTypeDropdown.OTHER});
+      chai.assert.deepEqual(messages,
+          ['Type:', 'Unknown type Widget in TypeScript\nType:']);
+      chai.assert.equal(field.getValue(), 'Set<number>');
+    } finally {
+      Blockly.dialog.setPrompt((message, defaultText, callback) =>
+        callback(window.prompt(message, defaultText)));
+    }
+    // Other dropdowns of the language offer it from now on.
+    chai.assert.deepEqual(FieldTypeDropdown.getRecentTypes('typescript'),
+        ['Set<number>']);
+    const options = new FieldTypeDropdown('any', 'typescript')
+        .getOptions(false).map((option) => option[1]);
+    chai.assert.deepEqual(options.slice(-2),
+        ['Set<number>', FieldTypeDropdown.OTHER]);
+    chai.assert.deepEqual(FieldTypeDropdown.getRecentTypes('c'), []);
+  });
+});
@@ -0,0 +1,877 @@
+/**
+ * @license
+ * @fileoverview TypeScript generator tests.
+ */
+
+import * as Blockly from 'blockly/core';
+import * as En from 'blockly/msg/en';
+import 'blockly/blocks';
+
+import '../src/msg';
+import '../src/utilities';
+import '../src/workspace';
+import '../src/procedure_utils';
+import '../src/fields/flydown';
+import '../src/fields/field_flydown';
+import '../src/fields/field_global_flydown';
+import '../src/fields/field_nocheck_dropdown';
+import '../src/fields/field_lexical_variable';
+import '../src/fields/field_parameter_flydown';
+import '../src/fields/field_procedurename';
+import '../src/blocks/lexical-variables';
+import '../src/blocks/controls';
+import '../src/blocks/variable-get-set.js';
+import '../src/procedure_database';
+import '../src/blocks/procedures';
+import '../src/blocks/typed-variables';
+import '../src/blocks/type-declarations';
+import '../src/generators/procedures';
+import '../src/generators/typescript/controls';
+import '../src/generators/typescript/procedures';
+import '../src/generators/typescript/lexical-variables';
+import '../src/generators/typescript/typed-variables';
+import '../src/generators/typescript/type-declarations';
+import {typescriptGenerator, Order} from '../src/generators/typescript/typescript_generator';
+import {workspaceToDeclarations} from '../src/generators/typescript/declarations';
+import {checkWithCompiler, clearCompilerDiagnostics, createTscCompiler, getCompilerDiagnostics}
+  from '../src/generators/compiler-check';
+import {ErrorCheckers} from '../src/warningHandler';
+import {registerAsyncBlockType} from '../src/generators/async';
+import {setStepMode, StepMode} from '../src/generators/stepping';
+
+import chai from 'chai';
+import {execFileSync} from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Type check TypeScript programs with tsc, if it's installed.
+ * @param {!Array<string>} programs
+ * @return {boolean} False if tsc isn't installed.
+ */
+function typeCheck(programs) {
+  let tsc;
+  try {
+    tsc = __non_webpack_require__.resolve('typescript/bin/tsc');
+  } catch (e) {
+    return false;
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexical-ts-'));
+  try {
+    const files = programs.map((program, i) => {
+      const file = path.join(dir, 'program' + i + '.ts');
+      // Make each program a module so that their globals don't clash.
+      fs.writeFileSync(file, program + 'export {};\n');
+      return file;
+    });
+    execFileSync(process.execPath, [tsc, '--noEmit', '--strict',
+      '--target', 'es2020', '--lib', 'es2020', ...files]);
+  } catch (e) {
+    throw Error(e.stdout ? e.stdout.toString() : e.message);
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+  return true;
+}
+
+suite ('TypeScript Generator', function() {
+  // The generated programs, to be type checked together at the end, as tsc
+  // takes several seconds to start.
+  const programs = [];
+
+  setup(function() {
+    this.workspace = new Blockly.Workspace();
+    Blockly.common.setMainWorkspace(this.workspace);
+    // opt_prelude declares whatever the generated code uses from the host.
+    this.generate = function(xml, opt_prelude) {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml),
+          this.workspace);
+      const code = typescriptGenerator.workspaceToCode(this.workspace);
+      programs.push((opt_prelude || '') + code);
+      return code;
+    };
+  });
+  teardown(function() {
+    typescriptGenerator.INFER_TYPES = false;
+    typescriptGenerator.WATCH_SCOPES = false;
+    setStepMode(typescriptGenerator, StepMode.OFF);
+    typescriptGenerator.ASYNC_MODE = false;
+    this.workspace.dispose();
+    delete this.generate;
+    delete this.workspace;
+  });
+
+  suite('Declarations', function() {
+    test('Typed global', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">count</field>' +
+          '  <field name="TYPE">number</field>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">names</field>' +
+          '  <field name="TYPE">string[]</field>' +
+          '  <value name="DECL"><block type="lists_create_with">' +
+          '    <mutation items="1"></mutation>' +
+          '    <value name="ADD0"><block type="text">' +
+          '      <field name="TEXT">Ada</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'let count: number = 0;\n\n' +
+          'let names: string[] = [\'Ada\'];\n');
+    });
+    test('Untyped global can change type', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">x</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="lexical_variable_set">' +
+          '  <field name="VAR">global x</field>' +
+          '  <value name="VALUE"><block type="text">' +
+          '    <field name="TEXT">one</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'let x: any = 1;\n\nx = \'one\';\n');
+    });
+    test('Nullable and optional', function() {
+      const global = (name, type, opt_value) =>
+        '<block type="typed_global_declaration">' +
+        '  <field name="NAME">' + name + '</field>' +
+        '  <field name="TYPE">' + type + '</field>' +
+        (opt_value ? '<value name="DECL">' + opt_value + '</value>' : '') +
+        '</block>';
+      const code = this.generate('<xml>' +
+          global('name', 'string | null') +
+          global('count', 'number | undefined') +
+          global('ids', '(int | char*)[] | null',
+              '<block type="logic_null"></block>') +
+          '</xml>');
+      chai.assert.equal(code, 'let name: string | null = null;\n\n' +
+          'let count: number | undefined = undefined;\n\n' +
+          'let ids: (number | string)[] | null = null;\n');
+    });
+    test('Locals', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_local_declaration_statement">' +
+          '  <field name="VAR">x</field>' +
+          '  <field name="TYPE">boolean</field>' +
+          '  <statement name="DO">' +
+          '    <block type="local_declaration_statement">' +
+          '      <mutation><localname name="x"></localname></mutation>' +
+          '      <field name="VAR0">x</field>' +
+          '      <value name="DECL0"><block type="typed_lexical_variable_get">' +
+          '        <field name="VAR">x</field></block></value>' +
+          '      <statement name="STACK">' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">x</field>' +
+          '          <value name="VALUE"><block type="math_number">' +
+          '            <field name="NUM">2</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, '{\n' +
+          '  let x: boolean = false;\n' +
+          '  {\n' +
+          '    let x2: any = x;\n' +
+          '    x2 = 2;\n' +
+          '  }\n' +
+          '}\n');
+    });
+    test('Expression', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname>' +
+          '        <localname name="b"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <field name="VAR1">b</field>' +
+          '      <value name="DECL0"><block type="math_number">' +
+          '        <field name="NUM">1</field></block></value>' +
+          '      <value name="DECL1"><block type="math_number">' +
+          '        <field name="NUM">2</field></block></value>' +
+          '      <value name="RETURN"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A"><block type="lexical_variable_get">' +
+          '          <field name="VAR">a</field></block></value>' +
+          '        <value name="B"><block type="lexical_variable_get">' +
+          '          <field name="VAR">b</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code,
+          'let g: any = ((a: any, b: any) => a + b)(1, 2);\n');
+    });
+  });
+
+  suite('Loops', function() {
+    test('forRange', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">5</field></block></value>' +
+          '  <value name="BY"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.equal(code, 'for (let i: number = 1; i <= 5; i++) {\n}\n');
+    });
+    test('forRange with computed bounds', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="TO"><block type="math_arithmetic">' +
+          '    <field name="OP">MULTIPLY</field>' +
+          '    <value name="A"><block type="math_number">' +
+          '      <field name="NUM">2</field></block></value>' +
+          '    <value name="B"><block type="math_number">' +
+          '      <field name="NUM">3</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'let i_end: number = 2 * 3;\n');
+      chai.assert.include(code, 'let i_inc: number = 1;\n');
+      chai.assert.include(code, 'for (let i: number = 1; ');
+    });
+    test('forEach item has the element type', function() {
+      const code = this.generate('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">names</field>' +
+          '  <field name="TYPE">string[]</field>' +
+          '</block>' +
+          '<block type="controls_forEach">' +
+          '  <field name="VAR">name</field>' +
+          '  <value name="LIST"><block type="typed_lexical_variable_get">' +
+          '    <field name="VAR">global names</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="lexical_variable_set">' +
+          '      <field name="VAR">name</field>' +
+          '      <value name="VALUE"><block type="text">' +
+          '        <field name="TEXT">x</field></block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          'for (let name_index: number = 0; name_index < names.length; ' +
+          'name_index++) {\n' +
+          '  let name: string = names[name_index];\n' +
+          '  name = \'x\';\n' +
+          '}\n');
+    });
+    test('Typed loop variables', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forRange">' +
+          '  <field name="VAR">i</field>' +
+          '  <field name="TYPE">number</field>' +
+          '  <value name="FROM"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '  <value name="TO"><block type="math_number">' +
+          '    <field name="NUM">5</field></block></value>' +
+          '  <statement name="DO">' +
+          '    <block type="controls_forEach">' +
+          '      <field name="VAR">s</field>' +
+          '      <field name="TYPE">string</field>' +
+          '      <value name="LIST"><block type="lists_create_with">' +
+          '        <mutation items="1"></mutation>' +
+          '        <value name="ADD0"><block type="text">' +
+          '          <field name="TEXT">a</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'for (let i: number = 1; i <= 5; i++) {\n');
+      chai.assert.include(code, '  const s_list: string[] = [\'a\'];\n');
+      chai.assert.include(code, '    let s: string = s_list[s_index];\n');
+    });
+    test('forEach over an expression', function() {
+      const code = this.generate('<xml>' +
+          '<block type="controls_forEach">' +
+          '  <field name="VAR">n</field>' +
+          '  <value name="LIST"><block type="lists_create_with">' +
+          '    <mutation items="2"></mutation>' +
+          '    <value name="ADD0"><block type="math_number">' +
+          '      <field name="NUM">1</field></block></value>' +
+          '    <value name="ADD1"><block type="math_number">' +
+          '      <field name="NUM">2</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'const n_list: any[] = [1, 2];\n');
+      chai.assert.include(code, '  let n: any = n_list[n_index];\n');
+    });
+    test('Do then return', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">h</field>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE">' +
+          '    <block type="controls_do_then_return">' +
+          '      <statement name="STM">' +
+          '        <block type="lexical_variable_set">' +
+          '          <field name="VAR">global h</field>' +
+          '          <value name="VALUE"><block type="math_number">' +
+          '            <field name="NUM">1</field></block></value>' +
+          '        </block>' +
+          '      </statement>' +
+          '      <value name="VALUE"><block type="math_number">' +
+          '        <field name="NUM">2</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          'let g: any = (() => {\n  h = 1;\n  return 2;\n})();\n');
+    });
+  });
+
+  suite('Procedures', function() {
+    test('Definition and call', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation><arg name="a"></arg></mutation>' +
+          '  <field name="NAME">identity</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">a</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <field name="NAME">greet</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="typed_local_declaration_statement">' +
+          '      <field name="VAR">s</field>' +
+          '      <field name="TYPE">string</field>' +
+          '      <value name="DECL"><block type="procedures_callreturn">' +
+          '        <mutation name="identity"><arg name="a"></arg></mutation>' +
+          '        <field name="PROCNAME">identity</field>' +
+          '        <value name="ARG0"><block type="text">' +
+          '          <field name="TEXT">s</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="procedures_callnoreturn">' +
+          '  <mutation name="greet"></mutation>' +
+          '  <field name="PROCNAME">greet</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          'function identity(a: any): any {\n  return a;\n}\n');
+      chai.assert.include(code, 'function greet(): void {\n' +
+          '  {\n' +
+          '    let s: string = identity(\'s\');\n' +
+          '  }\n' +
+          '}\n');
+      chai.assert.include(code, 'greet();\n');
+    });
+    test('Typed signature', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation return_type="string">' +
+          '    <arg name="n" type="number"></arg><arg name="s"></arg>' +
+          '  </mutation>' +
+          '  <field name="NAME">describe</field>' +
+          '  <field name="VAR0">n</field>' +
+          '  <field name="VAR1">s</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">s</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <mutation><arg name="flag" type="boolean"></arg></mutation>' +
+          '  <field name="NAME">check</field>' +
+          '  <field name="VAR0">flag</field>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          'function describe(n: number, s: any): string {\n' +
+          '  return s;\n' +
+          '}\n');
+      chai.assert.include(code, 'function check(flag: boolean): void {\n');
+    });
+  });
+
+  suite('Type inference', function() {
+    setup(function() {
+      typescriptGenerator.INFER_TYPES = true;
+    });
+    test('Declarations', function() {
+      const code = this.generate('<xml>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">names</field>' +
+          '  <value name="VALUE"><block type="lists_create_with">' +
+          '    <mutation items="1"></mutation>' +
+          '    <value name="ADD0"><block type="text">' +
+          '      <field name="TEXT">Ada</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">x</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="lexical_variable_set">' +
+          '  <field name="VAR">global x</field>' +
+          '  <value name="VALUE"><block type="text">' +
+          '    <field name="TEXT">one</field></block></value>' +
+          '  <next><block type="simple_local_declaration_statement">' +
+          '    <field name="VAR">n</field>' +
+          '    <value name="DECL"><block type="math_arithmetic">' +
+          '      <field name="OP">MULTIPLY</field>' +
+          '      <value name="A"><block type="math_number">' +
+          '        <field name="NUM">2</field></block></value>' +
+          '      <value name="B"><block type="math_number">' +
+          '        <field name="NUM">3</field></block></value>' +
+          '    </block></value>' +
+          '    <statement name="DO">' +
+          '      <block type="controls_forEach">' +
+          '        <field name="VAR">name</field>' +
+          '        <value name="LIST"><block type="lexical_variable_get">' +
+          '          <field name="VAR">global names</field></block></value>' +
+          '      </block>' +
+          '    </statement>' +
+          '  </block></next>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'let names: string[] = [\'Ada\'];\n');
+      // x is assigned both a number and a string.
+      chai.assert.include(code, 'let x: any = 1;\n');
+      chai.assert.include(code, '  let n: number = 2 * 3;\n');
+      chai.assert.include(code, 'let name: string = names[name_index];\n');
+    });
+    test('Procedure return value', function() {
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <field name="NAME">greeting</field>' +
+          '  <value name="RETURN">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <value name="DECL0"><block type="text">' +
+          '        <field name="TEXT">Hi</field></block></value>' +
+          '      <value name="RETURN"><block type="lexical_variable_get">' +
+          '        <field name="VAR">a</field></block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">g</field>' +
+          '  <value name="VALUE"><block type="procedures_callreturn">' +
+          '    <mutation name="greeting"></mutation>' +
+          '    <field name="PROCNAME">greeting</field></block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'function greeting(): string {\n' +
+          '  return ((a: string) => a)(\'Hi\');\n' +
+          '}\n');
+      chai.assert.include(code, 'let g: string = greeting();\n');
+    });
+  });
+
+  suite('Async mode', function() {
+    suiteSetup(function() {
+      // A stand-in for a block that calls a host API returning a Promise.
+      Blockly.Blocks['test_fetch'] = {
+        init: function() {
+          this.setOutput(true);
+        },
+      };
+      typescriptGenerator.forBlock['test_fetch'] = function() {
+        return ['await fetchValue()', Order.AWAIT];
+      };
+      registerAsyncBlockType('test_fetch');
+    });
+
+    test('Async procedures return Promises', function() {
+      typescriptGenerator.ASYNC_MODE = true;
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn">' +
+          '  <field name="NAME">next</field>' +
+          '  <value name="RETURN">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="a"></localname></mutation>' +
+          '      <field name="VAR0">a</field>' +
+          '      <value name="DECL0"><block type="math_number">' +
+          '        <field name="NUM">1</field></block></value>' +
+          '      <value name="RETURN"><block type="math_arithmetic">' +
+          '        <field name="OP">ADD</field>' +
+          '        <value name="A"><block type="lexical_variable_get">' +
+          '          <field name="VAR">a</field></block></value>' +
+          '        <value name="B"><block type="test_fetch"></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <field name="NAME">show</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="procedures_callnoreturn">' +
+          '      <mutation name="next"></mutation>' +
+          '      <field name="PROCNAME">next</field>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>', 'declare function fetchValue(): Promise<number>;\n');
+      chai.assert.include(code, 'async function next(): Promise<any> {\n' +
+          '  return await (async (a: any) => a + await fetchValue())(1);\n' +
+          '}');
+      chai.assert.include(code, 'async function show(): Promise<void> {\n' +
+          '  await next();\n' +
+          '}');
+    });
+  });
+
+  suite('Step mode', function() {
+    test('Procedures are generator functions', function() {
+      setStepMode(typescriptGenerator, StepMode.YIELD);
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defreturn" id="twice">' +
+          '  <mutation><arg name="a"></arg></mutation>' +
+          '  <field name="NAME">twice</field>' +
+          '  <field name="VAR0">a</field>' +
+          '  <value name="RETURN">' +
+          '    <block type="local_declaration_expression">' +
+          '      <mutation><localname name="b"></localname></mutation>' +
+          '      <field name="VAR0">b</field>' +
+          '      <value name="DECL0"><block type="lexical_variable_get">' +
+          '        <field name="VAR">a</field></block></value>' +
+          '      <value name="RETURN"><block type="math_arithmetic">' +
+          '        <field name="OP">MULTIPLY</field>' +
+          '        <value name="A"><block type="lexical_variable_get">' +
+          '          <field name="VAR">b</field></block></value>' +
+          '        <value name="B"><block type="math_number">' +
+          '          <field name="NUM">2</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn" id="show">' +
+          '  <field name="NAME">show</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="simple_local_declaration_statement" id="local">' +
+          '      <field name="VAR">x</field>' +
+          '      <value name="DECL"><block type="procedures_callreturn">' +
+          '        <mutation name="twice"><arg name="a"></arg></mutation>' +
+          '        <field name="PROCNAME">twice</field>' +
+          '        <value name="ARG0"><block type="math_number">' +
+          '          <field name="NUM">1</field></block></value>' +
+          '      </block></value>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code,
+          'function* twice(a: any): Generator<string, any, unknown> {\n' +
+          '  yield \'twice\';\n' +
+          '  return yield* (function*(b: any) {\n' +
+          '  return b * 2;\n' +
+          '})(a);\n' +
+          '}');
+      chai.assert.include(code,
+          'function* show(): Generator<string, void, unknown> {\n' +
+          '  yield \'show\';\n' +
+          '  yield \'local\';\n' +
+          '  {\n' +
+          '    let x: any = (yield* twice(1));\n');
+    });
+  });
+
+  suite('Watching scopes', function() {
+    test('Frames are published', function() {
+      typescriptGenerator.WATCH_SCOPES = true;
+      const code = this.generate('<xml>' +
+          '<block type="procedures_defnoreturn" id="show">' +
+          '  <mutation><arg name="items"></arg></mutation>' +
+          '  <field name="NAME">show</field>' +
+          '  <field name="VAR0">items</field>' +
+          '  <statement name="STACK">' +
+          '    <block type="controls_forEach" id="each">' +
+          '      <field name="VAR">item</field>' +
+          '      <value name="LIST"><block type="lexical_variable_get">' +
+          '        <field name="VAR">items</field></block></value>' +
+          '      <statement name="DO">' +
+          '        <block type="typed_local_declaration_statement" id="local">' +
+          '          <field name="VAR">n</field>' +
+          '          <field name="TYPE">number</field>' +
+          '        </block>' +
+          '      </statement>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="typed_global_declaration" id="decl">' +
+          '  <field name="NAME">count</field>' +
+          '  <field name="TYPE">number</field>' +
+          '</block>' +
+          '</xml>', 'declare const __scope: {\n' +
+          '  enter(id: string | null, variables: object): void;\n' +
+          '  exit(): void;\n' +
+          '};\n');
+      chai.assert.include(code,
+          '      let item: any = items[item_index];\n' +
+          '      __scope.enter(\'each\', {\'item\': () => item});\n');
+      chai.assert.include(code,
+          '          __scope.enter(\'local\', {\'n\': () => n});\n' +
+          '          try {\n' +
+          '          } finally {\n');
+      chai.assert.include(code,
+          '__scope.enter(null, {\'count\': () => count});\n' +
+          'let count: number = 0;\n');
+    });
+  });
+
+  suite('Struct and enum types', function() {
+    test('Interfaces and enums', function() {
+      const code = this.generate('<xml>' +
+          '<block type="struct_declaration">' +
+          '  <field name="NAME">Point</field>' +
+          '  <statement name="FIELDS">' +
+          '    <block type="struct_field">' +
+          '      <field name="NAME">x</field>' +
+          '      <field name="TYPE">number</field>' +
+          '      <next><block type="struct_field">' +
+          '        <field name="NAME">label</field>' +
+          '        <field name="TYPE">string</field>' +
+          '      </block></next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="enum_declaration">' +
+          '  <field name="NAME">Color</field>' +
+          '  <statement name="MEMBERS">' +
+          '    <block type="enum_member">' +
+          '      <field name="NAME">RED</field>' +
+          '      <next><block type="enum_member">' +
+          '        <field name="NAME">GREEN</field>' +
+          '      </block></next>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">origin</field>' +
+          '  <field name="TYPE">Point</field>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">p</field>' +
+          '  <field name="TYPE">Point</field>' +
+          '  <value name="DECL"><block type="struct_create">' +
+          '    <mutation><field name="x"></field><field name="label">' +
+          '    </field></mutation>' +
+          '    <field name="TYPE">Point</field>' +
+          '    <value name="FIELD_x"><block type="math_number">' +
+          '      <field name="NUM">3</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">c</field>' +
+          '  <field name="TYPE">Color</field>' +
+          '  <value name="DECL"><block type="enum_value">' +
+          '    <field name="VALUE">Color.GREEN</field></block></value>' +
+          '</block>' +
+          '<block type="struct_field_set">' +
+          '  <field name="FIELD">x</field>' +
+          '  <value name="OBJECT"><block type="lexical_variable_get">' +
+          '    <field name="VAR">global origin</field></block></value>' +
+          '  <value name="VALUE"><block type="struct_field_get">' +
+          '    <field name="FIELD">x</field>' +
+          '    <value name="OBJECT"><block type="lexical_variable_get">' +
+          '      <field name="VAR">global p</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>');
+      chai.assert.include(code, 'interface Point {\n' +
+          '  x: number;\n' +
+          '  label: string;\n' +
+          '}\n\n' +
+          'enum Color {\n' +
+          '  RED,\n' +
+          '  GREEN,\n' +
+          '}\n');
+      chai.assert.include(code, 'let origin: Point = {x: 0, label: \'\'};\n');
+      chai.assert.include(code,
+          'let p: Point = {x: 3, label: \'\'};\n');
+      chai.assert.include(code, 'let c: Color = Color.GREEN;\n');
+      chai.assert.include(code, 'origin.x = p.x;\n');
+    });
+  });
+
+  suite('Casts', function() {
+    test('Conversions and type assertions', function() {
+      const global = (name, type, value) =>
+        '<block type="typed_global_declaration">' +
+        '  <field name="NAME">' + name + '</field>' +
+        '  <field name="TYPE">' + type + '</field>' +
+        '  <value name="DECL">' + value + '</value>' +
+        '</block>';
+      const get = (name) => '<block type="lexical_variable_get">' +
+        '<field name="VAR">global ' + name + '</field></block>';
+      const cast = (type, value) => '<block type="typed_cast">' +
+        '<field name="TYPE">' + type + '</field>' +
+        '<value name="VALUE">' + value + '</value></block>';
+      const code = this.generate('<xml>' +
+          global('d', 'double', '<block type="math_number">' +
+              '<field name="NUM">2.5</field></block>') +
+          global('a', 'any', '<block type="text">' +
+              '<field name="TEXT">42</field></block>') +
+          global('t', 'string', cast('string', get('d'))) +
+          global('n', 'number', cast('number', get('a'))) +
+          global('i', 'int', cast('int', get('d'))) +
+          global('j', 'int', cast('int', get('t'))) +
+          global('b', 'boolean', cast('boolean', get('d'))) +
+          global('l', 'number[]', cast('number[]', get('a'))) +
+          '</xml>');
+      chai.assert.include(code, 'let t: string = String(d);\n');
+      chai.assert.include(code, 'let n: number = Number(a);\n');
+      chai.assert.include(code, 'let i: number = Math.trunc(d);\n');
+      chai.assert.include(code, 'let j: number = Math.trunc(Number(t));\n');
+      chai.assert.include(code, 'let b: boolean = Boolean(d);\n');
+      chai.assert.include(code, 'let l: number[] = (a as number[]);\n');
+    });
+  });
+
+  suite('Declaration files', function() {
+    test('Globals, procedures and types', function() {
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom('<xml>' +
+          '<block type="struct_declaration">' +
+          '  <field name="NAME">Point</field>' +
+          '  <statement name="FIELDS">' +
+          '    <block type="struct_field">' +
+          '      <field name="NAME">x</field>' +
+          '      <field name="TYPE">number</field>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="enum_declaration">' +
+          '  <field name="NAME">Color</field>' +
+          '  <statement name="MEMBERS">' +
+          '    <block type="enum_member">' +
+          '      <field name="NAME">RED</field>' +
+          '    </block>' +
+          '  </statement>' +
+          '</block>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">origin</field>' +
+          '  <field name="TYPE">Point</field>' +
+          '</block>' +
+          '<block type="global_declaration">' +
+          '  <field name="NAME">count</field>' +
+          '  <value name="VALUE"><block type="math_number">' +
+          '    <field name="NUM">1</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defreturn">' +
+          '  <mutation return_type="string">' +
+          '    <arg name="n" type="number"></arg><arg name="s"></arg>' +
+          '  </mutation>' +
+          '  <field name="NAME">describe</field>' +
+          '  <field name="VAR0">n</field>' +
+          '  <field name="VAR1">s</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">s</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defreturn">' +
+          '  <field name="NAME">total</field>' +
+          '  <value name="RETURN"><block type="lexical_variable_get">' +
+          '    <field name="VAR">global count</field></block></value>' +
+          '</block>' +
+          '<block type="procedures_defnoreturn">' +
+          '  <mutation><arg name="flag" type="boolean"></arg></mutation>' +
+          '  <field name="NAME">check</field>' +
+          '  <field name="VAR0">flag</field>' +
+          '</block>' +
+          '</xml>'), this.workspace);
+      const declarations = workspaceToDeclarations(this.workspace);
+      chai.assert.equal(declarations,
+          'declare class Point {\n' +
+          '  constructor(x: number);\n' +
+          '  x: number;\n' +
+          '}\n' +
+          'declare enum Color {\n' +
+          '  RED,\n' +
+          '}\n' +
+          'declare var origin: Point;\n' +
+          'declare var count: number;\n' +
+          'declare function describe(n: number, s: any): string;\n' +
+          'declare function total(): number;\n' +
+          'declare function check(flag: boolean): void;\n');
+      // The host's calls type check against them.
+      programs.push(declarations +
+          'const p: Point = new Point(describe(count, \'s\').length);\n' +
+          'check(origin.x === p.x && Color.RED === 0);\n' +
+          'const n: number = total();\n');
+    });
+  });
+
+  suite('Compiler checks', function() {
+    suiteSetup(function() {
+      // text_length needs Blockly's messages.
+      Blockly.setLocale(En);
+    });
+    test('tsc diagnostics are shown on their blocks', function() {
+      let ts;
+      try {
+        ts = __non_webpack_require__('typescript');
+      } catch (e) {
+        this.skip();
+      }
+      this.timeout(120000);
+      Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom('<xml>' +
+          '<block type="typed_global_declaration">' +
+          '  <field name="NAME">count</field>' +
+          '  <field name="TYPE">number</field>' +
+          '</block>' +
+          '<block type="lexical_variable_set" id="set">' +
+          '  <field name="VAR">global count</field>' +
+          '  <value name="VALUE"><block type="text_length">' +
+          '    <value name="VALUE"><block type="lexical_variable_get">' +
+          '      <field name="VAR">global count</field></block></value>' +
+          '  </block></value>' +
+          '</block>' +
+          '</xml>'), this.workspace);
+      const set = this.workspace.getBlockById('set');
+      const diagnostics = checkWithCompiler(typescriptGenerator,
+          this.workspace, createTscCompiler(ts,
+              {prelude: 'declare function unused(): void;'}));
+      chai.assert.deepEqual(diagnostics.map((diagnostic) =>
+        [diagnostic.blockId, diagnostic.severity, diagnostic.message]), [
+        ['set', 'error',
+          'Property \'length\' does not exist on type \'number\'.'],
+      ]);
+      chai.assert.equal(diagnostics[0].line, 2);
+      chai.assert.lengthOf(getCompilerDiagnostics(set), 1);
+      chai.assert.isTrue(ErrorCheckers.checkCompilerDiagnostics(set));
+      chai.assert.isFalse(ErrorCheckers.checkCompilerDiagnostics(set,
+          {severity: 'warning'}));
+
+      clearCompilerDiagnostics(this.workspace);
+      chai.assert.deepEqual(getCompilerDiagnostics(set), []);
+      chai.assert.isFalse(ErrorCheckers.checkCompilerDiagnostics(set));
+    });
+  });
+
+  // Mocha runs a suite's tests ahead of its child suites, so this has to be
+  // a suite of its own to run after the tests above.
+  suite('Type checking', function() {
+    test('Generated code passes tsc', function() {
+      this.timeout(120000);
+      if (!typeCheck(programs)) {
+        this.skip();
+      }
+    });
+  });
+});